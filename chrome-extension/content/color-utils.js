@@ -1,60 +1,59 @@
+import { compositeOver as compositeColors, gamutMapColor, parseColor, parseColorToHex } from '../shared/contrast.js';
+
 export function rgbToHex(rgbStr) {
-  const match = rgbStr.match(
-    /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*[\d.]+)?\s*\)/,
-  );
-  if (!match) return null;
-  const r = parseInt(match[1], 10);
-  const g = parseInt(match[2], 10);
-  const b = parseInt(match[3], 10);
-  if (r > 255 || g > 255 || b > 255) return null;
-  return (
-    "#" +
-    r.toString(16).padStart(2, "0") +
-    g.toString(16).padStart(2, "0") +
-    b.toString(16).padStart(2, "0")
-  );
+  return parseColorToHex(rgbStr);
 }
 
 export function isTransparent(rgbStr) {
   if (!rgbStr || rgbStr === "transparent") return true;
-  const match = rgbStr.match(
-    /rgba\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*,\s*([\d.]+)\s*\)/,
-  );
-  return match !== null && parseFloat(match[1]) === 0;
+  const color = parseColor(rgbStr);
+  return color !== null && color.alpha === 0;
 }
 
+// Byte channels as an sRGB display shows the color; wide-gamut colors are
+// gamut-mapped rather than clipped.
 export function parseRGBA(str) {
   if (!str || str === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
-  const match = str.match(
-    /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+))?\s*\)/,
-  );
-  if (!match) return null;
+  const color = gamutMapColor(parseColor(str));
+  if (!color) return null;
+  const toByte = (channel) => Math.round(channel * 255);
   return {
-    r: parseInt(match[1], 10),
-    g: parseInt(match[2], 10),
-    b: parseInt(match[3], 10),
-    a: match[4] !== undefined ? parseFloat(match[4]) : 1,
+    r: toByte(color.r),
+    g: toByte(color.g),
+    b: toByte(color.b),
+    a: color.alpha,
   };
 }
 
+// Converts byte channels to the shared engine's canonical 0-1 color.
+export function toUnitColor(color) {
+  return {
+    r: color.r / 255,
+    g: color.g / 255,
+    b: color.b / 255,
+    alpha: color.a,
+  };
+}
+
+// Byte-channel adapter over the shared engine's compositing. A fully
+// transparent result falls back to the page's default white canvas.
 export function compositeOver(fg, bg) {
-  const a = fg.a + bg.a * (1 - fg.a);
-  if (a === 0) return { r: 255, g: 255, b: 255, a: 1 };
+  const result = compositeColors(toUnitColor(fg), toUnitColor(bg));
+  if (!result || result.alpha === 0) return { r: 255, g: 255, b: 255, a: 1 };
   return {
-    r: Math.round((fg.r * fg.a + bg.r * bg.a * (1 - fg.a)) / a),
-    g: Math.round((fg.g * fg.a + bg.g * bg.a * (1 - fg.a)) / a),
-    b: Math.round((fg.b * fg.a + bg.b * bg.a * (1 - fg.a)) / a),
-    a,
+    r: Math.round(result.r * 255),
+    g: Math.round(result.g * 255),
+    b: Math.round(result.b * 255),
+    a: result.alpha,
   };
 }
 
 export function componentsToHex(color) {
-  return (
-    "#" +
-    color.r.toString(16).padStart(2, "0") +
-    color.g.toString(16).padStart(2, "0") +
-    color.b.toString(16).padStart(2, "0")
-  );
+  const toHex = (channel) =>
+    Math.round(Math.min(255, Math.max(0, channel)))
+      .toString(16)
+      .padStart(2, "0");
+  return "#" + toHex(color.r) + toHex(color.g) + toHex(color.b);
 }
 
 function hexToRgb(hex) {
@@ -1,48 +1,4651 @@
 (() => {
+  var __create = Object.create;
+  var __defProp = Object.defineProperty;
+  var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+  var __getOwnPropNames = Object.getOwnPropertyNames;
+  var __getProtoOf = Object.getPrototypeOf;
+  var __hasOwnProp = Object.prototype.hasOwnProperty;
+  var __commonJS = (cb, mod) => function __require() {
+    try {
+      return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+    } catch (e) {
+      throw mod = 0, e;
+    }
+  };
+  var __copyProps = (to, from, except, desc) => {
+    if (from && typeof from === "object" || typeof from === "function") {
+      for (let key of __getOwnPropNames(from))
+        if (!__hasOwnProp.call(to, key) && key !== except)
+          __defProp(to, key, { get: () => from[key], enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable });
+    }
+    return to;
+  };
+  var __toESM = (mod, isNodeMode, target) => (target = mod != null ? __create(__getProtoOf(mod)) : {}, __copyProps(
+    // If the importer is in node compatibility mode or this is not an ESM
+    // file that has been converted to a CommonJS file using a Babel-
+    // compatible transform (i.e. "__esModule" has not been set), then set
+    // "default" to the CommonJS "module.exports" for node compatibility.
+    isNodeMode || !mod || !mod.__esModule ? __defProp(target, "default", { value: mod, enumerable: true }) : target,
+    mod
+  ));
+
+  // shared/contrast.js
+  var require_contrast = __commonJS({
+    "shared/contrast.js"(exports, module) {
+      function isValidHex(hex) {
+        return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(hex);
+      }
+      function expandHex(hex) {
+        if (hex.length === 4) {
+          return `#${hex[1]}${hex[1]}${hex[2]}${hex[2]}${hex[3]}${hex[3]}`;
+        }
+        return hex;
+      }
+      function hexToRgb2(hex) {
+        if (!isValidHex(hex)) {
+          const color = gamutMapColor2(parseColor3(hex));
+          if (!color) return null;
+          return { r: color.r, g: color.g, b: color.b };
+        }
+        const expanded = expandHex(hex);
+        return {
+          r: parseInt(expanded.slice(1, 3), 16) / 255,
+          g: parseInt(expanded.slice(3, 5), 16) / 255,
+          b: parseInt(expanded.slice(5, 7), 16) / 255
+        };
+      }
+      function rgbStringToHex(rgbStr) {
+        return parseColorToHex2(rgbStr);
+      }
+      function isTransparent2(rgbStr) {
+        if (!rgbStr || rgbStr === "transparent") return true;
+        const color = parseColor3(rgbStr);
+        return color !== null && color.alpha === 0;
+      }
+      var CSS_NAMED_COLORS = {
+        aliceblue: "#f0f8ff",
+        antiquewhite: "#faebd7",
+        aqua: "#00ffff",
+        aquamarine: "#7fffd4",
+        azure: "#f0ffff",
+        beige: "#f5f5dc",
+        bisque: "#ffe4c4",
+        black: "#000000",
+        blanchedalmond: "#ffebcd",
+        blue: "#0000ff",
+        blueviolet: "#8a2be2",
+        brown: "#a52a2a",
+        burlywood: "#deb887",
+        cadetblue: "#5f9ea0",
+        chartreuse: "#7fff00",
+        chocolate: "#d2691e",
+        coral: "#ff7f50",
+        cornflowerblue: "#6495ed",
+        cornsilk: "#fff8dc",
+        crimson: "#dc143c",
+        cyan: "#00ffff",
+        darkblue: "#00008b",
+        darkcyan: "#008b8b",
+        darkgoldenrod: "#b8860b",
+        darkgray: "#a9a9a9",
+        darkgreen: "#006400",
+        darkgrey: "#a9a9a9",
+        darkkhaki: "#bdb76b",
+        darkmagenta: "#8b008b",
+        darkolivegreen: "#556b2f",
+        darkorange: "#ff8c00",
+        darkorchid: "#9932cc",
+        darkred: "#8b0000",
+        darksalmon: "#e9967a",
+        darkseagreen: "#8fbc8f",
+        darkslateblue: "#483d8b",
+        darkslategray: "#2f4f4f",
+        darkslategrey: "#2f4f4f",
+        darkturquoise: "#00ced1",
+        darkviolet: "#9400d3",
+        deeppink: "#ff1493",
+        deepskyblue: "#00bfff",
+        dimgray: "#696969",
+        dimgrey: "#696969",
+        dodgerblue: "#1e90ff",
+        firebrick: "#b22222",
+        floralwhite: "#fffaf0",
+        forestgreen: "#228b22",
+        fuchsia: "#ff00ff",
+        gainsboro: "#dcdcdc",
+        ghostwhite: "#f8f8ff",
+        gold: "#ffd700",
+        goldenrod: "#daa520",
+        gray: "#808080",
+        green: "#008000",
+        greenyellow: "#adff2f",
+        grey: "#808080",
+        honeydew: "#f0fff0",
+        hotpink: "#ff69b4",
+        indianred: "#cd5c5c",
+        indigo: "#4b0082",
+        ivory: "#fffff0",
+        khaki: "#f0e68c",
+        lavender: "#e6e6fa",
+        lavenderblush: "#fff0f5",
+        lawngreen: "#7cfc00",
+        lemonchiffon: "#fffacd",
+        lightblue: "#add8e6",
+        lightcoral: "#f08080",
+        lightcyan: "#e0ffff",
+        lightgoldenrodyellow: "#fafad2",
+        lightgray: "#d3d3d3",
+        lightgreen: "#90ee90",
+        lightgrey: "#d3d3d3",
+        lightpink: "#ffb6c1",
+        lightsalmon: "#ffa07a",
+        lightseagreen: "#20b2aa",
+        lightskyblue: "#87cefa",
+        lightslategray: "#778899",
+        lightslategrey: "#778899",
+        lightsteelblue: "#b0c4de",
+        lightyellow: "#ffffe0",
+        lime: "#00ff00",
+        limegreen: "#32cd32",
+        linen: "#faf0e6",
+        magenta: "#ff00ff",
+        maroon: "#800000",
+        mediumaquamarine: "#66cdaa",
+        mediumblue: "#0000cd",
+        mediumorchid: "#ba55d3",
+        mediumpurple: "#9370db",
+        mediumseagreen: "#3cb371",
+        mediumslateblue: "#7b68ee",
+        mediumspringgreen: "#00fa9a",
+        mediumturquoise: "#48d1cc",
+        mediumvioletred: "#c71585",
+        midnightblue: "#191970",
+        mintcream: "#f5fffa",
+        mistyrose: "#ffe4e1",
+        moccasin: "#ffe4b5",
+        navajowhite: "#ffdead",
+        navy: "#000080",
+        oldlace: "#fdf5e6",
+        olive: "#808000",
+        olivedrab: "#6b8e23",
+        orange: "#ffa500",
+        orangered: "#ff4500",
+        orchid: "#da70d6",
+        palegoldenrod: "#eee8aa",
+        palegreen: "#98fb98",
+        paleturquoise: "#afeeee",
+        palevioletred: "#db7093",
+        papayawhip: "#ffefd5",
+        peachpuff: "#ffdab9",
+        peru: "#cd853f",
+        pink: "#ffc0cb",
+        plum: "#dda0dd",
+        powderblue: "#b0e0e6",
+        purple: "#800080",
+        rebeccapurple: "#663399",
+        red: "#ff0000",
+        rosybrown: "#bc8f8f",
+        royalblue: "#4169e1",
+        saddlebrown: "#8b4513",
+        salmon: "#fa8072",
+        sandybrown: "#f4a460",
+        seagreen: "#2e8b57",
+        seashell: "#fff5ee",
+        sienna: "#a0522d",
+        silver: "#c0c0c0",
+        skyblue: "#87ceeb",
+        slateblue: "#6a5acd",
+        slategray: "#708090",
+        slategrey: "#708090",
+        snow: "#fffafa",
+        springgreen: "#00ff7f",
+        steelblue: "#4682b4",
+        tan: "#d2b48c",
+        teal: "#008080",
+        thistle: "#d8bfd8",
+        tomato: "#ff6347",
+        turquoise: "#40e0d0",
+        violet: "#ee82ee",
+        wheat: "#f5deb3",
+        white: "#ffffff",
+        whitesmoke: "#f5f5f5",
+        yellow: "#ffff00",
+        yellowgreen: "#9acd32"
+      };
+      var XYZ_D65_TO_LINEAR_SRGB = [
+        [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+        [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+        [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+      ];
+      var LINEAR_DISPLAY_P3_TO_XYZ_D65 = [
+        [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+        [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+        [0, 0.04511338185890264, 1.043944368900976]
+      ];
+      var XYZ_D65_TO_LINEAR_DISPLAY_P3 = [
+        [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+        [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+        [0.03584583024378447, -0.07617238926804182, 0.9568845240076872]
+      ];
+      var LINEAR_A98_TO_XYZ_D65 = [
+        [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+        [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+        [0.02703136138641234, 0.07068885253582723, 0.9913375368376388]
+      ];
+      var LINEAR_REC2020_TO_XYZ_D65 = [
+        [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+        [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+        [0, 0.028072693049087428, 1.060985057710791]
+      ];
+      var XYZ_D65_TO_LINEAR_REC2020 = [
+        [1.7166511879712674, -0.35567078377639233, -0.25336628137365974],
+        [-0.6666843518324892, 1.6164812366349395, 0.01576854581391113],
+        [0.017639857445310783, -0.042770613257808524, 0.9421031212354738]
+      ];
+      var LINEAR_PROPHOTO_TO_XYZ_D50 = [
+        [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+        [0.2880748288194013, 0.711835234241873, 8993693872564e-17],
+        [0, 0, 0.8251046025104602]
+      ];
+      var XYZ_D50_TO_XYZ_D65 = [
+        [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+        [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+        [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+      ];
+      var LINEAR_SRGB_TO_XYZ_D65 = [
+        [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+        [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+        [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+      ];
+      var XYZ_D65_TO_XYZ_D50 = [
+        [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+        [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+        [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+      ];
+      var D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+      var LAB_KAPPA = 24389 / 27;
+      var LAB_EPSILON = 216 / 24389;
+      function clampUnit(value) {
+        return Math.min(1, Math.max(0, value));
+      }
+      function multiplyMatrix3(matrix, vector) {
+        return matrix.map(
+          (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+        );
+      }
+      function srgbChannelToLinear(c) {
+        const abs = Math.abs(c);
+        if (abs <= 0.04045) return c / 12.92;
+        return Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+      }
+      function linearChannelToSrgb(c) {
+        const abs = Math.abs(c);
+        if (abs <= 31308e-7) return c * 12.92;
+        return Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+      }
+      function xyzD65ToSrgb(xyz) {
+        return multiplyMatrix3(XYZ_D65_TO_LINEAR_SRGB, xyz).map(linearChannelToSrgb);
+      }
+      function labToXyzD50(l, a, b) {
+        const f1 = (l + 16) / 116;
+        const f0 = a / 500 + f1;
+        const f2 = f1 - b / 200;
+        const x = Math.pow(f0, 3) > LAB_EPSILON ? Math.pow(f0, 3) : (116 * f0 - 16) / LAB_KAPPA;
+        const y = l > LAB_KAPPA * LAB_EPSILON ? Math.pow(f1, 3) : l / LAB_KAPPA;
+        const z = Math.pow(f2, 3) > LAB_EPSILON ? Math.pow(f2, 3) : (116 * f2 - 16) / LAB_KAPPA;
+        return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
+      }
+      function oklabToLinearSrgb(l, a, b) {
+        const lms = [
+          Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3),
+          Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3),
+          Math.pow(l - 0.0894841775 * a - 1.291485548 * b, 3)
+        ];
+        return [
+          4.0767416621 * lms[0] - 3.3077115913 * lms[1] + 0.2309699292 * lms[2],
+          -1.2684380046 * lms[0] + 2.6097574011 * lms[1] - 0.3413193965 * lms[2],
+          -0.0041960863 * lms[0] - 0.7034186147 * lms[1] + 1.707614701 * lms[2]
+        ];
+      }
+      function linearSrgbToOklab(r, g, b) {
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        return [
+          0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+          1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+          0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s
+        ];
+      }
+      function hslToSrgb(hue, saturation, lightness) {
+        const chroma = saturation * Math.min(lightness, 1 - lightness);
+        const channel = (n) => {
+          const k = (n + hue / 30) % 12;
+          return lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+        return [channel(0), channel(8), channel(4)];
+      }
+      function hwbToSrgb(hue, whiteness, blackness) {
+        if (whiteness + blackness >= 1) {
+          const gray = whiteness / (whiteness + blackness);
+          return [gray, gray, gray];
+        }
+        return hslToSrgb(hue, 1, 0.5).map(
+          (c) => c * (1 - whiteness - blackness) + whiteness
+        );
+      }
+      var COLOR_FUNCTION_SPACES = {
+        srgb: (coords) => coords,
+        "srgb-linear": (coords) => coords.map(linearChannelToSrgb),
+        "display-p3": (coords) => xyzD65ToSrgb(
+          multiplyMatrix3(
+            LINEAR_DISPLAY_P3_TO_XYZ_D65,
+            coords.map(srgbChannelToLinear)
+          )
+        ),
+        "a98-rgb": (coords) => xyzD65ToSrgb(
+          multiplyMatrix3(
+            LINEAR_A98_TO_XYZ_D65,
+            coords.map((c) => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256))
+          )
+        ),
+        "prophoto-rgb": (coords) => xyzD65ToSrgb(
+          multiplyMatrix3(
+            XYZ_D50_TO_XYZ_D65,
+            multiplyMatrix3(
+              LINEAR_PROPHOTO_TO_XYZ_D50,
+              coords.map(
+                (c) => Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(Math.abs(c), 1.8)
+              )
+            )
+          )
+        ),
+        rec2020: (coords) => xyzD65ToSrgb(
+          multiplyMatrix3(
+            LINEAR_REC2020_TO_XYZ_D65,
+            coords.map((c) => {
+              const alpha = 1.09929682680944;
+              const beta = 0.018053968510807;
+              const abs = Math.abs(c);
+              if (abs < beta * 4.5) return c / 4.5;
+              return Math.sign(c) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+            })
+          )
+        ),
+        xyz: (coords) => xyzD65ToSrgb(coords),
+        "xyz-d65": (coords) => xyzD65ToSrgb(coords),
+        "xyz-d50": (coords) => xyzD65ToSrgb(multiplyMatrix3(XYZ_D50_TO_XYZ_D65, coords))
+      };
+      var CSS_NUMBER_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/i;
+      function parseColorComponent(token, percentScale) {
+        if (token === "none") return 0;
+        const match = CSS_NUMBER_PATTERN.exec(token);
+        if (!match) return null;
+        const value = parseFloat(match[1]);
+        const unit = (match[2] || "").toLowerCase();
+        if (unit === "%") {
+          return percentScale === null ? null : value / 100 * percentScale;
+        }
+        return unit ? null : value;
+      }
+      function parseAngleDegrees(token) {
+        const match = CSS_NUMBER_PATTERN.exec(token);
+        if (!match) return null;
+        const value = parseFloat(match[1]);
+        switch ((match[2] || "").toLowerCase()) {
+          case "":
+          case "deg":
+            return value;
+          case "grad":
+            return value * 0.9;
+          case "rad":
+            return value * 180 / Math.PI;
+          case "turn":
+            return value * 360;
+          default:
+            return null;
+        }
+      }
+      function parseHueComponent(token) {
+        if (token === "none") return 0;
+        const degrees = parseAngleDegrees(token);
+        if (degrees === null) return null;
+        return (degrees % 360 + 360) % 360;
+      }
+      function parseAlphaComponent(token) {
+        if (token === void 0) return 1;
+        const alpha = parseColorComponent(token, 1);
+        return alpha === null ? null : clampUnit(alpha);
+      }
+      function parseHexColor(hex) {
+        const digits = hex.slice(1);
+        if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(digits)) return null;
+        const full = digits.length <= 4 ? digits.split("").map((digit) => digit + digit).join("") : digits;
+        return {
+          r: parseInt(full.slice(0, 2), 16) / 255,
+          g: parseInt(full.slice(2, 4), 16) / 255,
+          b: parseInt(full.slice(4, 6), 16) / 255,
+          alpha: full.length === 8 ? parseInt(full.slice(6, 8), 16) / 255 : 1
+        };
+      }
+      function splitColorArguments(body) {
+        if (body.includes(",")) {
+          const parts = body.split(",").map((part) => part.trim());
+          if (parts.some((part) => !part || /\s/.test(part))) return null;
+          if (parts.length !== 3 && parts.length !== 4) return null;
+          return { channels: parts.slice(0, 3), alpha: parts[3] };
+        }
+        const slashParts = body.split("/");
+        if (slashParts.length > 2) return null;
+        const channels = slashParts[0].trim().split(/\s+/).filter(Boolean);
+        const alpha = slashParts.length === 2 ? slashParts[1].trim() : void 0;
+        if (alpha !== void 0 && (!alpha || /\s/.test(alpha))) return null;
+        return { channels, alpha };
+      }
+      function parseColorFunction(name, body) {
+        const args = splitColorArguments(body);
+        if (!args) return null;
+        let { channels } = args;
+        let space = null;
+        if (name === "color") {
+          space = channels[0];
+          channels = channels.slice(1);
+          if (!COLOR_FUNCTION_SPACES[space]) return null;
+        }
+        if (channels.length !== 3) return null;
+        const alpha = parseAlphaComponent(args.alpha);
+        if (alpha === null) return null;
+        let rgb;
+        switch (name) {
+          case "rgb":
+          case "rgba": {
+            const values = channels.map((token) => parseColorComponent(token, 255));
+            if (values.includes(null)) return null;
+            rgb = values.map((value) => Math.min(255, Math.max(0, value)) / 255);
+            break;
+          }
+          case "hsl":
+          case "hsla": {
+            const hue = parseHueComponent(channels[0]);
+            const saturation = parseColorComponent(channels[1], 100);
+            const lightness = parseColorComponent(channels[2], 100);
+            if (hue === null || saturation === null || lightness === null) {
+              return null;
+            }
+            rgb = hslToSrgb(
+              hue,
+              clampUnit(saturation / 100),
+              clampUnit(lightness / 100)
+            );
+            break;
+          }
+          case "hwb": {
+            const hue = parseHueComponent(channels[0]);
+            const whiteness = parseColorComponent(channels[1], 100);
+            const blackness = parseColorComponent(channels[2], 100);
+            if (hue === null || whiteness === null || blackness === null) {
+              return null;
+            }
+            rgb = hwbToSrgb(
+              hue,
+              clampUnit(whiteness / 100),
+              clampUnit(blackness / 100)
+            );
+            break;
+          }
+          case "lab":
+          case "lch": {
+            const lightness = parseColorComponent(channels[0], 100);
+            if (lightness === null) return null;
+            let a;
+            let b;
+            if (name === "lab") {
+              a = parseColorComponent(channels[1], 125);
+              b = parseColorComponent(channels[2], 125);
+            } else {
+              const chroma = parseColorComponent(channels[1], 150);
+              const hue = parseHueComponent(channels[2]);
+              if (chroma === null || hue === null) return null;
+              a = Math.max(0, chroma) * Math.cos(hue * Math.PI / 180);
+              b = Math.max(0, chroma) * Math.sin(hue * Math.PI / 180);
+            }
+            if (a === null || b === null) return null;
+            rgb = COLOR_FUNCTION_SPACES["xyz-d50"](
+              labToXyzD50(Math.min(100, Math.max(0, lightness)), a, b)
+            );
+            break;
+          }
+          case "oklab":
+          case "oklch": {
+            const lightness = parseColorComponent(channels[0], 1);
+            if (lightness === null) return null;
+            let a;
+            let b;
+            if (name === "oklab") {
+              a = parseColorComponent(channels[1], 0.4);
+              b = parseColorComponent(channels[2], 0.4);
+            } else {
+              const chroma = parseColorComponent(channels[1], 0.4);
+              const hue = parseHueComponent(channels[2]);
+              if (chroma === null || hue === null) return null;
+              a = Math.max(0, chroma) * Math.cos(hue * Math.PI / 180);
+              b = Math.max(0, chroma) * Math.sin(hue * Math.PI / 180);
+            }
+            if (a === null || b === null) return null;
+            rgb = oklabToLinearSrgb(clampUnit(lightness), a, b).map(
+              linearChannelToSrgb
+            );
+            break;
+          }
+          case "color": {
+            const values = channels.map((token) => parseColorComponent(token, 1));
+            if (values.includes(null)) return null;
+            rgb = COLOR_FUNCTION_SPACES[space](values);
+            break;
+          }
+          default:
+            return null;
+        }
+        return { r: rgb[0], g: rgb[1], b: rgb[2], alpha };
+      }
+      function parseColor3(input) {
+        if (typeof input !== "string") return null;
+        const value = input.trim().toLowerCase();
+        if (!value) return null;
+        if (value.startsWith("#")) return parseHexColor(value);
+        if (value === "transparent") return { r: 0, g: 0, b: 0, alpha: 0 };
+        if (CSS_NAMED_COLORS[value]) return parseHexColor(CSS_NAMED_COLORS[value]);
+        const match = /^([a-z-]+)\((.*)\)$/.exec(value);
+        if (!match) return null;
+        return parseColorFunction(match[1], match[2].trim());
+      }
+      function colorToHex2(color) {
+        const mapped = gamutMapColor2(color);
+        if (!mapped) return null;
+        const toHex = (channel) => Math.round(channel * 255).toString(16).padStart(2, "0");
+        return `#${toHex(mapped.r)}${toHex(mapped.g)}${toHex(mapped.b)}`;
+      }
+      function parseColorToHex2(input) {
+        return colorToHex2(parseColor3(input));
+      }
+      function getRgbLuminance(rgb) {
+        const processChannel = (c) => c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        return 0.2126 * processChannel(rgb.r) + 0.7152 * processChannel(rgb.g) + 0.0722 * processChannel(rgb.b);
+      }
+      function getRelativeLuminance2(hex) {
+        const rgb = hexToRgb2(hex);
+        if (!rgb) return 0;
+        return getRgbLuminance(rgb);
+      }
+      function getLuminanceContrast(l1, l2) {
+        const lightest = Math.max(l1, l2);
+        const darkest = Math.min(l1, l2);
+        return (lightest + 0.05) / (darkest + 0.05);
+      }
+      function getContrastRatio2(textHex, bgHex) {
+        return getLuminanceContrast(
+          getRelativeLuminance2(textHex),
+          getRelativeLuminance2(bgHex)
+        );
+      }
+      function toCanonicalColor(value) {
+        if (typeof value === "string") return parseColor3(value);
+        if (!value || typeof value !== "object") return null;
+        if (![value.r, value.g, value.b].every(Number.isFinite)) return null;
+        return {
+          r: value.r,
+          g: value.g,
+          b: value.b,
+          alpha: Number.isFinite(value.alpha) ? clampUnit(value.alpha) : 1
+        };
+      }
+      function compositeOver2(foreground, background) {
+        const fg = toCanonicalColor(foreground);
+        const bg = toCanonicalColor(background);
+        if (!fg || !bg) return null;
+        const alpha = fg.alpha + bg.alpha * (1 - fg.alpha);
+        if (alpha === 0) return { r: 0, g: 0, b: 0, alpha: 0 };
+        const mix = (f, b) => (f * fg.alpha + b * bg.alpha * (1 - fg.alpha)) / alpha;
+        return {
+          r: mix(fg.r, bg.r),
+          g: mix(fg.g, bg.g),
+          b: mix(fg.b, bg.b),
+          alpha
+        };
+      }
+      function flattenColorStack(layers) {
+        let result = { r: 0, g: 0, b: 0, alpha: 0 };
+        for (let i = layers.length - 1; i >= 0; i -= 1) {
+          result = compositeOver2(layers[i], result);
+        }
+        return result;
+      }
+      function mapColorToSrgb(color) {
+        const { r, g, b } = gamutMapColor2(color);
+        return { r, g, b };
+      }
+      function measureOpaquePair(foreground, background, backdrop) {
+        const bg = mapColorToSrgb(compositeOver2(background, backdrop));
+        const text = mapColorToSrgb(compositeOver2(foreground, { ...bg, alpha: 1 }));
+        return {
+          text: colorToHex2(text),
+          background: colorToHex2(bg),
+          wcagRatio: getLuminanceContrast(getRgbLuminance(text), getRgbLuminance(bg)),
+          apcaScore: calcAPCAFromRgb(text, bg)
+        };
+      }
+      var BACKDROP_GRID_LEVELS = [0, 0.25, 0.5, 0.75, 1];
+      function findExtremeBackdrop(evaluate, score) {
+        let best = null;
+        const consider = (backdrop) => {
+          const result = evaluate(backdrop);
+          const value = score(result);
+          if (!best || value < best.value) {
+            best = { backdrop, result, value };
+            return true;
+          }
+          return false;
+        };
+        BACKDROP_GRID_LEVELS.forEach((r) => {
+          BACKDROP_GRID_LEVELS.forEach((g) => {
+            BACKDROP_GRID_LEVELS.forEach((b) => {
+              consider({ r, g, b, alpha: 1 });
+            });
+          });
+        });
+        let step = 0.125;
+        for (let iteration = 0; iteration < 200 && step >= 1 / 512; iteration += 1) {
+          const origin = best.backdrop;
+          let improved = false;
+          ["r", "g", "b"].forEach((channel) => {
+            [-step, step].forEach((delta) => {
+              const next = clampUnit(origin[channel] + delta);
+              if (next === origin[channel]) return;
+              if (consider({ ...origin, [channel]: next })) improved = true;
+            });
+          });
+          if (!improved) step /= 2;
+        }
+        return best;
+      }
+      function getCompositeContrast(foreground, background, backdrops) {
+        const fg = toCanonicalColor(foreground);
+        const layers = [
+          background,
+          ...Array.isArray(backdrops) ? backdrops : []
+        ].map(toCanonicalColor);
+        if (!fg || layers.includes(null)) return null;
+        const flattened = flattenColorStack(layers);
+        if (flattened.alpha >= 1 - 1e-6) {
+          return {
+            ...measureOpaquePair(fg, flattened, { r: 1, g: 1, b: 1, alpha: 1 }),
+            backdropKnown: true,
+            range: null
+          };
+        }
+        const evaluate = (backdrop) => measureOpaquePair(fg, flattened, backdrop);
+        const worst = findExtremeBackdrop(evaluate, (result) => result.wcagRatio);
+        const best = findExtremeBackdrop(evaluate, (result) => -result.wcagRatio);
+        const weakestApca = findExtremeBackdrop(
+          evaluate,
+          (result) => Math.abs(result.apcaScore)
+        );
+        const strongestApca = findExtremeBackdrop(
+          evaluate,
+          (result) => -Math.abs(result.apcaScore)
+        );
+        return {
+          ...worst.result,
+          apcaScore: weakestApca.result.apcaScore,
+          backdropKnown: false,
+          range: {
+            wcagRatio: { min: worst.result.wcagRatio, max: best.result.wcagRatio },
+            apcaScore: {
+              weakest: weakestApca.result.apcaScore,
+              strongest: strongestApca.result.apcaScore
+            },
+            worstBackdrop: colorToHex2(worst.backdrop),
+            bestBackdrop: colorToHex2(best.backdrop)
+          }
+        };
+      }
+      var GRADIENT_SAMPLE_COUNT = 8;
+      var GRADIENT_EXTENT_KEYWORDS = [
+        "closest-side",
+        "closest-corner",
+        "farthest-side",
+        "farthest-corner"
+      ];
+      function splitTopLevel(value, separator) {
+        const parts = [];
+        let depth = 0;
+        let current = "";
+        for (const char of value) {
+          if (char === "(") depth += 1;
+          if (char === ")") depth = Math.max(0, depth - 1);
+          const splits = depth === 0 && (separator === "," ? char === "," : /\s/.test(char));
+          if (splits) {
+            if (current.trim()) parts.push(current.trim());
+            current = "";
+          } else {
+            current += char;
+          }
+        }
+        if (current.trim()) parts.push(current.trim());
+        return parts;
+      }
+      var GRADIENT_LENGTH_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(px|%)?$/i;
+      function parseGradientLength(token) {
+        const match = GRADIENT_LENGTH_PATTERN.exec(token || "");
+        if (!match) return null;
+        const value = parseFloat(match[1]);
+        if (!match[2] && value !== 0) return null;
+        return { value, unit: match[2] === "%" ? "%" : "px" };
+      }
+      function resolveGradientLength(length, basis) {
+        return length.unit === "%" ? length.value / 100 * basis : length.value;
+      }
+      function parseGradientAngle(token) {
+        const match = CSS_NUMBER_PATTERN.exec(token || "");
+        if (!match || match[2] === "%") return null;
+        if (!match[2] && parseFloat(match[1]) !== 0) return null;
+        return parseAngleDegrees(token);
+      }
+      var GRADIENT_POSITION_KEYWORDS = {
+        left: { axis: "x", value: 0 },
+        right: { axis: "x", value: 100 },
+        top: { axis: "y", value: 0 },
+        bottom: { axis: "y", value: 100 },
+        center: { axis: null, value: 50 }
+      };
+      function parseGradientPosition(tokens) {
+        if (!tokens.length || tokens.length > 2) return null;
+        const position = {};
+        const pending = [];
+        for (const token of tokens) {
+          const keyword = GRADIENT_POSITION_KEYWORDS[token];
+          if (keyword?.axis) {
+            if (position[keyword.axis]) return null;
+            position[keyword.axis] = { value: keyword.value, unit: "%" };
+            continue;
+          }
+          const length = keyword ? { value: 50, unit: "%" } : parseGradientLength(token);
+          if (!length) return null;
+          pending.push(length);
+        }
+        ["x", "y"].forEach((axis) => {
+          if (!position[axis])
+            position[axis] = pending.shift() || { value: 50, unit: "%" };
+        });
+        return pending.length ? null : position;
+      }
+      function parseColorStops(args, parsePosition) {
+        const stops = [];
+        for (const arg of args) {
+          const tokens = splitTopLevel(arg, " ");
+          const color = parseColor3(tokens[0]);
+          if (!color) {
+            if (tokens.length === 1 && parsePosition(tokens[0])) continue;
+            return null;
+          }
+          const positions = tokens.slice(1).map(parsePosition);
+          if (positions.length > 2 || positions.includes(null)) return null;
+          if (!positions.length) stops.push({ color, position: null });
+          positions.forEach((position) => stops.push({ color, position }));
+        }
+        return stops.length >= 2 ? stops : null;
+      }
+      function parseLinearGradientConfig(tokens) {
+        if (tokens.length === 1) {
+          const angle = parseGradientAngle(tokens[0]);
+          if (angle !== null)
+            return { angle: (angle % 360 + 360) % 360, corner: null };
+        }
+        if (tokens[0] !== "to" || tokens.length < 2 || tokens.length > 3) return null;
+        const sides = { top: [0, -1], bottom: [0, 1], left: [-1, 0], right: [1, 0] };
+        const corner = [0, 0];
+        for (const token of tokens.slice(1)) {
+          if (!sides[token]) return null;
+          corner[0] += sides[token][0];
+          corner[1] += sides[token][1];
+        }
+        if (corner[0] && corner[1]) return { angle: null, corner };
+        if (!corner[0] && !corner[1]) return null;
+        return {
+          angle: (Math.atan2(corner[0], -corner[1]) * 180 / Math.PI + 360) % 360,
+          corner: null
+        };
+      }
+      function parseRadialGradientConfig(tokens) {
+        const atIndex = tokens.indexOf("at");
+        const sizeTokens = atIndex === -1 ? tokens : tokens.slice(0, atIndex);
+        const position = atIndex === -1 ? { x: { value: 50, unit: "%" }, y: { value: 50, unit: "%" } } : parseGradientPosition(tokens.slice(atIndex + 1));
+        if (!position) return null;
+        let shape = null;
+        let extent = null;
+        const lengths = [];
+        for (const token of sizeTokens) {
+          if (token === "circle" || token === "ellipse") {
+            if (shape) return null;
+            shape = token;
+          } else if (GRADIENT_EXTENT_KEYWORDS.includes(token)) {
+            if (extent) return null;
+            extent = token;
+          } else {
+            const length = parseGradientLength(token);
+            if (!length) return null;
+            lengths.push(length);
+          }
+        }
+        if (lengths.length > 2 || extent && lengths.length) return null;
+        if (!shape) shape = lengths.length === 1 ? "circle" : "ellipse";
+        if (shape === "circle" && (lengths.length > 1 || lengths[0]?.unit === "%")) {
+          return null;
+        }
+        if (shape === "ellipse" && lengths.length === 1) return null;
+        return {
+          shape,
+          extent: lengths.length ? null : extent || "farthest-corner",
+          size: lengths.length ? lengths : null,
+          position
+        };
+      }
+      function parseConicGradientConfig(tokens) {
+        let angle = 0;
+        let position = { x: { value: 50, unit: "%" }, y: { value: 50, unit: "%" } };
+        let rest = tokens;
+        if (rest[0] === "from") {
+          angle = parseGradientAngle(rest[1]);
+          if (angle === null) return null;
+          angle = (angle % 360 + 360) % 360;
+          rest = rest.slice(2);
+        }
+        if (rest[0] === "at") {
+          position = parseGradientPosition(rest.slice(1));
+          if (!position) return null;
+          rest = [];
+        }
+        return rest.length ? null : { angle, position };
+      }
+      function parseGradient(value) {
+        if (typeof value !== "string") return null;
+        const match = /^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/.exec(
+          value.trim().toLowerCase()
+        );
+        if (!match) return null;
+        const [, repeating, kind, body] = match;
+        let args = splitTopLevel(body, ",");
+        if (!args.length) return null;
+        const firstTokens = splitTopLevel(args[0], " ");
+        const inIndex = firstTokens.indexOf("in");
+        const configTokens = inIndex === -1 ? firstTokens : firstTokens.slice(0, inIndex);
+        const hasConfig = inIndex !== -1 || !parseColor3(firstTokens[0]);
+        if (hasConfig) args = args.slice(1);
+        const parseConfig = {
+          linear: parseLinearGradientConfig,
+          radial: parseRadialGradientConfig,
+          conic: parseConicGradientConfig
+        }[kind];
+        const defaults = {
+          linear: ["to", "bottom"],
+          radial: [],
+          conic: []
+        }[kind];
+        const config = parseConfig(
+          hasConfig && configTokens.length ? configTokens : defaults
+        );
+        if (!config) return null;
+        const parsePosition = kind === "conic" ? (token) => {
+          const length = parseGradientLength(token);
+          if (length?.unit === "%") return length;
+          const angle = parseGradientAngle(token);
+          return angle === null ? null : { value: angle, unit: "deg" };
+        } : parseGradientLength;
+        const stops = parseColorStops(args, parsePosition);
+        if (!stops) return null;
+        return { type: kind, repeating: Boolean(repeating), ...config, stops };
+      }
+      function parseBackgroundImage2(value) {
+        if (typeof value !== "string" || value.trim() === "none") return [];
+        return splitTopLevel(value, ",").map(parseGradient).filter(Boolean);
+      }
+      function resolveGradientStops(stops, toFraction) {
+        const resolved = stops.map((stop) => ({
+          color: stop.color,
+          offset: stop.position ? toFraction(stop.position) : null
+        }));
+        if (resolved[0].offset === null) resolved[0].offset = 0;
+        const last = resolved[resolved.length - 1];
+        if (last.offset === null) last.offset = 1;
+        let max = resolved[0].offset;
+        resolved.forEach((stop) => {
+          if (stop.offset !== null) {
+            stop.offset = Math.max(stop.offset, max);
+            max = stop.offset;
+          }
+        });
+        for (let i = 1; i < resolved.length; i += 1) {
+          if (resolved[i].offset !== null) continue;
+          let end = i;
+          while (resolved[end].offset === null) end += 1;
+          const start = resolved[i - 1].offset;
+          const step = (resolved[end].offset - start) / (end - i + 1);
+          for (let j = i; j < end; j += 1) {
+            resolved[j].offset = start + step * (j - i + 1);
+          }
+        }
+        return resolved;
+      }
+      function mixPremultiplied(a, b, t) {
+        const alpha = a.alpha + (b.alpha - a.alpha) * t;
+        if (alpha === 0) return { r: 0, g: 0, b: 0, alpha: 0 };
+        const mix = (ca, cb) => (ca * a.alpha + (cb * b.alpha - ca * a.alpha) * t) / alpha;
+        return { r: mix(a.r, b.r), g: mix(a.g, b.g), b: mix(a.b, b.b), alpha };
+      }
+      function getColorAtOffset(stops, offset, repeating) {
+        const first = stops[0].offset;
+        const last = stops[stops.length - 1].offset;
+        let t = offset;
+        if (repeating) {
+          const period = last - first;
+          if (period <= 0) return stops[stops.length - 1].color;
+          t = first + ((t - first) % period + period) % period;
+        }
+        if (t <= first) return stops[0].color;
+        if (t >= last) return stops[stops.length - 1].color;
+        for (let i = 1; i < stops.length; i += 1) {
+          const next = stops[i];
+          if (t > next.offset) continue;
+          const previous = stops[i - 1];
+          const span = next.offset - previous.offset;
+          if (span <= 0) return next.color;
+          return mixPremultiplied(
+            previous.color,
+            next.color,
+            (t - previous.offset) / span
+          );
+        }
+        return stops[stops.length - 1].color;
+      }
+      function getRadialGradientRadii(gradient, cx, cy, width, height) {
+        if (gradient.size) {
+          const rx = resolveGradientLength(gradient.size[0], width);
+          const ry = gradient.shape === "circle" ? rx : resolveGradientLength(gradient.size[1], height);
+          return [rx, ry];
+        }
+        const sidesX = [cx, width - cx].map(Math.abs);
+        const sidesY = [cy, height - cy].map(Math.abs);
+        const closest = gradient.extent.startsWith("closest");
+        const pick = closest ? Math.min : Math.max;
+        if (gradient.extent.endsWith("side")) {
+          if (gradient.shape === "circle") {
+            const radius = pick(...sidesX, ...sidesY);
+            return [radius, radius];
+          }
+          return [pick(...sidesX), pick(...sidesY)];
+        }
+        const sideX = pick(...sidesX);
+        const sideY = pick(...sidesY);
+        if (gradient.shape === "circle") {
+          const radius = Math.hypot(sideX, sideY);
+          return [radius, radius];
+        }
+        return [sideX * Math.SQRT2, sideY * Math.SQRT2];
+      }
+      function sampleGradient(gradient, x, y, width, height) {
+        if (!gradient) return null;
+        if (gradient.type === "linear") {
+          let angle = gradient.angle;
+          if (gradient.corner) {
+            const [sx, sy] = gradient.corner;
+            angle = Math.atan2(sx * height, -sy * width) * 180 / Math.PI;
+            angle = (angle + 360) % 360;
+          }
+          const radians = angle * Math.PI / 180;
+          const dx = Math.sin(radians);
+          const dy = -Math.cos(radians);
+          const length = Math.abs(width * Math.sin(radians)) + Math.abs(height * Math.cos(radians));
+          const stops2 = resolveGradientStops(
+            gradient.stops,
+            (position) => length > 0 ? resolveGradientLength(position, length) / length : 0
+          );
+          const projection = (x - width / 2) * dx + (y - height / 2) * dy;
+          const offset2 = length > 0 ? projection / length + 0.5 : 0;
+          return getColorAtOffset(stops2, offset2, gradient.repeating);
+        }
+        const cx = resolveGradientLength(gradient.position.x, width);
+        const cy = resolveGradientLength(gradient.position.y, height);
+        if (gradient.type === "radial") {
+          const [rx, ry] = getRadialGradientRadii(gradient, cx, cy, width, height);
+          const safeRx = Math.max(rx, 1e-6);
+          const safeRy = Math.max(ry, 1e-6);
+          const stops2 = resolveGradientStops(
+            gradient.stops,
+            (position) => resolveGradientLength(position, safeRx) / safeRx
+          );
+          const offset2 = Math.hypot((x - cx) / safeRx, (y - cy) / safeRy);
+          return getColorAtOffset(stops2, offset2, gradient.repeating);
+        }
+        const stops = resolveGradientStops(
+          gradient.stops,
+          (position) => position.unit === "%" ? position.value / 100 : position.value / 360
+        );
+        const bearing = Math.atan2(x - cx, -(y - cy)) * 180 / Math.PI;
+        const offset = ((bearing - gradient.angle) % 360 + 360) % 360;
+        return getColorAtOffset(stops, offset / 360, gradient.repeating);
+      }
+      function getGradientContrast2(foreground, layers, options = {}) {
+        const fg = toCanonicalColor(foreground);
+        const backdrop = toCanonicalColor(options.backdrop || "#ffffff");
+        if (!fg || !backdrop) return null;
+        const list = typeof layers === "string" ? parseBackgroundImage2(layers) : [].concat(layers || []);
+        const resolved = list.map(
+          (layer) => typeof layer === "string" ? parseGradient(layer) || toCanonicalColor(layer) : layer?.stops ? layer : toCanonicalColor(layer)
+        );
+        if (!resolved.length || resolved.includes(null)) return null;
+        if (!resolved.some((layer) => layer.stops)) return null;
+        const width = Math.max(options.width ?? 100, 0);
+        const height = Math.max(options.height ?? 100, 0);
+        const region = {
+          x: 0,
+          y: 0,
+          width,
+          height,
+          ...options.region
+        };
+        const count = Math.max(
+          2,
+          Math.round(options.samples ?? GRADIENT_SAMPLE_COUNT)
+        );
+        const opaqueBackdrop = { ...backdrop, alpha: 1 };
+        const samples = [];
+        for (let row = 0; row < count; row += 1) {
+          for (let column = 0; column < count; column += 1) {
+            const x = region.x + region.width * column / (count - 1);
+            const y = region.y + region.height * row / (count - 1);
+            const stack = resolved.map(
+              (layer) => layer.stops ? sampleGradient(layer, x, y, width, height) : layer
+            );
+            samples.push(
+              measureOpaquePair(fg, flattenColorStack(stack), opaqueBackdrop)
+            );
+          }
+        }
+        const byRatio = [...samples].sort((a, b) => a.wcagRatio - b.wcagRatio);
+        const byApca = [...samples].sort(
+          (a, b) => Math.abs(a.apcaScore) - Math.abs(b.apcaScore)
+        );
+        const worst = byRatio[0];
+        const best = byRatio[byRatio.length - 1];
+        const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const backgrounds = samples.map((sample) => parseHexColor(sample.background));
+        const averageBackground = {
+          r: mean(backgrounds.map((color) => color.r)),
+          g: mean(backgrounds.map((color) => color.g)),
+          b: mean(backgrounds.map((color) => color.b)),
+          alpha: 1
+        };
+        return {
+          ...worst,
+          apcaScore: byApca[0].apcaScore,
+          average: {
+            wcagRatio: mean(samples.map((sample) => sample.wcagRatio)),
+            apcaScore: mean(samples.map((sample) => sample.apcaScore)),
+            background: colorToHex2(averageBackground)
+          },
+          range: {
+            wcagRatio: { min: worst.wcagRatio, max: best.wcagRatio },
+            apcaScore: {
+              weakest: byApca[0].apcaScore,
+              strongest: byApca[byApca.length - 1].apcaScore
+            },
+            worstBackground: worst.background,
+            bestBackground: best.background
+          },
+          samples: samples.length
+        };
+      }
+      var IMAGE_CONTRAST_PERCENTILE = 0.05;
+      var IMAGE_APCA_THRESHOLD = 60;
+      var imageByteTables = null;
+      function getImageByteTables() {
+        if (!imageByteTables) {
+          const linear = new Float64Array(256);
+          const apca = new Float64Array(256);
+          for (let byte = 0; byte < 256; byte += 1) {
+            const channel = byte / 255;
+            linear[byte] = channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+            apca[byte] = Math.pow(channel, 2.4);
+          }
+          imageByteTables = { linear, apca };
+        }
+        return imageByteTables;
+      }
+      function getSortedPercentile(sorted, fraction) {
+        return sorted[Math.floor(fraction * (sorted.length - 1))];
+      }
+      function summarizeContrastSamples(values) {
+        const sorted = values.sort();
+        return {
+          min: sorted[0],
+          p5: getSortedPercentile(sorted, IMAGE_CONTRAST_PERCENTILE),
+          median: getSortedPercentile(sorted, 0.5),
+          max: sorted[sorted.length - 1]
+        };
+      }
+      function getImageContrastStats(foreground, image, options = {}) {
+        const fg = toCanonicalColor(foreground);
+        const backdrop = toCanonicalColor(options.backdrop || "#ffffff");
+        if (!fg || !backdrop || !image?.data) return null;
+        const { width, height, data } = image;
+        if (!(width > 0) || !(height > 0) || data.length < width * height * 4) {
+          return null;
+        }
+        const region = { x: 0, y: 0, width, height, ...options.region };
+        const left = Math.max(0, Math.floor(region.x));
+        const top = Math.max(0, Math.floor(region.y));
+        const right = Math.min(width, Math.ceil(region.x + region.width));
+        const bottom = Math.min(height, Math.ceil(region.y + region.height));
+        if (right <= left || bottom <= top) return null;
+        const step = Math.max(1, Math.floor(options.step ?? 1));
+        const threshold = options.threshold ?? 4.5;
+        const apcaThreshold = options.apcaThreshold ?? IMAGE_APCA_THRESHOLD;
+        const count = Math.ceil((right - left) / step) * Math.ceil((bottom - top) / step);
+        const ratios = new Float64Array(count);
+        const scores = new Float64Array(count);
+        const opaqueText = fg.alpha >= 1;
+        const byteTables = getImageByteTables();
+        const textLuminance = getRgbLuminance(fg);
+        const textY = Math.pow(fg.r, 2.4) * APCA_RCO + Math.pow(fg.g, 2.4) * APCA_GCO + Math.pow(fg.b, 2.4) * APCA_BCO;
+        let index = 0;
+        let wcagFailures = 0;
+        let apcaFailures = 0;
+        let worst = null;
+        for (let y = top; y < bottom; y += step) {
+          for (let x = left; x < right; x += step) {
+            const offset = (y * width + x) * 4;
+            const r = data[offset];
+            const g = data[offset + 1];
+            const b = data[offset + 2];
+            let ratio;
+            let score;
+            if (opaqueText && data[offset + 3] === 255) {
+              const { linear, apca } = byteTables;
+              ratio = getLuminanceContrast(
+                textLuminance,
+                0.2126 * linear[r] + 0.7152 * linear[g] + 0.0722 * linear[b]
+              );
+              score = calcAPCAFromY(
+                textY,
+                apca[r] * APCA_RCO + apca[g] * APCA_GCO + apca[b] * APCA_BCO
+              );
+            } else {
+              const alpha = data[offset + 3] / 255;
+              const mix = (channel, base) => channel / 255 * alpha + base * (1 - alpha);
+              const bg = {
+                r: mix(r, backdrop.r),
+                g: mix(g, backdrop.g),
+                b: mix(b, backdrop.b)
+              };
+              const text = mapColorToSrgb(compositeOver2(fg, { ...bg, alpha: 1 }));
+              ratio = getLuminanceContrast(
+                getRgbLuminance(text),
+                getRgbLuminance(bg)
+              );
+              score = calcAPCAFromRgb(text, bg);
+            }
+            score = Math.abs(score);
+            ratios[index] = ratio;
+            scores[index] = score;
+            index += 1;
+            if (ratio < threshold) wcagFailures += 1;
+            if (score < apcaThreshold) apcaFailures += 1;
+            if (!worst || ratio < worst.wcagRatio) {
+              worst = { x, y, wcagRatio: ratio };
+            }
+          }
+        }
+        const worstOffset = (worst.y * width + worst.x) * 4;
+        const worstAlpha = data[worstOffset + 3] / 255;
+        worst.background = colorToHex2(
+          compositeOver2(
+            {
+              r: data[worstOffset] / 255,
+              g: data[worstOffset + 1] / 255,
+              b: data[worstOffset + 2] / 255,
+              alpha: worstAlpha
+            },
+            { ...backdrop, alpha: 1 }
+          )
+        );
+        return {
+          pixels: count,
+          threshold,
+          apcaThreshold,
+          wcagRatio: summarizeContrastSamples(ratios),
+          apcaScore: summarizeContrastSamples(scores),
+          belowThreshold: {
+            wcag: wcagFailures / count,
+            apca: apcaFailures / count
+          },
+          worstPixel: worst
+        };
+      }
+      var HALO_MAX_OFFSET_EM = 0.1;
+      var HALO_MAX_BLUR_EM = 0.25;
+      var HALO_STEM_EM = 0.1;
+      var HALO_MIN_STROKE_WIDTH = 1;
+      var HALO_MIN_OPACITY = 0.5;
+      var HALO_GLYPH_RATIO = 1.1;
+      function parseTextShadow2(value, currentColor = "#000000") {
+        if (typeof value !== "string") return null;
+        if (!value.trim() || value.trim() === "none") return [];
+        const shadows = [];
+        for (const layer of splitTopLevel(value, ",")) {
+          let color = null;
+          const lengths = [];
+          for (const token of splitTopLevel(layer, " ")) {
+            const length = parseGradientLength(token);
+            if (length?.unit === "px") {
+              lengths.push(length.value);
+              continue;
+            }
+            const parsed = token.toLowerCase() === "currentcolor" ? toCanonicalColor(currentColor) : parseColor3(token);
+            if (!parsed || color) return null;
+            color = parsed;
+          }
+          if (lengths.length < 2 || lengths.length > 3) return null;
+          color = color || toCanonicalColor(currentColor);
+          if (!color) return null;
+          shadows.push({
+            color,
+            offsetX: lengths[0],
+            offsetY: lengths[1],
+            blur: Math.max(0, lengths[2] ?? 0)
+          });
+        }
+        return shadows;
+      }
+      function getHaloContrast(foreground, background, options = {}) {
+        const fg = toCanonicalColor(foreground);
+        const bg = toCanonicalColor(background);
+        if (!fg || !bg) return null;
+        const white = { r: 1, g: 1, b: 1, alpha: 1 };
+        const fontSize = parseFloat(options.fontSize) || 16;
+        const threshold = options.threshold ?? 4.5;
+        const direct = measureOpaquePair(fg, bg, white);
+        const textColor = toCanonicalColor(direct.text);
+        const layers = [];
+        const sources = [];
+        const addLayer = (input, alpha, source) => {
+          const color = toCanonicalColor(input);
+          if (!color) return;
+          const layer = { ...color, alpha: clampUnit(alpha ?? color.alpha) };
+          if (layer.alpha <= 0) return;
+          if (getContrastRatio2(colorToHex2(layer), direct.text) < HALO_GLYPH_RATIO) {
+            return;
+          }
+          layers.push(layer);
+          if (!sources.includes(source)) sources.push(source);
+        };
+        const stroke = options.stroke;
+        if (stroke && parseFloat(stroke.width) >= HALO_MIN_STROKE_WIDTH) {
+          addLayer(stroke.color, stroke.alpha, "stroke");
+        }
+        const stem = HALO_STEM_EM * fontSize;
+        for (const shadow of options.shadows || []) {
+          const offset = Math.hypot(shadow.offsetX || 0, shadow.offsetY || 0);
+          const blur = Math.max(0, shadow.blur || 0);
+          if (offset > HALO_MAX_OFFSET_EM * fontSize) continue;
+          if (blur > HALO_MAX_BLUR_EM * fontSize) continue;
+          const color = toCanonicalColor(shadow.color);
+          if (!color) continue;
+          const alpha = (shadow.alpha ?? color.alpha) * (stem / (stem + blur));
+          addLayer(color, alpha, "shadow");
+        }
+        const combined = flattenColorStack(layers);
+        const halo = combined.alpha >= HALO_MIN_OPACITY ? {
+          color: colorToHex2(combined),
+          alpha: combined.alpha,
+          sources
+        } : null;
+        const effective = halo ? measureOpaquePair(textColor, compositeOver2(combined, bg), white) : direct;
+        return {
+          text: direct.text,
+          background: direct.background,
+          halo,
+          localBackground: effective.background,
+          direct: { wcagRatio: direct.wcagRatio, apcaScore: direct.apcaScore },
+          wcagRatio: effective.wcagRatio,
+          apcaScore: effective.apcaScore,
+          rescued: Boolean(halo) && direct.wcagRatio < threshold && effective.wcagRatio >= threshold
+        };
+      }
+      function getComplianceLevel(ratio) {
+        if (ratio >= 7) return "AAA";
+        if (ratio >= 4.5) return "AA";
+        if (ratio >= 3) return "AA Large";
+        return "Fail";
+      }
+      function formatContrastRatio(ratio) {
+        return `${ratio.toFixed(2)}:1`;
+      }
+      var APCA_RCO = 0.2126729;
+      var APCA_GCO = 0.7151522;
+      var APCA_BCO = 0.072175;
+      function calcAPCA(textHex, bgHex) {
+        const textRgb = hexToRgb2(textHex);
+        const bgRgb = hexToRgb2(bgHex);
+        if (!textRgb || !bgRgb) return 0;
+        return calcAPCAFromRgb(textRgb, bgRgb);
+      }
+      function calcAPCAFromRgb(textRgb, bgRgb) {
+        const yTxt = Math.pow(textRgb.r, 2.4) * APCA_RCO + Math.pow(textRgb.g, 2.4) * APCA_GCO + Math.pow(textRgb.b, 2.4) * APCA_BCO;
+        const yBg = Math.pow(bgRgb.r, 2.4) * APCA_RCO + Math.pow(bgRgb.g, 2.4) * APCA_GCO + Math.pow(bgRgb.b, 2.4) * APCA_BCO;
+        return calcAPCAFromY(yTxt, yBg);
+      }
+      function calcAPCAFromY(yTxt, yBg) {
+        if (yTxt < 0.022) yTxt += Math.pow(0.022 - yTxt, 1.414);
+        if (yBg < 0.022) yBg += Math.pow(0.022 - yBg, 1.414);
+        if (Math.abs(yBg - yTxt) < 5e-4) return 0;
+        let sapc;
+        if (yBg > yTxt) {
+          sapc = (Math.pow(yBg, 0.56) - Math.pow(yTxt, 0.57)) * 1.14;
+          return sapc < 0.1 ? 0 : sapc * 100;
+        }
+        sapc = (Math.pow(yBg, 0.65) - Math.pow(yTxt, 0.62)) * 1.14;
+        return sapc > -0.1 ? 0 : sapc * 100;
+      }
+      var APCA_PROHIBITED = 999;
+      var APCA_NON_TEXT_ONLY = 777;
+      var APCA_FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+      var APCA_FONT_LOOKUP_TABLE = [
+        [0, 999, 999, 999, 999, 999, 999, 999, 999, 999],
+        [10, 999, 999, 999, 999, 999, 999, 999, 999, 999],
+        [15, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+        [20, 777, 777, 777, 777, 777, 777, 777, 777, 777],
+        [25, 777, 777, 777, 120, 120, 108, 96, 96, 96],
+        [30, 777, 777, 120, 108, 108, 96, 72, 72, 72],
+        [35, 777, 120, 108, 96, 72, 60, 48, 48, 48],
+        [40, 120, 108, 96, 60, 48, 42, 32, 32, 32],
+        [45, 108, 96, 72, 42, 32, 28, 24, 24, 24],
+        [50, 96, 72, 60, 32, 28, 24, 21, 21, 21],
+        [55, 80, 60, 48, 28, 24, 21, 18, 18, 18],
+        [60, 72, 48, 42, 24, 21, 18, 16, 16, 18],
+        [65, 68, 46, 32, 21.75, 19, 17, 15, 16, 18],
+        [70, 64, 44, 28, 19.5, 18, 16, 14.5, 16, 18],
+        [75, 60, 42, 24, 18, 16, 15, 14, 16, 18],
+        [80, 56, 38.25, 23, 17.25, 15.81, 14.81, 14, 16, 18],
+        [85, 52, 34.5, 22, 16.5, 15.625, 14.625, 14, 16, 18],
+        [90, 48, 32, 21, 16, 15.5, 14.5, 14, 16, 18],
+        [95, 45, 28, 19.5, 15.5, 15, 14, 13.5, 16, 18],
+        [100, 42, 26.5, 18.5, 15, 14.5, 13.5, 13, 16, 18],
+        [105, 39, 25, 18, 14.5, 14, 13, 12, 16, 18],
+        [110, 36, 24, 18, 14, 13, 12, 11, 16, 18],
+        [115, 34, 22.5, 17.5, 13.5, 12.5, 11.5, 10.5, 16, 18],
+        [120, 32, 21, 17, 13, 12, 11, 10, 16, 18],
+        [125, 30, 20, 16.5, 12.5, 11.5, 10.5, 9.5, 16, 18]
+      ];
+      var APCA_GOLD_HEADROOM = 15;
+      function normalizeFontWeight(fontWeight) {
+        if (fontWeight === "bold") return 700;
+        const weight = parseInt(fontWeight, 10) || 400;
+        return Math.min(900, Math.max(100, Math.floor(weight / 100) * 100));
+      }
+      function getAPCAMinimumFontSize(lc, fontWeight) {
+        const column = APCA_FONT_WEIGHTS.indexOf(normalizeFontWeight(fontWeight)) + 1;
+        const abs = Math.min(Math.abs(lc), 125);
+        let index = 0;
+        for (let i = 0; i < APCA_FONT_LOOKUP_TABLE.length; i += 1) {
+          if (APCA_FONT_LOOKUP_TABLE[i][0] <= abs) index = i;
+        }
+        const row = APCA_FONT_LOOKUP_TABLE[index];
+        const size = row[column];
+        if (size >= APCA_NON_TEXT_ONLY) return null;
+        const next = APCA_FONT_LOOKUP_TABLE[index + 1];
+        if (!next || next[column] >= APCA_NON_TEXT_ONLY) return size;
+        const progress = (abs - row[0]) / (next[0] - row[0]);
+        return Math.ceil((size + (next[column] - size) * progress) * 10) / 10;
+      }
+      function getAPCAFontSizeTable(lc) {
+        return APCA_FONT_WEIGHTS.map((weight) => {
+          const minFontSize = getAPCAMinimumFontSize(lc, weight);
+          let usage = "text";
+          if (minFontSize === null) {
+            usage = Math.abs(lc) < 15 ? "prohibited" : "non-text";
+          }
+          return { weight, minFontSize, usage };
+        });
+      }
+      function getAPCAUsageBand(lc) {
+        const abs = Math.abs(lc);
+        if (abs < 15) {
+          return {
+            key: "invisible",
+            label: "Invisible",
+            bodyText: false,
+            description: "Too little contrast for any use."
+          };
+        }
+        if (abs < 30) {
+          return {
+            key: "non-text",
+            label: "Non-text only",
+            bodyText: false,
+            description: "Dividers, outlines, and spot graphics only. Not for text."
+          };
+        }
+        if (abs < 45) {
+          return {
+            key: "spot",
+            label: "Spot text only",
+            bodyText: false,
+            description: "Placeholder, disabled, or copyright text. Not for content text."
+          };
+        }
+        if (abs < 60) {
+          return {
+            key: "large",
+            label: "Large text, not for body text",
+            bodyText: false,
+            description: "Headlines and large or heavy text only."
+          };
+        }
+        if (abs < 75) {
+          return {
+            key: "content",
+            label: "Content text, not for body text",
+            bodyText: false,
+            description: "Short content text and labels, not columns of body text."
+          };
+        }
+        if (abs < 90) {
+          return {
+            key: "body",
+            label: "Body text",
+            bodyText: true,
+            description: "Minimum for columns of body text."
+          };
+        }
+        return {
+          key: "fluent",
+          label: "Fluent body text",
+          bodyText: true,
+          description: "Preferred level for fluent reading of body text."
+        };
+      }
+      function getAPCABronzeTarget(fontSize, fontWeight) {
+        const size = parseFloat(fontSize) || 16;
+        const weight = normalizeFontWeight(fontWeight);
+        if (size >= 36 || size >= 24 && weight >= 700) return 45;
+        if (size >= 24 || size >= 16 && weight >= 700) return 60;
+        if (size >= 18 || size >= 14 && weight >= 700) return 75;
+        return 90;
+      }
+      function getAPCATiers(lc, fontSize, fontWeight) {
+        const abs = Math.abs(lc);
+        const size = parseFloat(fontSize) || 16;
+        const weight = normalizeFontWeight(fontWeight);
+        const minimumFontSize = getAPCAMinimumFontSize(abs, weight);
+        const goldFontSize = abs >= APCA_GOLD_HEADROOM ? getAPCAMinimumFontSize(abs - APCA_GOLD_HEADROOM, weight) : null;
+        const bronzeTarget = getAPCABronzeTarget(size, weight);
+        const bronze = abs >= bronzeTarget;
+        const silver = minimumFontSize !== null && size >= minimumFontSize;
+        const gold = goldFontSize !== null && size >= goldFontSize;
+        let level = "Fail";
+        if (gold) level = "Gold";
+        else if (silver) level = "Silver";
+        else if (bronze) level = "Bronze";
+        return {
+          level,
+          bronze,
+          silver,
+          gold,
+          bronzeTarget,
+          minimumFontSize,
+          goldFontSize,
+          fontSize: size,
+          fontWeight: weight
+        };
+      }
+      function getAPCAConformance(lc, fontSize, fontWeight) {
+        const abs = Math.abs(lc);
+        return {
+          ...getAPCATiers(abs, fontSize, fontWeight),
+          band: getAPCAUsageBand(abs),
+          fontSizes: getAPCAFontSizeTable(abs)
+        };
+      }
+      function getAPCAFontGuidance(conformance) {
+        if (!conformance) return "";
+        const weight = conformance.fontWeight;
+        if (conformance.minimumFontSize === null) {
+          return `APCA ${conformance.level}: ${conformance.band.label.toLowerCase()} at weight ${weight}.`;
+        }
+        return `APCA ${conformance.level}: needs at least ${conformance.minimumFontSize}px at weight ${weight} (currently ${conformance.fontSize}px). ${conformance.band.label}.`;
+      }
+      function getAPCAComplianceLevel(lc, fontSize, fontWeight) {
+        const conformance = getAPCATiers(lc, fontSize, fontWeight);
+        if (conformance.gold) return "AAA";
+        if (conformance.silver) return "AA";
+        if (conformance.bronze) return "AA Large";
+        return "Fail";
+      }
+      function getLevelRank(level) {
+        switch (level) {
+          case "Fail":
+            return 0;
+          case "AA Large":
+            return 1;
+          case "AA":
+            return 2;
+          case "AAA":
+            return 3;
+          default:
+            return 4;
+        }
+      }
+      function formatAPCAScore(lc) {
+        const sign = lc > 0 ? "+" : "";
+        return `Lc ${sign}${lc.toFixed(1)}`;
+      }
+      var ISSUE_TYPES = [
+        "text",
+        "placeholder",
+        "non-text",
+        "link-contrast",
+        "focus-indicator",
+        "target-size"
+      ];
+      var GRAPHICAL_ISSUE_TYPES = ["non-text", "link-contrast", "focus-indicator"];
+      var APCA_NON_TEXT_LC = 45;
+      var WCAG_LARGE_TEXT = { size: 24, boldSize: 18.66, boldWeight: 700 };
+      var WCAG_REQUIREMENT_LEVELS = ["AA", "AAA"];
+      var APCA_REQUIREMENT_LEVELS = ["Bronze", "Silver", "Gold"];
+      var DEFAULT_STANDARD = "WCAG21";
+      var STANDARDS = {};
+      function defineStandard(definition) {
+        if (!definition || typeof definition !== "object") return null;
+        const id = typeof definition.id === "string" ? definition.id.trim() : "";
+        const metric = definition.metric === "apca" ? "apca" : "wcag";
+        if (!id || definition.metric && definition.metric !== metric) return null;
+        const issueTypes = Array.isArray(definition.issueTypes) ? definition.issueTypes.filter((type) => ISSUE_TYPES.includes(type)) : ISSUE_TYPES.filter((type) => type !== "target-size");
+        const rules = (Array.isArray(definition.rules) ? definition.rules : []).map(
+          (rule) => normalizeStandardRule(rule, metric)
+        );
+        if (rules.includes(null)) return null;
+        return {
+          id,
+          label: definition.label || id,
+          metric,
+          issueTypes,
+          largeText: { ...WCAG_LARGE_TEXT, ...definition.largeText },
+          rules
+        };
+      }
+      function normalizeStandardRule(rule, defaultMetric) {
+        if (!rule || typeof rule !== "object") return null;
+        const metric = rule.metric || defaultMetric;
+        const levels = metric === "apca" ? APCA_REQUIREMENT_LEVELS : WCAG_REQUIREMENT_LEVELS;
+        const target = (metric === "apca" ? rule.lc : rule.ratio) ?? rule.target ?? void 0;
+        if (metric !== "wcag" && metric !== "apca") return null;
+        if (target !== void 0 && !(Number.isFinite(target) && target > 0)) {
+          return null;
+        }
+        if (target === void 0 && !levels.includes(rule.level)) return null;
+        return {
+          types: Array.isArray(rule.types) ? rule.types : null,
+          tags: Array.isArray(rule.tags) ? rule.tags.map((tag) => String(tag).toLowerCase()) : null,
+          largeText: typeof rule.largeText === "boolean" ? rule.largeText : null,
+          metric,
+          level: target === void 0 ? rule.level : null,
+          target: target === void 0 ? null : target
+        };
+      }
+      function registerStandard(definition) {
+        const standard = defineStandard(definition);
+        if (standard) STANDARDS[standard.id] = standard;
+        return standard;
+      }
+      function listStandards() {
+        return Object.values(STANDARDS);
+      }
+      function getStandard(standard = DEFAULT_STANDARD, customStandards = []) {
+        if (standard && typeof standard === "object") {
+          return defineStandard(standard) || STANDARDS[DEFAULT_STANDARD];
+        }
+        const custom = (Array.isArray(customStandards) ? customStandards : []).find(
+          (definition) => definition?.id === standard
+        );
+        return custom && defineStandard(custom) || STANDARDS[standard] || STANDARDS[DEFAULT_STANDARD];
+      }
+      function getSettingsStandard(settings) {
+        return getStandard(settings?.standard, settings?.customStandards);
+      }
+      function normalizeStandard(standard = DEFAULT_STANDARD, customStandards) {
+        return getStandard(standard, customStandards).id;
+      }
+      function shouldIncludeIssueType(type, standard = DEFAULT_STANDARD, customStandards) {
+        return getStandard(standard, customStandards).issueTypes.includes(type);
+      }
+      function isLargeText(fontSize, fontWeight, standard = DEFAULT_STANDARD, customStandards) {
+        const { largeText } = getStandard(standard, customStandards);
+        const size = parseFloat(fontSize);
+        const weight = parseInt(fontWeight, 10) || 400;
+        return size >= largeText.size || size >= largeText.boldSize && weight >= largeText.boldWeight;
+      }
+      function getContextualComplianceLevel(ratio, fontSize, fontWeight, standard, customStandards) {
+        if (isLargeText(fontSize, fontWeight, standard, customStandards)) {
+          if (ratio >= 4.5) return "AAA";
+          if (ratio >= 3) return "AA Large";
+          return "Fail";
+        }
+        if (ratio >= 7) return "AAA";
+        if (ratio >= 4.5) return "AA";
+        return "Fail";
+      }
+      function getWcagRequirementRatio(level, pair, standard) {
+        if (GRAPHICAL_ISSUE_TYPES.includes(pair.type)) return 3;
+        const large = isLargeText(pair.fontSize, pair.fontWeight, standard);
+        if (level === "AAA") return large ? 4.5 : 7;
+        return large ? 3 : 4.5;
+      }
+      function getApcaRequirementLc(level, pair) {
+        if (GRAPHICAL_ISSUE_TYPES.includes(pair.type)) return APCA_NON_TEXT_LC;
+        if (level === "Bronze") {
+          return getAPCABronzeTarget(pair.fontSize, pair.fontWeight);
+        }
+        const silver = getAPCATargetLc(pair.fontSize, pair.fontWeight);
+        return level === "Gold" ? silver + APCA_GOLD_HEADROOM : silver;
+      }
+      function getStandardRequirement(pair, standard = DEFAULT_STANDARD, customStandards) {
+        const definition = getStandard(standard, customStandards);
+        const tag = String(pair?.tagName || "").toLowerCase();
+        const large = isLargeText(pair?.fontSize, pair?.fontWeight, definition);
+        const rule = definition.rules.find(
+          (candidate) => (!candidate.types || candidate.types.includes(pair?.type)) && (!candidate.tags || candidate.tags.includes(tag)) && (candidate.largeText === null || candidate.largeText === large)
+        ) || {
+          metric: definition.metric,
+          level: definition.metric === "apca" ? "Bronze" : "AA",
+          target: null
+        };
+        const target = rule.target ?? (rule.metric === "apca" ? getApcaRequirementLc(rule.level, pair || {}) : getWcagRequirementRatio(rule.level, pair || {}, definition));
+        const formatted = rule.metric === "apca" ? `Lc ${target}` : formatContrastRatio(target);
+        return {
+          standard: definition.id,
+          metric: rule.metric,
+          level: rule.level,
+          target,
+          nonText: GRAPHICAL_ISSUE_TYPES.includes(pair?.type),
+          label: rule.level ? `${rule.metric === "apca" ? "APCA " : "WCAG "}${rule.level}` : `${formatted} minimum`
+        };
+      }
+      function meetsStandardRequirement(requirement, scores) {
+        if (requirement.metric === "apca") {
+          if (requirement.level && !requirement.nonText) {
+            return Boolean(scores.apcaConformance?.[requirement.level.toLowerCase()]);
+          }
+          return Math.abs(scores.apcaScore) >= requirement.target;
+        }
+        return scores.wcagRatio >= requirement.target;
+      }
+      function formatRequirementTarget(requirement) {
+        return requirement.metric === "apca" ? `Lc ${requirement.target}` : `${requirement.target}:1`;
+      }
+      [
+        {
+          id: "WCAG21",
+          label: "WCAG 2.1",
+          metric: "wcag",
+          issueTypes: ["text", "placeholder", "non-text", "link-contrast"]
+        },
+        {
+          id: "WCAG22",
+          label: "WCAG 2.2",
+          metric: "wcag",
+          issueTypes: ISSUE_TYPES
+        },
+        {
+          id: "APCA",
+          label: "APCA (WCAG 3.0 Draft)",
+          metric: "apca",
+          issueTypes: ["text", "placeholder", "non-text"]
+        }
+      ].forEach(registerStandard);
+      function srgbToLab(color) {
+        const linear = [color.r, color.g, color.b].map(srgbChannelToLinear);
+        const xyz = multiplyMatrix3(
+          XYZ_D65_TO_XYZ_D50,
+          multiplyMatrix3(LINEAR_SRGB_TO_XYZ_D65, linear)
+        );
+        const f = xyz.map((value, i) => {
+          const scaled = value / D50_WHITE[i];
+          return scaled > LAB_EPSILON ? Math.cbrt(scaled) : (LAB_KAPPA * scaled + 16) / 116;
+        });
+        return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+      }
+      function srgbToOklab(color) {
+        return linearSrgbToOklab(
+          srgbChannelToLinear(color.r),
+          srgbChannelToLinear(color.g),
+          srgbChannelToLinear(color.b)
+        );
+      }
+      function colorToLab(input) {
+        const color = toCanonicalColor(input);
+        if (!color) return null;
+        const [l, a, b] = srgbToLab(color);
+        return { l, a, b, alpha: color.alpha };
+      }
+      function colorToOklab(input) {
+        const color = toCanonicalColor(input);
+        if (!color) return null;
+        const [l, a, b] = srgbToOklab(color);
+        return { l, a, b, alpha: color.alpha };
+      }
+      function deltaE76(labA, labB) {
+        return Math.hypot(labA[0] - labB[0], labA[1] - labB[1], labA[2] - labB[2]);
+      }
+      function deltaE94(labA, labB) {
+        const deltaL = labA[0] - labB[0];
+        const c1 = Math.hypot(labA[1], labA[2]);
+        const c2 = Math.hypot(labB[1], labB[2]);
+        const deltaC = c1 - c2;
+        const deltaA = labA[1] - labB[1];
+        const deltaB = labA[2] - labB[2];
+        const deltaH = Math.sqrt(
+          Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC)
+        );
+        const sc = 1 + 0.045 * c1;
+        const sh = 1 + 0.015 * c1;
+        return Math.sqrt(
+          deltaL * deltaL + Math.pow(deltaC / sc, 2) + Math.pow(deltaH / sh, 2)
+        );
+      }
+      function deltaE2000(labA, labB) {
+        const [l1, a1, b1] = labA;
+        const [l2, a2, b2] = labB;
+        const toRadians = (deg) => deg * Math.PI / 180;
+        const pow25 = Math.pow(25, 7);
+        const chromaMean = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+        const g = 0.5 * (1 - Math.sqrt(Math.pow(chromaMean, 7) / (Math.pow(chromaMean, 7) + pow25)));
+        const a1p = (1 + g) * a1;
+        const a2p = (1 + g) * a2;
+        const c1p = Math.hypot(a1p, b1);
+        const c2p = Math.hypot(a2p, b2);
+        const hueOf = (a, b) => {
+          if (a === 0 && b === 0) return 0;
+          const hue = Math.atan2(b, a) * 180 / Math.PI;
+          return hue < 0 ? hue + 360 : hue;
+        };
+        const h1p = hueOf(a1p, b1);
+        const h2p = hueOf(a2p, b2);
+        const deltaL = l2 - l1;
+        const deltaC = c2p - c1p;
+        let deltaHue = 0;
+        if (c1p * c2p !== 0) {
+          deltaHue = h2p - h1p;
+          if (deltaHue > 180) deltaHue -= 360;
+          else if (deltaHue < -180) deltaHue += 360;
+        }
+        const deltaH = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(deltaHue / 2));
+        const lMean = (l1 + l2) / 2;
+        const cMean = (c1p + c2p) / 2;
+        let hMean = h1p + h2p;
+        if (c1p * c2p !== 0) {
+          if (Math.abs(h1p - h2p) <= 180) hMean /= 2;
+          else hMean = hMean < 360 ? (hMean + 360) / 2 : (hMean - 360) / 2;
+        }
+        const t = 1 - 0.17 * Math.cos(toRadians(hMean - 30)) + 0.24 * Math.cos(toRadians(2 * hMean)) + 0.32 * Math.cos(toRadians(3 * hMean + 6)) - 0.2 * Math.cos(toRadians(4 * hMean - 63));
+        const deltaTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+        const rc = 2 * Math.sqrt(Math.pow(cMean, 7) / (Math.pow(cMean, 7) + pow25));
+        const sl = 1 + 0.015 * Math.pow(lMean - 50, 2) / Math.sqrt(20 + Math.pow(lMean - 50, 2));
+        const sc = 1 + 0.045 * cMean;
+        const sh = 1 + 0.015 * cMean * t;
+        const rt = -Math.sin(toRadians(2 * deltaTheta)) * rc;
+        return Math.sqrt(
+          Math.pow(deltaL / sl, 2) + Math.pow(deltaC / sc, 2) + Math.pow(deltaH / sh, 2) + rt * (deltaC / sc) * (deltaH / sh)
+        );
+      }
+      var DELTA_E_METHODS = {
+        76: { toSpace: srgbToLab, measure: deltaE76 },
+        94: { toSpace: srgbToLab, measure: deltaE94 },
+        2e3: { toSpace: srgbToLab, measure: deltaE2000 },
+        ok: { toSpace: srgbToOklab, measure: deltaE76 }
+      };
+      function getColorDifference(colorA, colorB, method = "2000") {
+        const metric = DELTA_E_METHODS[String(method).toLowerCase()];
+        const a = toCanonicalColor(colorA);
+        const b = toCanonicalColor(colorB);
+        if (!metric || !a || !b) return null;
+        return metric.measure(metric.toSpace(a), metric.toSpace(b));
+      }
+      function getDeltaE76(colorA, colorB) {
+        return getColorDifference(colorA, colorB, "76");
+      }
+      function getDeltaE94(colorA, colorB) {
+        return getColorDifference(colorA, colorB, "94");
+      }
+      function getDeltaE2000(colorA, colorB) {
+        return getColorDifference(colorA, colorB, "2000");
+      }
+      function getDeltaEOK(colorA, colorB) {
+        return getColorDifference(colorA, colorB, "ok");
+      }
+      function findClosestColor(target, candidates, method = "2000") {
+        let closest = null;
+        (candidates || []).forEach((candidate, index) => {
+          const delta = getColorDifference(target, candidate, method);
+          if (delta === null) return;
+          if (!closest || delta < closest.delta) {
+            closest = { color: candidate, index, delta };
+          }
+        });
+        return closest;
+      }
+      function hexToHsl(hex) {
+        const rgb = hexToRgb2(hex);
+        if (!rgb) return { h: 0, s: 0, l: 0 };
+        const r = rgb.r;
+        const g = rgb.g;
+        const b = rgb.b;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        let h, s, l = (max + min) / 2;
+        if (max === min) {
+          h = s = 0;
+        } else {
+          const d = max - min;
+          s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+          switch (max) {
+            case r:
+              h = (g - b) / d + (g < b ? 6 : 0);
+              break;
+            case g:
+              h = (b - r) / d + 2;
+              break;
+            case b:
+              h = (r - g) / d + 4;
+              break;
+          }
+          h /= 6;
+        }
+        return { h, s, l };
+      }
+      function hslToHex(h, s, l) {
+        let r, g, b;
+        if (s === 0) {
+          r = g = b = l;
+        } else {
+          const hue2rgb = (p2, q2, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p2 + (q2 - p2) * 6 * t;
+            if (t < 1 / 2) return q2;
+            if (t < 2 / 3) return p2 + (q2 - p2) * (2 / 3 - t) * 6;
+            return p2;
+          };
+          const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+          const p = 2 * l - q;
+          r = hue2rgb(p, q, h + 1 / 3);
+          g = hue2rgb(p, q, h);
+          b = hue2rgb(p, q, h - 1 / 3);
+        }
+        const toHex = (x) => Math.round(x * 255).toString(16).padStart(2, "0");
+        return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+      }
+      var OKLCH_GAMUT_JND = 0.02;
+      var OKLCH_GAMUT_EPSILON = 1e-4;
+      var OKLCH_SEARCH_ITERATIONS = 32;
+      var OKLCH_ROUNDING_STEP = 1e-3;
+      var OKLCH_ACHROMATIC_THRESHOLD = 1e-4;
+      function srgbToOklch(color) {
+        const [l, a, b] = linearSrgbToOklab(
+          srgbChannelToLinear(color.r),
+          srgbChannelToLinear(color.g),
+          srgbChannelToLinear(color.b)
+        );
+        const chroma = Math.sqrt(a * a + b * b);
+        if (chroma < OKLCH_ACHROMATIC_THRESHOLD) return { l, c: 0, h: 0 };
+        let hue = Math.atan2(b, a) * 180 / Math.PI;
+        if (hue < 0) hue += 360;
+        return { l, c: chroma, h: hue };
+      }
+      function oklchToOklab(l, c, h) {
+        const radians = h * Math.PI / 180;
+        return [l, c * Math.cos(radians), c * Math.sin(radians)];
+      }
+      function oklchToSrgbChannels(l, c, h) {
+        if (c === 0) {
+          const gray = linearChannelToSrgb(Math.pow(l, 3));
+          return [gray, gray, gray];
+        }
+        const [, a, b] = oklchToOklab(l, c, h);
+        return oklabToLinearSrgb(l, a, b).map(linearChannelToSrgb);
+      }
+      function isSrgbInGamut(channels) {
+        return channels.every(
+          (value) => value >= -OKLCH_GAMUT_EPSILON && value <= 1 + OKLCH_GAMUT_EPSILON
+        );
+      }
+      function getOklabDistance(channelsA, channelsB) {
+        return deltaE76(
+          linearSrgbToOklab(...channelsA.map(srgbChannelToLinear)),
+          linearSrgbToOklab(...channelsB.map(srgbChannelToLinear))
+        );
+      }
+      function gamutMapOklch(l, c, h) {
+        if (l >= 1) return { r: 1, g: 1, b: 1, alpha: 1 };
+        if (l <= 0) return { r: 0, g: 0, b: 0, alpha: 1 };
+        const toColor = (channels) => ({
+          r: clampUnit(channels[0]),
+          g: clampUnit(channels[1]),
+          b: clampUnit(channels[2]),
+          alpha: 1
+        });
+        const origin = oklchToSrgbChannels(l, c, h);
+        if (isSrgbInGamut(origin)) return toColor(origin);
+        let clipped = origin.map(clampUnit);
+        if (getOklabDistance(clipped, origin) < OKLCH_GAMUT_JND) {
+          return toColor(clipped);
+        }
+        let min = 0;
+        let max = c;
+        let minInGamut = true;
+        while (max - min > OKLCH_GAMUT_EPSILON) {
+          const chroma = (min + max) / 2;
+          const current = oklchToSrgbChannels(l, chroma, h);
+          if (minInGamut && isSrgbInGamut(current)) {
+            min = chroma;
+            continue;
+          }
+          clipped = current.map(clampUnit);
+          const error = getOklabDistance(clipped, current);
+          if (error < OKLCH_GAMUT_JND) {
+            if (OKLCH_GAMUT_JND - error < OKLCH_GAMUT_EPSILON) break;
+            minInGamut = false;
+            min = chroma;
+          } else {
+            max = chroma;
+          }
+        }
+        return toColor(clipped);
+      }
+      var WIDE_GAMUTS = [
+        ["display-p3", XYZ_D65_TO_LINEAR_DISPLAY_P3],
+        ["rec2020", XYZ_D65_TO_LINEAR_REC2020]
+      ];
+      function getColorGamut2(input) {
+        const color = toCanonicalColor(input);
+        if (!color) return null;
+        if (isSrgbInGamut([color.r, color.g, color.b])) return "srgb";
+        const xyz = multiplyMatrix3(
+          LINEAR_SRGB_TO_XYZ_D65,
+          [color.r, color.g, color.b].map(srgbChannelToLinear)
+        );
+        for (const [gamut, matrix] of WIDE_GAMUTS) {
+          const encoded = multiplyMatrix3(matrix, xyz).map(linearChannelToSrgb);
+          if (isSrgbInGamut(encoded)) return gamut;
+        }
+        return "wider";
+      }
+      function gamutMapColor2(input) {
+        const color = toCanonicalColor(input);
+        if (!color) return null;
+        if (isSrgbInGamut([color.r, color.g, color.b])) {
+          return {
+            r: clampUnit(color.r),
+            g: clampUnit(color.g),
+            b: clampUnit(color.b),
+            alpha: color.alpha
+          };
+        }
+        const { l, c, h } = srgbToOklch(color);
+        return { ...gamutMapOklch(l, c, h), alpha: color.alpha };
+      }
+      function getExtendedLuminance(color) {
+        const linear = (c) => {
+          const abs = Math.abs(c);
+          return Math.sign(c) * (abs <= 0.03928 ? abs / 12.92 : Math.pow((abs + 0.055) / 1.055, 2.4));
+        };
+        return Math.max(
+          0,
+          0.2126 * linear(color.r) + 0.7152 * linear(color.g) + 0.0722 * linear(color.b)
+        );
+      }
+      function getExtendedAPCAY(color) {
+        const power = (c) => Math.sign(c) * Math.pow(Math.abs(c), 2.4);
+        return Math.max(
+          0,
+          power(color.r) * APCA_RCO + power(color.g) * APCA_GCO + power(color.b) * APCA_BCO
+        );
+      }
+      function getWideGamutContrast(foreground, background, options = {}) {
+        const fg = toCanonicalColor(foreground);
+        const bg = toCanonicalColor(background);
+        if (!fg || !bg) return null;
+        const white = { r: 1, g: 1, b: 1, alpha: 1 };
+        const srgb = measureOpaquePair(fg, bg, white);
+        const wideBackground = { ...compositeOver2(bg, white), alpha: 1 };
+        const wideText = compositeOver2(fg, wideBackground);
+        const wide = {
+          wcagRatio: getLuminanceContrast(
+            getExtendedLuminance(wideText),
+            getExtendedLuminance(wideBackground)
+          ),
+          apcaScore: calcAPCAFromY(
+            getExtendedAPCAY(wideText),
+            getExtendedAPCAY(wideBackground)
+          )
+        };
+        const gamut = { text: getColorGamut2(fg), background: getColorGamut2(bg) };
+        const wideGamut = gamut.text !== "srgb" || gamut.background !== "srgb";
+        const { fontSize, fontWeight } = options;
+        const levels = (scores) => [
+          getContextualComplianceLevel(scores.wcagRatio, fontSize, fontWeight),
+          getAPCAComplianceLevel(scores.apcaScore, fontSize, fontWeight)
+        ];
+        const [srgbWcag, srgbApca] = levels(srgb);
+        const [wideWcag, wideApca] = levels(wide);
+        return {
+          gamut,
+          wideGamut,
+          srgb,
+          wide,
+          displayDependent: wideGamut && (srgbWcag !== wideWcag || srgbApca !== wideApca)
+        };
+      }
+      function searchOklchLightness(start, limit, passes) {
+        const toHex = (l) => colorToHex2(gamutMapOklch(l, start.c, start.h));
+        if (!passes(toHex(limit))) return null;
+        let near = start.l;
+        let far = limit;
+        for (let i = 0; i < OKLCH_SEARCH_ITERATIONS; i += 1) {
+          const mid = (near + far) / 2;
+          if (passes(toHex(mid))) far = mid;
+          else near = mid;
+        }
+        const direction = limit > start.l ? 1 : -1;
+        let lightness = far;
+        while (!passes(toHex(lightness))) {
+          lightness += OKLCH_ROUNDING_STEP * direction;
+          if (direction > 0 ? lightness >= limit : lightness <= limit) {
+            return toHex(limit);
+          }
+        }
+        return toHex(lightness);
+      }
+      function findClosestPassingColor(hexToChange, passes) {
+        const original = hexToRgb2(hexToChange);
+        if (!original) return null;
+        const originalHex = colorToHex2(original);
+        if (passes(originalHex)) return originalHex;
+        const start = srgbToOklch(original);
+        const candidates = [
+          searchOklchLightness(start, 1, passes),
+          searchOklchLightness(start, 0, passes)
+        ].filter(Boolean);
+        if (!candidates.length) return null;
+        return candidates.reduce(
+          (best, candidate) => getDeltaEOK(candidate, originalHex) < getDeltaEOK(best, originalHex) ? candidate : best
+        );
+      }
+      function suggestPassingColor(hexToChange, fixedHex, targetRatio = 4.5) {
+        if (!hexToRgb2(fixedHex)) return null;
+        return findClosestPassingColor(
+          hexToChange,
+          (candidate) => getContrastRatio2(candidate, fixedHex) >= targetRatio
+        );
+      }
+      function suggestAPCAPassingColor(textHex, bgHex, targetLc, property = "color") {
+        if (!hexToRgb2(textHex) || !hexToRgb2(bgHex)) return null;
+        const polarity = Math.sign(calcAPCA(textHex, bgHex));
+        const changesText = property === "color";
+        const passes = (candidate) => {
+          const lc = changesText ? calcAPCA(candidate, bgHex) : calcAPCA(textHex, candidate);
+          return polarity ? lc * polarity >= targetLc : Math.abs(lc) >= targetLc;
+        };
+        return findClosestPassingColor(changesText ? textHex : bgHex, passes);
+      }
+      function getAPCATargetLc(fontSize, fontWeight) {
+        const size = parseFloat(fontSize) || 16;
+        const weight = normalizeFontWeight(fontWeight);
+        const allows = (lc) => {
+          const minimum = getAPCAMinimumFontSize(lc, weight);
+          return minimum !== null && size >= minimum;
+        };
+        const maxLc = APCA_FONT_LOOKUP_TABLE[APCA_FONT_LOOKUP_TABLE.length - 1][0];
+        if (!allows(maxLc)) return getAPCABronzeTarget(size, weight);
+        let low = 0;
+        let high = maxLc;
+        while (high - low > 1) {
+          const mid = Math.floor((low + high) / 2);
+          if (allows(mid)) high = mid;
+          else low = mid;
+        }
+        return high;
+      }
+      function getSuggestedFixes(textHex, bgHex, targetRatio = 4.5, options = {}) {
+        const originalText = textHex.toLowerCase();
+        const originalBg = bgHex.toLowerCase();
+        const targetLc = Number.isFinite(options.targetLc) ? options.targetLc : null;
+        const metric = targetLc === null ? "wcag" : "apca";
+        const suggest = (property) => {
+          if (metric === "apca") {
+            return suggestAPCAPassingColor(
+              originalText,
+              originalBg,
+              targetLc,
+              property
+            );
+          }
+          return property === "color" ? suggestPassingColor(originalText, originalBg, targetRatio) : suggestPassingColor(originalBg, originalText, targetRatio);
+        };
+        const beforeRatio = getContrastRatio2(originalText, originalBg);
+        const beforeLc = calcAPCA(originalText, originalBg);
+        const buildOption = (property, original, suggestion, other) => {
+          if (!suggestion) return null;
+          const nextText = property === "color" ? suggestion : originalText;
+          const nextBg = property === "background-color" ? suggestion : originalBg;
+          return {
+            property,
+            original,
+            suggestion,
+            fixedHex: other,
+            metric,
+            beforeRatio,
+            afterRatio: getContrastRatio2(nextText, nextBg),
+            beforeLc,
+            afterLc: calcAPCA(nextText, nextBg),
+            delta: getDeltaEOK(original, suggestion)
+          };
+        };
+        const textOption = buildOption(
+          "color",
+          originalText,
+          suggest("color"),
+          originalBg
+        );
+        const backgroundOption = buildOption(
+          "background-color",
+          originalBg,
+          suggest("background-color"),
+          originalText
+        );
+        let recommended = textOption;
+        if (backgroundOption && (!recommended || backgroundOption.delta < recommended.delta)) {
+          recommended = backgroundOption;
+        }
+        return {
+          text: textOption,
+          background: backgroundOption,
+          recommended,
+          metric,
+          targetRatio,
+          targetLc
+        };
+      }
+      function formatFixChange(option) {
+        if (option.metric === "apca") {
+          return `${formatAPCAScore(option.beforeLc)} -> ${formatAPCAScore(option.afterLc)}`;
+        }
+        return `${formatContrastRatio(option.beforeRatio)} -> ${formatContrastRatio(option.afterRatio)}`;
+      }
+      var TWO_SIDED_FIX_SPLITS = [0, 0.25, 0.5, 0.75, 1];
+      function getTwoSidedFixes(textHex, bgHex, targetRatio = 4.5, options = {}) {
+        const text = hexToRgb2(textHex);
+        const bg = hexToRgb2(bgHex);
+        if (!text || !bg) return null;
+        const originalText = colorToHex2(text);
+        const originalBg = colorToHex2(bg);
+        const targetLc = Number.isFinite(options.targetLc) ? options.targetLc : null;
+        const metric = targetLc === null ? "wcag" : "apca";
+        const deltaE = options.deltaE === "ok" ? "ok" : "2000";
+        const measureDelta = deltaE === "ok" ? getDeltaEOK : getDeltaE2000;
+        const polarity = Math.sign(calcAPCA(originalText, originalBg));
+        const passes = (nextText, nextBg) => {
+          if (metric === "wcag") {
+            return getContrastRatio2(nextText, nextBg) >= targetRatio;
+          }
+          const lc = calcAPCA(nextText, nextBg);
+          return polarity ? lc * polarity >= targetLc : Math.abs(lc) >= targetLc;
+        };
+        const startText = srgbToOklch(text);
+        const startBg = srgbToOklch(bg);
+        const textIsLighter = polarity === 0 ? startBg.l < 0.5 : getRgbLuminance(text) > getRgbLuminance(bg);
+        const textLimit = textIsLighter ? 1 : 0;
+        const bgLimit = textIsLighter ? 0 : 1;
+        const moveToward = (start, limit, amount) => {
+          const direction = limit > start.l ? 1 : -1;
+          const lightness = start.l + direction * amount;
+          const clamped = direction > 0 ? Math.min(limit, lightness) : Math.max(limit, lightness);
+          return colorToHex2(gamutMapOklch(clamped, start.c, start.h));
+        };
+        const buildCandidate = (split, shift) => ({
+          text: split > 0 ? moveToward(startText, textLimit, split * shift) : originalText,
+          background: split < 1 ? moveToward(startBg, bgLimit, (1 - split) * shift) : originalBg
+        });
+        const findCandidate = (split) => {
+          const textRange = Math.abs(textLimit - startText.l);
+          const bgRange = Math.abs(bgLimit - startBg.l);
+          const maxShift = Math.max(
+            split > 0 ? textRange / split : 0,
+            split < 1 ? bgRange / (1 - split) : 0
+          );
+          const passesAt = (shift) => {
+            const candidate = buildCandidate(split, shift);
+            return passes(candidate.text, candidate.background);
+          };
+          if (!passesAt(maxShift)) return null;
+          let near = 0;
+          let far = maxShift;
+          for (let i = 0; i < OKLCH_SEARCH_ITERATIONS; i += 1) {
+            const mid = (near + far) / 2;
+            if (passesAt(mid)) far = mid;
+            else near = mid;
+          }
+          while (!passesAt(far) && far < maxShift) {
+            far = Math.min(maxShift, far + OKLCH_ROUNDING_STEP);
+          }
+          return buildCandidate(split, far);
+        };
+        const candidates = [];
+        TWO_SIDED_FIX_SPLITS.forEach((split) => {
+          const candidate = findCandidate(split);
+          if (!candidate) return;
+          const textDelta = measureDelta(originalText, candidate.text);
+          const backgroundDelta = measureDelta(originalBg, candidate.background);
+          let kind = "balanced";
+          if (candidate.background === originalBg) kind = "text";
+          else if (candidate.text === originalText) kind = "background";
+          candidates.push({
+            kind,
+            text: candidate.text,
+            background: candidate.background,
+            textDelta,
+            backgroundDelta,
+            totalDelta: textDelta + backgroundDelta,
+            afterRatio: getContrastRatio2(candidate.text, candidate.background),
+            afterLc: calcAPCA(candidate.text, candidate.background)
+          });
+        });
+        const paretoOptions = candidates.filter(
+          (option, index) => !candidates.some(
+            (other, otherIndex) => otherIndex !== index && other.textDelta <= option.textDelta && other.backgroundDelta <= option.backgroundDelta && (other.textDelta < option.textDelta || other.backgroundDelta < option.backgroundDelta || otherIndex < index)
+          )
+        ).sort((a, b) => a.backgroundDelta - b.backgroundDelta);
+        const recommended = paretoOptions.reduce(
+          (best, option) => !best || option.totalDelta < best.totalDelta ? option : best,
+          null
+        );
+        return {
+          options: paretoOptions,
+          recommended,
+          metric,
+          deltaE,
+          beforeRatio: getContrastRatio2(originalText, originalBg),
+          beforeLc: calcAPCA(originalText, originalBg),
+          targetRatio,
+          targetLc
+        };
+      }
+      function getAPCAMinimumRequirements(lc) {
+        const abs = Math.abs(lc);
+        if (abs < 15) return "Invisible (Do not use)";
+        if (abs < 30) return "Not recommended for text";
+        if (abs < 45) return "Large spot text (36px+)";
+        if (abs < 60) return "Large text (24px/400 or 18px/700)";
+        if (abs < 75) return "Body text (18px/400 or 14px/700)";
+        if (abs < 90) return "Small text (14px/400)";
+        return "Fluent text (All sizes)";
+      }
+      function getAPCAPolarity(lc) {
+        if (lc === 0) {
+          return {
+            key: "neutral",
+            label: "Neutral polarity",
+            description: "The foreground and background are too close to separate."
+          };
+        }
+        if (lc > 0) {
+          return {
+            key: "dark-on-light",
+            label: "Dark text on light",
+            description: "Positive APCA polarity. Dark foreground over a lighter background."
+          };
+        }
+        return {
+          key: "light-on-dark",
+          label: "Light text on dark",
+          description: "Negative APCA polarity. Light foreground over a darker background."
+        };
+      }
+      function getAPCARecommendationDetails(lc) {
+        const abs = Math.abs(lc);
+        const polarity = getAPCAPolarity(lc);
+        const minimumText = getAPCAMinimumRequirements(lc);
+        let tier = "Unsafe";
+        if (abs >= 75) tier = "Gold";
+        else if (abs >= 60) tier = "Silver";
+        else if (abs >= 45) tier = "Bronze";
+        return {
+          tier,
+          minimumText,
+          polarity,
+          summary: tier === "Unsafe" ? `${polarity.label}. Increase contrast before relying on this pair for readable text.` : `${polarity.label}. ${tier} guidance: ${minimumText}.`
+        };
+      }
+      var CONSTRAINT_LEVEL_RATIOS = {
+        AAA: 7,
+        AA: 4.5,
+        "AA LARGE": 3,
+        "NON-TEXT": 3
+      };
+      var SOLVER_MAX_PASSES = 500;
+      var SOLVER_SEARCH_ITERATIONS = 40;
+      var SOLVER_MARGINS = [2e-3, 0.01, 0.03];
+      var MIN_LUMINANCE_LOG = Math.log(0.05);
+      var MAX_LUMINANCE_LOG = Math.log(1.05);
+      function normalizePaletteConstraint(constraint, index) {
+        const text = constraint?.text;
+        const background = constraint?.background;
+        let metric = "wcag";
+        let target = null;
+        if (Number.isFinite(constraint?.lc)) {
+          metric = "apca";
+          target = Math.abs(constraint.lc);
+        } else if (Number.isFinite(constraint?.ratio)) {
+          target = constraint.ratio;
+        } else if (typeof constraint?.level === "string") {
+          target = CONSTRAINT_LEVEL_RATIOS[constraint.level.toUpperCase()] ?? null;
+        }
+        return { index, text, background, metric, target };
+      }
+      function measurePaletteConstraint(constraint, colors) {
+        const text = colors[constraint.text];
+        const background = colors[constraint.background];
+        return constraint.metric === "apca" ? Math.abs(calcAPCA(text, background)) : getContrastRatio2(text, background);
+      }
+      function measureLuminanceConstraint(constraint, u) {
+        const text = Math.exp(u[constraint.text]) - 0.05;
+        const background = Math.exp(u[constraint.background]) - 0.05;
+        return constraint.metric === "apca" ? Math.abs(calcAPCAFromY(text, background)) : (Math.max(text, background) + 0.05) / (Math.min(text, background) + 0.05);
+      }
+      function relaxLuminanceConstraints(start, constraints, locked, margin) {
+        const u = { ...start };
+        const passes = (constraint) => measureLuminanceConstraint(constraint, u) >= (constraint.metric === "apca" ? constraint.target + margin * 100 : constraint.target * (1 + margin));
+        for (let pass = 0; pass < SOLVER_MAX_PASSES; pass += 1) {
+          const failing = constraints.filter((constraint) => !passes(constraint));
+          if (!failing.length) return u;
+          failing.forEach((constraint) => {
+            const movers = [
+              { name: constraint.lighter, limit: MAX_LUMINANCE_LOG },
+              { name: constraint.darker, limit: MIN_LUMINANCE_LOG }
+            ].filter(({ name }) => !locked.has(name));
+            if (!movers.length) return;
+            const origin = movers.map(({ name }) => u[name]);
+            const apply = (shift) => {
+              movers.forEach(({ name, limit }, i) => {
+                const step = Math.min(
+                  shift / movers.length,
+                  Math.abs(limit - origin[i])
+                );
+                u[name] = origin[i] + (limit > origin[i] ? step : -step);
+              });
+              return passes(constraint);
+            };
+            let near = 0;
+            let far = Math.max(
+              ...movers.map(
+                ({ limit }, i) => Math.abs(limit - origin[i]) * movers.length
+              )
+            );
+            if (apply(far)) {
+              for (let i = 0; i < SOLVER_SEARCH_ITERATIONS; i += 1) {
+                const mid = (near + far) / 2;
+                if (apply(mid)) far = mid;
+                else near = mid;
+              }
+            }
+            apply(far);
+          });
+        }
+        return u;
+      }
+      function matchLuminance(start, luminance) {
+        let low = 0;
+        let high = 1;
+        for (let i = 0; i < SOLVER_SEARCH_ITERATIONS; i += 1) {
+          const mid = (low + high) / 2;
+          if (getRgbLuminance(gamutMapOklch(mid, start.c, start.h)) < luminance) {
+            low = mid;
+          } else {
+            high = mid;
+          }
+        }
+        return colorToHex2(gamutMapOklch(high, start.c, start.h));
+      }
+      function solvePaletteConstraintsOnce(entries, constraints, locked) {
+        const start = {};
+        Object.keys(entries).forEach((name) => {
+          start[name] = Math.log(getRelativeLuminance2(entries[name].hex) + 0.05);
+        });
+        let colors = {};
+        for (const margin of SOLVER_MARGINS) {
+          const u = relaxLuminanceConstraints(start, constraints, locked, margin);
+          colors = {};
+          Object.keys(entries).forEach((name) => {
+            colors[name] = Math.abs(u[name] - start[name]) < 1e-9 ? entries[name].hex : matchLuminance(entries[name].start, Math.exp(u[name]) - 0.05);
+          });
+          const solved = constraints.every(
+            (constraint) => measurePaletteConstraint(constraint, colors) >= constraint.target
+          );
+          if (solved) return { solved, colors };
+        }
+        return { solved: false, colors };
+      }
+      function solvePaletteConstraints(palette, constraints, options = {}) {
+        const entries = {};
+        Object.entries(palette || {}).forEach(([name, value]) => {
+          const color = toCanonicalColor(value);
+          if (!color) return;
+          const hex = colorToHex2(color);
+          entries[name] = { hex, start: srgbToOklch(hexToRgb2(hex)) };
+        });
+        const locked = new Set(
+          (options.locked || []).filter((name) => entries[name])
+        );
+        const originals = {};
+        Object.keys(entries).forEach((name) => {
+          originals[name] = entries[name].hex;
+        });
+        const conflicts = [];
+        const normalized = (constraints || []).map(normalizePaletteConstraint);
+        const active = [];
+        normalized.forEach((constraint) => {
+          if (!entries[constraint.text] || !entries[constraint.background]) {
+            conflicts.push({
+              constraints: [constraint.index],
+              colors: [constraint.text, constraint.background].filter(
+                (name) => !entries[name]
+              ),
+              reason: "unknown-color"
+            });
+            return;
+          }
+          if (constraint.target === null) {
+            conflicts.push({
+              constraints: [constraint.index],
+              colors: [],
+              reason: "unknown-level"
+            });
+            return;
+          }
+          const textIsLighter = constraint.text === constraint.background ? false : getRelativeLuminance2(originals[constraint.text]) > getRelativeLuminance2(originals[constraint.background]);
+          constraint.lighter = textIsLighter ? constraint.text : constraint.background;
+          constraint.darker = textIsLighter ? constraint.background : constraint.text;
+          const extremes = { ...originals };
+          if (!locked.has(constraint.lighter))
+            extremes[constraint.lighter] = "#ffffff";
+          if (!locked.has(constraint.darker)) extremes[constraint.darker] = "#000000";
+          if (constraint.text === constraint.background || measurePaletteConstraint(constraint, extremes) < constraint.target) {
+            conflicts.push({
+              constraints: [constraint.index],
+              colors: [constraint.text, constraint.background],
+              reason: locked.has(constraint.lighter) || locked.has(constraint.darker) ? "locked" : "unreachable"
+            });
+            return;
+          }
+          active.push(constraint);
+        });
+        let result = solvePaletteConstraintsOnce(entries, active, locked);
+        if (result.solved) {
+          const changed = Object.keys(entries).filter((name) => result.colors[name] !== originals[name]).sort(
+            (a, b) => getDeltaE2000(originals[a], result.colors[a]) - getDeltaE2000(originals[b], result.colors[b])
+          );
+          changed.forEach((name) => {
+            const attempt = solvePaletteConstraintsOnce(
+              entries,
+              active,
+              /* @__PURE__ */ new Set([...locked, name])
+            );
+            if (attempt.solved) {
+              locked.add(name);
+              result = attempt;
+            }
+          });
+        } else {
+          const failing = active.filter(
+            (constraint) => measurePaletteConstraint(constraint, result.colors) < constraint.target
+          );
+          const remaining = new Set(failing);
+          while (remaining.size) {
+            const [first] = remaining;
+            remaining.delete(first);
+            const group = [first];
+            const names = /* @__PURE__ */ new Set([first.text, first.background]);
+            for (let i = 0; i < group.length; i += 1) {
+              remaining.forEach((other) => {
+                if (names.has(other.text) || names.has(other.background)) {
+                  remaining.delete(other);
+                  group.push(other);
+                  names.add(other.text);
+                  names.add(other.background);
+                }
+              });
+            }
+            const involved = active.filter(
+              (constraint) => group.includes(constraint) || names.has(constraint.text) || names.has(constraint.background)
+            );
+            conflicts.push({
+              constraints: involved.map((constraint) => constraint.index),
+              colors: [...names],
+              reason: "competing"
+            });
+          }
+        }
+        const adjustments = Object.keys(entries).filter((name) => result.colors[name] !== originals[name]).map((name) => ({
+          name,
+          from: originals[name],
+          to: result.colors[name],
+          delta: getDeltaE2000(originals[name], result.colors[name])
+        }));
+        return {
+          solved: result.solved && conflicts.length === 0,
+          palette: result.colors,
+          adjustments,
+          constraints: normalized.map((constraint) => {
+            const known = entries[constraint.text] && entries[constraint.background];
+            const before = known ? measurePaletteConstraint(constraint, originals) : null;
+            const after = known ? measurePaletteConstraint(constraint, result.colors) : null;
+            return {
+              index: constraint.index,
+              text: constraint.text,
+              background: constraint.background,
+              metric: constraint.metric,
+              target: constraint.target,
+              before,
+              after,
+              passes: after !== null && constraint.target !== null ? after >= constraint.target : false
+            };
+          }),
+          conflicts
+        };
+      }
+      var THEME_ROLES = ["surface", "text", "muted", "accent", "border"];
+      var DARK_THEME_SURFACE_LIGHTNESS = 0.2;
+      function mirrorThemeLightness(lightness, surfaceLightness, darkSurface) {
+        const depth = surfaceLightness > 0 ? 1 - lightness / surfaceLightness : 0;
+        return darkSurface + (1 - darkSurface) * clampUnit(depth);
+      }
+      function generateDarkTheme(palette, options = {}) {
+        const surface = options.surface || "surface";
+        const light = {};
+        Object.entries(palette || {}).forEach(([role, value]) => {
+          const color = toCanonicalColor(value);
+          if (color) light[role] = colorToHex2(color);
+        });
+        if (!light[surface]) return null;
+        const darkSurface = clampUnit(
+          options.surfaceLightness ?? DARK_THEME_SURFACE_LIGHTNESS
+        );
+        const surfaceLightness = srgbToOklch(hexToRgb2(light[surface])).l;
+        const start = {};
+        Object.entries(light).forEach(([role, hex]) => {
+          const { l, c, h } = srgbToOklch(hexToRgb2(hex));
+          const lightness = role === surface ? darkSurface : mirrorThemeLightness(l, surfaceLightness, darkSurface);
+          start[role] = colorToHex2(gamutMapOklch(lightness, c, h));
+        });
+        const seen = /* @__PURE__ */ new Set();
+        const rolePairs = [
+          ...Object.keys(light).filter((role) => role !== surface).map((role) => ({ text: role, background: surface })),
+          ...options.pairs || []
+        ].filter((pair) => {
+          const key = `${pair?.text}|${pair?.background}`;
+          if (!light[pair?.text] || !light[pair?.background] || seen.has(key)) {
+            return false;
+          }
+          seen.add(key);
+          return pair.text !== pair.background;
+        });
+        const targets = rolePairs.map(({ text, background }) => {
+          let ratio = getContrastRatio2(light[text], light[background]);
+          let lc = Math.abs(calcAPCA(light[text], light[background]));
+          if (background === surface) {
+            ratio = Math.min(ratio, getContrastRatio2("#ffffff", start[surface]));
+            lc = Math.min(lc, Math.abs(calcAPCA("#ffffff", start[surface])));
+          }
+          return { text, background, ratio, lc };
+        });
+        const result = solvePaletteConstraints(
+          start,
+          targets.flatMap(({ text, background, ratio, lc }) => [
+            { text, background, ratio },
+            { text, background, lc }
+          ]),
+          { locked: [surface] }
+        );
+        const dark = result.palette;
+        const measure = (colors, text, background) => ({
+          wcagRatio: getContrastRatio2(colors[text], colors[background]),
+          apcaScore: calcAPCA(colors[text], colors[background])
+        });
+        const pairs = targets.map(({ text, background, ratio, lc }) => {
+          const after = measure(dark, text, background);
+          return {
+            text,
+            background,
+            light: measure(light, text, background),
+            dark: after,
+            targetRatio: ratio,
+            targetLc: lc,
+            passes: after.wcagRatio >= ratio && Math.abs(after.apcaScore) >= lc
+          };
+        });
+        return {
+          solved: pairs.every((pair) => pair.passes),
+          surface,
+          light,
+          dark,
+          pairs,
+          conflicts: result.conflicts
+        };
+      }
+      var TONAL_SCALE_STEPS = [
+        50,
+        100,
+        200,
+        300,
+        400,
+        500,
+        600,
+        700,
+        800,
+        900,
+        950
+      ];
+      var APCA_SCALE_EXPONENT = 0.62;
+      var TONAL_SCALE_GAPS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+      function getTonalStepLuminance(step, standard) {
+        const position = Math.min(1e3, Math.max(0, step)) / 1e3;
+        if (standard === "APCA") {
+          return Math.pow(1 - position, 1 / APCA_SCALE_EXPONENT);
+        }
+        return Math.exp(MAX_LUMINANCE_LOG - position * Math.log(21)) - 0.05;
+      }
+      function getTonalScaleSteps(count) {
+        if (!Number.isInteger(count) || count < 2) return TONAL_SCALE_STEPS;
+        return Array.from(
+          { length: count },
+          (_, i) => Math.round((50 + 900 * i / (count - 1)) / 10) * 10
+        );
+      }
+      function generateTonalScale(seed, options = {}) {
+        const seedColor = toCanonicalColor(seed);
+        if (!seedColor) return null;
+        const standard = getStandard(options.standard).metric === "apca" ? "APCA" : "WCAG";
+        const stepNumbers = Array.isArray(options.steps) ? [...options.steps].sort((a, b) => a - b) : getTonalScaleSteps(options.steps);
+        const seedHex = colorToHex2(seedColor);
+        const start = srgbToOklch(hexToRgb2(seedHex));
+        const steps = stepNumbers.map((step) => {
+          const hex = matchLuminance(start, getTonalStepLuminance(step, standard));
+          return { step, hex, luminance: getRelativeLuminance2(hex) };
+        });
+        const seedLuminance = getRelativeLuminance2(seedHex);
+        const seedStep = steps.reduce(
+          (best, entry) => Math.abs(entry.luminance - seedLuminance) < Math.abs(best.luminance - seedLuminance) ? entry : best
+        ).step;
+        const matrix = steps.map(
+          (text) => steps.map((background) => ({
+            text: text.step,
+            background: background.step,
+            wcagRatio: getContrastRatio2(text.hex, background.hex),
+            apcaScore: calcAPCA(text.hex, background.hex)
+          }))
+        );
+        const guarantees = TONAL_SCALE_GAPS.map((gap) => {
+          let minRatio = null;
+          let minLc = null;
+          matrix.forEach(
+            (row) => row.forEach((cell) => {
+              if (Math.abs(cell.text - cell.background) < gap) return;
+              if (minRatio === null || cell.wcagRatio < minRatio) {
+                minRatio = cell.wcagRatio;
+              }
+              if (minLc === null || Math.abs(cell.apcaScore) < minLc) {
+                minLc = Math.abs(cell.apcaScore);
+              }
+            })
+          );
+          return { gap, minRatio, minLc };
+        }).filter((entry) => entry.minRatio !== null);
+        return { seed: seedHex, standard, seedStep, steps, matrix, guarantees };
+      }
+      var PALETTE_FORMATS = [
+        "ase",
+        "gpl",
+        "sketchpalette",
+        "procreate",
+        "css",
+        "tailwind",
+        "dtcg"
+      ];
+      var PALETTE_FILE_EXTENSIONS = {
+        ase: "ase",
+        gpl: "gpl",
+        sketchpalette: "sketchpalette",
+        swatches: "procreate",
+        css: "css",
+        tokens: "dtcg"
+      };
+      function toPaletteBytes(input) {
+        if (input instanceof Uint8Array) return input;
+        if (input instanceof ArrayBuffer) return new Uint8Array(input);
+        if (ArrayBuffer.isView(input)) {
+          return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+        }
+        return null;
+      }
+      function toPaletteText(input) {
+        if (typeof input === "string") return input.replace(/^\uFEFF/, "");
+        const bytes = toPaletteBytes(input);
+        if (!bytes) return null;
+        try {
+          return new TextDecoder("utf-8", { fatal: true }).decode(bytes).replace(/^\uFEFF/, "");
+        } catch {
+          return null;
+        }
+      }
+      function toPaletteJson(input) {
+        if (input && typeof input === "object" && !toPaletteBytes(input)) {
+          return input;
+        }
+        const text = toPaletteText(input);
+        if (text === null) return null;
+        try {
+          return JSON.parse(text);
+        } catch {
+          return null;
+        }
+      }
+      function createPaletteResult(format, name) {
+        return { format, name: name || null, colors: [], skipped: 0 };
+      }
+      function addPaletteColor(result, value, name, group) {
+        const color = toCanonicalColor(value);
+        if (!color || color.alpha === 0) {
+          result.skipped += 1;
+          return;
+        }
+        result.colors.push({
+          name: typeof name === "string" && name.trim() ? name.trim() : null,
+          hex: colorToHex2(color),
+          alpha: color.alpha,
+          group: group || null
+        });
+      }
+      function formatPaletteNumber(value) {
+        return Number.isFinite(value) ? String(+value.toFixed(6)) : "0";
+      }
+      var INFLATE_LENGTH_BASE = [
+        3,
+        4,
+        5,
+        6,
+        7,
+        8,
+        9,
+        10,
+        11,
+        13,
+        15,
+        17,
+        19,
+        23,
+        27,
+        31,
+        35,
+        43,
+        51,
+        59,
+        67,
+        83,
+        99,
+        115,
+        131,
+        163,
+        195,
+        227,
+        258
+      ];
+      var INFLATE_LENGTH_EXTRA = [
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        0,
+        1,
+        1,
+        1,
+        1,
+        2,
+        2,
+        2,
+        2,
+        3,
+        3,
+        3,
+        3,
+        4,
+        4,
+        4,
+        4,
+        5,
+        5,
+        5,
+        5,
+        0
+      ];
+      var INFLATE_DISTANCE_BASE = [
+        1,
+        2,
+        3,
+        4,
+        5,
+        7,
+        9,
+        13,
+        17,
+        25,
+        33,
+        49,
+        65,
+        97,
+        129,
+        193,
+        257,
+        385,
+        513,
+        769,
+        1025,
+        1537,
+        2049,
+        3073,
+        4097,
+        6145,
+        8193,
+        12289,
+        16385,
+        24577
+      ];
+      var INFLATE_DISTANCE_EXTRA = [
+        0,
+        0,
+        0,
+        0,
+        1,
+        1,
+        2,
+        2,
+        3,
+        3,
+        4,
+        4,
+        5,
+        5,
+        6,
+        6,
+        7,
+        7,
+        8,
+        8,
+        9,
+        9,
+        10,
+        10,
+        11,
+        11,
+        12,
+        12,
+        13,
+        13
+      ];
+      var INFLATE_CODE_LENGTH_ORDER = [
+        16,
+        17,
+        18,
+        0,
+        8,
+        7,
+        9,
+        6,
+        10,
+        5,
+        11,
+        4,
+        12,
+        3,
+        13,
+        2,
+        14,
+        1,
+        15
+      ];
+      function buildHuffmanTable(lengths) {
+        const counts = new Array(16).fill(0);
+        lengths.forEach((length) => {
+          counts[length] += 1;
+        });
+        counts[0] = 0;
+        const offsets = [0];
+        for (let length = 1; length < 16; length += 1) {
+          offsets[length] = offsets[length - 1] + counts[length - 1];
+        }
+        const symbols = [];
+        lengths.forEach((length, symbol) => {
+          if (length) symbols[offsets[length]++] = symbol;
+        });
+        return { counts, symbols };
+      }
+      function inflateRaw(bytes) {
+        const output = [];
+        let position = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+        const readBits = (count) => {
+          while (bitCount < count) {
+            if (position >= bytes.length) throw new RangeError("Truncated data");
+            bitBuffer |= bytes[position++] << bitCount;
+            bitCount += 8;
+          }
+          const value = bitBuffer & (1 << count) - 1;
+          bitBuffer >>>= count;
+          bitCount -= count;
+          return value;
+        };
+        const decodeSymbol = ({ counts, symbols }) => {
+          let code = 0;
+          let first = 0;
+          let index = 0;
+          for (let length = 1; length < 16; length += 1) {
+            code |= readBits(1);
+            if (code - first < counts[length]) return symbols[index + code - first];
+            index += counts[length];
+            first = first + counts[length] << 1;
+            code <<= 1;
+          }
+          throw new RangeError("Invalid Huffman code");
+        };
+        const readDynamicTables = () => {
+          const literalCount = readBits(5) + 257;
+          const distanceCount = readBits(5) + 1;
+          const codeLengthCount = readBits(4) + 4;
+          const codeLengths = new Array(19).fill(0);
+          for (let i = 0; i < codeLengthCount; i += 1) {
+            codeLengths[INFLATE_CODE_LENGTH_ORDER[i]] = readBits(3);
+          }
+          const codeLengthTable = buildHuffmanTable(codeLengths);
+          const lengths = [];
+          while (lengths.length < literalCount + distanceCount) {
+            const symbol = decodeSymbol(codeLengthTable);
+            if (symbol < 16) {
+              lengths.push(symbol);
+            } else if (symbol === 16) {
+              if (!lengths.length) throw new RangeError("Invalid repeat");
+              const previous = lengths[lengths.length - 1];
+              for (let i = readBits(2) + 3; i > 0; i -= 1) lengths.push(previous);
+            } else {
+              const zeros = symbol === 17 ? readBits(3) + 3 : readBits(7) + 11;
+              for (let i = 0; i < zeros; i += 1) lengths.push(0);
+            }
+          }
+          return [
+            buildHuffmanTable(lengths.slice(0, literalCount)),
+            buildHuffmanTable(lengths.slice(literalCount))
+          ];
+        };
+        let isFinal = false;
+        while (!isFinal) {
+          isFinal = readBits(1) === 1;
+          const blockType = readBits(2);
+          if (blockType === 0) {
+            bitBuffer = 0;
+            bitCount = 0;
+            if (position + 4 > bytes.length) throw new RangeError("Truncated data");
+            const length = bytes[position] | bytes[position + 1] << 8;
+            position += 4;
+            if (position + length > bytes.length) {
+              throw new RangeError("Truncated data");
+            }
+            for (let i = 0; i < length; i += 1) output.push(bytes[position++]);
+            continue;
+          }
+          if (blockType === 3) throw new RangeError("Invalid block type");
+          const [literalTable, distanceTable] = blockType === 1 ? [
+            buildHuffmanTable(
+              Array.from(
+                { length: 288 },
+                (_, symbol) => symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8
+              )
+            ),
+            buildHuffmanTable(new Array(30).fill(5))
+          ] : readDynamicTables();
+          for (; ; ) {
+            const symbol = decodeSymbol(literalTable);
+            if (symbol < 256) {
+              output.push(symbol);
+              continue;
+            }
+            if (symbol === 256) break;
+            const lengthIndex = symbol - 257;
+            if (lengthIndex >= 29) throw new RangeError("Invalid length");
+            const length = INFLATE_LENGTH_BASE[lengthIndex] + readBits(INFLATE_LENGTH_EXTRA[lengthIndex]);
+            const distanceIndex = decodeSymbol(distanceTable);
+            if (distanceIndex >= 30) throw new RangeError("Invalid distance");
+            const distance = INFLATE_DISTANCE_BASE[distanceIndex] + readBits(INFLATE_DISTANCE_EXTRA[distanceIndex]);
+            if (distance > output.length) throw new RangeError("Invalid distance");
+            for (let i = 0; i < length; i += 1) {
+              output.push(output[output.length - distance]);
+            }
+          }
+        }
+        return Uint8Array.from(output);
+      }
+      function readZipEntry(bytes, matches) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i -= 1) {
+          if (view.getUint32(i, true) === 101010256) {
+            end = i;
+            break;
+          }
+        }
+        if (end === -1) return null;
+        const entryCount = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        for (let i = 0; i < entryCount; i += 1) {
+          if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 33639248) {
+            return null;
+          }
+          const method = view.getUint16(offset + 10, true);
+          const compressedSize = view.getUint32(offset + 20, true);
+          const nameLength = view.getUint16(offset + 28, true);
+          const extraLength = view.getUint16(offset + 30, true);
+          const commentLength = view.getUint16(offset + 32, true);
+          const localOffset = view.getUint32(offset + 42, true);
+          const name = new TextDecoder().decode(
+            bytes.subarray(offset + 46, offset + 46 + nameLength)
+          );
+          offset += 46 + nameLength + extraLength + commentLength;
+          if (!matches(name)) continue;
+          if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== 67324752) {
+            return null;
+          }
+          const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+          const data = bytes.subarray(dataStart, dataStart + compressedSize);
+          if (method === 0) return data;
+          if (method !== 8) return null;
+          try {
+            return inflateRaw(data);
+          } catch {
+            return null;
+          }
+        }
+        return null;
+      }
+      function parseAsePalette(input) {
+        const bytes = toPaletteBytes(input);
+        if (!bytes || bytes.length < 12) return null;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint32(0) !== 1095976262) return null;
+        const result = createPaletteResult("ase", null);
+        const blockCount = view.getUint32(8);
+        let offset = 12;
+        let group = null;
+        const readName = (start) => {
+          const length = view.getUint16(start);
+          const units = [];
+          for (let i = 0; i < length; i += 1) {
+            units.push(view.getUint16(start + 2 + i * 2));
+          }
+          return {
+            name: String.fromCharCode(...units).replace(/\0+$/, ""),
+            end: start + 2 + length * 2
+          };
+        };
+        try {
+          for (let i = 0; i < blockCount; i += 1) {
+            const type = view.getUint16(offset);
+            const length = view.getUint32(offset + 2);
+            const start = offset + 6;
+            offset = start + length;
+            if (offset > bytes.length) return null;
+            if (type === 49153) {
+              group = length ? readName(start).name || null : null;
+            } else if (type === 49154) {
+              group = null;
+            } else if (type === 1) {
+              const { name, end } = readName(start);
+              const model = String.fromCharCode(
+                ...bytes.subarray(end, end + 4)
+              ).trim();
+              const values = [];
+              const valueCount = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model] || 0;
+              for (let j = 0; j < valueCount; j += 1) {
+                values.push(view.getFloat32(end + 4 + j * 4));
+              }
+              const n = values.map(formatPaletteNumber);
+              let value = null;
+              if (model === "RGB") {
+                value = `color(srgb ${n[0]} ${n[1]} ${n[2]})`;
+              } else if (model === "CMYK") {
+                const [c, m, y, k] = values;
+                value = `color(srgb ${[c, m, y].map((channel) => formatPaletteNumber((1 - channel) * (1 - k))).join(" ")})`;
+              } else if (model === "LAB") {
+                value = `lab(${formatPaletteNumber(values[0] * 100)} ${n[1]} ${n[2]})`;
+              } else if (model === "Gray") {
+                value = `color(srgb ${n[0]} ${n[0]} ${n[0]})`;
+              }
+              addPaletteColor(result, value, name, group);
+            }
+          }
+        } catch {
+          return null;
+        }
+        return result;
+      }
+      function parseGplPalette(input) {
+        const text = toPaletteText(input);
+        if (text === null) return null;
+        const lines = text.split(/\r\n|\r|\n/);
+        if (lines[0].trim() !== "GIMP Palette") return null;
+        const result = createPaletteResult("gpl", null);
+        lines.slice(1).forEach((line) => {
+          const trimmed = line.trim();
+          if (!trimmed || trimmed.startsWith("#")) return;
+          const header = trimmed.match(/^(Name|Columns):\s*(.*)$/i);
+          if (header) {
+            if (header[1].toLowerCase() === "name") result.name = header[2] || null;
+            return;
+          }
+          const row = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)(?:\s+(.*))?$/);
+          const channels = row ? row.slice(1, 4).map(Number) : [];
+          if (!row || channels.some((channel) => channel > 255)) {
+            result.skipped += 1;
+            return;
+          }
+          addPaletteColor(result, `rgb(${channels.join(" ")})`, row[4]);
+        });
+        return result;
+      }
+      function parseSketchPalette(input) {
+        const json = toPaletteJson(input);
+        if (!json || !Array.isArray(json.colors)) return null;
+        const result = createPaletteResult("sketchpalette", null);
+        json.colors.forEach((entry) => {
+          if (typeof entry === "string") {
+            addPaletteColor(result, entry.startsWith("#") ? entry : `#${entry}`);
+            return;
+          }
+          if (!entry || typeof entry !== "object") {
+            result.skipped += 1;
+            return;
+          }
+          const channels = [entry.red, entry.green, entry.blue];
+          addPaletteColor(
+            result,
+            channels.every(Number.isFinite) ? `color(srgb ${channels.map(formatPaletteNumber).join(" ")} / ${Number.isFinite(entry.alpha) ? formatPaletteNumber(entry.alpha) : 1})` : null,
+            entry.name
+          );
+        });
+        return result;
+      }
+      function hsbToRgb(hue, saturation, brightness) {
+        const h = (hue % 1 + 1) % 1 * 6;
+        const chroma = brightness * saturation;
+        const x = chroma * (1 - Math.abs(h % 2 - 1));
+        const m = brightness - chroma;
+        const [r, g, b] = [
+          [chroma, x, 0],
+          [x, chroma, 0],
+          [0, chroma, x],
+          [0, x, chroma],
+          [x, 0, chroma],
+          [chroma, 0, x]
+        ][Math.floor(h) % 6];
+        return { r: r + m, g: g + m, b: b + m };
+      }
+      function parseProcreatePalette(input) {
+        const bytes = typeof input === "string" ? null : toPaletteBytes(input);
+        const isZip = bytes && bytes.length > 4 && bytes[0] === 80 && bytes[1] === 75;
+        const json = toPaletteJson(
+          isZip ? readZipEntry(bytes, (name) => /(^|\/)swatches\.json$/i.test(name)) : input
+        );
+        if (!json) return null;
+        const palettes = Array.isArray(json) ? json : [json];
+        if (!palettes.every((palette) => palette && Array.isArray(palette.swatches))) {
+          return null;
+        }
+        const result = createPaletteResult(
+          "procreate",
+          palettes.length === 1 ? palettes[0].name : null
+        );
+        palettes.forEach((palette) => {
+          palette.swatches.forEach((swatch) => {
+            if (swatch === null) return;
+            const { hue, saturation, brightness } = swatch || {};
+            if (![hue, saturation, brightness].every(Number.isFinite)) {
+              result.skipped += 1;
+              return;
+            }
+            addPaletteColor(
+              result,
+              {
+                ...hsbToRgb(hue, clampUnit(saturation), clampUnit(brightness)),
+                alpha: Number.isFinite(swatch.alpha) ? swatch.alpha : 1
+              },
+              swatch.name,
+              palette.name
+            );
+          });
+        });
+        return result;
+      }
+      var CSS_COLOR_LITERAL_PATTERN = /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\([^()]*\)|\b[a-z]+\b/gi;
+      var CSS_COLOR_PROPERTY_PATTERN = /color|background|border|outline|fill|stroke|shadow|caret|decoration/i;
+      function parseCssPalette(input) {
+        const text = toPaletteText(input);
+        if (text === null) return null;
+        const css = text.replace(/\/\*[\s\S]*?\*\//g, "");
+        const properties = /* @__PURE__ */ new Map();
+        const declarations = [];
+        const pattern = /([-\w]+)\s*:\s*([^;{}]+?)\s*(?=[;}]|$)/g;
+        let match;
+        while (match = pattern.exec(css)) {
+          const [, property, value] = match;
+          if (property.startsWith("--")) {
+            properties.set(property, value.replace(/\s*!important$/i, ""));
+          } else if (CSS_COLOR_PROPERTY_PATTERN.test(property)) {
+            declarations.push(value);
+          }
+        }
+        const resolve = (value, depth = 0) => {
+          const alias = value.match(/^var\(\s*(--[-\w]+)\s*(?:,\s*(.+))?\)$/);
+          if (!alias) return value;
+          if (depth > 16) return null;
+          const target = properties.get(alias[1]) ?? alias[2];
+          return target === void 0 ? null : resolve(target.trim(), depth + 1);
+        };
+        const result = createPaletteResult("css", null);
+        const seen = /* @__PURE__ */ new Set();
+        properties.forEach((value, property) => {
+          const resolved = resolve(value);
+          const color = resolved && parseColor3(resolved);
+          if (!color || color.alpha === 0) return;
+          addPaletteColor(result, color, property.slice(2));
+          seen.add(`${colorToHex2(color)}/${color.alpha}`);
+        });
+        declarations.forEach((value) => {
+          (value.match(CSS_COLOR_LITERAL_PATTERN) || []).forEach((token) => {
+            if (/^[a-z]+$/i.test(token) && !CSS_NAMED_COLORS[token.toLowerCase()]) {
+              return;
+            }
+            const color = parseColor3(token);
+            if (!color || color.alpha === 0) return;
+            const key = `${colorToHex2(color)}/${color.alpha}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            addPaletteColor(result, color);
+          });
+        });
+        return result.colors.length ? result : null;
+      }
+      function parseTailwindPalette(input) {
+        const json = toPaletteJson(input);
+        if (!json || typeof json !== "object" || Array.isArray(json)) return null;
+        const sources = [
+          json.colors,
+          json.theme?.colors,
+          json.theme?.extend?.colors
+        ].filter((source) => source && typeof source === "object");
+        const result = createPaletteResult("tailwind", null);
+        const walk = (node, path) => {
+          Object.entries(node).forEach(([key, value]) => {
+            const nextPath = key === "DEFAULT" ? path : [...path, key];
+            if (value && typeof value === "object") {
+              walk(value, nextPath);
+            } else if (typeof value === "string") {
+              const keyword = value.trim().toLowerCase();
+              if (["inherit", "current", "currentcolor", "transparent"].includes(
+                keyword
+              )) {
+                return;
+              }
+              addPaletteColor(
+                result,
+                value.replace(/<alpha-value>/g, "1"),
+                nextPath.join("-"),
+                path[0]
+              );
+            }
+          });
+        };
+        (sources.length ? sources : [json]).forEach((source) => walk(source, []));
+        return result.colors.length ? result : null;
+      }
+      var DTCG_COLOR_SPACES = {
+        srgb: "srgb",
+        "srgb-linear": "srgb-linear",
+        "display-p3": "display-p3",
+        "a98-rgb": "a98-rgb",
+        "prophoto-rgb": "prophoto-rgb",
+        rec2020: "rec2020",
+        "xyz-d50": "xyz-d50",
+        "xyz-d65": "xyz-d65"
+      };
+      function getDesignTokenColor(value) {
+        if (typeof value === "string") return parseColor3(value);
+        if (!value || typeof value !== "object") return null;
+        const components = Array.isArray(value.components) ? value.components.map(
+          (component) => component === "none" ? 0 : component
+        ) : null;
+        const alpha = Number.isFinite(value.alpha) ? value.alpha : 1;
+        if (!components || components.length !== 3 || !components.every(Number.isFinite)) {
+          return typeof value.hex === "string" ? parseColor3(value.hex) : null;
+        }
+        const [a, b, c] = components.map(formatPaletteNumber);
+        const space = String(value.colorSpace || "").toLowerCase();
+        const css = DTCG_COLOR_SPACES[space] ? `color(${DTCG_COLOR_SPACES[space]} ${a} ${b} ${c} / ${alpha})` : ["hsl", "hwb"].includes(space) ? `${space}(${a} ${b}% ${c}% / ${alpha})` : ["lab", "lch", "oklab", "oklch"].includes(space) ? `${space}(${a} ${b} ${c} / ${alpha})` : null;
+        const color = css && parseColor3(css);
+        if (color) return color;
+        return typeof value.hex === "string" ? parseColor3(value.hex) : null;
+      }
+      function parseDesignTokens(input) {
+        const json = toPaletteJson(input);
+        if (!json || typeof json !== "object" || Array.isArray(json)) return null;
+        const lookup = (path) => path.split(".").reduce((node, key) => node ? node[key] : void 0, json);
+        const resolve = (value, depth = 0) => {
+          const alias = typeof value === "string" && value.trim().match(/^\{([^{}]+)\}$/);
+          if (!alias) return value;
+          const target = lookup(alias[1]);
+          if (depth > 16 || !target || typeof target !== "object") return null;
+          if (!("$value" in target)) return null;
+          return resolve(target.$value, depth + 1);
+        };
+        const result = createPaletteResult("dtcg", null);
+        let tokenCount = 0;
+        const walk = (node, path, inheritedType) => {
+          const type = typeof node.$type === "string" ? node.$type : inheritedType;
+          if ("$value" in node) {
+            tokenCount += 1;
+            if (type === "color") {
+              addPaletteColor(
+                result,
+                getDesignTokenColor(resolve(node.$value)),
+                path.join("."),
+                path.length > 1 ? path.slice(0, -1).join(".") : null
+              );
+            }
+            return;
+          }
+          Object.entries(node).forEach(([key, child]) => {
+            if (key.startsWith("$") || !child || typeof child !== "object") return;
+            walk(child, [...path, key], type);
+          });
+        };
+        walk(json, [], void 0);
+        return tokenCount ? result : null;
+      }
+      function hasDesignTokenValue(node, depth = 0) {
+        if (!node || typeof node !== "object" || depth > 32) return false;
+        if ("$value" in node) return true;
+        return Object.values(node).some(
+          (child) => hasDesignTokenValue(child, depth + 1)
+        );
+      }
+      function detectPaletteFormat(input, fileName = "") {
+        const extension = String(fileName).toLowerCase().split(".").pop();
+        if (PALETTE_FILE_EXTENSIONS[extension]) {
+          return PALETTE_FILE_EXTENSIONS[extension];
+        }
+        const bytes = typeof input === "string" ? null : toPaletteBytes(input);
+        if (bytes && bytes.length >= 4) {
+          const signature = String.fromCharCode(...bytes.subarray(0, 4));
+          if (signature === "ASEF") return "ase";
+          if (signature === "PK") return "procreate";
+        }
+        let json = input && typeof input === "object" && !bytes ? input : null;
+        if (!json) {
+          const text = toPaletteText(input);
+          if (text === null) return null;
+          if (text.split(/\r\n|\r|\n/)[0].trim() === "GIMP Palette") return "gpl";
+          json = toPaletteJson(text);
+          if (!json || typeof json !== "object") return "css";
+        }
+        if (hasDesignTokenValue(json)) return "dtcg";
+        if (Array.isArray(json) || Array.isArray(json.swatches)) return "procreate";
+        if (Array.isArray(json.colors) && ("compatibleVersion" in json || "pluginVersion" in json)) {
+          return "sketchpalette";
+        }
+        return "tailwind";
+      }
+      var PALETTE_PARSERS = {
+        ase: parseAsePalette,
+        gpl: parseGplPalette,
+        sketchpalette: parseSketchPalette,
+        procreate: parseProcreatePalette,
+        css: parseCssPalette,
+        tailwind: parseTailwindPalette,
+        dtcg: parseDesignTokens
+      };
+      function parsePaletteFile(input, options = {}) {
+        const format = options.format || detectPaletteFormat(input, options.fileName);
+        const parse = PALETTE_PARSERS[format];
+        return parse ? parse(input) : null;
+      }
+      var PALETTE_EXPORT_FORMATS = [
+        "css",
+        "scss",
+        "tailwind",
+        "dtcg",
+        "style-dictionary",
+        "android",
+        "ios"
+      ];
+      var PALETTE_COMPLIANCE_EXTENSION = "com.chromacheck.compliance";
+      function toPaletteSlug(value) {
+        return String(value || "").replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+      }
+      function normalizeExportColors(colors) {
+        const used = /* @__PURE__ */ new Set();
+        return (Array.isArray(colors) ? colors : []).map((entry) => {
+          const color = toCanonicalColor(
+            typeof entry === "string" ? entry : entry?.hex
+          );
+          return color ? {
+            name: typeof entry?.name === "string" ? entry.name : null,
+            hex: colorToHex2(color),
+            alpha: Number.isFinite(entry?.alpha) ? clampUnit(entry.alpha) : color.alpha
+          } : null;
+        }).filter(Boolean).map((color, index) => {
+          const base = toPaletteSlug(color.name) || `color-${index + 1}`;
+          let slug = base;
+          for (let n = 2; used.has(slug); n += 1) slug = `${base}-${n}`;
+          used.add(slug);
+          return { ...color, slug };
+        });
+      }
+      function formatExportHex(color, alphaFirst = false) {
+        if (color.alpha >= 1) return color.hex;
+        const alpha = Math.round(color.alpha * 255).toString(16).padStart(2, "0");
+        return alphaFirst ? `#${alpha}${color.hex.slice(1)}` : `${color.hex}${alpha}`;
+      }
+      function getPaletteCompliance(colors, options = {}) {
+        return getCompliancePairings(normalizeExportColors(colors), options);
+      }
+      function getCompliancePairings(colors, options = {}, getLabel = (color) => color.slug) {
+        const entries = colors.filter((color) => color.alpha >= 1);
+        const fontSize = options.fontSize || 16;
+        const fontWeight = options.fontWeight || 400;
+        const pairings = [];
+        entries.forEach((text) => {
+          entries.forEach((background) => {
+            if (text === background || text.hex === background.hex) return;
+            const wcagRatio = getContrastRatio2(text.hex, background.hex);
+            const apcaScore = calcAPCA(text.hex, background.hex);
+            const wcagLevel = getComplianceLevel(wcagRatio);
+            const apcaLevel = getAPCAConformance(
+              apcaScore,
+              fontSize,
+              fontWeight
+            ).level;
+            if (wcagLevel === "Fail" && apcaLevel === "Fail") return;
+            pairings.push({
+              text: getLabel(text),
+              background: getLabel(background),
+              wcagRatio: Math.round(wcagRatio * 100) / 100,
+              wcagLevel,
+              apcaScore: Math.round(apcaScore * 10) / 10,
+              apcaLevel
+            });
+          });
+        });
+        return pairings;
+      }
+      function formatCompliancePairing(pairing) {
+        return `${pairing.text} on ${pairing.background}: WCAG ${pairing.wcagLevel} (${pairing.wcagRatio.toFixed(2)}:1), APCA ${pairing.apcaLevel} (Lc ${pairing.apcaScore.toFixed(1)})`;
+      }
+      function getComplianceCommentLines(colors, options, getLabel) {
+        if (!options.compliance) return [];
+        const pairings = getCompliancePairings(colors, options.compliance, getLabel);
+        return [
+          "Verified pairings (text on background):",
+          ...pairings.length ? pairings.map(formatCompliancePairing) : ["None reach WCAG AA Large or APCA Bronze."]
+        ].map((line) => line.replace(/\s*[\r\n\u2028\u2029]+\s*/g, " "));
+      }
+      function formatBlockComment(lines) {
+        if (!lines.length) return [];
+        return [
+          "/*",
+          ...lines.map((line) => ` * ${line.replace(/\*\//g, "* /")}`),
+          " */"
+        ];
+      }
+      function getComplianceExtension(colors, options, getLabel) {
+        const compliance = typeof options.compliance === "object" ? options.compliance : {};
+        return {
+          fontSize: compliance.fontSize || 16,
+          fontWeight: compliance.fontWeight || 400,
+          pairings: getCompliancePairings(colors, compliance, getLabel)
+        };
+      }
+      function getExportFileName(options, fallback) {
+        return toPaletteSlug(options.name) || fallback;
+      }
+      function exportCssVariables(colors, options) {
+        const lines = [
+          ...formatBlockComment(getComplianceCommentLines(colors, options)),
+          ":root {",
+          ...colors.map((color) => `  --${color.slug}: ${formatExportHex(color)};`),
+          "}"
+        ];
+        return [
+          {
+            path: `${getExportFileName(options, "palette")}.css`,
+            content: `${lines.join("\n")}
+`
+          }
+        ];
+      }
+      function exportScssMap(colors, options) {
+        const slug = getExportFileName(options, "palette");
+        const name = /^[a-z]/.test(slug) ? slug : `palette-${slug}`;
+        const comment = getComplianceCommentLines(colors, options);
+        const lines = [
+          ...comment.map((line) => `// ${line}`),
+          `$${name}: (`,
+          ...colors.map((color) => `  "${color.slug}": ${formatExportHex(color)},`),
+          ");"
+        ];
+        return [{ path: `_${name}.scss`, content: `${lines.join("\n")}
+` }];
+      }
+      function exportTailwindConfig(colors, options) {
+        const tree = {};
+        const prefixes = new Set(
+          colors.map((color) => color.slug.match(/^(.+)-(\d+)$/)?.[1]).filter(Boolean)
+        );
+        colors.forEach((color) => {
+          const step = color.slug.match(/^(.+)-(\d+)$/);
+          const value = formatExportHex(color);
+          if (step) {
+            tree[step[1]] = { ...tree[step[1]] || {}, [step[2]]: value };
+          } else if (prefixes.has(color.slug)) {
+            tree[color.slug] = { ...tree[color.slug] || {}, DEFAULT: value };
+          } else {
+            tree[color.slug] = value;
+          }
+        });
+        const body = JSON.stringify(tree, null, 2).replace(/"([A-Za-z_$][\w$]*)":/g, "$1:").split("\n").map((line, index) => index ? `      ${line}` : line).join("\n");
+        const lines = [
+          ...formatBlockComment(getComplianceCommentLines(colors, options)),
+          "/** @type {import('tailwindcss').Config} */",
+          "module.exports = {",
+          "  theme: {",
+          "    extend: {",
+          `      colors: ${body},`,
+          "    },",
+          "  },",
+          "};"
+        ];
+        return [{ path: "tailwind.config.js", content: `${lines.join("\n")}
+` }];
+      }
+      function exportDesignTokens(colors, options) {
+        const tokens = {};
+        const tokenPaths = /* @__PURE__ */ new Map();
+        const isToken = (node) => Boolean(node && "$value" in node);
+        colors.forEach((color) => {
+          const path = color.name && /^[^.]+(\.[^.]+)+$/.test(color.name) ? color.name.split(".").map(toPaletteSlug) : [color.slug];
+          const keys = [];
+          const group = path.slice(0, -1).reduce((node, base2) => {
+            let key2 = base2;
+            for (let n = 2; isToken(node[key2]); n += 1) key2 = `${base2}-${n}`;
+            keys.push(key2);
+            return node[key2] = node[key2] || {};
+          }, tokens);
+          const base = path[path.length - 1];
+          let key = base;
+          for (let n = 2; group[key]; n += 1) key = `${base}-${n}`;
+          tokenPaths.set(color, [...keys, key].join("."));
+          const rgb = hexToRgb2(color.hex);
+          group[key] = {
+            $type: "color",
+            $value: {
+              colorSpace: "srgb",
+              components: [rgb.r, rgb.g, rgb.b].map(
+                (channel) => Math.round(channel * 1e4) / 1e4
+              ),
+              alpha: color.alpha,
+              hex: color.hex
+            }
+          };
+        });
+        if (options.compliance) {
+          tokens.$extensions = {
+            [PALETTE_COMPLIANCE_EXTENSION]: getComplianceExtension(
+              colors,
+              options,
+              (color) => tokenPaths.get(color)
+            )
+          };
+        }
+        return [
+          {
+            path: `${getExportFileName(options, "palette")}.tokens.json`,
+            content: `${JSON.stringify(tokens, null, 2)}
+`
+          }
+        ];
+      }
+      function exportStyleDictionary(colors, options) {
+        const pairings = options.compliance ? getCompliancePairings(colors, options.compliance) : [];
+        const color = {};
+        colors.forEach((entry) => {
+          const own = pairings.filter((pairing) => pairing.text === entry.slug);
+          color[entry.slug] = {
+            value: formatExportHex(entry),
+            type: "color",
+            ...options.compliance && {
+              comment: own.length ? own.map(formatCompliancePairing).join("; ") : "No verified text pairings."
+            }
+          };
+        });
+        return [
+          {
+            path: `${getExportFileName(options, "palette")}.json`,
+            content: `${JSON.stringify({ color }, null, 2)}
+`
+          }
+        ];
+      }
+      function escapeXml(value) {
+        return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+      }
+      function escapeHtml(value) {
+        return escapeXml(value ?? "").replace(/'/g, "&#39;");
+      }
+      function getAndroidColorName(color) {
+        const name = color.slug.replace(/-/g, "_");
+        return /^[a-z]/.test(name) ? name : `color_${name}`;
+      }
+      function exportAndroidColors(colors, options) {
+        const comment = getComplianceCommentLines(
+          colors,
+          options,
+          getAndroidColorName
+        );
+        const lines = [
+          '<?xml version="1.0" encoding="utf-8"?>',
+          ...comment.length ? [
+            "<!--",
+            ...comment.map((line) => `  ${line.replace(/--/g, "- -")}`),
+            "-->"
+          ] : [],
+          "<resources>",
+          ...colors.map(
+            (color) => `    <color name="${escapeXml(getAndroidColorName(color))}">${formatExportHex(color, true).toUpperCase()}</color>`
+          ),
+          "</resources>"
+        ];
+        return [{ path: "res/values/colors.xml", content: `${lines.join("\n")}
+` }];
+      }
+      function exportIosColorSets(colors, options) {
+        const catalogName = options.name ? String(options.name).trim() : "";
+        const catalog = `${catalogName.replace(/[/\\:]/g, "-") || "Palette"}.xcassets`;
+        const info = { author: "xcode", version: 1 };
+        const files = [
+          {
+            path: `${catalog}/Contents.json`,
+            content: `${JSON.stringify({ info }, null, 2)}
+`
+          },
+          ...colors.map((color) => {
+            const channel = (offset) => `0x${color.hex.slice(offset, offset + 2).toUpperCase()}`;
+            return {
+              path: `${catalog}/${color.slug}.colorset/Contents.json`,
+              content: `${JSON.stringify(
+                {
+                  colors: [
+                    {
+                      color: {
+                        "color-space": "srgb",
+                        components: {
+                          alpha: color.alpha.toFixed(3),
+                          blue: channel(5),
+                          green: channel(3),
+                          red: channel(1)
+                        }
+                      },
+                      idiom: "universal"
+                    }
+                  ],
+                  info
+                },
+                null,
+                2
+              )}
+`
+            };
+          })
+        ];
+        if (options.compliance) {
+          files.push({
+            path: `${catalog.replace(/\.xcassets$/, "")}-compliance.json`,
+            content: `${JSON.stringify(getComplianceExtension(colors, options), null, 2)}
+`
+          });
+        }
+        return files;
+      }
+      var PALETTE_EXPORTERS = {
+        css: exportCssVariables,
+        scss: exportScssMap,
+        tailwind: exportTailwindConfig,
+        dtcg: exportDesignTokens,
+        "style-dictionary": exportStyleDictionary,
+        android: exportAndroidColors,
+        ios: exportIosColorSets
+      };
+      function exportPalette(colors, format, options = {}) {
+        const exporter = PALETTE_EXPORTERS[format];
+        const entries = normalizeExportColors(colors);
+        if (!exporter || !entries.length) return null;
+        return { format, files: exporter(entries, options) };
+      }
+      var crc32Table = null;
+      function getCrc32(bytes) {
+        if (!crc32Table) {
+          crc32Table = new Uint32Array(256).map((_, n) => {
+            let value = n;
+            for (let k = 0; k < 8; k += 1) {
+              value = value & 1 ? 3988292384 ^ value >>> 1 : value >>> 1;
+            }
+            return value;
+          });
+        }
+        let crc = 4294967295;
+        for (let i = 0; i < bytes.length; i += 1) {
+          crc = crc32Table[(crc ^ bytes[i]) & 255] ^ crc >>> 8;
+        }
+        return (crc ^ 4294967295) >>> 0;
+      }
+      function createZipArchive(files) {
+        const encoder = new TextEncoder();
+        const entries = files.map((file) => {
+          const name = encoder.encode(file.path);
+          const data = typeof file.content === "string" ? encoder.encode(file.content) : file.content;
+          return { name, data, crc: getCrc32(data) };
+        });
+        const localSize = entries.reduce(
+          (total, entry) => total + 30 + entry.name.length + entry.data.length,
+          0
+        );
+        const centralSize = entries.reduce(
+          (total, entry) => total + 46 + entry.name.length,
+          0
+        );
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        let centralOffset = localSize;
+        entries.forEach((entry) => {
+          view.setUint32(offset, 67324752, true);
+          view.setUint16(offset + 4, 20, true);
+          view.setUint16(offset + 6, 2048, true);
+          view.setUint32(offset + 14, entry.crc, true);
+          view.setUint32(offset + 18, entry.data.length, true);
+          view.setUint32(offset + 22, entry.data.length, true);
+          view.setUint16(offset + 26, entry.name.length, true);
+          bytes.set(entry.name, offset + 30);
+          bytes.set(entry.data, offset + 30 + entry.name.length);
+          view.setUint32(centralOffset, 33639248, true);
+          view.setUint16(centralOffset + 4, 20, true);
+          view.setUint16(centralOffset + 6, 20, true);
+          view.setUint16(centralOffset + 8, 2048, true);
+          view.setUint32(centralOffset + 16, entry.crc, true);
+          view.setUint32(centralOffset + 20, entry.data.length, true);
+          view.setUint32(centralOffset + 24, entry.data.length, true);
+          view.setUint16(centralOffset + 28, entry.name.length, true);
+          view.setUint32(centralOffset + 42, offset, true);
+          bytes.set(entry.name, centralOffset + 46);
+          offset += 30 + entry.name.length + entry.data.length;
+          centralOffset += 46 + entry.name.length;
+        });
+        view.setUint32(centralOffset, 101010256, true);
+        view.setUint16(centralOffset + 8, entries.length, true);
+        view.setUint16(centralOffset + 10, entries.length, true);
+        view.setUint32(centralOffset + 12, centralSize, true);
+        view.setUint32(centralOffset + 16, localSize, true);
+        return bytes;
+      }
+      var CVD_MATRICES = {
+        protan: [
+          [0.152286, 1.052583, -0.204868],
+          [0.114503, 0.786281, 0.099216],
+          [-3882e-6, -0.048116, 1.051998]
+        ],
+        deutan: [
+          [0.367322, 0.860646, -0.227968],
+          [0.280085, 0.672501, 0.047413],
+          [-0.01182, 0.04294, 0.968881]
+        ],
+        tritan: [
+          [1.255528, -0.076749, -0.178779],
+          [-0.078411, 0.930809, 0.147602],
+          [4733e-6, 0.691367, 0.3039]
+        ],
+        achroma: [
+          [0.2126729, 0.7151522, 0.072175],
+          [0.2126729, 0.7151522, 0.072175],
+          [0.2126729, 0.7151522, 0.072175]
+        ]
+      };
+      var DEFAULT_CVD_SEVERITY2 = 0.6;
+      var CVD_TYPES2 = {
+        protanopia: { deficiency: "protan", anomalous: false },
+        protanomaly: { deficiency: "protan", anomalous: true },
+        deuteranopia: { deficiency: "deutan", anomalous: false },
+        deuteranomaly: { deficiency: "deutan", anomalous: true },
+        tritanopia: { deficiency: "tritan", anomalous: false },
+        tritanomaly: { deficiency: "tritan", anomalous: true },
+        achromatopsia: { deficiency: "achroma", anomalous: false },
+        achromatomaly: { deficiency: "achroma", anomalous: true }
+      };
+      function normalizeCVDSeverity(severity) {
+        const value = Number(severity);
+        return Number.isFinite(value) ? clampUnit(value) : DEFAULT_CVD_SEVERITY2;
+      }
+      function getCVDMatrix(type, severity = DEFAULT_CVD_SEVERITY2) {
+        const definition = CVD_TYPES2[type];
+        if (!definition) return null;
+        const full = CVD_MATRICES[definition.deficiency];
+        const amount = definition.anomalous ? normalizeCVDSeverity(severity) : 1;
+        return full.map(
+          (row, i) => row.map((value, j) => (i === j ? 1 : 0) * (1 - amount) + value * amount)
+        );
+      }
+      function getCVDFilterValues2(type, severity = DEFAULT_CVD_SEVERITY2) {
+        const matrix = getCVDMatrix(type, severity);
+        if (!matrix) return "1 0 0 0 0  0 1 0 0 0  0 0 1 0 0  0 0 0 1 0";
+        return [
+          ...matrix.map(
+            (row) => [...row.map((value) => Number(value.toFixed(6))), 0, 0].join(" ")
+          ),
+          "0 0 0 1 0"
+        ].join("  ");
+      }
+      function simulateCVD(hex, type, severity = DEFAULT_CVD_SEVERITY2) {
+        const matrix = getCVDMatrix(type, severity);
+        if (!matrix) return hex;
+        const rgb = hexToRgb2(hex);
+        if (!rgb) return hex;
+        const linear = [rgb.r, rgb.g, rgb.b].map(srgbChannelToLinear);
+        const [r, g, b] = multiplyMatrix3(matrix, linear).map(
+          (value) => linearChannelToSrgb(clampUnit(value))
+        );
+        return colorToHex2({ r, g, b, alpha: 1 });
+      }
+      function formatCVDType(type) {
+        return type.charAt(0).toUpperCase() + type.slice(1);
+      }
+      var CVD_CONFUSION_THRESHOLDS = { 76: 12, 94: 10, 2e3: 10, ok: 0.1 };
+      var CVD_CONFUSION_SEVERITIES = [
+        { key: "critical", maxShare: 1 / 3 },
+        { key: "serious", maxShare: 2 / 3 },
+        { key: "moderate", maxShare: 1 }
+      ];
+      function getCVDConfusionSeverity(simulatedDelta, threshold) {
+        const share = simulatedDelta / threshold;
+        const match = CVD_CONFUSION_SEVERITIES.find(
+          ({ maxShare }) => share < maxShare
+        );
+        return match ? match.key : null;
+      }
+      function suggestDistinguishableColor(hexToChange, otherHex, type, options) {
+        const { threshold, method, cvdSeverity } = options;
+        const simulatedOther = simulateCVD(otherHex, type, cvdSeverity);
+        return findClosestPassingColor(
+          hexToChange,
+          (candidate) => getColorDifference(candidate, otherHex, method) >= threshold && getColorDifference(
+            simulateCVD(candidate, type, cvdSeverity),
+            simulatedOther,
+            method
+          ) >= threshold
+        );
+      }
+      function getCVDConfusionSuggestion(finding, options) {
+        const candidates = [
+          {
+            color: "a",
+            from: finding.a,
+            to: suggestDistinguishableColor(
+              finding.a,
+              finding.b,
+              finding.type,
+              options
+            )
+          },
+          {
+            color: "b",
+            from: finding.b,
+            to: suggestDistinguishableColor(
+              finding.b,
+              finding.a,
+              finding.type,
+              options
+            )
+          }
+        ].filter((candidate) => candidate.to).map((candidate) => ({
+          ...candidate,
+          delta: getDeltaE2000(candidate.from, candidate.to)
+        }));
+        if (!candidates.length) return null;
+        return candidates.reduce(
+          (best, candidate) => candidate.delta < best.delta ? candidate : best
+        );
+      }
+      function findConfusableColors(colors, options = {}) {
+        const method = DELTA_E_METHODS[String(options.method ?? "2000").toLowerCase()] ? String(options.method ?? "2000").toLowerCase() : "2000";
+        const threshold = Number(options.threshold) > 0 ? Number(options.threshold) : CVD_CONFUSION_THRESHOLDS[method];
+        const types = (options.types || Object.keys(CVD_TYPES2)).filter(
+          (type) => CVD_TYPES2[type]
+        );
+        const cvdSeverity = normalizeCVDSeverity(options.cvdSeverity);
+        const settings = { threshold, method, cvdSeverity };
+        const hexes = [];
+        (colors || []).forEach((color, index) => {
+          const rgb = hexToRgb2(color);
+          if (!rgb) return;
+          const hex = colorToHex2({ ...rgb, alpha: 1 });
+          if (hexes.some((entry) => entry.hex === hex)) return;
+          hexes.push({ hex, index });
+        });
+        const simulated = types.map(
+          (type) => hexes.map(({ hex }) => simulateCVD(hex, type, cvdSeverity))
+        );
+        const findings = [];
+        for (let i = 0; i < hexes.length; i += 1) {
+          for (let j = i + 1; j < hexes.length; j += 1) {
+            const normalDelta = getColorDifference(
+              hexes[i].hex,
+              hexes[j].hex,
+              method
+            );
+            if (normalDelta < threshold) continue;
+            types.forEach((type, t) => {
+              const simulatedDelta = getColorDifference(
+                simulated[t][i],
+                simulated[t][j],
+                method
+              );
+              const severity = getCVDConfusionSeverity(simulatedDelta, threshold);
+              if (!severity) return;
+              const finding = {
+                a: hexes[i].hex,
+                b: hexes[j].hex,
+                indexA: hexes[i].index,
+                indexB: hexes[j].index,
+                type,
+                normalDelta,
+                simulatedDelta,
+                simulatedA: simulated[t][i],
+                simulatedB: simulated[t][j],
+                severity
+              };
+              finding.suggestion = getCVDConfusionSuggestion(finding, settings);
+              findings.push(finding);
+            });
+          }
+        }
+        findings.sort((x, y) => x.simulatedDelta - y.simulatedDelta);
+        const counts = types.reduce((acc, type) => {
+          acc[type] = findings.filter((finding) => finding.type === type).length;
+          return acc;
+        }, {});
+        return { method, threshold, types, cvdSeverity, findings, counts };
+      }
+      var DATAVIZ_MIN_CONTRAST = 3;
+      var DATAVIZ_PALETTE_TYPES = ["categorical", "sequential", "diverging"];
+      var DATAVIZ_MIN_LIGHTNESS_STEP = OKLCH_GAMUT_JND;
+      var DATAVIZ_CVD_TYPES = Object.keys(CVD_TYPES2).filter(
+        (type) => CVD_TYPES2[type].deficiency !== "achroma"
+      );
+      function checkLightnessRun(values, indexes) {
+        const direction = Math.sign(values[values.length - 1] - values[0]) || 1;
+        const violations = [];
+        for (let i = 1; i < values.length; i += 1) {
+          const step = (values[i] - values[i - 1]) * direction;
+          if (step < DATAVIZ_MIN_LIGHTNESS_STEP) {
+            violations.push({ from: indexes[i - 1], to: indexes[i], step });
+          }
+        }
+        return { direction, violations };
+      }
+      function checkDataVizLightness(lightness, type) {
+        const indexes = lightness.map((_value, index) => index);
+        if (type === "sequential") {
+          const run = checkLightnessRun(lightness, indexes);
+          return {
+            monotonic: run.violations.length === 0,
+            direction: run.direction > 0 ? "ascending" : "descending",
+            violations: run.violations
+          };
+        }
+        const mid = Math.floor((lightness.length - 1) / 2);
+        const rightStart = lightness.length % 2 ? mid : mid + 1;
+        const left = checkLightnessRun(
+          lightness.slice(0, mid + 1),
+          indexes.slice(0, mid + 1)
+        );
+        const right = checkLightnessRun(
+          lightness.slice(rightStart).reverse(),
+          indexes.slice(rightStart).reverse()
+        );
+        const violations = [...left.violations, ...right.violations];
+        const symmetric = left.direction === right.direction;
+        return {
+          monotonic: symmetric && violations.length === 0,
+          direction: left.direction > 0 ? "light-midpoint" : "dark-midpoint",
+          symmetric,
+          violations
+        };
+      }
+      function analyzeDataVizPalette(colors, options = {}) {
+        const type = DATAVIZ_PALETTE_TYPES.includes(options.type) ? options.type : "categorical";
+        const backgroundRgb = hexToRgb2(options.background || "#ffffff");
+        if (!backgroundRgb) return null;
+        const background = colorToHex2({ ...backgroundRgb, alpha: 1 });
+        const series = (colors || []).map((color, index) => {
+          const rgb = hexToRgb2(color);
+          if (!rgb) return null;
+          const hex = colorToHex2({ ...rgb, alpha: 1 });
+          const ratio = getContrastRatio2(hex, background);
+          return {
+            index,
+            hex,
+            ratio,
+            passes: ratio >= DATAVIZ_MIN_CONTRAST,
+            lightness: srgbToOklch(rgb).l
+          };
+        }).filter(Boolean);
+        const report = findConfusableColors(
+          series.map((entry) => entry.hex),
+          { ...options, types: options.types || DATAVIZ_CVD_TYPES }
+        );
+        const { method, threshold, types } = report;
+        const pairs = [];
+        for (let i = 0; i < series.length; i += 1) {
+          for (let j = i + 1; j < series.length; j += 1) {
+            const normalDelta = getColorDifference(
+              series[i].hex,
+              series[j].hex,
+              method
+            );
+            let worstDelta = normalDelta;
+            let worstType = null;
+            types.forEach((cvdType) => {
+              const delta = getColorDifference(
+                simulateCVD(series[i].hex, cvdType, options.cvdSeverity),
+                simulateCVD(series[j].hex, cvdType, options.cvdSeverity),
+                method
+              );
+              if (delta < worstDelta) {
+                worstDelta = delta;
+                worstType = cvdType;
+              }
+            });
+            pairs.push({
+              a: series[i].hex,
+              b: series[j].hex,
+              indexA: series[i].index,
+              indexB: series[j].index,
+              normalDelta,
+              worstDelta,
+              worstType,
+              passes: worstDelta >= threshold
+            });
+          }
+        }
+        const minimum = pairs.reduce(
+          (worst, pair) => !worst || pair.worstDelta < worst.worstDelta ? pair : worst,
+          null
+        );
+        const lightness = type === "categorical" || series.length < 2 ? null : checkDataVizLightness(
+          series.map((entry) => entry.lightness),
+          type
+        );
+        const contrastPasses = series.every((entry) => entry.passes);
+        const distinguishabilityPasses = pairs.every((pair) => pair.passes);
+        return {
+          type,
+          background,
+          minContrast: DATAVIZ_MIN_CONTRAST,
+          series,
+          contrast: { passes: contrastPasses },
+          distinguishability: {
+            method,
+            threshold,
+            types,
+            pairs,
+            minimum,
+            confusions: report.findings,
+            passes: distinguishabilityPasses
+          },
+          lightness,
+          passes: contrastPasses && distinguishabilityPasses && (!lightness || lightness.monotonic)
+        };
+      }
+      function buildCombinationsData(colors, settings) {
+        const uniqueColors = [...new Set(Array.isArray(colors) ? colors : [])];
+        const combinations = [];
+        const standard = getSettingsStandard(settings);
+        const cvdMode = settings?.cvdMode || "none";
+        const cvdSeverity = settings?.cvdSeverity;
+        for (let i = 0; i < uniqueColors.length; i += 1) {
+          for (let j = 0; j < uniqueColors.length; j += 1) {
+            if (i === j) continue;
+            const textHex = uniqueColors[i];
+            const bgHex = uniqueColors[j];
+            const simText = simulateCVD(textHex, cvdMode, cvdSeverity);
+            const simBg = simulateCVD(bgHex, cvdMode, cvdSeverity);
+            const wcagRatio = getContrastRatio2(simText, simBg);
+            const wcagLevel = getContextualComplianceLevel(
+              wcagRatio,
+              16,
+              400,
+              standard
+            );
+            const apcaScore = calcAPCA(simText, simBg);
+            const apcaLevel = getAPCAComplianceLevel(apcaScore, 16, 400);
+            combinations.push({
+              textHex,
+              bgHex,
+              wcagRatio,
+              wcagLevel,
+              apcaScore,
+              apcaLevel
+            });
+          }
+        }
+        return sortCombinations(combinations, standard);
+      }
+      function sortCombinations(combinations, standard) {
+        return combinations.sort((a, b) => {
+          if (standard.metric === "apca") {
+            const levelDelta2 = getLevelRank(a.apcaLevel) - getLevelRank(b.apcaLevel);
+            if (levelDelta2 !== 0) return levelDelta2;
+            return Math.abs(a.apcaScore) - Math.abs(b.apcaScore);
+          }
+          const levelDelta = getLevelRank(a.wcagLevel) - getLevelRank(b.wcagLevel);
+          if (levelDelta !== 0) return levelDelta;
+          return a.wcagRatio - b.wcagRatio;
+        });
+      }
+      function buildContrastHeatmap(colors) {
+        const rgbs = (Array.isArray(colors) ? colors : []).map(
+          (color) => hexToRgb2(typeof color === "string" ? color : color?.hex)
+        );
+        if (rgbs.some((rgb) => !rgb)) return null;
+        const size = rgbs.length;
+        const luminance = rgbs.map(getRgbLuminance);
+        const apcaY = rgbs.map(
+          ({ r, g, b }) => Math.pow(r, 2.4) * APCA_RCO + Math.pow(g, 2.4) * APCA_GCO + Math.pow(b, 2.4) * APCA_BCO
+        );
+        const ratios = new Float64Array(size * size);
+        const apcaScores = new Float64Array(size * size);
+        for (let row = 0; row < size; row += 1) {
+          for (let column = 0; column < size; column += 1) {
+            const index = row * size + column;
+            if (row === column) {
+              ratios[index] = NaN;
+              apcaScores[index] = NaN;
+              continue;
+            }
+            ratios[index] = getLuminanceContrast(luminance[row], luminance[column]);
+            apcaScores[index] = calcAPCAFromY(apcaY[row], apcaY[column]);
+          }
+        }
+        return {
+          size,
+          hexes: rgbs.map((rgb) => colorToHex2({ ...rgb, alpha: 1 })),
+          luminance,
+          ratios,
+          apcaScores
+        };
+      }
+      function getTokenFamily(name) {
+        const value = String(name ?? "").trim();
+        if (!value) return null;
+        const stepped = value.match(/^(.+?)[-_./\s]?\d+$/);
+        if (stepped && /[a-z]/i.test(stepped[1])) {
+          return stepped[1].replace(/[-_./\s]+$/, "");
+        }
+        const segment = value.match(/^(.+)[./]/) || value.match(/^(.+?)[-_\s]/);
+        return segment ? segment[1] : value;
+      }
+      var PAIRING_ROLES = [
+        "text",
+        "muted",
+        "surface",
+        "elevated",
+        "accent",
+        "border",
+        "focus"
+      ];
+      var NON_TEXT_PAIRING_ROLES = ["border", "focus"];
+      var DEFAULT_ROLE_PAIRINGS = [
+        { text: "text", background: "surface" },
+        { text: "text", background: "elevated" },
+        { text: "muted", background: "surface" },
+        { text: "muted", background: "elevated" },
+        { text: "accent", background: "surface" },
+        { text: "accent", background: "elevated" },
+        { text: "surface", background: "accent" },
+        { text: "border", background: "surface" },
+        { text: "border", background: "elevated" },
+        { text: "focus", background: "surface" },
+        { text: "focus", background: "elevated" },
+        { text: "focus", background: "accent" }
+      ];
+      function getRolePairingKind(pairing) {
+        if (pairing?.kind === "text" || pairing?.kind === "non-text") {
+          return pairing.kind;
+        }
+        return NON_TEXT_PAIRING_ROLES.includes(pairing?.text) ? "non-text" : "text";
+      }
+      function formatRoleLabel(role) {
+        return role.charAt(0).toUpperCase() + role.slice(1);
+      }
+      function evaluateRolePairings(roles, settings) {
+        const standard = getSettingsStandard(settings);
+        const fontSize = settings?.fontSize ?? 16;
+        const fontWeight = settings?.fontWeight ?? 400;
+        const cvdMode = settings?.cvdMode || "none";
+        const cvdSeverity = settings?.cvdSeverity;
+        const colorsByRole = {};
+        Object.entries(roles || {}).forEach(([role, value]) => {
+          const hexes = (Array.isArray(value) ? value : [value]).map(toCanonicalColor).filter((color) => color && color.alpha >= 1).map(colorToHex2);
+          if (hexes.length) colorsByRole[role] = [...new Set(hexes)];
+        });
+        const seen = /* @__PURE__ */ new Set();
+        const results = [];
+        (settings?.pairings || DEFAULT_ROLE_PAIRINGS).forEach((pairing) => {
+          const textRole = pairing?.text;
+          const backgroundRole = pairing?.background;
+          const key = `${textRole}|${backgroundRole}`;
+          if (textRole === backgroundRole || seen.has(key)) return;
+          if (!colorsByRole[textRole] || !colorsByRole[backgroundRole]) return;
+          seen.add(key);
+          const kind = getRolePairingKind(pairing);
+          const requirementPair = { type: kind, fontSize, fontWeight };
+          const requirement = getStandardRequirement(requirementPair, standard);
+          const targetRatio = requirement.metric === "wcag" ? requirement.target : getStandardRequirement(requirementPair, "WCAG21").target;
+          const targetLc = requirement.metric === "apca" ? requirement.target : getStandardRequirement(requirementPair, "APCA").target;
+          colorsByRole[textRole].forEach((textHex) => {
+            colorsByRole[backgroundRole].forEach((bgHex) => {
+              if (textHex === bgHex) return;
+              const simText = simulateCVD(textHex, cvdMode, cvdSeverity);
+              const simBg = simulateCVD(bgHex, cvdMode, cvdSeverity);
+              const wcagRatio = getContrastRatio2(simText, simBg);
+              const apcaScore = calcAPCA(simText, simBg);
+              const apcaConformance = getAPCAConformance(
+                apcaScore,
+                fontSize,
+                fontWeight
+              );
+              let wcagLevel;
+              let apcaLevel;
+              if (kind === "non-text") {
+                wcagLevel = wcagRatio >= 3 ? "AA Large" : "Fail";
+                apcaLevel = Math.abs(apcaScore) >= APCA_NON_TEXT_LC ? "AA Large" : "Fail";
+              } else {
+                wcagLevel = getContextualComplianceLevel(
+                  wcagRatio,
+                  fontSize,
+                  fontWeight,
+                  standard
+                );
+                apcaLevel = getAPCAComplianceLevel(apcaScore, fontSize, fontWeight);
+              }
+              results.push({
+                textHex,
+                bgHex,
+                textRole,
+                backgroundRole,
+                kind,
+                targetRatio,
+                targetLc,
+                wcagRatio,
+                wcagLevel,
+                apcaScore,
+                apcaLevel,
+                requirement,
+                passes: meetsStandardRequirement(requirement, {
+                  wcagRatio,
+                  apcaScore,
+                  apcaConformance
+                })
+              });
+            });
+          });
+        });
+        return sortCombinations(results, standard);
+      }
+      function shouldAnalyzePair(pair, settings) {
+        if (!pair || typeof pair !== "object") return false;
+        return getSettingsStandard(settings).issueTypes.includes(pair.type);
+      }
+      function getPairHaloContrast(pair, text, background, settings) {
+        if (pair.type !== "text") return null;
+        if (!pair.textShadow?.length && !pair.textStroke) return null;
+        const simulate = (layer) => ({
+          ...layer,
+          color: simulateCVD(layer.color, settings?.cvdMode, settings?.cvdSeverity)
+        });
+        return getHaloContrast(text, background, {
+          fontSize: pair.fontSize,
+          shadows: (pair.textShadow || []).map(simulate),
+          stroke: pair.textStroke && simulate(pair.textStroke)
+        });
+      }
+      function hasReadableHalo2(pair) {
+        return Boolean(getPairHaloContrast(pair, pair.textColor, pair.bgColor)?.halo);
+      }
+      function getPairWideGamutContrast(pair, settings) {
+        if (!pair.textColorWide && !pair.bgColorWide) return null;
+        if ((settings?.cvdMode || "none") !== "none") return null;
+        return getWideGamutContrast(
+          pair.textColorWide || pair.textColor,
+          pair.bgColorWide || pair.bgColor,
+          { fontSize: pair.fontSize, fontWeight: pair.fontWeight }
+        );
+      }
+      function buildIssuesData(pairs, settings) {
+        const cvdMode = settings?.cvdMode || "none";
+        const cvdSeverity = settings?.cvdSeverity;
+        const standard = getSettingsStandard(settings);
+        return (Array.isArray(pairs) ? pairs : []).filter((pair) => shouldAnalyzePair(pair, settings)).map((pair) => {
+          const simText = simulateCVD(pair.textColor, cvdMode, cvdSeverity);
+          const simBg = simulateCVD(pair.bgColor, cvdMode, cvdSeverity);
+          const halo = getPairHaloContrast(pair, simText, simBg, settings);
+          const wideGamut = halo ? null : getPairWideGamutContrast(pair, settings);
+          let wcagRatio = halo ? halo.wcagRatio : getContrastRatio2(simText, simBg);
+          let wcagLevel = getContextualComplianceLevel(
+            wcagRatio,
+            pair.fontSize,
+            pair.fontWeight,
+            standard
+          );
+          let apcaScore = halo ? halo.apcaScore : calcAPCA(simText, simBg);
+          const apcaConformance = getAPCAConformance(
+            apcaScore,
+            pair.fontSize,
+            pair.fontWeight
+          );
+          let apcaLevel = getAPCAComplianceLevel(
+            apcaScore,
+            pair.fontSize,
+            pair.fontWeight
+          );
+          if (pair.type === "target-size") {
+            wcagRatio = 0;
+            wcagLevel = "Fail";
+            apcaScore = 0;
+            apcaLevel = "Fail";
+          } else if (pair.type === "focus-indicator") {
+            wcagLevel = wcagRatio >= 3 ? "AA Large" : "Fail";
+            apcaLevel = Math.abs(apcaScore) >= APCA_NON_TEXT_LC ? "AA Large" : "Fail";
+          } else if (pair.type === "link-contrast") {
+            wcagLevel = wcagRatio >= 3 ? "AA Large" : "Fail";
+            apcaLevel = Math.abs(apcaScore) >= APCA_NON_TEXT_LC ? "AA Large" : "Fail";
+          }
+          const requirement = getStandardRequirement(pair, standard);
+          requirement.passes = pair.type !== "target-size" && meetsStandardRequirement(requirement, {
+            wcagRatio,
+            apcaScore,
+            apcaConformance
+          });
+          return {
+            ...pair,
+            wcagRatio,
+            wcagLevel,
+            apcaScore,
+            apcaLevel,
+            apcaConformance,
+            requirement,
+            ...halo?.halo && {
+              halo: {
+                ...halo.halo,
+                localBackground: halo.localBackground,
+                direct: halo.direct,
+                rescued: requirement.passes && !meetsStandardRequirement(requirement, {
+                  ...halo.direct,
+                  apcaConformance: getAPCAConformance(
+                    halo.direct.apcaScore,
+                    pair.fontSize,
+                    pair.fontWeight
+                  )
+                })
+              }
+            },
+            ...wideGamut?.wideGamut && {
+              wideGamut: {
+                gamut: wideGamut.gamut,
+                wcagRatio: wideGamut.wide.wcagRatio,
+                apcaScore: wideGamut.wide.apcaScore,
+                displayDependent: requirement.passes !== meetsStandardRequirement(requirement, {
+                  ...wideGamut.wide,
+                  apcaConformance: getAPCAConformance(
+                    wideGamut.wide.apcaScore,
+                    pair.fontSize,
+                    pair.fontWeight
+                  )
+                })
+              }
+            }
+          };
+        }).sort((a, b) => {
+          if (a.requirement.passes !== b.requirement.passes) {
+            return a.requirement.passes ? 1 : -1;
+          }
+          if (standard.metric === "apca") {
+            const levelDelta2 = getLevelRank(a.apcaLevel) - getLevelRank(b.apcaLevel);
+            if (levelDelta2 !== 0) return levelDelta2;
+            return Math.abs(a.apcaScore) - Math.abs(b.apcaScore);
+          }
+          const levelDelta = getLevelRank(a.wcagLevel) - getLevelRank(b.wcagLevel);
+          if (levelDelta !== 0) return levelDelta;
+          return a.wcagRatio - b.wcagRatio;
+        }).slice(0, 500);
+      }
+      if (typeof module !== "undefined" && module.exports) {
+        module.exports = {
+          APCA_BCO,
+          APCA_FONT_LOOKUP_TABLE,
+          APCA_FONT_WEIGHTS,
+          APCA_GCO,
+          APCA_NON_TEXT_LC,
+          APCA_NON_TEXT_ONLY,
+          APCA_PROHIBITED,
+          APCA_RCO,
+          CSS_NAMED_COLORS,
+          CVD_CONFUSION_THRESHOLDS,
+          CVD_MATRICES,
+          CVD_TYPES: CVD_TYPES2,
+          DATAVIZ_CVD_TYPES,
+          DATAVIZ_MIN_CONTRAST,
+          DATAVIZ_PALETTE_TYPES,
+          DEFAULT_CVD_SEVERITY: DEFAULT_CVD_SEVERITY2,
+          DEFAULT_ROLE_PAIRINGS,
+          ISSUE_TYPES,
+          NON_TEXT_PAIRING_ROLES,
+          PAIRING_ROLES,
+          PALETTE_COMPLIANCE_EXTENSION,
+          PALETTE_EXPORT_FORMATS,
+          PALETTE_FORMATS,
+          THEME_ROLES,
+          TONAL_SCALE_STEPS,
+          analyzeDataVizPalette,
+          buildCombinationsData,
+          buildContrastHeatmap,
+          buildIssuesData,
+          calcAPCA,
+          colorToHex: colorToHex2,
+          colorToLab,
+          colorToOklab,
+          compositeOver: compositeOver2,
+          createZipArchive,
+          defineStandard,
+          detectPaletteFormat,
+          escapeHtml,
+          evaluateRolePairings,
+          expandHex,
+          exportPalette,
+          findClosestColor,
+          findConfusableColors,
+          formatAPCAScore,
+          formatCVDType,
+          formatContrastRatio,
+          formatFixChange,
+          formatRequirementTarget,
+          formatRoleLabel,
+          gamutMapColor: gamutMapColor2,
+          gamutMapOklch,
+          generateDarkTheme,
+          generateTonalScale,
+          getAPCABronzeTarget,
+          getAPCAComplianceLevel,
+          getAPCAConformance,
+          getAPCAFontGuidance,
+          getAPCAFontSizeTable,
+          getAPCAMinimumFontSize,
+          getAPCAMinimumRequirements,
+          getAPCAPolarity,
+          getAPCARecommendationDetails,
+          getAPCATargetLc,
+          getAPCAUsageBand,
+          getCVDFilterValues: getCVDFilterValues2,
+          getCVDMatrix,
+          getColorDifference,
+          getColorGamut: getColorGamut2,
+          getComplianceLevel,
+          getCompositeContrast,
+          getContextualComplianceLevel,
+          getContrastRatio: getContrastRatio2,
+          getDeltaE2000,
+          getDeltaE76,
+          getDeltaE94,
+          getDeltaEOK,
+          getGradientContrast: getGradientContrast2,
+          getHaloContrast,
+          getImageContrastStats,
+          getLevelRank,
+          getPaletteCompliance,
+          getRelativeLuminance: getRelativeLuminance2,
+          getRolePairingKind,
+          getStandard,
+          getStandardRequirement,
+          getSuggestedFixes,
+          getTokenFamily,
+          getTwoSidedFixes,
+          getWideGamutContrast,
+          hasReadableHalo: hasReadableHalo2,
+          hexToHsl,
+          hexToRgb: hexToRgb2,
+          hslToHex,
+          isLargeText,
+          isTransparent: isTransparent2,
+          isValidHex,
+          listStandards,
+          meetsStandardRequirement,
+          normalizeFontWeight,
+          normalizeStandard,
+          parseAsePalette,
+          parseBackgroundImage: parseBackgroundImage2,
+          parseColor: parseColor3,
+          parseColorToHex: parseColorToHex2,
+          parseCssPalette,
+          parseDesignTokens,
+          parseGplPalette,
+          parseGradient,
+          parsePaletteFile,
+          parseProcreatePalette,
+          parseSketchPalette,
+          parseTailwindPalette,
+          parseTextShadow: parseTextShadow2,
+          registerStandard,
+          rgbStringToHex,
+          sampleGradient,
+          shouldAnalyzePair,
+          shouldIncludeIssueType,
+          simulateCVD,
+          solvePaletteConstraints,
+          srgbToOklch,
+          suggestAPCAPassingColor,
+          suggestPassingColor
+        };
+      }
+    }
+  });
+
   // content/color-utils.js
+  var import_contrast = __toESM(require_contrast());
   function rgbToHex(rgbStr) {
-    const match = rgbStr.match(
-      /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*[\d.]+)?\s*\)/
-    );
-    if (!match) return null;
-    const r = parseInt(match[1], 10);
-    const g = parseInt(match[2], 10);
-    const b = parseInt(match[3], 10);
-    if (r > 255 || g > 255 || b > 255) return null;
-    return "#" + r.toString(16).padStart(2, "0") + g.toString(16).padStart(2, "0") + b.toString(16).padStart(2, "0");
+    return (0, import_contrast.parseColorToHex)(rgbStr);
   }
   function isTransparent(rgbStr) {
     if (!rgbStr || rgbStr === "transparent") return true;
-    const match = rgbStr.match(
-      /rgba\(\s*\d+\s*,\s*\d+\s*,\s*\d+\s*,\s*([\d.]+)\s*\)/
-    );
-    return match !== null && parseFloat(match[1]) === 0;
+    const color = (0, import_contrast.parseColor)(rgbStr);
+    return color !== null && color.alpha === 0;
   }
   function parseRGBA(str) {
     if (!str || str === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
-    const match = str.match(
-      /rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+))?\s*\)/
-    );
-    if (!match) return null;
+    const color = (0, import_contrast.gamutMapColor)((0, import_contrast.parseColor)(str));
+    if (!color) return null;
+    const toByte = (channel) => Math.round(channel * 255);
+    return {
+      r: toByte(color.r),
+      g: toByte(color.g),
+      b: toByte(color.b),
+      a: color.alpha
+    };
+  }
+  function toUnitColor(color) {
     return {
-      r: parseInt(match[1], 10),
-      g: parseInt(match[2], 10),
-      b: parseInt(match[3], 10),
-      a: match[4] !== void 0 ? parseFloat(match[4]) : 1
+      r: color.r / 255,
+      g: color.g / 255,
+      b: color.b / 255,
+      alpha: color.a
     };
   }
   function compositeOver(fg, bg) {
-    const a = fg.a + bg.a * (1 - fg.a);
-    if (a === 0) return { r: 255, g: 255, b: 255, a: 1 };
+    const result = (0, import_contrast.compositeOver)(toUnitColor(fg), toUnitColor(bg));
+    if (!result || result.alpha === 0) return { r: 255, g: 255, b: 255, a: 1 };
     return {
-      r: Math.round((fg.r * fg.a + bg.r * bg.a * (1 - fg.a)) / a),
-      g: Math.round((fg.g * fg.a + bg.g * bg.a * (1 - fg.a)) / a),
-      b: Math.round((fg.b * fg.a + bg.b * bg.a * (1 - fg.a)) / a),
-      a
+      r: Math.round(result.r * 255),
+      g: Math.round(result.g * 255),
+      b: Math.round(result.b * 255),
+      a: result.alpha
     };
   }
   function componentsToHex(color) {
-    return "#" + color.r.toString(16).padStart(2, "0") + color.g.toString(16).padStart(2, "0") + color.b.toString(16).padStart(2, "0");
+    const toHex = (channel) => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, "0");
+    return "#" + toHex(color.r) + toHex(color.g) + toHex(color.b);
   }
   function hexToRgb(hex) {
     const match = /^#([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -68,6 +4671,7 @@
   }
 
   // content/dom-utils.js
+  var import_contrast2 = __toESM(require_contrast());
   function isChromaCheckOwnedNode(node) {
     if (!node) return false;
     if (node.nodeType === Node.TEXT_NODE) {
@@ -148,6 +4752,111 @@
     }
     return { text, background };
   }
+  function getTextBoundingBox(el) {
+    const range = document.createRange();
+    let box = null;
+    for (const node of el.childNodes) {
+      if (node.nodeType !== Node.TEXT_NODE || !node.textContent.trim()) continue;
+      range.selectNodeContents(node);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) continue;
+      box = box ? {
+        left: Math.min(box.left, rect.left),
+        top: Math.min(box.top, rect.top),
+        right: Math.max(box.right, rect.right),
+        bottom: Math.max(box.bottom, rect.bottom)
+      } : { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom };
+    }
+    return box || el.getBoundingClientRect();
+  }
+  function getGradientBackground(el, textRGBA) {
+    const overlays = [];
+    let current = el;
+    while (current) {
+      const style = window.getComputedStyle(current);
+      const layers = (0, import_contrast2.parseBackgroundImage)(style.backgroundImage);
+      if (layers.length) {
+        const backdrop = getBackdropsForChain(buildRenderChain(current))[0];
+        const ownerBox = current.getBoundingClientRect();
+        const textBox = getTextBoundingBox(el);
+        const clampX = (x) => Math.max(0, Math.min(ownerBox.width, x - ownerBox.left));
+        const clampY = (y) => Math.max(0, Math.min(ownerBox.height, y - ownerBox.top));
+        const left = clampX(textBox.left);
+        const top = clampY(textBox.top);
+        const result = (0, import_contrast2.getGradientContrast)(
+          toUnitColor(textRGBA),
+          [...overlays, ...layers],
+          {
+            width: ownerBox.width,
+            height: ownerBox.height,
+            region: {
+              x: left,
+              y: top,
+              width: clampX(textBox.right) - left,
+              height: clampY(textBox.bottom) - top
+            },
+            backdrop: toUnitColor(backdrop)
+          }
+        );
+        if (!result) return null;
+        return {
+          text: result.text,
+          background: result.background,
+          summary: {
+            css: style.backgroundImage,
+            averageColor: result.average.background,
+            bestColor: result.range.bestBackground,
+            wcagRatio: {
+              min: result.range.wcagRatio.min,
+              average: result.average.wcagRatio,
+              max: result.range.wcagRatio.max
+            },
+            apcaScore: {
+              weakest: result.range.apcaScore.weakest,
+              average: result.average.apcaScore,
+              strongest: result.range.apcaScore.strongest
+            }
+          }
+        };
+      }
+      const background = parseRGBA(style.backgroundColor);
+      if (background && background.a >= 1) return null;
+      if (background && background.a > 0) overlays.push(toUnitColor(background));
+      current = current.parentElement;
+    }
+    return null;
+  }
+  function getTextHalo(style) {
+    const toLayer = (color) => ({ color: (0, import_contrast2.colorToHex)(color), alpha: color.alpha });
+    const textShadow = ((0, import_contrast2.parseTextShadow)(style.textShadow, style.color) || []).filter((shadow) => shadow.color.alpha > 0).map((shadow) => ({ ...shadow, ...toLayer(shadow.color) }));
+    const strokeWidth = parseFloat(style.webkitTextStrokeWidth) || 0;
+    const strokeColor = strokeWidth > 0 ? (0, import_contrast2.parseColor)(style.webkitTextStrokeColor || style.color) : null;
+    const textStroke = strokeColor && strokeColor.alpha > 0 ? { ...toLayer(strokeColor), width: strokeWidth } : null;
+    if (!textShadow.length && !textStroke) return null;
+    return { textShadow, textStroke };
+  }
+  function getWideGamutColors(el, style) {
+    const text = (0, import_contrast2.parseColor)(style.color);
+    if (!text || text.alpha < 1) return null;
+    let background = null;
+    let current = el;
+    while (current) {
+      const currentStyle = current === el ? style : window.getComputedStyle(current);
+      if (parseFloat(currentStyle.opacity) < 1) return null;
+      if (!background) {
+        const color = (0, import_contrast2.parseColor)(currentStyle.backgroundColor);
+        if (color && color.alpha > 0 && color.alpha < 1) return null;
+        if (color && color.alpha >= 1) background = currentStyle.backgroundColor;
+      }
+      current = current.parentElement;
+    }
+    const wide = {};
+    if ((0, import_contrast2.getColorGamut)(text) !== "srgb") wide.textColorWide = style.color;
+    if (background && (0, import_contrast2.getColorGamut)(background) !== "srgb") {
+      wide.bgColorWide = background;
+    }
+    return Object.keys(wide).length ? wide : null;
+  }
   function getMinimalSelector(el) {
     if (el.id) return "#" + CSS.escape(el.id);
     const parts = [];
@@ -205,10 +4914,12 @@
   }
 
   // content/extraction.js
+  var import_contrast3 = __toESM(require_contrast());
   var PICKER_STATE_KEY = "chromacheckPickerState";
   var TRACKED_ID_ATTR = "data-chromacheck-id";
   var TRACKED_PLACEHOLDER_ID_ATTR = "data-chromacheck-ph-id";
   var PREVIEW_TARGET_ATTR = "data-chromacheck-preview-target";
+  var DEFAULT_PALETTE_LIMIT = 20;
   var trackedElements = /* @__PURE__ */ new Map();
   function clearTrackedAttributes() {
     trackedElements.clear();
@@ -237,7 +4948,8 @@
     trackedElements.delete(id);
     return null;
   }
-  function extractColors() {
+  function extractColors(limit = DEFAULT_PALETTE_LIMIT) {
+    const maxColors = Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_PALETTE_LIMIT;
     const colorCounts = /* @__PURE__ */ new Map();
     const elements = document.querySelectorAll("html, body, body *");
     for (const el of elements) {
@@ -261,7 +4973,7 @@
         }
       }
     }
-    const sorted = [...colorCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 20).map(([hex, count]) => ({ hex, count }));
+    const sorted = [...colorCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, maxColors).map(([hex, count]) => ({ hex, count }));
     return sorted;
   }
   var tokenCache = null;
@@ -347,10 +5059,14 @@
       const style = window.getComputedStyle(el);
       const textRGBA = parseRGBA(style.color);
       if (textRGBA && textRGBA.a > 0) {
-        const renderedPair = getRenderedPair(el, textRGBA);
-        const textColor = componentsToHex(renderedPair.text);
-        const bgColor = componentsToHex(renderedPair.background);
-        if (textColor !== bgColor) {
+        const gradient = getGradientBackground(el, textRGBA);
+        const renderedPair = gradient ? null : getRenderedPair(el, textRGBA);
+        const textColor = gradient ? gradient.text : componentsToHex(renderedPair.text);
+        const bgColor = gradient ? gradient.background : componentsToHex(renderedPair.background);
+        const halo = getTextHalo(style);
+        const wideGamut = gradient ? null : getWideGamutColors(el, style);
+        const haloPair = { type: "text", textColor, bgColor, fontSize: style.fontSize, ...halo };
+        if (textColor !== bgColor || halo && (0, import_contrast3.hasReadableHalo)(haloPair)) {
           const id = String(idCounter++);
           trackElement(id, el);
           pairs.push({
@@ -365,7 +5081,10 @@
             tagName: el.tagName.toLowerCase(),
             fontSize: style.fontSize,
             fontWeight: style.fontWeight,
-            type: "text"
+            type: "text",
+            ...gradient && { backgroundGradient: gradient.summary },
+            ...halo,
+            ...wideGamut
           });
         }
       }
@@ -635,6 +5354,7 @@
   }
 
   // content/simulation.js
+  var import_contrast4 = __toESM(require_contrast());
   var activeHighlight = null;
   var highlightTimer = null;
   var previewFixState = null;
@@ -726,6 +5446,7 @@
   };
   var visionState = {
     cvdMode: "none",
+    cvdSeverity: import_contrast4.DEFAULT_CVD_SEVERITY,
     lowVisionMode: "none",
     splitView: false,
     divider: 0.5
@@ -1023,6 +5744,10 @@
     if (typeof nextState.cvdMode === "string") {
       visionState.cvdMode = nextState.cvdMode;
     }
+    if (typeof nextState.cvdSeverity === "number" && nextState.cvdSeverity !== visionState.cvdSeverity) {
+      visionState.cvdSeverity = nextState.cvdSeverity;
+      syncColorBlindnessFilters();
+    }
     if (typeof nextState.lowVisionMode === "string") {
       visionState.lowVisionMode = nextState.lowVisionMode;
     }
@@ -1057,33 +5782,15 @@
       bindSimulationShortcut();
       return;
     }
+    const filters = Object.keys(import_contrast4.CVD_TYPES).map(
+      (type) => `
+        <filter id="chromacheck-${type}" color-interpolation-filters="linearRGB">
+          <feColorMatrix type="matrix" values="${(0, import_contrast4.getCVDFilterValues)(type, visionState.cvdSeverity)}" />
+        </filter>`
+    ).join("");
     const svgStr = `
     <svg xmlns="http://www.w3.org/2000/svg" style="display:none;" id="chromacheck-color-blind-filters">
-      <defs>
-        <filter id="chromacheck-protanopia">
-          <feColorMatrix type="matrix" values="0.567 0.433 0 0 0  0.558 0.442 0 0 0  0 0.242 0.758 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-protanomaly">
-          <feColorMatrix type="matrix" values="0.817 0.183 0 0 0  0.333 0.667 0 0 0  0 0.125 0.875 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-deuteranopia">
-          <feColorMatrix type="matrix" values="0.625 0.375 0 0 0  0.7 0.3 0 0 0  0 0.3 0.7 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-deuteranomaly">
-          <feColorMatrix type="matrix" values="0.8 0.2 0 0 0  0.258 0.742 0 0 0  0 0.142 0.858 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-tritanopia">
-          <feColorMatrix type="matrix" values="0.95 0.05 0 0 0  0 0.433 0.567 0 0  0 0.475 0.525 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-tritanomaly">
-          <feColorMatrix type="matrix" values="0.967 0.033 0 0 0  0 0.733 0.267 0 0  0 0.183 0.817 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-achromatopsia">
-          <feColorMatrix type="matrix" values="0.299 0.587 0.114 0 0  0.299 0.587 0.114 0 0  0.299 0.587 0.114 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-achromatomaly">
-          <feColorMatrix type="matrix" values="0.618 0.320 0.062 0 0  0.163 0.775 0.062 0 0  0.163 0.320 0.516 0 0  0 0 0 1 0" />
-        </filter>
+      <defs>${filters}
       </defs>
     </svg>
   `;
@@ -1092,6 +5799,17 @@
     document.body.appendChild(div.firstElementChild);
     bindSimulationShortcut();
   }
+  function syncColorBlindnessFilters() {
+    const svg = document.getElementById("chromacheck-color-blind-filters");
+    if (!svg) return;
+    Object.keys(import_contrast4.CVD_TYPES).forEach((type) => {
+      const matrix = svg.querySelector(`#chromacheck-${type} feColorMatrix`);
+      matrix?.setAttribute(
+        "values",
+        (0, import_contrast4.getCVDFilterValues)(type, visionState.cvdSeverity)
+      );
+    });
+  }
 
   // content/focus-audit.js
   function parseShadowColor(boxShadow) {
@@ -1540,7 +6258,7 @@
     }
     if (message.action === "extractColors") {
       try {
-        sendResponse({ colors: extractColors() });
+        sendResponse({ colors: extractColors(message.limit) });
       } catch (error) {
         sendResponse({
           colors: [],
@@ -1580,6 +6298,7 @@
       setVisionState(
         {
           cvdMode: message.cvdMode,
+          cvdSeverity: message.cvdSeverity,
           lowVisionMode: message.lowVisionMode,
           splitView: message.splitView
         },
@@ -1,4 +1,5 @@
-import { parseRGBA, compositeOver } from './color-utils.js';
+import { parseRGBA, compositeOver, toUnitColor } from './color-utils.js';
+import { colorToHex, getColorGamut, getGradientContrast, parseBackgroundImage, parseColor, parseTextShadow } from '../shared/contrast.js';
 
 export function isChromaCheckOwnedNode(node) {
   if (!node) return false;
@@ -98,6 +99,144 @@ export function getRenderedPair(el, textRGBA) {
 
   return { text, background };
 }
+// Bounding box of the element's own text nodes, falling back to the element.
+export function getTextBoundingBox(el) {
+  const range = document.createRange();
+  let box = null;
+
+  for (const node of el.childNodes) {
+    if (node.nodeType !== Node.TEXT_NODE || !node.textContent.trim()) continue;
+    range.selectNodeContents(node);
+    const rect = range.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) continue;
+    box = box
+      ? {
+          left: Math.min(box.left, rect.left),
+          top: Math.min(box.top, rect.top),
+          right: Math.max(box.right, rect.right),
+          bottom: Math.max(box.bottom, rect.bottom),
+        }
+      : { left: rect.left, top: rect.top, right: rect.right, bottom: rect.bottom };
+  }
+
+  return box || el.getBoundingClientRect();
+}
+// Worst-case colors against the nearest gradient behind `el`, plus a summary
+// of the area the text covers, or null when an opaque background color hides
+// every gradient. Translucent backgrounds between the text and the gradient
+// are layered on top of it; the gradient owner's own background color and its
+// ancestors form the backdrop. Element opacity is not applied here.
+export function getGradientBackground(el, textRGBA) {
+  const overlays = [];
+  let current = el;
+
+  while (current) {
+    const style = window.getComputedStyle(current);
+    const layers = parseBackgroundImage(style.backgroundImage);
+
+    if (layers.length) {
+      const backdrop = getBackdropsForChain(buildRenderChain(current))[0];
+      const ownerBox = current.getBoundingClientRect();
+      const textBox = getTextBoundingBox(el);
+      const clampX = (x) => Math.max(0, Math.min(ownerBox.width, x - ownerBox.left));
+      const clampY = (y) => Math.max(0, Math.min(ownerBox.height, y - ownerBox.top));
+      const left = clampX(textBox.left);
+      const top = clampY(textBox.top);
+
+      const result = getGradientContrast(
+        toUnitColor(textRGBA),
+        [...overlays, ...layers],
+        {
+          width: ownerBox.width,
+          height: ownerBox.height,
+          region: {
+            x: left,
+            y: top,
+            width: clampX(textBox.right) - left,
+            height: clampY(textBox.bottom) - top,
+          },
+          backdrop: toUnitColor(backdrop),
+        },
+      );
+      if (!result) return null;
+
+      return {
+        text: result.text,
+        background: result.background,
+        summary: {
+          css: style.backgroundImage,
+          averageColor: result.average.background,
+          bestColor: result.range.bestBackground,
+          wcagRatio: {
+            min: result.range.wcagRatio.min,
+            average: result.average.wcagRatio,
+            max: result.range.wcagRatio.max,
+          },
+          apcaScore: {
+            weakest: result.range.apcaScore.weakest,
+            average: result.average.apcaScore,
+            strongest: result.range.apcaScore.strongest,
+          },
+        },
+      };
+    }
+
+    const background = parseRGBA(style.backgroundColor);
+    if (background && background.a >= 1) return null;
+    if (background && background.a > 0) overlays.push(toUnitColor(background));
+    current = current.parentElement;
+  }
+
+  return null;
+}
+
+// Serializable text-shadow layers and -webkit-text-stroke from a computed
+// style, with colors split into opaque hex plus alpha, or null when the text
+// has neither.
+export function getTextHalo(style) {
+  const toLayer = (color) => ({ color: colorToHex(color), alpha: color.alpha });
+  const textShadow = (parseTextShadow(style.textShadow, style.color) || [])
+    .filter((shadow) => shadow.color.alpha > 0)
+    .map((shadow) => ({ ...shadow, ...toLayer(shadow.color) }));
+
+  const strokeWidth = parseFloat(style.webkitTextStrokeWidth) || 0;
+  const strokeColor = strokeWidth > 0
+    ? parseColor(style.webkitTextStrokeColor || style.color)
+    : null;
+  const textStroke = strokeColor && strokeColor.alpha > 0
+    ? { ...toLayer(strokeColor), width: strokeWidth }
+    : null;
+
+  if (!textShadow.length && !textStroke) return null;
+  return { textShadow, textStroke };
+}
+// Authored text and background colors that lie outside sRGB, as computed
+// style strings, or null. Only pairs rendered without translucency or
+// opacity qualify, since their authored colors reach the screen unchanged.
+export function getWideGamutColors(el, style) {
+  const text = parseColor(style.color);
+  if (!text || text.alpha < 1) return null;
+
+  let background = null;
+  let current = el;
+  while (current) {
+    const currentStyle = current === el ? style : window.getComputedStyle(current);
+    if (parseFloat(currentStyle.opacity) < 1) return null;
+    if (!background) {
+      const color = parseColor(currentStyle.backgroundColor);
+      if (color && color.alpha > 0 && color.alpha < 1) return null;
+      if (color && color.alpha >= 1) background = currentStyle.backgroundColor;
+    }
+    current = current.parentElement;
+  }
+
+  const wide = {};
+  if (getColorGamut(text) !== "srgb") wide.textColorWide = style.color;
+  if (background && getColorGamut(background) !== "srgb") {
+    wide.bgColorWide = background;
+  }
+  return Object.keys(wide).length ? wide : null;
+}
 export function getMinimalSelector(el) {
   if (el.id) return "#" + CSS.escape(el.id);
 
@@ -1,10 +1,12 @@
-import { isChromaCheckOwnedNode, isVisible, isContentVisible, getRenderedPair, getMinimalSelector, queryAllDeep } from './dom-utils.js';
+import { isChromaCheckOwnedNode, isVisible, isContentVisible, getRenderedPair, getGradientBackground, getTextHalo, getWideGamutColors, getMinimalSelector, queryAllDeep } from './dom-utils.js';
 import { rgbToHex, isTransparent, parseRGBA, compositeOver, componentsToHex } from './color-utils.js';
+import { hasReadableHalo } from '../shared/contrast.js';
 
 export const PICKER_STATE_KEY = "chromacheckPickerState";
 export const TRACKED_ID_ATTR = "data-chromacheck-id";
 export const TRACKED_PLACEHOLDER_ID_ATTR = "data-chromacheck-ph-id";
 export const PREVIEW_TARGET_ATTR = "data-chromacheck-preview-target";
+export const DEFAULT_PALETTE_LIMIT = 20;
 export const trackedElements = new Map();
 export { rgbToHex, isTransparent, parseRGBA, compositeOver, componentsToHex };
 
@@ -39,7 +41,11 @@ export function resolveTrackedElement(id) {
   trackedElements.delete(id);
   return null;
 }
-export function extractColors() {
+// The `limit` most used colors; the side panel's Palette Size setting raises
+// it for design systems with more colors than the default.
+export function extractColors(limit = DEFAULT_PALETTE_LIMIT) {
+  const maxColors =
+    Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_PALETTE_LIMIT;
   const colorCounts = new Map();
 
   const elements = document.querySelectorAll("html, body, body *");
@@ -69,10 +75,10 @@ export function extractColors() {
     }
   }
 
-  // Sort by frequency (most used first), limit to top 20
+  // Sort by frequency (most used first) and keep the top maxColors
   const sorted = [...colorCounts.entries()]
     .sort((a, b) => b[1] - a[1])
-    .slice(0, 20)
+    .slice(0, maxColors)
     .map(([hex, count]) => ({ hex, count }));
 
   return sorted;
@@ -170,11 +176,22 @@ export function extractElementPairs() {
     const style = window.getComputedStyle(el);
     const textRGBA = parseRGBA(style.color);
     if (textRGBA && textRGBA.a > 0) {
-      const renderedPair = getRenderedPair(el, textRGBA);
-      const textColor = componentsToHex(renderedPair.text);
-      const bgColor = componentsToHex(renderedPair.background);
-
-      if (textColor !== bgColor) {
+      // Gradient backgrounds report the worst sample under the text box.
+      const gradient = getGradientBackground(el, textRGBA);
+      const renderedPair = gradient ? null : getRenderedPair(el, textRGBA);
+      const textColor = gradient
+        ? gradient.text
+        : componentsToHex(renderedPair.text);
+      const bgColor = gradient
+        ? gradient.background
+        : componentsToHex(renderedPair.background);
+      // Shadow and stroke halos are scored against the background downstream.
+      const halo = getTextHalo(style);
+      const wideGamut = gradient ? null : getWideGamutColors(el, style);
+
+      // Same-color text is only legible through a qualifying halo.
+      const haloPair = { type: "text", textColor, bgColor, fontSize: style.fontSize, ...halo };
+      if (textColor !== bgColor || (halo && hasReadableHalo(haloPair))) {
         const id = String(idCounter++);
         trackElement(id, el);
         pairs.push({
@@ -190,6 +207,9 @@ export function extractElementPairs() {
           fontSize: style.fontSize,
           fontWeight: style.fontWeight,
           type: "text",
+          ...(gradient && { backgroundGradient: gradient.summary }),
+          ...halo,
+          ...wideGamut,
         });
       }
     }
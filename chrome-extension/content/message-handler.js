@@ -30,7 +30,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   }
   if (message.action === "extractColors") {
     try {
-      sendResponse({ colors: extractColors() });
+      sendResponse({ colors: extractColors(message.limit) });
     } catch (error) {
       sendResponse({
         colors: [],
@@ -70,6 +70,7 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
     setVisionState(
       {
         cvdMode: message.cvdMode,
+        cvdSeverity: message.cvdSeverity,
         lowVisionMode: message.lowVisionMode,
         splitView: message.splitView,
       },
@@ -1,5 +1,6 @@
 import { getStyleHost } from './dom-utils.js';
 import { PREVIEW_TARGET_ATTR, resolveTrackedElement } from './extraction.js';
+import { CVD_TYPES, DEFAULT_CVD_SEVERITY, getCVDFilterValues } from '../shared/contrast.js';
 
 
 export let activeHighlight = null;
@@ -110,6 +111,7 @@ export const LOW_VISION_OPTIONS = {
 };
 export const visionState = {
   cvdMode: "none",
+  cvdSeverity: DEFAULT_CVD_SEVERITY,
   lowVisionMode: "none",
   splitView: false,
   divider: 0.5,
@@ -425,6 +427,13 @@ export function setVisionState(nextState = {}, shouldBroadcast = false) {
   if (typeof nextState.cvdMode === "string") {
     visionState.cvdMode = nextState.cvdMode;
   }
+  if (
+    typeof nextState.cvdSeverity === "number" &&
+    nextState.cvdSeverity !== visionState.cvdSeverity
+  ) {
+    visionState.cvdSeverity = nextState.cvdSeverity;
+    syncColorBlindnessFilters();
+  }
   if (typeof nextState.lowVisionMode === "string") {
     visionState.lowVisionMode = nextState.lowVisionMode;
   }
@@ -465,34 +474,19 @@ export function initColorBlindnessFilters() {
     return;
   }
 
-  // Using widely accepted LMS to RGB transformation matrices for accurate CVD simulation
+  // Filters come from the shared Machado model so the page preview matches the
+  // simulated contrast numbers. feColorMatrix runs in linearRGB by default.
+  const filters = Object.keys(CVD_TYPES)
+    .map(
+      (type) => `
+        <filter id="chromacheck-${type}" color-interpolation-filters="linearRGB">
+          <feColorMatrix type="matrix" values="${getCVDFilterValues(type, visionState.cvdSeverity)}" />
+        </filter>`,
+    )
+    .join("");
   const svgStr = `
     <svg xmlns="http://www.w3.org/2000/svg" style="display:none;" id="chromacheck-color-blind-filters">
-      <defs>
-        <filter id="chromacheck-protanopia">
-          <feColorMatrix type="matrix" values="0.567 0.433 0 0 0  0.558 0.442 0 0 0  0 0.242 0.758 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-protanomaly">
-          <feColorMatrix type="matrix" values="0.817 0.183 0 0 0  0.333 0.667 0 0 0  0 0.125 0.875 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-deuteranopia">
-          <feColorMatrix type="matrix" values="0.625 0.375 0 0 0  0.7 0.3 0 0 0  0 0.3 0.7 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-deuteranomaly">
-          <feColorMatrix type="matrix" values="0.8 0.2 0 0 0  0.258 0.742 0 0 0  0 0.142 0.858 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-tritanopia">
-          <feColorMatrix type="matrix" values="0.95 0.05 0 0 0  0 0.433 0.567 0 0  0 0.475 0.525 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-tritanomaly">
-          <feColorMatrix type="matrix" values="0.967 0.033 0 0 0  0 0.733 0.267 0 0  0 0.183 0.817 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-achromatopsia">
-          <feColorMatrix type="matrix" values="0.299 0.587 0.114 0 0  0.299 0.587 0.114 0 0  0.299 0.587 0.114 0 0  0 0 0 1 0" />
-        </filter>
-        <filter id="chromacheck-achromatomaly">
-          <feColorMatrix type="matrix" values="0.618 0.320 0.062 0 0  0.163 0.775 0.062 0 0  0.163 0.320 0.516 0 0  0 0 0 1 0" />
-        </filter>
+      <defs>${filters}
       </defs>
     </svg>
   `;
@@ -501,3 +495,15 @@ export function initColorBlindnessFilters() {
   document.body.appendChild(div.firstElementChild);
   bindSimulationShortcut();
 }
+export function syncColorBlindnessFilters() {
+  const svg = document.getElementById("chromacheck-color-blind-filters");
+  if (!svg) return;
+
+  Object.keys(CVD_TYPES).forEach((type) => {
+    const matrix = svg.querySelector(`#chromacheck-${type} feColorMatrix`);
+    matrix?.setAttribute(
+      "values",
+      getCVDFilterValues(type, visionState.cvdSeverity),
+    );
+  });
+}
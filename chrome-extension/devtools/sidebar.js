@@ -40,12 +40,6 @@ function getRenderedPair(fgRgb, bgRgb) {
   };
 }
 
-function escapeHtml(value) {
-  const div = document.createElement("div");
-  div.textContent = value == null ? "" : String(value);
-  return div.innerHTML;
-}
-
 function getStatusBadgeClass(level) {
   switch (level) {
     case "AAA":
@@ -3,6 +3,7 @@ import { state } from './state.js';
 import { pickerBtn } from './dom-elements.js';
 import { getActiveTab, getResponseError, sendToTab, sendToContent } from './messaging.js';
 import { writePickerState, saveAnalysisForCurrentPage } from './storage.js';
+import { getActiveStandard } from './utils.js';
 import { summarizeIssuesForStorage, summarizeIssueList, computeScanDiff, getCurrentAnalysisPairs, runAnalysisWorker, recomputeAnalysis } from './analysis.js';
 import { setAnalysis, render, refreshHistory, renderStatusBanner, clearStatusBanner, setExtractLoading, setPickerActive, renderPageContext } from './render.js';
 
@@ -25,6 +26,7 @@ export async function applyVisionSettings() {
   await sendToContent({
     action: "setVisionState",
     cvdMode: state.settings.cvdMode || "none",
+    cvdSeverity: state.settings.cvdSeverity,
     lowVisionMode: state.settings.lowVisionMode || "none",
     splitView: Boolean(state.settings.splitView),
   });
@@ -38,16 +40,23 @@ export async function handleExtract() {
   setExtractLoading(true);
   state.themeAudit = null;
   let hadUsableScanData = false;
-  if (state.settings.standard === "WCAG22") {
+  const auditsFocus = shouldIncludeIssueType(
+    "focus-indicator",
+    getActiveStandard(),
+  );
+  if (auditsFocus) {
     state.isFocusAuditing = true;
   }
   renderPageContext();
 
   try {
     const [colorResponse, pairsResponse, focusResponse] = await Promise.all([
-      sendToContent({ action: "extractColors" }),
+      sendToContent({
+        action: "extractColors",
+        limit: state.settings.paletteLimit,
+      }),
       sendToContent({ action: "extractElementPairs" }),
-      state.settings.standard === "WCAG22"
+      auditsFocus
         ? sendToContent({ action: "auditFocusIndicators" })
         : Promise.resolve({ pairs: [] }),
     ]);
@@ -158,7 +167,10 @@ export async function handleFocusAudit() {
       sendToContent({ action: "auditFocusIndicators" }),
       state.palette.length
         ? Promise.resolve(null)
-        : sendToContent({ action: "extractColors" }),
+        : sendToContent({
+            action: "extractColors",
+            limit: state.settings.paletteLimit,
+          }),
     ]);
     const responseError =
       getResponseError(response) || getResponseError(colorResponse);
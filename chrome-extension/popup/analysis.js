@@ -20,25 +20,24 @@ export function summarizeIssuesForStorage(issues) {
     bgColor: issue.bgColor,
     textColorToken: issue.textColorToken,
     bgColorToken: issue.bgColorToken,
+    requirement: issue.requirement,
   }));
 }
 export function summarizeIssueList(issues, settings = state.settings) {
+  const usesAPCA =
+    getStandard(settings.standard, settings.customStandards).metric === "apca";
   let fails = 0;
   let warnings = 0;
 
   issues.forEach((issue) => {
-    if (settings.standard === "APCA") {
-      if (issue.apcaLevel === "Fail") {
-        fails += 1;
-      } else if (issue.apcaLevel === "AA Large") {
-        warnings += 1;
-      }
-      return;
-    }
-
-    if (issue.wcagLevel === "Fail") {
+    const level = usesAPCA ? issue.apcaLevel : issue.wcagLevel;
+    // Saved scans predate requirements and fall back to the metric's level.
+    const failed = issue.requirement
+      ? !issue.requirement.passes
+      : level === "Fail";
+    if (failed) {
       fails += 1;
-    } else if (issue.wcagLevel === "AA Large") {
+    } else if (level === "AA Large") {
       warnings += 1;
     }
   });
@@ -150,6 +149,8 @@ export async function recomputeAnalysis({
   pairs = getCurrentAnalysisPairs(),
   preserveIssues = false,
 } = {}) {
+  state.confusions = null;
+
   if (!colors.length) {
     state.combinations = [];
     if (!pairs.length) {
@@ -5,6 +5,14 @@ export const PINNED_ITEMS_KEY = "chromacheckPinnedItems";
 export const MAX_SAVED_ANALYSES = 15;
 export const MAX_HISTORY_PER_PAGE = 10;
 export const DOMAIN_COMPARISON_LIMIT = 8;
+// Scans keep this many colors unless the Palette Size setting says otherwise.
+export const DEFAULT_PALETTE_LIMIT = 20;
+// Rows the contrast matrix adds per "Show more"; large palettes reach tens of
+// thousands of pairs.
+export const COMBINATION_PAGE_SIZE = 200;
+// Confusable-pair checks compare every pair under every deficiency, so they
+// run on the most used colors only.
+export const PAIRWISE_CHECK_LIMIT = 24;
 export const PICKER_PENDING_MESSAGE =
   "Inspect mode is live. Hover the page, then click any element and ChromaCheck will update here instantly.";
 export const UNSUPPORTED_PAGE_MESSAGE =
@@ -1,6 +1,8 @@
 export const extractBtn = document.getElementById("extract-btn");
 export const focusAuditBtn = document.getElementById("focus-audit-btn");
 export const themeAuditBtn = document.getElementById("theme-audit-btn");
+export const importPaletteBtn = document.getElementById("import-palette-btn");
+export const importPaletteInput = document.getElementById("import-palette-input");
 export const pickerBtn = document.getElementById("picker-btn");
 export const pageTitle = document.getElementById("page-title");
 export const pageUrl = document.getElementById("page-url");
@@ -18,6 +20,9 @@ export const metricPassDetail = document.getElementById("metric-pass-detail");
 export const paletteSection = document.getElementById("palette-section");
 export const paletteSwatches = document.getElementById("palette-swatches");
 export const colorCount = document.getElementById("color-count");
+export const paletteExportFormat = document.getElementById("palette-export-format");
+export const paletteExportCompliance = document.getElementById("palette-export-compliance");
+export const paletteExportBtn = document.getElementById("palette-export-btn");
 export const pickedSection = document.getElementById("picked-section");
 export const pickedResult = document.getElementById("picked-result");
 export const clearPickedBtn = document.getElementById("clear-picked");
@@ -25,6 +30,7 @@ export const resultsSection = document.getElementById("results-section");
 export const resultsCount = document.getElementById("results-count");
 export const combinationsGrid = document.getElementById("combinations-grid");
 export const filterLegend = document.getElementById("filter-legend");
+export const matrixViewSelect = document.getElementById("matrix-view-select");
 export const issuesSection = document.getElementById("issues-section");
 export const issuesList = document.getElementById("issues-list");
 export const issuesCount = document.getElementById("issues-count");
@@ -54,8 +60,13 @@ export const consoleWarningsToggle = document.getElementById(
   "console-warnings-toggle",
 );
 export const standardSelect = document.getElementById("standard-select");
+export const policyFileInput = document.getElementById("policy-file-input");
+export const policyRemoveBtn = document.getElementById("policy-remove-btn");
 export const cvdSelect = document.getElementById("color-blindness-select");
+export const cvdSeverityRange = document.getElementById("cvd-severity-range");
+export const cvdSeverityValue = document.getElementById("cvd-severity-value");
 export const lowVisionSelect = document.getElementById("low-vision-select");
+export const paletteLimitSelect = document.getElementById("palette-limit-select");
 export const splitViewToggle = document.getElementById("split-view-toggle");
 export const githubRepoUrlInput = document.getElementById("github-repo-url");
 export const exportBtn = document.getElementById("export-btn");
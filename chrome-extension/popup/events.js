@@ -1,12 +1,12 @@
-import { PICKER_STATE_KEY } from './constants.js';
+import { PICKER_STATE_KEY, COMBINATION_PAGE_SIZE, DEFAULT_PALETTE_LIMIT } from './constants.js';
 import { state } from './state.js';
-import { extractBtn, focusAuditBtn, themeAuditBtn, pickerBtn, statusBanner, paletteSwatches, clearPickedBtn, combinationsGrid, filterLegend, issuesFilterLegend, issuesList, batchCopyBtn, batchClearBtn, settingsBtn, closeSettingsBtn, settingsPopover, autoSyncToggle, consoleWarningsToggle, standardSelect, cvdSelect, lowVisionSelect, splitViewToggle, githubRepoUrlInput, exportBtn, historyList, pinnedList } from './dom-elements.js';
+import { extractBtn, focusAuditBtn, themeAuditBtn, importPaletteBtn, importPaletteInput, paletteExportFormat, paletteExportCompliance, paletteExportBtn, pickerBtn, statusBanner, paletteSwatches, clearPickedBtn, combinationsGrid, filterLegend, matrixViewSelect, issuesFilterLegend, issuesList, batchCopyBtn, batchClearBtn, settingsBtn, closeSettingsBtn, settingsPopover, autoSyncToggle, consoleWarningsToggle, standardSelect, policyFileInput, policyRemoveBtn, cvdSelect, cvdSeverityRange, cvdSeverityValue, lowVisionSelect, paletteLimitSelect, splitViewToggle, githubRepoUrlInput, exportBtn, historyList, pinnedList } from './dom-elements.js';
 import { sendToContent } from './messaging.js';
 import { loadSettings, saveSettings, clearPickerState, readAnalysisMap, loadPinnedItems } from './storage.js';
-import { getIssueStableKey, normalizeSavedScan, getIssueFixOptions, buildIssueGroups } from './utils.js';
+import { getIssueStableKey, normalizeSavedScan, getIssueFixOptions, buildIssueGroups, getActiveStandard } from './utils.js';
 import { getCurrentAnalysisPairs, recomputeAnalysis } from './analysis.js';
 import { setupRuntimeListeners, syncPickerStateFromStorage, syncWorkspaceFromActiveTab, toggleAutoSync } from './sync.js';
-import { setAnalysis, render, refreshHistory, togglePin, clearStatusBanner, setExtractLoading, setPickerActive, clearPickedView, getIssueSummary, renderIssues, filterCombinations } from './render.js';
+import { setAnalysis, render, refreshHistory, togglePin, renderStatusBanner, clearStatusBanner, setExtractLoading, setPickerActive, clearPickedView, getIssueSummary, renderIssues, filterCombinations, renderCombinations } from './render.js';
 import { applyVisionSettings, handleExtract, handleFocusAudit, handleThemeAudit, handlePicker } from './actions.js';
 import { copyToClipboard, copyPayloadToClipboard } from './clipboard.js';
 
@@ -26,6 +26,51 @@ pickerBtn.addEventListener("click", () => {
   void handlePicker();
 });
 
+importPaletteBtn.addEventListener("click", () => {
+  importPaletteInput.click();
+});
+
+importPaletteInput.addEventListener("change", async (e) => {
+  const [file] = e.target.files;
+  e.target.value = "";
+  if (!file) return;
+
+  let palette = null;
+  try {
+    palette = parsePaletteFile(await file.arrayBuffer(), {
+      fileName: file.name,
+    });
+  } catch {
+    palette = null;
+  }
+  const colors = (palette?.colors || []).filter(
+    (color, index, list) =>
+      list.findIndex((entry) => entry.hex === color.hex) === index,
+  );
+  if (colors.length < 2) {
+    renderStatusBanner(
+      `Could not read at least two distinct colors from ${file.name}.`,
+      "error",
+    );
+    return;
+  }
+
+  setAnalysis(
+    colors.map(({ hex, name }) => ({ hex, name, count: null })),
+    null,
+  );
+  await recomputeAnalysis({
+    colors: state.colors,
+    pairs: getCurrentAnalysisPairs(),
+    preserveIssues: !getCurrentAnalysisPairs().length,
+  });
+  render();
+  renderStatusBanner(
+    `Imported ${colors.length} colors from ${file.name}. Scan the page again to return to its palette.`,
+    "info",
+  );
+});
+
 clearPickedBtn.addEventListener("click", () => {
   clearPickedView();
   if (statusBanner.classList.contains("info")) {
@@ -35,20 +80,38 @@ clearPickedBtn.addEventListener("click", () => {
 });
 
 paletteSwatches.addEventListener("click", (e) => {
+  if (e.target.closest(".swatch-role")) return;
   const swatch = e.target.closest(".swatch");
   if (swatch && swatch.dataset.hex) {
     copyToClipboard(swatch.dataset.hex);
   }
 });
 
+// Roles are kept per hex, so they carry over to later scans of the same site.
+paletteSwatches.addEventListener("change", (e) => {
+  const select = e.target.closest(".swatch-role");
+  if (!select) return;
+  const colorRoles = { ...state.settings.colorRoles };
+  if (select.value) {
+    colorRoles[select.dataset.hex] = select.value;
+  } else {
+    delete colorRoles[select.dataset.hex];
+  }
+  state.settings.colorRoles = colorRoles;
+  void saveSettings();
+  if (state.matrixView === "roles") renderCombinations();
+});
+
 settingsBtn.addEventListener("click", () => {
   settingsPopover.style.display = "block";
   settingsPopover.setAttribute("aria-hidden", "false");
   autoSyncToggle.checked = state.settings.autoSync;
   consoleWarningsToggle.checked = state.settings.consoleWarnings || false;
-  standardSelect.value = state.settings.standard || "WCAG21";
+  syncStandardOptions();
   cvdSelect.value = state.settings.cvdMode || "none";
+  syncCvdSeverityControl();
   lowVisionSelect.value = state.settings.lowVisionMode || "none";
+  paletteLimitSelect.value = String(state.settings.paletteLimit || DEFAULT_PALETTE_LIMIT);
   splitViewToggle.checked = Boolean(state.settings.splitView);
   githubRepoUrlInput.value = state.settings.githubRepoUrl || "";
 });
@@ -86,6 +149,7 @@ exportBtn.addEventListener("click", () => {
       wcagLevel: issue.wcagLevel,
       apcaScore: issue.apcaScore,
       apcaLevel: issue.apcaLevel,
+      requirement: issue.requirement,
       textPreview: issue.textPreview,
     })),
     themeAudit: state.themeAudit,
@@ -103,6 +167,35 @@ exportBtn.addEventListener("click", () => {
   URL.revokeObjectURL(url);
 });
 
+// Single files download as themselves; iOS asset catalogs as a ZIP.
+paletteExportBtn.addEventListener("click", () => {
+  const result = exportPalette(
+    state.palette.map(({ hex, name }) => ({ hex, name })),
+    paletteExportFormat.value,
+    {
+      name: state.pageContext.domain || undefined,
+      compliance: paletteExportCompliance.checked,
+    },
+  );
+  if (!result) {
+    renderStatusBanner("No palette colors to export.", "error");
+    return;
+  }
+
+  const [file] = result.files;
+  const blob = result.files.length === 1
+    ? new Blob([file.content], { type: "text/plain" })
+    : new Blob([createZipArchive(result.files)], { type: "application/zip" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = result.files.length === 1
+    ? file.path.split("/").pop()
+    : `${file.path.split("/")[0]}.zip`;
+  a.click();
+  URL.revokeObjectURL(url);
+});
+
 autoSyncToggle.addEventListener("change", (e) => {
   toggleAutoSync(e.target.checked);
 });
@@ -112,14 +205,76 @@ consoleWarningsToggle.addEventListener("change", async (e) => {
   await saveSettings();
 });
 
-standardSelect.addEventListener("change", (e) => {
-  state.settings.standard = e.target.value;
+function syncStandardOptions() {
+  standardSelect
+    .querySelectorAll("option[data-custom]")
+    .forEach((option) => option.remove());
+  (state.settings.customStandards || []).forEach((definition) => {
+    const option = document.createElement("option");
+    option.value = definition.id;
+    option.textContent = `${definition.label} (custom)`;
+    option.dataset.custom = "true";
+    standardSelect.appendChild(option);
+  });
+  standardSelect.value = getActiveStandard().id;
+  policyRemoveBtn.hidden = !standardSelect.selectedOptions[0]?.dataset.custom;
+}
+
+function applyStandardChange(standardId) {
+  state.settings.standard = standardId;
+  syncStandardOptions();
   void saveSettings();
   void recomputeAnalysis({
     colors: state.colors,
     pairs: getCurrentAnalysisPairs(),
     preserveIssues: !getCurrentAnalysisPairs().length,
   }).then(() => render());
+}
+
+function showPolicyError(message) {
+  statusBanner.textContent = message;
+  statusBanner.className = "status-banner error";
+  statusBanner.style.display = "block";
+}
+
+standardSelect.addEventListener("change", (e) => {
+  applyStandardChange(e.target.value);
+});
+
+policyFileInput.addEventListener("change", async (e) => {
+  const [file] = e.target.files;
+  e.target.value = "";
+  if (!file) return;
+
+  let definition = null;
+  try {
+    definition = defineStandard(JSON.parse(await file.text()));
+  } catch {
+    definition = null;
+  }
+  if (!definition) {
+    showPolicyError(`Could not read a standard definition from ${file.name}.`);
+    return;
+  }
+  if (listStandards().some((standard) => standard.id === definition.id)) {
+    showPolicyError(`"${definition.id}" is a built-in standard id.`);
+    return;
+  }
+
+  state.settings.customStandards = [
+    ...(state.settings.customStandards || []).filter(
+      (entry) => entry.id !== definition.id,
+    ),
+    definition,
+  ];
+  applyStandardChange(definition.id);
+});
+
+policyRemoveBtn.addEventListener("click", () => {
+  state.settings.customStandards = (
+    state.settings.customStandards || []
+  ).filter((entry) => entry.id !== state.settings.standard);
+  applyStandardChange("WCAG21");
 });
 
 cvdSelect.addEventListener("change", (e) => {
@@ -134,6 +289,40 @@ cvdSelect.addEventListener("change", (e) => {
   }).then(() => render());
 });
 
+cvdSeverityRange.addEventListener("input", (e) => {
+  state.settings.cvdSeverity = Number(e.target.value) / 100;
+  syncCvdSeverityControl();
+  void applyVisionSettings();
+});
+
+cvdSeverityRange.addEventListener("change", () => {
+  void saveSettings();
+  // Confusable pairs cover every type, so they are redrawn whatever the
+  // selected simulation (getPaletteConfusions rebuilds a report made at
+  // another severity); the scores only move under an anomalous one.
+  if (!CVD_TYPES[state.settings.cvdMode]?.anomalous) {
+    render();
+    return;
+  }
+  void recomputeAnalysis({
+    colors: state.colors,
+    pairs: getCurrentAnalysisPairs(),
+    preserveIssues: !getCurrentAnalysisPairs().length,
+  }).then(() => render());
+});
+
+function syncCvdSeverityControl() {
+  const percent = Math.round((state.settings.cvdSeverity ?? 0.6) * 100);
+  cvdSeverityRange.value = String(percent);
+  cvdSeverityValue.textContent = `${percent}%`;
+}
+
+// Applies from the next scan.
+paletteLimitSelect.addEventListener("change", (e) => {
+  state.settings.paletteLimit = Number(e.target.value);
+  void saveSettings();
+});
+
 lowVisionSelect.addEventListener("change", (e) => {
   state.settings.lowVisionMode = e.target.value;
   void saveSettings();
@@ -182,7 +371,25 @@ pinnedList.addEventListener("click", (e) => {
   if (item) togglePin(item);
 });
 
+matrixViewSelect.addEventListener("change", (e) => {
+  state.matrixView = e.target.value;
+  renderCombinations();
+});
+
 combinationsGrid.addEventListener("click", (e) => {
+  if (e.target.closest(".btn-show-more")) {
+    state.combinationLimit += COMBINATION_PAGE_SIZE;
+    renderCombinations();
+    combinationsGrid.querySelector(".btn-show-more")?.focus();
+    return;
+  }
+
+  const copyBtn = e.target.closest(".btn-copy-suggestion");
+  if (copyBtn) {
+    copyToClipboard(copyBtn.dataset.hex);
+    return;
+  }
+
   const btn = e.target.closest(".btn-pin");
   if (!btn) return;
   const { fg, bg, ratio, level, wcagLevel, apcaLevel, apcaScore } = btn.dataset;
@@ -1,8 +1,8 @@
-import { EXTRACT_LABEL, EXTRACT_LOADING_LABEL, EMPTY_STATE_DEFAULT, EMPTY_STATE_UNSUPPORTED } from './constants.js';
+import { EXTRACT_LABEL, EXTRACT_LOADING_LABEL, EMPTY_STATE_DEFAULT, EMPTY_STATE_UNSUPPORTED, COMBINATION_PAGE_SIZE, PAIRWISE_CHECK_LIMIT } from './constants.js';
 import { state } from './state.js';
-import { extractBtn, focusAuditBtn, themeAuditBtn, pickerBtn, pageTitle, pageUrl, pageDomain, scanStatus, statusBanner, metricColors, metricColorsDetail, metricPairs, metricPairsDetail, metricFails, metricFailsDetail, metricPass, metricPassDetail, paletteSection, paletteSwatches, colorCount, pickedSection, pickedResult, resultsSection, resultsCount, combinationsGrid, issuesSection, issuesList, issuesCount, batchCount, batchCopyBtn, batchClearBtn, diffSection, diffSummary, diffMeta, themeSection, themeSummary, themeList, themeCount, domainSection, domainSummary, domainList, domainCount, emptyState, historySection, historyList, historyCount, pinnedSection, pinnedList, pinnedCount } from './dom-elements.js';
+import { extractBtn, focusAuditBtn, themeAuditBtn, pickerBtn, pageTitle, pageUrl, pageDomain, scanStatus, statusBanner, metricColors, metricColorsDetail, metricPairs, metricPairsDetail, metricFails, metricFailsDetail, metricPass, metricPassDetail, paletteSection, paletteSwatches, colorCount, paletteExportBtn, pickedSection, pickedResult, resultsSection, resultsCount, combinationsGrid, filterLegend, matrixViewSelect, issuesSection, issuesList, issuesCount, batchCount, batchCopyBtn, batchClearBtn, diffSection, diffSummary, diffMeta, themeSection, themeSummary, themeList, themeCount, domainSection, domainSummary, domainList, domainCount, emptyState, historySection, historyList, historyCount, pinnedSection, pinnedList, pinnedCount } from './dom-elements.js';
 import { readAnalysisMap, savePinnedItems } from './storage.js';
-import { deriveDomain, formatPageUrl, formatScanTimestamp, getStatusBadgeClass, getScoreTone, getIssueStableKey, getIssueGroupTitle, normalizeSavedScan, getIssueExplanation, getPinnedStatusAlert, getIssuePreviewGlyph, buildIssueGroups, escapeHtml } from './utils.js';
+import { deriveDomain, formatPageUrl, formatScanTimestamp, getStatusBadgeClass, getScoreTone, getIssueStableKey, getIssueGroupTitle, normalizeSavedScan, getIssueExplanation, getPinnedStatusAlert, getIssuePreviewGlyph, buildIssueGroups, getMatrixViewConfusions, formatColorGamut, getConfusionBadgeClass, isAPCAStandardActive, getActiveStandard, getIssueRequirement, getPaletteRoles } from './utils.js';
 import { summarizeIssueList, computeScanDiff, computeDomainComparison } from './analysis.js';
 
 export function setAuditLoading(button, isLoading, label, loadingLabel) {
@@ -15,6 +15,8 @@ export function setAnalysis(palette, extractedAt) {
     : [];
   state.colors = state.palette.map((entry) => entry.hex);
   state.combinations = buildCombinationsData(state.colors, state.settings);
+  state.combinationLimit = COMBINATION_PAGE_SIZE;
+  state.confusions = null;
   state.analysisMeta.extractedAt = extractedAt || null;
 }
 export function render() {
@@ -34,6 +36,7 @@ export function clearAnalysis() {
   state.palette = [];
   state.colors = [];
   state.combinations = [];
+  state.confusions = null;
   state.elementPairs = [];
   state.focusPairs = [];
   state.issues = [];
@@ -388,6 +391,11 @@ export function renderPickedResult(pickerResultOrFg, fallbackBg) {
     fontWeight || "400",
   );
   const apcaDetails = getAPCARecommendationDetails(apcaScore);
+  const apcaConformance = getAPCAConformance(
+    apcaScore,
+    fontSize || "16px",
+    fontWeight || "400",
+  );
 
   pickedSection.style.display = "";
   pickedResult.innerHTML = `
@@ -427,7 +435,7 @@ export function renderPickedResult(pickerResultOrFg, fallbackBg) {
       </div>
       <div class="issue-explainer">
         <span class="issue-polarity">${escapeHtml(apcaDetails.polarity.label)}</span>
-        ${escapeHtml(apcaDetails.minimumText)}
+        ${escapeHtml(getAPCAFontGuidance(apcaConformance))}
       </div>
     </div>
   `;
@@ -445,25 +453,41 @@ export function renderPalette() {
   }
 
   paletteSection.style.display = "";
-  colorCount.textContent = `${state.palette.length} dominant colors`;
+  // Imported palettes carry token names instead of page hit counts.
+  const isImported = state.palette.every((entry) => !Number.isFinite(entry.count));
+  colorCount.textContent = `${state.palette.length} ${isImported ? "imported" : "dominant"} colors`;
+  paletteExportBtn.title = isImported
+    ? `Export ${state.palette.length} colors under their imported names`
+    : `Export ${state.palette.length} colors as color-1, color-2…`;
   paletteSwatches.innerHTML = "";
 
   const fragment = document.createDocumentFragment();
 
-  state.palette.forEach(({ hex, count }) => {
+  state.palette.forEach(({ hex, count, name }) => {
     const swatch = document.createElement("div");
     swatch.className = "swatch";
     swatch.style.backgroundColor = hex;
-    swatch.setAttribute("aria-label", `Color ${hex.toUpperCase()}`);
+    swatch.setAttribute("aria-label", `${name || "Color"} ${hex.toUpperCase()}`);
     swatch.dataset.hex = hex; // Add data-hex for copying
 
     const luminance = getRelativeLuminance(hex);
     const textColor = luminance > 0.62 ? "#04111f" : "#f8fafc";
+    const detail = name
+      ? escapeHtml(name)
+      : Number.isFinite(count) ? `${count} hits` : "Imported";
+    const assignedRole = state.settings.colorRoles?.[hex] || "";
+    const roleOptions = PAIRING_ROLES.map(
+      (role) => `<option value="${role}"${role === assignedRole ? " selected" : ""}>${formatRoleLabel(role)}</option>`,
+    ).join("");
 
     swatch.innerHTML = `
       <div class="swatch-meta" style="color:${textColor}">
         <span class="swatch-label">${hex.toUpperCase()}</span>
-        <span class="swatch-count">${count} hits</span>
+        <span class="swatch-count${name ? " swatch-name" : ""}" title="${detail}">${detail}</span>
+        <select class="swatch-role" data-hex="${hex}" aria-label="Role of ${hex.toUpperCase()}">
+          <option value=""${assignedRole ? "" : " selected"}>No role</option>
+          ${roleOptions}
+        </select>
       </div>
     `;
 
@@ -473,6 +497,55 @@ export function renderPalette() {
   paletteSwatches.appendChild(fragment);
   updateEmptyStateVisibility();
 }
+// Role pairs carry their roles, the active standard's requirement and the
+// WCAG ratio and Lc each score is held to.
+export function createCombinationRow(entry) {
+  const { textHex, bgHex, wcagRatio, wcagLevel, apcaScore, apcaLevel } = entry;
+  const row = document.createElement("article");
+  row.className = "combo-row";
+  row.dataset.wcagLevel = wcagLevel;
+  row.dataset.apcaLevel = apcaLevel;
+
+  const isPinned = state.pinnedItems.some(
+    (p) => p.type === "combo" && p.fg === textHex && p.bg === bgHex,
+  );
+  const polarityLabel = getAPCAPolarity(apcaScore).label;
+  const targetRatio = entry.targetRatio ?? 4.5;
+  const targetLc = entry.targetLc ?? 60;
+  const roleLabel = entry.textRole
+    ? `${formatRoleLabel(entry.textRole)} on ${formatRoleLabel(entry.backgroundRole)} · ${entry.kind === "non-text" ? "non-text, " : ""}needs ${formatRequirementTarget(entry.requirement)}`
+    : "";
+
+  row.innerHTML = `
+    <div class="combo-preview-mini" style="background:${bgHex};color:${textHex};">Aa</div>
+    <div class="combo-info">
+      <div class="combo-colors-label">${textHex.toUpperCase()} on ${bgHex.toUpperCase()}</div>
+      <div class="combo-scores">
+        <div class="score-group ${isAPCAStandardActive() ? "inactive-standard" : "active-standard"}">
+          <span class="score-label">WCAG</span>
+          <span class="score-value ${wcagRatio >= targetRatio ? "pass" : "fail"}">${formatContrastRatio(wcagRatio)}</span>
+          <span class="status-badge ${getStatusBadgeClass(wcagLevel)}">${wcagLevel}</span>
+        </div>
+        <div class="score-group ${isAPCAStandardActive() ? "active-standard" : "inactive-standard"}">
+          <span class="score-label">APCA</span>
+          <span class="score-value ${Math.abs(apcaScore) >= targetLc ? "pass" : "fail"}">${formatAPCAScore(apcaScore)}</span>
+          <span class="status-badge ${getStatusBadgeClass(apcaLevel)}">${apcaLevel}</span>
+        </div>
+      </div>
+      <div class="issue-meta">
+        ${roleLabel ? `<span class="combo-role">${escapeHtml(roleLabel)}</span>` : ""}
+        <span class="issue-polarity">${escapeHtml(polarityLabel)}</span>
+      </div>
+    </div>
+    <button type="button" class="btn-icon btn-pin ${isPinned ? "active" : ""}"
+      data-fg="${textHex}" data-bg="${bgHex}" data-ratio="${wcagRatio}" data-level="${wcagLevel}" data-wcag-level="${wcagLevel}" data-apca-level="${apcaLevel}" data-apca-score="${apcaScore}" title="${isPinned ? "Unpin result" : "Pin result"}">
+      <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <path d="m19 21-7-4-7 4V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2v16z"></path>
+      </svg>
+    </button>
+  `;
+  return row;
+}
 export function renderCombinations() {
   combinationsGrid.innerHTML = "";
   resultsCount.textContent = "";
@@ -485,73 +558,139 @@ export function renderCombinations() {
   }
 
   resultsSection.style.display = "";
+  matrixViewSelect.value = state.matrixView;
+  filterLegend.style.display = ["contrast", "roles"].includes(state.matrixView) ? "" : "none";
+  if (state.matrixView === "roles") {
+    renderRolePairs();
+    updateEmptyStateVisibility();
+    return;
+  }
+  if (state.matrixView !== "contrast") {
+    renderConfusions();
+    updateEmptyStateVisibility();
+    return;
+  }
+
   const fragment = document.createDocumentFragment();
   let renderedCount = 0;
 
-  state.combinations.forEach((entry) => {
-    const { textHex, bgHex, wcagRatio, wcagLevel, apcaScore, apcaLevel } =
-      entry;
-    if (typeof textHex !== "string" || typeof bgHex !== "string") return;
+  // Weakest pairs come first, so paging keeps the failures in view.
+  state.combinations.slice(0, state.combinationLimit).forEach((entry) => {
+    if (typeof entry.textHex !== "string" || typeof entry.bgHex !== "string") return;
+    fragment.appendChild(createCombinationRow(entry));
+    renderedCount += 1;
+  });
 
-    const row = document.createElement("article");
-    row.className = "combo-row";
-    row.dataset.wcagLevel = wcagLevel;
-    row.dataset.apcaLevel = apcaLevel;
+  const remaining = state.combinations.length - state.combinationLimit;
+  if (remaining > 0) {
+    const more = document.createElement("button");
+    more.type = "button";
+    more.className = "btn btn-secondary btn-show-more";
+    more.textContent = `Show ${Math.min(remaining, COMBINATION_PAGE_SIZE)} more of ${state.combinations.length} pairs`;
+    fragment.appendChild(more);
+  }
 
-    const isPinned = state.pinnedItems.some(
-      (p) => p.type === "combo" && p.fg === textHex && p.bg === bgHex,
-    );
-    const polarityLabel = getAPCAPolarity(apcaScore).label;
+  combinationsGrid.appendChild(fragment);
+
+  if (!renderedCount) {
+    const empty = document.createElement("div");
+    empty.className = "no-results";
+    empty.textContent = "No contrast pairs are available for the current palette.";
+    combinationsGrid.appendChild(empty);
+    updateEmptyStateVisibility();
+    return;
+  }
+
+  filterCombinations();
+  updateEmptyStateVisibility();
+}
+// Only the pairings between assigned roles, each at its own threshold; the
+// pairing map is DEFAULT_ROLE_PAIRINGS.
+export function renderRolePairs() {
+  const results = evaluateRolePairings(getPaletteRoles(), state.settings);
+  if (!results.length) {
+    const empty = document.createElement("div");
+    empty.className = "no-results";
+    empty.textContent = "Give palette colors a role (text, surface, border…) to check only the pairs that meet on screen.";
+    combinationsGrid.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  results.forEach((entry) => {
+    fragment.appendChild(createCombinationRow(entry));
+  });
+  combinationsGrid.appendChild(fragment);
+  filterCombinations();
+}
+export function renderConfusions() {
+  const findings = getMatrixViewConfusions();
+  const fragment = document.createDocumentFragment();
+
+  if (state.colors.length > PAIRWISE_CHECK_LIMIT) {
+    const note = document.createElement("p");
+    note.className = "section-subcopy";
+    note.textContent = `Checking the first ${PAIRWISE_CHECK_LIMIT} of ${state.colors.length} colors.`;
+    fragment.appendChild(note);
+  }
+
+  findings.forEach((finding) => {
+    const row = document.createElement("article");
+    row.className = "confusion-row";
+
+    const { suggestion } = finding;
+    const suggestionHtml = suggestion
+      ? `
+        <div class="confusion-suggestion">
+          <span class="confusion-chip" style="background:${suggestion.to}"></span>
+          <span>Try ${suggestion.to.toUpperCase()} for ${suggestion.from.toUpperCase()} (ΔE ${suggestion.delta.toFixed(1)})</span>
+          <button type="button" class="btn-xs btn-copy-suggestion" data-hex="${suggestion.to}">Copy</button>
+        </div>
+      `
+      : `<div class="confusion-suggestion">No lightness change separates this pair.</div>`;
 
     row.innerHTML = `
-      <div class="combo-preview-mini" style="background:${bgHex};color:${textHex};">Aa</div>
+      <div class="confusion-swatches" aria-hidden="true">
+        <span class="confusion-chip" style="background:${finding.a}"></span>
+        <span class="confusion-chip" style="background:${finding.b}"></span>
+        <span class="confusion-arrow">→</span>
+        <span class="confusion-chip" style="background:${finding.simulatedA}"></span>
+        <span class="confusion-chip" style="background:${finding.simulatedB}"></span>
+      </div>
       <div class="combo-info">
-        <div class="combo-colors-label">${textHex.toUpperCase()} on ${bgHex.toUpperCase()}</div>
-        <div class="combo-scores">
-          <div class="score-group ${state.settings.standard === "APCA" ? "inactive-standard" : "active-standard"}">
-            <span class="score-label">WCAG</span>
-            <span class="score-value ${wcagRatio >= 4.5 ? "pass" : "fail"}">${formatContrastRatio(wcagRatio)}</span>
-            <span class="status-badge ${getStatusBadgeClass(wcagLevel)}">${wcagLevel}</span>
-          </div>
-          <div class="score-group ${state.settings.standard === "APCA" ? "active-standard" : "inactive-standard"}">
-            <span class="score-label">APCA</span>
-            <span class="score-value ${Math.abs(apcaScore) >= 60 ? "pass" : "fail"}">${formatAPCAScore(apcaScore)}</span>
-            <span class="status-badge ${getStatusBadgeClass(apcaLevel)}">${apcaLevel}</span>
-          </div>
-        </div>
+        <div class="combo-colors-label">${finding.a.toUpperCase()} vs ${finding.b.toUpperCase()}</div>
         <div class="issue-meta">
-          <span class="issue-polarity">${escapeHtml(polarityLabel)}</span>
+          <span class="status-badge ${getConfusionBadgeClass(finding.severity)}">${finding.severity}</span>
+          <span>ΔE ${finding.normalDelta.toFixed(1)} → ${finding.simulatedDelta.toFixed(1)} under ${escapeHtml(formatCVDType(finding.type))}</span>
         </div>
+        ${suggestionHtml}
       </div>
-      <button type="button" class="btn-icon btn-pin ${isPinned ? "active" : ""}"
-        data-fg="${textHex}" data-bg="${bgHex}" data-ratio="${wcagRatio}" data-level="${wcagLevel}" data-wcag-level="${wcagLevel}" data-apca-level="${apcaLevel}" data-apca-score="${apcaScore}" title="${isPinned ? "Unpin result" : "Pin result"}">
-        <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-          <path d="m19 21-7-4-7 4V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2v16z"></path>
-        </svg>
-      </button>
     `;
-
     fragment.appendChild(row);
-    renderedCount += 1;
   });
 
   combinationsGrid.appendChild(fragment);
 
-  if (!renderedCount) {
+  if (!findings.length) {
     const empty = document.createElement("div");
     empty.className = "no-results";
-    empty.textContent = "No contrast pairs are available for the current palette.";
+    empty.textContent =
+      state.matrixView === "any"
+        ? "No color pairs become confusable under any simulated color vision deficiency."
+        : `No color pairs become confusable under ${formatCVDType(state.matrixView)}.`;
     combinationsGrid.appendChild(empty);
-    updateEmptyStateVisibility();
-    return;
   }
 
-  filterCombinations();
-  updateEmptyStateVisibility();
+  resultsCount.textContent = findings.length
+    ? `${findings.length} confusable pair${findings.length === 1 ? "" : "s"}`
+    : "";
 }
 export function buildIssueGroupElement(group) {
   const issue = group.representative;
   const apcaDetails = getAPCARecommendationDetails(issue.apcaScore);
+  const apcaConformance =
+    issue.apcaConformance ||
+    getAPCAConformance(issue.apcaScore, issue.fontSize, issue.fontWeight);
   const textTokens =
     Array.isArray(group.textColorTokens) && group.textColorTokens.length
       ? group.textColorTokens
@@ -573,10 +712,10 @@ export function buildIssueGroupElement(group) {
     group.selectedCount === group.selectableKeys.length;
   const isPartiallySelected =
     group.selectedCount > 0 && group.selectedCount < group.selectableKeys.length;
+  const requirement = getIssueRequirement(issue);
   const isFail =
-    state.settings.standard === "APCA"
-      ? issue.apcaLevel === "Fail"
-      : issue.wcagLevel === "Fail" || issue.wcagLevel === "AA Large";
+    !requirement.passes ||
+    (requirement.metric === "wcag" && issue.wcagLevel === "AA Large");
 
   const groupTitle = getIssueGroupTitle(issue);
   const groupMatchLabel =
@@ -603,6 +742,19 @@ export function buildIssueGroupElement(group) {
           ? `Queue ${group.selectableKeys.length}`
           : "Batch";
 
+  const gradient = issue.backgroundGradient;
+  const gradientTitle = gradient
+    ? `Worst ${formatContrastRatio(gradient.wcagRatio.min)} on ${issue.bgColor}, best ${formatContrastRatio(gradient.wcagRatio.max)} on ${gradient.bestColor}`
+    : "";
+  const halo = issue.halo;
+  const haloTitle = halo
+    ? `${formatContrastRatio(issue.wcagRatio)} against the ${halo.sources.join(" + ")} halo (${halo.localBackground}), ${formatContrastRatio(halo.direct.wcagRatio)} directly on ${issue.bgColor}`
+    : "";
+  const wideGamut = issue.wideGamut;
+  const wideGamutTitle = wideGamut
+    ? `${formatContrastRatio(wideGamut.wcagRatio)} on a wide-gamut display, ${formatContrastRatio(issue.wcagRatio)} once mapped to sRGB${wideGamut.displayDependent ? "; the result depends on the display" : ""}`
+    : "";
+
   const row = document.createElement("article");
   row.className = "issue-group";
   row.dataset.groupKey = group.key;
@@ -626,6 +778,10 @@ export function buildIssueGroupElement(group) {
               : `<span class="issue-font">Grouped by shared contrast colors</span>`
           }
           <span class="issue-polarity">${escapeHtml(apcaDetails.polarity.label)}</span>
+          <span class="issue-requirement" title="Required by ${escapeHtml(getActiveStandard().label)}">Needs ${escapeHtml(requirement.label)}</span>
+          ${gradient ? `<span class="issue-gradient" title="${escapeHtml(gradientTitle)}">Gradient · avg ${formatContrastRatio(gradient.wcagRatio.average)}</span>` : ""}
+          ${halo ? `<span class="issue-halo${halo.rescued ? " issue-halo-rescued" : ""}" title="${escapeHtml(haloTitle)}">${halo.rescued ? "Halo rescues" : "Halo"} · direct ${formatContrastRatio(halo.direct.wcagRatio)}</span>` : ""}
+          ${wideGamut ? `<span class="issue-gamut${wideGamut.displayDependent ? " issue-gamut-dependent" : ""}" title="${escapeHtml(wideGamutTitle)}">${wideGamut.displayDependent ? "Display-dependent" : escapeHtml(formatColorGamut(wideGamut.gamut))} · wide ${formatContrastRatio(wideGamut.wcagRatio)}</span>` : ""}
           ${textTokens
             .map(
               (token) =>
@@ -641,12 +797,12 @@ export function buildIssueGroupElement(group) {
         </div>
         <div class="issue-group-preview">${escapeHtml(previewLabel)}</div>
         <div class="combo-scores">
-          <div class="score-group ${state.settings.standard === "APCA" ? "inactive-standard" : "active-standard"}">
+          <div class="score-group ${requirement.metric === "apca" ? "inactive-standard" : "active-standard"}">
             <span class="score-label">WCAG</span>
             <span class="score-value ${getScoreTone(issue.wcagLevel)}">${formatContrastRatio(issue.wcagRatio)}</span>
             <span class="status-badge ${getStatusBadgeClass(issue.wcagLevel)}">${issue.wcagLevel}</span>
           </div>
-          <div class="score-group ${state.settings.standard === "APCA" ? "active-standard" : "inactive-standard"}">
+          <div class="score-group ${requirement.metric === "apca" ? "active-standard" : "inactive-standard"}">
             <span class="score-label">APCA</span>
             <span class="score-value ${getScoreTone(issue.apcaLevel)}">${formatAPCAScore(issue.apcaScore)}</span>
             <span class="status-badge ${getStatusBadgeClass(issue.apcaLevel)}">${issue.apcaLevel}</span>
@@ -701,7 +857,7 @@ export function buildIssueGroupElement(group) {
           <div class="fix-option">
             <div>
               <div class="fix-desc">${label} to <strong>${option.suggestion.toUpperCase()}</strong>${recommendation}</div>
-              <div class="fix-meta">${option.selectorCount} selectors · ${formatContrastRatio(option.beforeRatio)} -> ${formatContrastRatio(option.afterRatio)}</div>
+              <div class="fix-meta">${option.selectorCount} selectors · ${formatFixChange(option)}</div>
             </div>
             <div class="fix-actions">
               <button type="button" class="btn-xs btn-preview-fix" data-id="" data-selector="${escapeHtml(option.selectors.join(", "))}" data-prop="${escapeHtml(option.property)}" data-val="${option.suggestion}">Preview</button>
@@ -711,6 +867,20 @@ export function buildIssueGroupElement(group) {
         `;
       })
       .join("");
+    const balancedOption = group.fixOptions.balanced;
+    const balancedHtml = balancedOption
+      ? `
+          <div class="fix-option">
+            <div>
+              <div class="fix-desc">Change both to <strong>${balancedOption.text.toUpperCase()}</strong> on <strong>${balancedOption.background.toUpperCase()}</strong></div>
+              <div class="fix-meta">${balancedOption.selectorCount} selectors · ${formatFixChange(balancedOption)} · ΔE2000 ${balancedOption.textDelta.toFixed(1)} + ${balancedOption.backgroundDelta.toFixed(1)}</div>
+            </div>
+            <div class="fix-actions">
+              <button type="button" class="btn-xs btn-copy-fix" data-rule="${escapeHtml(balancedOption.rule)}">Copy CSS</button>
+            </div>
+          </div>
+        `
+      : "";
     const githubFixLines = [group.fixOptions.text, group.fixOptions.background]
       .filter(Boolean)
       .map(
@@ -728,8 +898,9 @@ export function buildIssueGroupElement(group) {
         <div class="fix-header">Actionable Fixes</div>
         <div class="fix-options">
           ${optionsHtml}
+          ${balancedHtml}
           <div class="fix-option fix-option-apca">
-            <span class="fix-desc">APCA ${escapeHtml(apcaDetails.tier)} guidance: <strong>${escapeHtml(apcaDetails.minimumText)}</strong></span>
+            <span class="fix-desc">APCA ${escapeHtml(apcaDetails.tier)} guidance: <strong>${escapeHtml(getAPCAFontGuidance(apcaConformance))}</strong></span>
           </div>
         </div>
         ${
@@ -939,9 +1110,12 @@ export function filterCombinations() {
     combinationsGrid.appendChild(empty);
   }
 
-  resultsCount.textContent = rows.length
-    ? `${visibleCount} visible of ${rows.length}`
-    : "";
+  const total = state.matrixView === "roles" ? rows.length : state.combinations.length;
+  resultsCount.textContent = !rows.length
+    ? ""
+    : rows.length < total
+      ? `${visibleCount} visible of ${rows.length} shown (${total} pairs)`
+      : `${visibleCount} visible of ${rows.length}`;
 }
 export function syncSelectedIssueKeys() {
   const availableKeys = new Set(
@@ -1,9 +1,10 @@
-import { FILTER_KEYS } from './constants.js';
+import { FILTER_KEYS, DEFAULT_PALETTE_LIMIT, COMBINATION_PAGE_SIZE } from './constants.js';
 
 export const state = {
   palette: [],
   colors: [],
   combinations: [],
+  confusions: null,
   elementPairs: [],
   focusPairs: [],
   issues: [],
@@ -14,6 +15,9 @@ export const state = {
     acc[key] = true;
     return acc;
   }, {}),
+  matrixView: "contrast",
+  // Contrast matrix rows rendered so far; grows by COMBINATION_PAGE_SIZE.
+  combinationLimit: COMBINATION_PAGE_SIZE,
   issueFilters: FILTER_KEYS.reduce((acc, key) => {
     acc[key] = true;
     return acc;
@@ -30,10 +34,15 @@ export const state = {
   settings: {
     autoSync: false,
     consoleWarnings: false,
+    paletteLimit: DEFAULT_PALETTE_LIMIT,
     cvdMode: "none",
+    cvdSeverity: 0.6,
     lowVisionMode: "none",
     splitView: false,
     standard: "WCAG21",
+    customStandards: [],
+    // Palette hex -> pairing role for the "Role pairs" matrix view.
+    colorRoles: {},
     githubRepoUrl: "",
   },
   pinnedItems: [],
@@ -1,3 +1,4 @@
+import { PAIRWISE_CHECK_LIMIT } from './constants.js';
 import { state } from './state.js';
 
 export function deriveDomain(url) {
@@ -118,15 +119,76 @@ export function normalizeSavedScan(scan) {
     issues: Array.isArray(scan.issues) ? scan.issues : [],
   };
 }
+export function getActiveStandard() {
+  return getStandard(state.settings.standard, state.settings.customStandards);
+}
+export function isAPCAStandardActive() {
+  return getActiveStandard().metric === "apca";
+}
+export function getIssueRequirement(issue) {
+  return issue.requirement || getStandardRequirement(issue, getActiveStandard());
+}
+// Fix targets follow the active requirement when it uses the same metric, and
+// the baseline WCAG AA / APCA Bronze targets otherwise.
 export function getIssueTargetRatio(issue) {
   if (!issue) return 4.5;
-  if (issue.type === "non-text" || issue.type === "link-contrast") return 3;
-
-  const size = parseFloat(issue.fontSize) || 16;
-  const weight = parseInt(issue.fontWeight, 10) || 400;
-  if (size >= 24 || (size >= 18.66 && weight >= 700)) return 3;
-
-  return 4.5;
+  const requirement = getIssueRequirement(issue);
+  if (requirement.metric === "wcag") return requirement.target;
+  return getStandardRequirement(issue, "WCAG21").target;
+}
+export function getIssueTargetLc(issue) {
+  if (!issue) return 90;
+  const requirement = getIssueRequirement(issue);
+  if (requirement.metric === "apca") return requirement.target;
+  return getStandardRequirement(issue, "APCA").target;
+}
+export function getPaletteConfusions() {
+  const cvdSeverity = state.settings.cvdSeverity ?? DEFAULT_CVD_SEVERITY;
+  // The anomalous types move with the severity slider, so a report built at
+  // another severity is stale.
+  if (!state.confusions || state.confusions.cvdSeverity !== cvdSeverity) {
+    state.confusions = findConfusableColors(state.colors.slice(0, PAIRWISE_CHECK_LIMIT), {
+      cvdSeverity,
+    });
+  }
+  return state.confusions;
+}
+export function getMatrixViewConfusions(view = state.matrixView) {
+  const { findings } = getPaletteConfusions();
+  if (view === "any") {
+    // Keep only the worst deficiency for each pair.
+    const worstByPair = new Map();
+    findings.forEach((finding) => {
+      const key = `${finding.a}|${finding.b}`;
+      if (!worstByPair.has(key)) worstByPair.set(key, finding);
+    });
+    return [...worstByPair.values()];
+  }
+  return findings.filter((finding) => finding.type === view);
+}
+// Role -> hexes of the palette colors assigned to it in settings.colorRoles.
+export function getPaletteRoles() {
+  const colorRoles = state.settings.colorRoles || {};
+  return state.colors.reduce((acc, hex) => {
+    const role = colorRoles[hex];
+    if (role) acc[role] = [...(acc[role] || []), hex];
+    return acc;
+  }, {});
+}
+// Labels the widest gamut used by a wide-gamut pair.
+export function formatColorGamut(gamut) {
+  const gamuts = [gamut.text, gamut.background];
+  if (gamuts.includes("wider")) return "Beyond Rec. 2020";
+  if (gamuts.includes("rec2020")) return "Rec. 2020";
+  return "Display P3";
+}
+export function getConfusionBadgeClass(severity) {
+  switch (severity) {
+    case "moderate":
+      return "status-large";
+    default:
+      return "status-fail";
+  }
 }
 export function getIssueExplanation(issue) {
   switch (issue.type) {
@@ -145,13 +207,17 @@ export function getIssueExplanation(issue) {
   }
 }
 export function buildCssFixRule(option) {
-  return `/* ChromaCheck fix: contrast ${formatContrastRatio(option.beforeRatio)} -> ${formatContrastRatio(option.afterRatio)} */\n${option.selector} { ${option.property}: ${option.suggestion}; }`;
+  return `/* ChromaCheck fix: contrast ${formatFixChange(option)} */\n${option.selector} { ${option.property}: ${option.suggestion}; }`;
 }
 export function buildGroupedCssFixRule(option, selectors) {
   if (!option || !selectors?.length) return "";
-  return `/* ChromaCheck fix: ${selectors.length} selectors, contrast ${formatContrastRatio(option.beforeRatio)} -> ${formatContrastRatio(option.afterRatio)} */\n${selectors.join(",\n")} {\n  ${option.property}: ${option.suggestion};\n}`;
+  return `/* ChromaCheck fix: ${selectors.length} selectors, contrast ${formatFixChange(option)} */\n${selectors.join(",\n")} {\n  ${option.property}: ${option.suggestion};\n}`;
+}
+export function buildBalancedCssFixRule(option, textSelectors, backgroundSelectors) {
+  if (!option || !textSelectors?.length || !backgroundSelectors?.length) return "";
+  return `/* ChromaCheck fix: change both colors, contrast ${formatFixChange(option)} */\n${textSelectors.join(",\n")} {\n  ${option.textProperty}: ${option.text};\n}\n${backgroundSelectors.join(",\n")} {\n  background-color: ${option.background};\n}`;
 }
-export function getIssueFixOptions(issue) {
+export function getIssueFixOptions(issue, { includeBalanced = true } = {}) {
   if (
     !issue ||
     issue.type === "target-size" ||
@@ -161,10 +227,15 @@ export function getIssueFixOptions(issue) {
   }
 
   const targetRatio = getIssueTargetRatio(issue);
+  const targetLc =
+    getIssueRequirement(issue).metric === "apca"
+      ? getIssueTargetLc(issue)
+      : null;
   const suggestions = getSuggestedFixes(
     issue.textColor,
     issue.bgColor,
     targetRatio,
+    { targetLc },
   );
   const foregroundProperty = issue.foregroundProperty || "color";
   const baseSelector = issue.selector.replace(/::placeholder$/, "");
@@ -200,11 +271,45 @@ export function getIssueFixOptions(issue) {
       ? backgroundOption
       : textOption;
 
+  // Offer the lowest-ΔE2000 change that nudges both colors, when one exists.
+  const twoSided = includeBalanced
+    ? getTwoSidedFixes(issue.textColor, issue.bgColor, targetRatio, {
+        targetLc,
+      })
+    : null;
+  const balancedFix = twoSided?.options
+    .filter((option) => option.kind === "balanced")
+    .reduce(
+      (best, option) =>
+        !best || option.totalDelta < best.totalDelta ? option : best,
+      null,
+    );
+  const balanced = balancedFix
+    ? {
+        ...balancedFix,
+        metric: twoSided.metric,
+        beforeRatio: twoSided.beforeRatio,
+        beforeLc: twoSided.beforeLc,
+        textSelector: issue.selector,
+        backgroundSelector: baseSelector,
+        textProperty: foregroundProperty,
+      }
+    : null;
+  if (balanced) {
+    balanced.rule = buildBalancedCssFixRule(
+      balanced,
+      [issue.selector],
+      [baseSelector],
+    );
+  }
+
   return {
     text: textOption,
     background: backgroundOption,
+    balanced,
     recommended,
     targetRatio,
+    targetLc,
   };
 }
 export function getPinnedCurrentState(item) {
@@ -235,9 +340,9 @@ export function getPinnedCurrentState(item) {
 }
 export function getPinnedStatusAlert(item) {
   const current = getPinnedCurrentState(item);
-  const standard = state.settings.standard;
-  const levelKey = standard === "APCA" ? "apcaLevel" : "wcagLevel";
-  const scoreKey = standard === "APCA" ? "apcaScore" : "wcagRatio";
+  const usesAPCA = isAPCAStandardActive();
+  const levelKey = usesAPCA ? "apcaLevel" : "wcagLevel";
+  const scoreKey = usesAPCA ? "apcaScore" : "wcagRatio";
   const previousLevel = item[levelKey] || item.level;
 
   if (!current) {
@@ -245,8 +350,7 @@ export function getPinnedStatusAlert(item) {
   }
 
   if (current[levelKey] !== previousLevel) {
-    const formatter =
-      standard === "APCA" ? formatAPCAScore : formatContrastRatio;
+    const formatter = usesAPCA ? formatAPCAScore : formatContrastRatio;
     return `${previousLevel} -> ${current[levelKey]} (${formatter(item[scoreKey] || 0)} -> ${formatter(current[scoreKey] || 0)})`;
   }
 
@@ -276,7 +380,7 @@ export function getIssueGroupFixOptions(group) {
   const collectSelectors = (kind) => {
     const selectorSet = new Set();
     group.issues.forEach((issue) => {
-      const issueFixes = getIssueFixOptions(issue);
+      const issueFixes = getIssueFixOptions(issue, { includeBalanced: false });
       const option = issueFixes?.[kind];
       if (option?.selector) {
         selectorSet.add(option.selector);
@@ -308,7 +412,29 @@ export function getIssueGroupFixOptions(group) {
       ? background
       : text;
 
-  return { text, background, recommended };
+  let balanced = null;
+  if (representativeFixes.balanced) {
+    const textSelectors = new Set();
+    const backgroundSelectors = new Set();
+    // Grouped issues share colors, so the representative fix applies to all.
+    group.issues.forEach((issue) => {
+      textSelectors.add(issue.selector);
+      backgroundSelectors.add(issue.selector.replace(/::placeholder$/, ""));
+    });
+    if (textSelectors.size && backgroundSelectors.size) {
+      balanced = {
+        ...representativeFixes.balanced,
+        selectorCount: new Set([...textSelectors, ...backgroundSelectors]).size,
+        rule: buildBalancedCssFixRule(
+          representativeFixes.balanced,
+          [...textSelectors],
+          [...backgroundSelectors],
+        ),
+      };
+    }
+  }
+
+  return { text, background, balanced, recommended };
 }
 export function buildIssueGroups(issues) {
   const groupsByKey = new Map();
@@ -406,8 +532,3 @@ export function buildIssueGroups(issues) {
     };
   });
 }
-export function escapeHtml(str) {
-  const div = document.createElement("div");
-  div.textContent = str;
-  return div.innerHTML;
-}
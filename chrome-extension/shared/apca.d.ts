@@ -0,0 +1,33 @@
+export {
+  APCA_BCO,
+  APCA_FONT_LOOKUP_TABLE,
+  APCA_FONT_WEIGHTS,
+  APCA_GCO,
+  APCA_NON_TEXT_ONLY,
+  APCA_PROHIBITED,
+  APCA_RCO,
+  calcAPCA,
+  formatAPCAScore,
+  getAPCABronzeTarget,
+  getAPCAComplianceLevel,
+  getAPCAConformance,
+  getAPCAFontGuidance,
+  getAPCAFontSizeTable,
+  getAPCAMinimumFontSize,
+  getAPCAMinimumRequirements,
+  getAPCAPolarity,
+  getAPCARecommendationDetails,
+  getAPCATargetLc,
+  getAPCAUsageBand,
+  normalizeFontWeight,
+} from "./contrast";
+
+export type {
+  APCAConformance,
+  APCAFontSizeEntry,
+  APCALevel,
+  APCAPolarity,
+  APCARecommendation,
+  APCAUsageBand,
+  ComplianceLevel,
+} from "./contrast";
@@ -0,0 +1,51 @@
+/**
+ * ChromaCheck - APCA Lc scores, font-size lookups and conformance tiers.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+const {
+  APCA_BCO,
+  APCA_FONT_LOOKUP_TABLE,
+  APCA_FONT_WEIGHTS,
+  APCA_GCO,
+  APCA_NON_TEXT_ONLY,
+  APCA_PROHIBITED,
+  APCA_RCO,
+  calcAPCA,
+  formatAPCAScore,
+  getAPCABronzeTarget,
+  getAPCAComplianceLevel,
+  getAPCAConformance,
+  getAPCAFontGuidance,
+  getAPCAFontSizeTable,
+  getAPCAMinimumFontSize,
+  getAPCAMinimumRequirements,
+  getAPCAPolarity,
+  getAPCARecommendationDetails,
+  getAPCATargetLc,
+  getAPCAUsageBand,
+  normalizeFontWeight,
+} = require("./contrast.js");
+
+module.exports = {
+  APCA_BCO,
+  APCA_FONT_LOOKUP_TABLE,
+  APCA_FONT_WEIGHTS,
+  APCA_GCO,
+  APCA_NON_TEXT_ONLY,
+  APCA_PROHIBITED,
+  APCA_RCO,
+  calcAPCA,
+  formatAPCAScore,
+  getAPCABronzeTarget,
+  getAPCAComplianceLevel,
+  getAPCAConformance,
+  getAPCAFontGuidance,
+  getAPCAFontSizeTable,
+  getAPCAMinimumFontSize,
+  getAPCAMinimumRequirements,
+  getAPCAPolarity,
+  getAPCARecommendationDetails,
+  getAPCATargetLc,
+  getAPCAUsageBand,
+  normalizeFontWeight,
+};
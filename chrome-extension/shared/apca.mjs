@@ -0,0 +1,27 @@
+/**
+ * ChromaCheck - APCA Lc scores, font-size lookups and conformance tiers.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+export {
+  APCA_BCO,
+  APCA_FONT_LOOKUP_TABLE,
+  APCA_FONT_WEIGHTS,
+  APCA_GCO,
+  APCA_NON_TEXT_ONLY,
+  APCA_PROHIBITED,
+  APCA_RCO,
+  calcAPCA,
+  formatAPCAScore,
+  getAPCABronzeTarget,
+  getAPCAComplianceLevel,
+  getAPCAConformance,
+  getAPCAFontGuidance,
+  getAPCAFontSizeTable,
+  getAPCAMinimumFontSize,
+  getAPCAMinimumRequirements,
+  getAPCAPolarity,
+  getAPCARecommendationDetails,
+  getAPCATargetLc,
+  getAPCAUsageBand,
+  normalizeFontWeight,
+} from "./index.mjs";
@@ -0,0 +1,50 @@
+export {
+  CSS_NAMED_COLORS,
+  colorToHex,
+  colorToLab,
+  colorToOklab,
+  compositeOver,
+  expandHex,
+  findClosestColor,
+  gamutMapColor,
+  gamutMapOklch,
+  getColorDifference,
+  getColorGamut,
+  getDeltaE2000,
+  getDeltaE76,
+  getDeltaE94,
+  getDeltaEOK,
+  hexToHsl,
+  hexToRgb,
+  hslToHex,
+  isTransparent,
+  isValidHex,
+  parseBackgroundImage,
+  parseColor,
+  parseColorToHex,
+  parseGradient,
+  rgbStringToHex,
+  sampleGradient,
+  srgbToOklch,
+} from "./contrast";
+
+export type {
+  ClosestColor,
+  Color,
+  ColorGamut,
+  ColorInput,
+  ConicGradient,
+  DeltaEMethod,
+  Gradient,
+  GradientAngle,
+  GradientLength,
+  GradientPosition,
+  GradientStop,
+  HexColor,
+  HSL,
+  Lab,
+  LinearGradient,
+  OKLCH,
+  RadialGradient,
+  RGB,
+} from "./contrast";
@@ -0,0 +1,33 @@
+/**
+ * ChromaCheck - Color parsing, conversion, compositing, gradients and color difference.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+export {
+  CSS_NAMED_COLORS,
+  colorToHex,
+  colorToLab,
+  colorToOklab,
+  compositeOver,
+  expandHex,
+  findClosestColor,
+  gamutMapColor,
+  gamutMapOklch,
+  getColorDifference,
+  getColorGamut,
+  getDeltaE2000,
+  getDeltaE76,
+  getDeltaE94,
+  getDeltaEOK,
+  hexToHsl,
+  hexToRgb,
+  hslToHex,
+  isTransparent,
+  isValidHex,
+  parseBackgroundImage,
+  parseColor,
+  parseColorToHex,
+  parseGradient,
+  rgbStringToHex,
+  sampleGradient,
+  srgbToOklch,
+} from "./index.mjs";
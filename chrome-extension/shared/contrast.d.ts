@@ -0,0 +1,1253 @@
+/**
+ * ChromaCheck - Type declarations for the shared contrast engine.
+ * Hex strings are lowercase "#rrggbb" unless noted. Color channels and alpha
+ * are 0-1 gamma-encoded sRGB; wide-gamut colors keep channels outside 0-1.
+ */
+
+// Colors
+
+export type HexColor = string;
+
+export interface RGB {
+  r: number;
+  g: number;
+  b: number;
+}
+
+/** Canonical engine color, as returned by parseColor. */
+export interface Color extends RGB {
+  alpha: number;
+}
+
+/** Any CSS color string, or a color object whose alpha defaults to 1. */
+export type ColorInput = string | (RGB & { alpha?: number });
+
+export interface HSL {
+  h: number;
+  s: number;
+  l: number;
+}
+
+export interface OKLCH {
+  l: number;
+  c: number;
+  h: number;
+}
+
+/** CIELAB or OKLab coordinates plus the source alpha. */
+export interface Lab {
+  l: number;
+  a: number;
+  b: number;
+  alpha: number;
+}
+
+export type DeltaEMethod = "76" | "94" | "2000" | "ok" | 76 | 94 | 2000;
+
+export interface ClosestColor<T = ColorInput> {
+  color: T;
+  index: number;
+  delta: number;
+}
+
+export declare const CSS_NAMED_COLORS: Readonly<Record<string, HexColor>>;
+
+export declare function isValidHex(hex: string): boolean;
+export declare function expandHex(hex: string): string;
+/** Accepts any CSS color; alpha is ignored and wide gamuts are mapped. */
+export declare function hexToRgb(hex: string): RGB | null;
+export declare function rgbStringToHex(rgbStr: string): HexColor | null;
+export declare function isTransparent(
+  rgbStr: string | null | undefined,
+): boolean;
+export declare function parseColor(input: string): Color | null;
+export declare function parseColorToHex(input: string): HexColor | null;
+/** Gamut-maps colors outside sRGB. */
+export declare function colorToHex(
+  color: RGB | null | undefined,
+): HexColor | null;
+export declare function compositeOver(
+  foreground: ColorInput,
+  background: ColorInput,
+): Color | null;
+/** h, s and l are 0-1. */
+export declare function hexToHsl(hex: string): HSL;
+export declare function hslToHex(h: number, s: number, l: number): HexColor;
+export declare function srgbToOklch(color: RGB): OKLCH;
+/** Reduces chroma until the color fits sRGB, keeping lightness and hue. */
+export declare function gamutMapOklch(l: number, c: number, h: number): Color;
+export type ColorGamut = "srgb" | "display-p3" | "rec2020" | "wider";
+/** The smallest gamut that holds the color. */
+export declare function getColorGamut(input: ColorInput): ColorGamut | null;
+/** CSS Color 4 gamut mapping into sRGB, keeping alpha. */
+export declare function gamutMapColor(input: ColorInput): Color | null;
+export declare function colorToLab(input: ColorInput): Lab | null;
+export declare function colorToOklab(input: ColorInput): Lab | null;
+export declare function getDeltaE76(
+  colorA: ColorInput,
+  colorB: ColorInput,
+): number | null;
+export declare function getDeltaE94(
+  colorA: ColorInput,
+  colorB: ColorInput,
+): number | null;
+export declare function getDeltaE2000(
+  colorA: ColorInput,
+  colorB: ColorInput,
+): number | null;
+export declare function getDeltaEOK(
+  colorA: ColorInput,
+  colorB: ColorInput,
+): number | null;
+export declare function getColorDifference(
+  colorA: ColorInput,
+  colorB: ColorInput,
+  method?: DeltaEMethod,
+): number | null;
+export declare function findClosestColor<T extends ColorInput>(
+  target: ColorInput,
+  candidates: readonly T[],
+  method?: DeltaEMethod,
+): ClosestColor<T> | null;
+
+// Gradients
+
+export interface GradientLength {
+  value: number;
+  unit: "px" | "%";
+}
+
+export interface GradientAngle {
+  value: number;
+  unit: "deg";
+}
+
+export interface GradientPosition {
+  x: GradientLength;
+  y: GradientLength;
+}
+
+export interface GradientStop {
+  color: Color;
+  /** Null when the stop has no explicit position. */
+  position: GradientLength | GradientAngle | null;
+}
+
+interface GradientBase {
+  repeating: boolean;
+  stops: GradientStop[];
+}
+
+export interface LinearGradient extends GradientBase {
+  type: "linear";
+  /** Degrees, or null for "to <corner>" directions. */
+  angle: number | null;
+  corner: [number, number] | null;
+}
+
+export interface RadialGradient extends GradientBase {
+  type: "radial";
+  shape: "circle" | "ellipse";
+  extent:
+    | "closest-side"
+    | "closest-corner"
+    | "farthest-side"
+    | "farthest-corner"
+    | null;
+  size: GradientLength[] | null;
+  position: GradientPosition;
+}
+
+export interface ConicGradient extends GradientBase {
+  type: "conic";
+  angle: number;
+  position: GradientPosition;
+}
+
+export type Gradient = LinearGradient | RadialGradient | ConicGradient;
+
+export declare function parseGradient(value: string): Gradient | null;
+/** Gradient layers of a computed background-image, top-most first. */
+export declare function parseBackgroundImage(value: string): Gradient[];
+export declare function sampleGradient(
+  gradient: Gradient,
+  x: number,
+  y: number,
+  width: number,
+  height: number,
+): Color | null;
+
+// WCAG
+
+export type ComplianceLevel = "AAA" | "AA" | "AA Large" | "Fail";
+
+export declare function getRelativeLuminance(hex: string): number;
+export declare function getContrastRatio(
+  textHex: string,
+  bgHex: string,
+): number;
+export declare function formatContrastRatio(ratio: number): string;
+export declare function getComplianceLevel(ratio: number): ComplianceLevel;
+export declare function getContextualComplianceLevel(
+  ratio: number,
+  fontSize: number | string,
+  fontWeight: number | string,
+  standard?: StandardInput,
+  customStandards?: StandardDefinition[],
+): ComplianceLevel;
+export declare function getLevelRank(level: string): number;
+export declare function isLargeText(
+  fontSize: number | string,
+  fontWeight: number | string,
+  standard?: StandardInput,
+  customStandards?: StandardDefinition[],
+): boolean;
+
+// APCA
+
+export type APCALevel = "Gold" | "Silver" | "Bronze" | "Fail";
+
+export interface APCAFontSizeEntry {
+  weight: number;
+  minFontSize: number | null;
+  usage: "text" | "non-text" | "prohibited";
+}
+
+export interface APCAUsageBand {
+  key:
+    "invisible" | "non-text" | "spot" | "large" | "content" | "body" | "fluent";
+  label: string;
+  bodyText: boolean;
+  description: string;
+}
+
+export interface APCAConformance {
+  level: APCALevel;
+  bronze: boolean;
+  silver: boolean;
+  gold: boolean;
+  bronzeTarget: number;
+  minimumFontSize: number | null;
+  goldFontSize: number | null;
+  fontSize: number;
+  fontWeight: number;
+  band: APCAUsageBand;
+  fontSizes: APCAFontSizeEntry[];
+}
+
+export interface APCAPolarity {
+  key: "neutral" | "dark-on-light" | "light-on-dark";
+  label: string;
+  description: string;
+}
+
+export interface APCARecommendation {
+  tier: "Gold" | "Silver" | "Bronze" | "Unsafe";
+  minimumText: string;
+  polarity: APCAPolarity;
+  summary: string;
+}
+
+export declare const APCA_RCO: number;
+export declare const APCA_GCO: number;
+export declare const APCA_BCO: number;
+export declare const APCA_NON_TEXT_ONLY: 777;
+export declare const APCA_PROHIBITED: 999;
+export declare const APCA_FONT_WEIGHTS: readonly number[];
+/** Rows of [Lc, size at 100, size at 200, ... size at 900]. */
+export declare const APCA_FONT_LOOKUP_TABLE: readonly (readonly number[])[];
+
+/** Signed Lc: positive for dark text on light, negative for light on dark. */
+export declare function calcAPCA(textHex: string, bgHex: string): number;
+export declare function formatAPCAScore(lc: number): string;
+export declare function normalizeFontWeight(
+  fontWeight: number | string,
+): number;
+export declare function getAPCAMinimumFontSize(
+  lc: number,
+  fontWeight: number | string,
+): number | null;
+export declare function getAPCAFontSizeTable(lc: number): APCAFontSizeEntry[];
+export declare function getAPCAUsageBand(lc: number): APCAUsageBand;
+export declare function getAPCABronzeTarget(
+  fontSize: number | string,
+  fontWeight: number | string,
+): number;
+export declare function getAPCATargetLc(
+  fontSize: number | string,
+  fontWeight: number | string,
+): number;
+export declare function getAPCAConformance(
+  lc: number,
+  fontSize: number | string,
+  fontWeight: number | string,
+): APCAConformance;
+/** One-line font advice; empty without a conformance result. */
+export declare function getAPCAFontGuidance(
+  conformance: APCAConformance | null | undefined,
+): string;
+/** Maps APCA tiers onto WCAG-style level names for shared sorting. */
+export declare function getAPCAComplianceLevel(
+  lc: number,
+  fontSize: number | string,
+  fontWeight: number | string,
+): ComplianceLevel;
+export declare function getAPCAMinimumRequirements(lc: number): string;
+export declare function getAPCAPolarity(lc: number): APCAPolarity;
+export declare function getAPCARecommendationDetails(
+  lc: number,
+): APCARecommendation;
+
+// Layered backgrounds
+
+export interface OpaquePairScore {
+  text: HexColor;
+  background: HexColor;
+  wcagRatio: number;
+  apcaScore: number;
+}
+
+export interface ScoreRange {
+  min: number;
+  max: number;
+}
+
+/** Signed Lc values with the smallest and largest |Lc|. */
+export interface LcRange {
+  weakest: number;
+  strongest: number;
+}
+
+export interface CompositeContrast extends OpaquePairScore {
+  /** False when translucent layers leave the page backdrop unknown. */
+  backdropKnown: boolean;
+  range: {
+    wcagRatio: ScoreRange;
+    apcaScore: LcRange;
+    worstBackdrop: HexColor;
+    bestBackdrop: HexColor;
+  } | null;
+}
+
+export interface Region {
+  x?: number;
+  y?: number;
+  width?: number;
+  height?: number;
+}
+
+export interface GradientContrastOptions {
+  width?: number;
+  height?: number;
+  region?: Region;
+  backdrop?: ColorInput;
+  samples?: number;
+}
+
+export interface GradientContrast extends OpaquePairScore {
+  average: {
+    wcagRatio: number;
+    apcaScore: number;
+    background: HexColor;
+  };
+  range: {
+    wcagRatio: ScoreRange;
+    apcaScore: LcRange;
+    worstBackground: HexColor;
+    bestBackground: HexColor;
+  };
+  samples: number;
+}
+
+export interface ImageDataLike {
+  data: ArrayLike<number>;
+  width: number;
+  height: number;
+}
+
+export interface ImageContrastOptions {
+  region?: Region;
+  threshold?: number;
+  apcaThreshold?: number;
+  backdrop?: ColorInput;
+  step?: number;
+}
+
+export interface ContrastDistribution {
+  min: number;
+  p5: number;
+  median: number;
+  max: number;
+}
+
+export interface ImageContrastStats {
+  pixels: number;
+  threshold: number;
+  apcaThreshold: number;
+  wcagRatio: ContrastDistribution;
+  /** Distribution of |Lc|. */
+  apcaScore: ContrastDistribution;
+  belowThreshold: { wcag: number; apca: number };
+  worstPixel: { x: number; y: number; wcagRatio: number; background: HexColor };
+}
+
+export declare function getCompositeContrast(
+  foreground: ColorInput,
+  background: ColorInput,
+  backdrops?: ColorInput[] | null,
+): CompositeContrast | null;
+export declare function getGradientContrast(
+  foreground: ColorInput,
+  layers: string | Gradient | (Gradient | ColorInput)[],
+  options?: GradientContrastOptions,
+): GradientContrast | null;
+export declare function getImageContrastStats(
+  foreground: ColorInput,
+  image: ImageDataLike,
+  options?: ImageContrastOptions,
+): ImageContrastStats | null;
+
+export interface TextShadowLayer {
+  color: ColorInput;
+  /** Overrides the color's own alpha. */
+  alpha?: number;
+  offsetX: number;
+  offsetY: number;
+  blur: number;
+}
+
+export interface TextStroke {
+  color: ColorInput;
+  alpha?: number;
+  width: number;
+}
+
+export interface HaloContrastOptions {
+  shadows?: TextShadowLayer[];
+  stroke?: TextStroke | null;
+  fontSize?: number | string;
+  /** WCAG ratio used for `rescued`; default 4.5. */
+  threshold?: number;
+}
+
+export interface TextHalo {
+  color: HexColor;
+  alpha: number;
+  sources: ("stroke" | "shadow")[];
+}
+
+export interface HaloContrast {
+  text: HexColor;
+  background: HexColor;
+  /** Null when no tight layer set reaches 50% combined opacity. */
+  halo: TextHalo | null;
+  localBackground: HexColor;
+  direct: { wcagRatio: number; apcaScore: number };
+  wcagRatio: number;
+  apcaScore: number;
+  rescued: boolean;
+}
+
+/** Parses a computed `text-shadow`; null for non-px values. */
+export declare function parseTextShadow(
+  value: string,
+  currentColor?: ColorInput,
+): (TextShadowLayer & { color: Color })[] | null;
+export declare function getHaloContrast(
+  foreground: ColorInput,
+  background: ColorInput,
+  options?: HaloContrastOptions,
+): HaloContrast | null;
+/** A text pair's halo qualifies as its local background. */
+export declare function hasReadableHalo(pair: ElementPair): boolean;
+
+export interface WideGamutContrast {
+  gamut: { text: ColorGamut; background: ColorGamut };
+  /** Either color lies outside sRGB. */
+  wideGamut: boolean;
+  /** As an sRGB display shows the pair; used for conformance. */
+  srgb: {
+    text: HexColor;
+    background: HexColor;
+    wcagRatio: number;
+    apcaScore: number;
+  };
+  /** As a wide-gamut display shows the authored colors. */
+  wide: { wcagRatio: number; apcaScore: number };
+  /** The WCAG or APCA level differs between the two displays. */
+  displayDependent: boolean;
+}
+
+export declare function getWideGamutContrast(
+  foreground: ColorInput,
+  background: ColorInput,
+  options?: { fontSize?: number | string; fontWeight?: number | string },
+): WideGamutContrast | null;
+
+// Conformance standards
+
+export type IssueType =
+  | "text"
+  | "placeholder"
+  | "non-text"
+  | "link-contrast"
+  | "focus-indicator"
+  | "target-size";
+
+export type StandardMetric = "wcag" | "apca";
+export type RequirementLevel = "AA" | "AAA" | "Bronze" | "Silver" | "Gold";
+
+export interface LargeTextThresholds {
+  size: number;
+  boldSize: number;
+  boldWeight: number;
+}
+
+/** A rule as written in a policy file; first match wins. */
+export interface StandardRuleDefinition {
+  types?: IssueType[];
+  tags?: string[];
+  largeText?: boolean;
+  metric?: StandardMetric;
+  level?: RequirementLevel;
+  ratio?: number;
+  lc?: number;
+}
+
+export interface StandardDefinition {
+  id: string;
+  label?: string;
+  metric?: StandardMetric;
+  issueTypes?: IssueType[];
+  largeText?: Partial<LargeTextThresholds>;
+  rules?: StandardRuleDefinition[];
+}
+
+export interface StandardRule {
+  types: IssueType[] | null;
+  tags: string[] | null;
+  largeText: boolean | null;
+  metric: StandardMetric;
+  level: RequirementLevel | null;
+  target: number | null;
+}
+
+export interface Standard {
+  id: string;
+  label: string;
+  metric: StandardMetric;
+  issueTypes: IssueType[];
+  largeText: LargeTextThresholds;
+  rules: StandardRule[];
+}
+
+/** A registered id ("WCAG21", "WCAG22", "APCA"), or a definition. */
+export type StandardInput = string | StandardDefinition;
+
+export interface StandardRequirement {
+  standard: string;
+  metric: StandardMetric;
+  /** Null when a rule sets an explicit ratio or lc. */
+  level: RequirementLevel | null;
+  target: number;
+  /** Graphical pair (non-text, link, focus): judged on the target alone. */
+  nonText: boolean;
+  label: string;
+  /** Set by buildIssuesData. */
+  passes?: boolean;
+}
+
+export interface RequirementScores {
+  wcagRatio: number;
+  apcaScore: number;
+  apcaConformance?: APCAConformance;
+}
+
+export declare const ISSUE_TYPES: readonly IssueType[];
+/** Lc floor for graphical pairs under APCA, like WCAG's 3:1. */
+export declare const APCA_NON_TEXT_LC: 45;
+
+export declare function defineStandard(
+  definition: StandardDefinition,
+): Standard | null;
+export declare function registerStandard(
+  definition: StandardDefinition,
+): Standard | null;
+export declare function listStandards(): Standard[];
+/** Unknown ids fall back to WCAG 2.1. */
+export declare function getStandard(
+  standard?: StandardInput,
+  customStandards?: StandardDefinition[],
+): Standard;
+export declare function normalizeStandard(
+  standard?: StandardInput,
+  customStandards?: StandardDefinition[],
+): string;
+export declare function shouldIncludeIssueType(
+  type: string,
+  standard?: StandardInput,
+  customStandards?: StandardDefinition[],
+): boolean;
+export declare function getStandardRequirement(
+  pair: Pick<ElementPair, "type" | "fontSize" | "fontWeight" | "tagName">,
+  standard?: StandardInput,
+  customStandards?: StandardDefinition[],
+): StandardRequirement;
+export declare function meetsStandardRequirement(
+  requirement: StandardRequirement,
+  scores: RequirementScores,
+): boolean;
+/** "4.5:1" or "Lc 90". */
+export declare function formatRequirementTarget(
+  requirement: Pick<StandardRequirement, "metric" | "target">,
+): string;
+
+// Audits
+
+export type CVDType =
+  | "protanopia"
+  | "protanomaly"
+  | "deuteranopia"
+  | "deuteranomaly"
+  | "tritanopia"
+  | "tritanomaly"
+  | "achromatopsia"
+  | "achromatomaly";
+
+export interface AnalysisSettings {
+  standard?: StandardInput;
+  customStandards?: StandardDefinition[];
+  cvdMode?: CVDType | "none";
+  cvdSeverity?: number;
+}
+
+/** An extracted text/background pair. Extra fields are passed through. */
+export interface ElementPair {
+  type: IssueType;
+  textColor: HexColor;
+  bgColor: HexColor;
+  fontSize?: number | string;
+  fontWeight?: number | string;
+  tagName?: string;
+  textShadow?: TextShadowLayer[];
+  textStroke?: TextStroke | null;
+  /** Authored colors outside sRGB; textColor and bgColor are gamut-mapped. */
+  textColorWide?: string;
+  bgColorWide?: string;
+}
+
+export interface ScoredPair {
+  wcagRatio: number;
+  wcagLevel: ComplianceLevel;
+  apcaScore: number;
+  apcaLevel: ComplianceLevel;
+}
+
+export interface Combination extends ScoredPair {
+  textHex: HexColor;
+  bgHex: HexColor;
+}
+
+export type Issue<P extends ElementPair = ElementPair> = P &
+  ScoredPair & {
+    apcaConformance: APCAConformance;
+    requirement: StandardRequirement & { passes: boolean };
+    /** Present when a halo replaces the background; scores are effective. */
+    halo?: TextHalo & {
+      localBackground: HexColor;
+      direct: { wcagRatio: number; apcaScore: number };
+      /** The requirement passes only because of the halo. */
+      rescued: boolean;
+    };
+    /** Scores on a wide-gamut display; absent under CVD simulation. */
+    wideGamut?: {
+      gamut: { text: ColorGamut; background: ColorGamut };
+      wcagRatio: number;
+      apcaScore: number;
+      /** The requirement result differs from the sRGB one. */
+      displayDependent: boolean;
+    };
+  };
+
+export declare function shouldAnalyzePair(
+  pair: ElementPair | null | undefined,
+  settings?: AnalysisSettings,
+): boolean;
+/** Every ordered pair of distinct colors, weakest first. */
+export declare function buildCombinationsData(
+  colors: HexColor[],
+  settings?: AnalysisSettings,
+): Combination[];
+
+export interface ContrastHeatmap {
+  size: number;
+  /** Opaque sRGB hex per row/column, in input order. */
+  hexes: HexColor[];
+  /** WCAG relative luminance per color. */
+  luminance: number[];
+  /** Text `row` on background `column` at row * size + column; NaN on the diagonal. */
+  ratios: Float64Array;
+  apcaScores: Float64Array;
+}
+
+/** Every text/background pair as flat arrays; null when a color does not parse. */
+export declare function buildContrastHeatmap(
+  colors: ReadonlyArray<string | { hex: string }>,
+): ContrastHeatmap | null;
+/** "brand-500" -> "brand", "color.base.blue" -> "color.base"; null when unnamed. */
+export declare function getTokenFamily(
+  name: string | null | undefined,
+): string | null;
+/** Scores pairs the standard audits; failing requirements first, max 500. */
+export declare function buildIssuesData<P extends ElementPair>(
+  pairs: P[],
+  settings?: AnalysisSettings,
+): Issue<P>[];
+
+// Role-based pairing
+
+export type PairingRole =
+  "text" | "muted" | "surface" | "elevated" | "accent" | "border" | "focus";
+export type RolePairingKind = "text" | "non-text";
+
+/** Text role drawn on background role; kind defaults from the text role. */
+export interface RolePairing {
+  text: string;
+  background: string;
+  kind?: RolePairingKind;
+}
+
+export interface RolePairingSettings extends AnalysisSettings {
+  /** Pairing map; defaults to DEFAULT_ROLE_PAIRINGS. */
+  pairings?: RolePairing[];
+  /** Typography for text pairs; 16px / 400 by default. */
+  fontSize?: number | string;
+  fontWeight?: number | string;
+}
+
+export interface RolePairResult extends Combination {
+  textRole: string;
+  backgroundRole: string;
+  kind: RolePairingKind;
+  /** The standard's rule for this kind of pair at the given type size. */
+  requirement: StandardRequirement;
+  /** WCAG ratio the pair needs; WCAG 2.1 AA when the standard is APCA. */
+  targetRatio: number;
+  /** Lc the pair needs; APCA Bronze when the standard is WCAG. */
+  targetLc: number;
+  /** Meets `requirement`. */
+  passes: boolean;
+}
+
+export declare const PAIRING_ROLES: readonly PairingRole[];
+export declare const NON_TEXT_PAIRING_ROLES: readonly PairingRole[];
+export declare const DEFAULT_ROLE_PAIRINGS: readonly RolePairing[];
+export declare function getRolePairingKind(
+  pairing: Partial<RolePairing> | null | undefined,
+): RolePairingKind;
+/** Capitalizes a role name for display. */
+export declare function formatRoleLabel(role: string): string;
+/** Only the mapped role pairs, weakest first; unassigned roles are skipped. */
+export declare function evaluateRolePairings(
+  roles: Record<string, string | string[]>,
+  settings?: RolePairingSettings,
+): RolePairResult[];
+
+// Color vision deficiency
+
+export type Matrix3 = [
+  [number, number, number],
+  [number, number, number],
+  [number, number, number],
+];
+
+export type ConfusionSeverity = "critical" | "serious" | "moderate";
+
+export interface CVDTypeDefinition {
+  deficiency: "protan" | "deutan" | "tritan" | "achroma";
+  anomalous: boolean;
+}
+
+export interface ConfusionOptions {
+  method?: DeltaEMethod;
+  threshold?: number;
+  types?: CVDType[];
+  cvdSeverity?: number;
+}
+
+export interface ConfusionSuggestion {
+  /** Which color of the pair to change. */
+  color: "a" | "b";
+  from: HexColor;
+  to: HexColor;
+  delta: number;
+}
+
+export interface ConfusionFinding {
+  a: HexColor;
+  b: HexColor;
+  indexA: number;
+  indexB: number;
+  type: CVDType;
+  normalDelta: number;
+  simulatedDelta: number;
+  simulatedA: HexColor;
+  simulatedB: HexColor;
+  severity: ConfusionSeverity;
+  suggestion: ConfusionSuggestion | null;
+}
+
+export interface ConfusionReport {
+  method: string;
+  threshold: number;
+  types: CVDType[];
+  /** Anomaly severity (0-1) the simulations used. */
+  cvdSeverity: number;
+  findings: ConfusionFinding[];
+  counts: Partial<Record<CVDType, number>>;
+}
+
+export type DataVizPaletteType = "categorical" | "sequential" | "diverging";
+
+export interface DataVizOptions extends ConfusionOptions {
+  type?: DataVizPaletteType;
+  background?: string;
+}
+
+export interface DataVizSeries {
+  index: number;
+  hex: HexColor;
+  ratio: number;
+  passes: boolean;
+  /** OKLCH lightness. */
+  lightness: number;
+}
+
+export interface DataVizPair {
+  a: HexColor;
+  b: HexColor;
+  indexA: number;
+  indexB: number;
+  normalDelta: number;
+  worstDelta: number;
+  worstType: CVDType | null;
+  passes: boolean;
+}
+
+export interface LightnessViolation {
+  from: number;
+  to: number;
+  step: number;
+}
+
+export interface DataVizLightness {
+  monotonic: boolean;
+  direction: "ascending" | "descending" | "light-midpoint" | "dark-midpoint";
+  /** Diverging palettes only. */
+  symmetric?: boolean;
+  violations: LightnessViolation[];
+}
+
+export interface DataVizReport {
+  type: DataVizPaletteType;
+  background: HexColor;
+  minContrast: number;
+  series: DataVizSeries[];
+  contrast: { passes: boolean };
+  distinguishability: {
+    method: string;
+    threshold: number;
+    types: CVDType[];
+    pairs: DataVizPair[];
+    minimum: DataVizPair | null;
+    confusions: ConfusionFinding[];
+    passes: boolean;
+  };
+  /** Null for categorical palettes. */
+  lightness: DataVizLightness | null;
+  passes: boolean;
+}
+
+export declare const CVD_TYPES: Readonly<Record<CVDType, CVDTypeDefinition>>;
+export declare const CVD_MATRICES: Readonly<
+  Record<CVDTypeDefinition["deficiency"], Matrix3>
+>;
+export declare const DEFAULT_CVD_SEVERITY: number;
+export declare const CVD_CONFUSION_THRESHOLDS: Readonly<
+  Record<"76" | "94" | "2000" | "ok", number>
+>;
+export declare const DATAVIZ_CVD_TYPES: readonly CVDType[];
+export declare const DATAVIZ_MIN_CONTRAST: number;
+export declare const DATAVIZ_PALETTE_TYPES: readonly DataVizPaletteType[];
+
+/** Linear-sRGB matrix, or null for normal vision. Severity is 0-1. */
+export declare function getCVDMatrix(
+  type: string,
+  severity?: number,
+): Matrix3 | null;
+/** feColorMatrix "values" for the same simulation. */
+export declare function getCVDFilterValues(
+  type: string,
+  severity?: number,
+): string;
+/** Unknown types and invalid colors are returned unchanged. */
+export declare function simulateCVD(
+  hex: string,
+  type: string,
+  severity?: number,
+): string;
+/** Capitalizes a CVD type name for display. */
+export declare function formatCVDType(type: string): string;
+export declare function findConfusableColors(
+  colors: string[],
+  options?: ConfusionOptions,
+): ConfusionReport;
+export declare function analyzeDataVizPalette(
+  colors: string[],
+  options?: DataVizOptions,
+): DataVizReport | null;
+
+// Fix suggestions
+
+export type FixProperty = "color" | "background-color";
+
+export interface FixOption {
+  property: FixProperty;
+  original: HexColor;
+  suggestion: HexColor;
+  /** The color that was held in place. */
+  fixedHex: HexColor;
+  metric: StandardMetric;
+  beforeRatio: number;
+  afterRatio: number;
+  beforeLc: number;
+  afterLc: number;
+  /** OKLab distance from the original. */
+  delta: number;
+}
+
+export interface FixOptions {
+  /** Target an APCA Lc instead of a WCAG ratio. */
+  targetLc?: number;
+}
+
+export interface SuggestedFixes {
+  text: FixOption | null;
+  background: FixOption | null;
+  recommended: FixOption | null;
+  metric: StandardMetric;
+  targetRatio: number;
+  targetLc: number | null;
+}
+
+export interface TwoSidedFixOptions extends FixOptions {
+  deltaE?: "2000" | "ok";
+}
+
+export interface TwoSidedFixOption {
+  kind: "balanced" | "text" | "background";
+  text: HexColor;
+  background: HexColor;
+  textDelta: number;
+  backgroundDelta: number;
+  totalDelta: number;
+  afterRatio: number;
+  afterLc: number;
+}
+
+export interface TwoSidedFixes {
+  options: TwoSidedFixOption[];
+  recommended: TwoSidedFixOption | null;
+  metric: StandardMetric;
+  deltaE: "2000" | "ok";
+  beforeRatio: number;
+  beforeLc: number;
+  targetRatio: number;
+  targetLc: number | null;
+}
+
+export interface PaletteConstraint {
+  text: string;
+  background: string;
+  level?: "AA" | "AAA" | "AA Large" | "non-text";
+  ratio?: number;
+  lc?: number;
+}
+
+export interface PaletteSolverOptions {
+  /** Palette names that must not change. */
+  locked?: string[];
+}
+
+export interface PaletteAdjustment {
+  name: string;
+  from: HexColor;
+  to: HexColor;
+  delta: number;
+}
+
+export interface PaletteConstraintResult {
+  index: number;
+  text: string;
+  background: string;
+  metric: StandardMetric;
+  target: number | null;
+  before: number | null;
+  after: number | null;
+  passes: boolean;
+}
+
+export interface PaletteConflict {
+  /** Indexes into the constraints array. */
+  constraints: number[];
+  colors: string[];
+  reason:
+    "unknown-color" | "unknown-level" | "locked" | "unreachable" | "competing";
+}
+
+export interface PaletteSolution {
+  solved: boolean;
+  palette: Record<string, HexColor>;
+  adjustments: PaletteAdjustment[];
+  constraints: PaletteConstraintResult[];
+  conflicts: PaletteConflict[];
+}
+
+export interface TonalScaleOptions {
+  /** Step numbers (0-1000) or a step count. */
+  steps?: number[] | number;
+  standard?: StandardInput;
+}
+
+export interface TonalStep {
+  step: number;
+  hex: HexColor;
+  luminance: number;
+}
+
+export interface TonalScaleCell {
+  text: number;
+  background: number;
+  wcagRatio: number;
+  apcaScore: number;
+}
+
+export interface TonalScaleGuarantee {
+  gap: number;
+  minRatio: number;
+  minLc: number;
+}
+
+export interface TonalScale {
+  seed: HexColor;
+  standard: "WCAG" | "APCA";
+  seedStep: number;
+  steps: TonalStep[];
+  /** matrix[i][j] measures step i as text on step j as background. */
+  matrix: TonalScaleCell[][];
+  guarantees: TonalScaleGuarantee[];
+}
+
+export interface DarkThemeOptions {
+  /** Role used as the background of every pair. Defaults to "surface". */
+  surface?: string;
+  /** Extra role pairs to preserve, e.g. text on an accent button. */
+  pairs?: { text: string; background: string }[];
+  /** OKLCH lightness of the dark surface. Defaults to 0.2. */
+  surfaceLightness?: number;
+}
+
+export interface DarkThemePair {
+  text: string;
+  background: string;
+  light: { wcagRatio: number; apcaScore: number };
+  dark: { wcagRatio: number; apcaScore: number };
+  targetRatio: number;
+  /** |Lc| the dark pair must reach in its own polarity. */
+  targetLc: number;
+  passes: boolean;
+}
+
+export interface DarkTheme {
+  solved: boolean;
+  surface: string;
+  light: Record<string, HexColor>;
+  dark: Record<string, HexColor>;
+  pairs: DarkThemePair[];
+  conflicts: PaletteConflict[];
+}
+
+export declare const TONAL_SCALE_STEPS: readonly number[];
+export declare const THEME_ROLES: readonly string[];
+
+export declare function suggestPassingColor(
+  hexToChange: string,
+  fixedHex: string,
+  targetRatio?: number,
+): HexColor | null;
+/** Keeps the pair's polarity while reaching targetLc. */
+export declare function suggestAPCAPassingColor(
+  textHex: string,
+  bgHex: string,
+  targetLc: number,
+  property?: FixProperty,
+): HexColor | null;
+export declare function getSuggestedFixes(
+  textHex: string,
+  bgHex: string,
+  targetRatio?: number,
+  options?: FixOptions,
+): SuggestedFixes;
+/** "before -> after" in the option's metric. */
+export declare function formatFixChange(
+  option: Pick<
+    FixOption,
+    "metric" | "beforeRatio" | "afterRatio" | "beforeLc" | "afterLc"
+  >,
+): string;
+export declare function getTwoSidedFixes(
+  textHex: string,
+  bgHex: string,
+  targetRatio?: number,
+  options?: TwoSidedFixOptions,
+): TwoSidedFixes | null;
+export declare function solvePaletteConstraints(
+  palette: Record<string, ColorInput>,
+  constraints: PaletteConstraint[],
+  options?: PaletteSolverOptions,
+): PaletteSolution;
+export declare function generateTonalScale(
+  seed: ColorInput,
+  options?: TonalScaleOptions,
+): TonalScale | null;
+export declare function generateDarkTheme(
+  palette: Record<string, ColorInput>,
+  options?: DarkThemeOptions,
+): DarkTheme | null;
+
+// Palette files
+
+export type PaletteFormat =
+  "ase" | "gpl" | "sketchpalette" | "procreate" | "css" | "tailwind" | "dtcg";
+
+/** Binary formats need bytes; text formats also take a string. */
+export type PaletteFileInput = string | ArrayBuffer | ArrayBufferView;
+
+export interface PaletteColor {
+  /** Source label: swatch name, custom property (no "--"), token path. */
+  name: string | null;
+  hex: HexColor;
+  alpha: number;
+  group: string | null;
+}
+
+export interface ImportedPalette {
+  format: PaletteFormat;
+  name: string | null;
+  colors: PaletteColor[];
+  /** Entries dropped as unparseable or fully transparent. */
+  skipped: number;
+}
+
+export interface PaletteFileOptions {
+  format?: PaletteFormat;
+  fileName?: string;
+}
+
+export declare const PALETTE_FORMATS: readonly PaletteFormat[];
+export declare function detectPaletteFormat(
+  input: PaletteFileInput | object,
+  fileName?: string,
+): PaletteFormat | null;
+export declare function parsePaletteFile(
+  input: PaletteFileInput | object,
+  options?: PaletteFileOptions,
+): ImportedPalette | null;
+export declare function parseAsePalette(
+  input: ArrayBuffer | ArrayBufferView,
+): ImportedPalette | null;
+export declare function parseGplPalette(
+  input: PaletteFileInput,
+): ImportedPalette | null;
+export declare function parseSketchPalette(
+  input: PaletteFileInput | object,
+): ImportedPalette | null;
+/** A .swatches ZIP, or its Swatches.json. */
+export declare function parseProcreatePalette(
+  input: PaletteFileInput | object,
+): ImportedPalette | null;
+export declare function parseCssPalette(
+  input: PaletteFileInput,
+): ImportedPalette | null;
+/** A colors object or a config with colors / theme.colors / theme.extend.colors. */
+export declare function parseTailwindPalette(
+  input: PaletteFileInput | object,
+): ImportedPalette | null;
+/** W3C Design Tokens (DTCG) JSON; only color tokens are read. */
+export declare function parseDesignTokens(
+  input: PaletteFileInput | object,
+): ImportedPalette | null;
+
+// Palette export
+
+export type PaletteExportFormat =
+  "css" | "scss" | "tailwind" | "dtcg" | "style-dictionary" | "android" | "ios";
+
+export interface PaletteExportColor {
+  name?: string | null;
+  hex: string;
+  alpha?: number;
+}
+
+/** A text-on-background pairing reaching WCAG AA Large or APCA Bronze. */
+export interface PaletteCompliancePairing {
+  /** Export slug of the text color, e.g. "brand-primary-2". */
+  text: string;
+  background: string;
+  wcagRatio: number;
+  wcagLevel: ComplianceLevel;
+  apcaScore: number;
+  apcaLevel: APCALevel;
+}
+
+/** Type size the APCA tiers are judged at; defaults to 16px / 400. */
+export interface PaletteComplianceOptions {
+  fontSize?: number;
+  fontWeight?: number | string;
+}
+
+export interface PaletteExportOptions {
+  /** File, SCSS map or asset catalog name. */
+  name?: string;
+  /** Embed the verified pairings as comments or `$extensions`. */
+  compliance?: boolean | PaletteComplianceOptions;
+}
+
+export interface PaletteExportFile {
+  path: string;
+  content: string;
+}
+
+export interface PaletteExport {
+  format: PaletteExportFormat;
+  files: PaletteExportFile[];
+}
+
+export declare const PALETTE_EXPORT_FORMATS: readonly PaletteExportFormat[];
+/** `$extensions` key used by DTCG exports. */
+export declare const PALETTE_COMPLIANCE_EXTENSION: string;
+export declare function getPaletteCompliance(
+  colors: ReadonlyArray<PaletteExportColor | string>,
+  options?: PaletteComplianceOptions,
+): PaletteCompliancePairing[];
+export declare function exportPalette(
+  colors: ReadonlyArray<PaletteExportColor | string>,
+  format: PaletteExportFormat,
+  options?: PaletteExportOptions,
+): PaletteExport | null;
+/** Escapes text for HTML content and quoted attributes. */
+export declare function escapeHtml(value: unknown): string;
+/** Stored (uncompressed) ZIP archive of the given files. */
+export declare function createZipArchive(
+  files: ReadonlyArray<{ path: string; content: string | Uint8Array }>,
+): Uint8Array;
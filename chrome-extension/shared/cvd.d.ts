@@ -0,0 +1,33 @@
+export {
+  CVD_CONFUSION_THRESHOLDS,
+  CVD_MATRICES,
+  CVD_TYPES,
+  DATAVIZ_CVD_TYPES,
+  DATAVIZ_MIN_CONTRAST,
+  DATAVIZ_PALETTE_TYPES,
+  DEFAULT_CVD_SEVERITY,
+  analyzeDataVizPalette,
+  findConfusableColors,
+  formatCVDType,
+  getCVDFilterValues,
+  getCVDMatrix,
+  simulateCVD,
+} from "./contrast";
+
+export type {
+  ConfusionFinding,
+  ConfusionOptions,
+  ConfusionReport,
+  ConfusionSeverity,
+  ConfusionSuggestion,
+  CVDType,
+  CVDTypeDefinition,
+  DataVizLightness,
+  DataVizOptions,
+  DataVizPair,
+  DataVizPaletteType,
+  DataVizReport,
+  DataVizSeries,
+  LightnessViolation,
+  Matrix3,
+} from "./contrast";
@@ -0,0 +1,19 @@
+/**
+ * ChromaCheck - Color vision deficiency simulation and distinguishability checks.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+export {
+  CVD_CONFUSION_THRESHOLDS,
+  CVD_MATRICES,
+  CVD_TYPES,
+  DATAVIZ_CVD_TYPES,
+  DATAVIZ_MIN_CONTRAST,
+  DATAVIZ_PALETTE_TYPES,
+  DEFAULT_CVD_SEVERITY,
+  analyzeDataVizPalette,
+  findConfusableColors,
+  formatCVDType,
+  getCVDFilterValues,
+  getCVDMatrix,
+  simulateCVD,
+} from "./index.mjs";
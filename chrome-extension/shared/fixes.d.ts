@@ -0,0 +1,36 @@
+export {
+  THEME_ROLES,
+  TONAL_SCALE_STEPS,
+  formatFixChange,
+  generateDarkTheme,
+  generateTonalScale,
+  getSuggestedFixes,
+  getTwoSidedFixes,
+  solvePaletteConstraints,
+  suggestAPCAPassingColor,
+  suggestPassingColor,
+} from "./contrast";
+
+export type {
+  DarkTheme,
+  DarkThemeOptions,
+  DarkThemePair,
+  FixOption,
+  FixOptions,
+  FixProperty,
+  PaletteAdjustment,
+  PaletteConflict,
+  PaletteConstraint,
+  PaletteConstraintResult,
+  PaletteSolution,
+  PaletteSolverOptions,
+  SuggestedFixes,
+  TonalScale,
+  TonalScaleCell,
+  TonalScaleGuarantee,
+  TonalScaleOptions,
+  TonalStep,
+  TwoSidedFixes,
+  TwoSidedFixOption,
+  TwoSidedFixOptions,
+} from "./contrast";
@@ -0,0 +1,29 @@
+/**
+ * ChromaCheck - Passing-color suggestions, palette solving and tonal scales.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+const {
+  THEME_ROLES,
+  TONAL_SCALE_STEPS,
+  formatFixChange,
+  generateDarkTheme,
+  generateTonalScale,
+  getSuggestedFixes,
+  getTwoSidedFixes,
+  solvePaletteConstraints,
+  suggestAPCAPassingColor,
+  suggestPassingColor,
+} = require("./contrast.js");
+
+module.exports = {
+  THEME_ROLES,
+  TONAL_SCALE_STEPS,
+  formatFixChange,
+  generateDarkTheme,
+  generateTonalScale,
+  getSuggestedFixes,
+  getTwoSidedFixes,
+  solvePaletteConstraints,
+  suggestAPCAPassingColor,
+  suggestPassingColor,
+};
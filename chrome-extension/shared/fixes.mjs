@@ -0,0 +1,16 @@
+/**
+ * ChromaCheck - Passing-color suggestions, palette solving and tonal scales.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+export {
+  THEME_ROLES,
+  TONAL_SCALE_STEPS,
+  formatFixChange,
+  generateDarkTheme,
+  generateTonalScale,
+  getSuggestedFixes,
+  getTwoSidedFixes,
+  solvePaletteConstraints,
+  suggestAPCAPassingColor,
+  suggestPassingColor,
+} from "./index.mjs";
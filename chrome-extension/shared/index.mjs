@@ -0,0 +1,133 @@
+/**
+ * ChromaCheck - ES module entry for the shared contrast engine.
+ * contrast.js stays a classic script so the side panel, workers
+ * (importScripts) and the CLI can load it directly; this file re-exports
+ * its CommonJS exports as named bindings.
+ */
+import engine from "./contrast.js";
+
+export const {
+  APCA_BCO,
+  APCA_FONT_LOOKUP_TABLE,
+  APCA_FONT_WEIGHTS,
+  APCA_GCO,
+  APCA_NON_TEXT_LC,
+  APCA_NON_TEXT_ONLY,
+  APCA_PROHIBITED,
+  APCA_RCO,
+  CSS_NAMED_COLORS,
+  CVD_CONFUSION_THRESHOLDS,
+  CVD_MATRICES,
+  CVD_TYPES,
+  DATAVIZ_CVD_TYPES,
+  DATAVIZ_MIN_CONTRAST,
+  DATAVIZ_PALETTE_TYPES,
+  DEFAULT_CVD_SEVERITY,
+  DEFAULT_ROLE_PAIRINGS,
+  ISSUE_TYPES,
+  NON_TEXT_PAIRING_ROLES,
+  PAIRING_ROLES,
+  PALETTE_COMPLIANCE_EXTENSION,
+  PALETTE_EXPORT_FORMATS,
+  PALETTE_FORMATS,
+  THEME_ROLES,
+  TONAL_SCALE_STEPS,
+  analyzeDataVizPalette,
+  buildCombinationsData,
+  buildContrastHeatmap,
+  buildIssuesData,
+  calcAPCA,
+  colorToHex,
+  colorToLab,
+  colorToOklab,
+  compositeOver,
+  createZipArchive,
+  defineStandard,
+  detectPaletteFormat,
+  escapeHtml,
+  evaluateRolePairings,
+  expandHex,
+  exportPalette,
+  findClosestColor,
+  findConfusableColors,
+  formatAPCAScore,
+  formatCVDType,
+  formatContrastRatio,
+  formatFixChange,
+  formatRequirementTarget,
+  formatRoleLabel,
+  gamutMapColor,
+  gamutMapOklch,
+  generateDarkTheme,
+  generateTonalScale,
+  getAPCABronzeTarget,
+  getAPCAComplianceLevel,
+  getAPCAConformance,
+  getAPCAFontGuidance,
+  getAPCAFontSizeTable,
+  getAPCAMinimumFontSize,
+  getAPCAMinimumRequirements,
+  getAPCAPolarity,
+  getAPCARecommendationDetails,
+  getAPCATargetLc,
+  getAPCAUsageBand,
+  getCVDFilterValues,
+  getCVDMatrix,
+  getColorDifference,
+  getColorGamut,
+  getComplianceLevel,
+  getCompositeContrast,
+  getContextualComplianceLevel,
+  getContrastRatio,
+  getDeltaE2000,
+  getDeltaE76,
+  getDeltaE94,
+  getDeltaEOK,
+  getGradientContrast,
+  getHaloContrast,
+  getImageContrastStats,
+  getLevelRank,
+  getPaletteCompliance,
+  getRelativeLuminance,
+  getRolePairingKind,
+  getStandard,
+  getStandardRequirement,
+  getSuggestedFixes,
+  getTokenFamily,
+  getTwoSidedFixes,
+  getWideGamutContrast,
+  hasReadableHalo,
+  hexToHsl,
+  hexToRgb,
+  hslToHex,
+  isLargeText,
+  isTransparent,
+  isValidHex,
+  listStandards,
+  meetsStandardRequirement,
+  normalizeFontWeight,
+  normalizeStandard,
+  parseAsePalette,
+  parseBackgroundImage,
+  parseColor,
+  parseColorToHex,
+  parseCssPalette,
+  parseDesignTokens,
+  parseGplPalette,
+  parseGradient,
+  parsePaletteFile,
+  parseProcreatePalette,
+  parseSketchPalette,
+  parseTailwindPalette,
+  parseTextShadow,
+  registerStandard,
+  rgbStringToHex,
+  sampleGradient,
+  shouldAnalyzePair,
+  shouldIncludeIssueType,
+  simulateCVD,
+  solvePaletteConstraints,
+  srgbToOklch,
+  suggestAPCAPassingColor,
+  suggestPassingColor,
+} = engine;
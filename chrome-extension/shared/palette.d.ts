@@ -0,0 +1,32 @@
+export {
+  PALETTE_COMPLIANCE_EXTENSION,
+  PALETTE_EXPORT_FORMATS,
+  PALETTE_FORMATS,
+  createZipArchive,
+  detectPaletteFormat,
+  exportPalette,
+  getPaletteCompliance,
+  parseAsePalette,
+  parseCssPalette,
+  parseDesignTokens,
+  parseGplPalette,
+  parsePaletteFile,
+  parseProcreatePalette,
+  parseSketchPalette,
+  parseTailwindPalette,
+} from "./contrast";
+
+export type {
+  ImportedPalette,
+  PaletteColor,
+  PaletteComplianceOptions,
+  PaletteCompliancePairing,
+  PaletteExport,
+  PaletteExportColor,
+  PaletteExportFile,
+  PaletteExportFormat,
+  PaletteExportOptions,
+  PaletteFileInput,
+  PaletteFileOptions,
+  PaletteFormat,
+} from "./contrast";
@@ -0,0 +1,39 @@
+/**
+ * ChromaCheck - Palette file import and export.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+const {
+  PALETTE_COMPLIANCE_EXTENSION,
+  PALETTE_EXPORT_FORMATS,
+  PALETTE_FORMATS,
+  createZipArchive,
+  detectPaletteFormat,
+  exportPalette,
+  getPaletteCompliance,
+  parseAsePalette,
+  parseCssPalette,
+  parseDesignTokens,
+  parseGplPalette,
+  parsePaletteFile,
+  parseProcreatePalette,
+  parseSketchPalette,
+  parseTailwindPalette,
+} = require("./contrast.js");
+
+module.exports = {
+  PALETTE_COMPLIANCE_EXTENSION,
+  PALETTE_EXPORT_FORMATS,
+  PALETTE_FORMATS,
+  createZipArchive,
+  detectPaletteFormat,
+  exportPalette,
+  getPaletteCompliance,
+  parseAsePalette,
+  parseCssPalette,
+  parseDesignTokens,
+  parseGplPalette,
+  parsePaletteFile,
+  parseProcreatePalette,
+  parseSketchPalette,
+  parseTailwindPalette,
+};
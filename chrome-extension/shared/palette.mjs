@@ -0,0 +1,21 @@
+/**
+ * ChromaCheck - Palette file import and export.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+export {
+  PALETTE_COMPLIANCE_EXTENSION,
+  PALETTE_EXPORT_FORMATS,
+  PALETTE_FORMATS,
+  createZipArchive,
+  detectPaletteFormat,
+  exportPalette,
+  getPaletteCompliance,
+  parseAsePalette,
+  parseCssPalette,
+  parseDesignTokens,
+  parseGplPalette,
+  parsePaletteFile,
+  parseProcreatePalette,
+  parseSketchPalette,
+  parseTailwindPalette,
+} from "./index.mjs";
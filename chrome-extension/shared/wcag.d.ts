@@ -0,0 +1,11 @@
+export {
+  formatContrastRatio,
+  getComplianceLevel,
+  getContextualComplianceLevel,
+  getContrastRatio,
+  getLevelRank,
+  getRelativeLuminance,
+  isLargeText,
+} from "./contrast";
+
+export type { ComplianceLevel, HexColor, StandardInput } from "./contrast";
@@ -0,0 +1,23 @@
+/**
+ * ChromaCheck - WCAG 2.x luminance, contrast ratios and compliance levels.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+const {
+  formatContrastRatio,
+  getComplianceLevel,
+  getContextualComplianceLevel,
+  getContrastRatio,
+  getLevelRank,
+  getRelativeLuminance,
+  isLargeText,
+} = require("./contrast.js");
+
+module.exports = {
+  formatContrastRatio,
+  getComplianceLevel,
+  getContextualComplianceLevel,
+  getContrastRatio,
+  getLevelRank,
+  getRelativeLuminance,
+  isLargeText,
+};
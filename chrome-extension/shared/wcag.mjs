@@ -0,0 +1,13 @@
+/**
+ * ChromaCheck - WCAG 2.x luminance, contrast ratios and compliance levels.
+ * Subpath entry over contrast.js; see package.json "exports".
+ */
+export {
+  formatContrastRatio,
+  getComplianceLevel,
+  getContextualComplianceLevel,
+  getContrastRatio,
+  getLevelRank,
+  getRelativeLuminance,
+  isLargeText,
+} from "./index.mjs";
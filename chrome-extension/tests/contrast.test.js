@@ -2,16 +2,78 @@ const test = require("node:test");
 const assert = require("node:assert/strict");
 
 const {
+  escapeHtml,
+  formatCVDType,
+  formatFixChange,
+  formatRoleLabel,
   getAPCAComplianceLevel,
+  getAPCAConformance,
+  getAPCAFontGuidance,
+  getAPCAMinimumFontSize,
   getAPCAPolarity,
   getAPCARecommendationDetails,
   getContextualComplianceLevel,
   getSuggestedFixes,
+  getTwoSidedFixes,
+  solvePaletteConstraints,
+  generateTonalScale,
+  generateDarkTheme,
+  getDeltaE2000,
+  getDeltaEOK,
+  getColorDifference,
+  colorToLab,
+  findClosestColor,
+  getAPCATargetLc,
+  suggestPassingColor,
+  srgbToOklch,
+  hexToRgb,
+  gamutMapOklch,
+  getContrastRatio,
+  calcAPCA,
   normalizeStandard,
   shouldIncludeIssueType,
+  defineStandard,
+  getStandard,
+  getStandardRequirement,
   buildCombinationsData,
+  simulateCVD,
+  findConfusableColors,
+  analyzeDataVizPalette,
+  getCVDMatrix,
+  getCVDFilterValues,
+  DEFAULT_CVD_SEVERITY,
+  isLargeText,
+  meetsStandardRequirement,
+  APCA_NON_TEXT_LC,
   buildIssuesData,
   shouldAnalyzePair,
+  evaluateRolePairings,
+  getRolePairingKind,
+  DEFAULT_ROLE_PAIRINGS,
+  PAIRING_ROLES,
+  parseColor,
+  parseColorToHex,
+  getColorGamut,
+  gamutMapColor,
+  getWideGamutContrast,
+  colorToHex,
+  rgbStringToHex,
+  isTransparent,
+  compositeOver,
+  getCompositeContrast,
+  getGradientContrast,
+  getImageContrastStats,
+  parseTextShadow,
+  getHaloContrast,
+  hasReadableHalo,
+  parseGradient,
+  sampleGradient,
+  parsePaletteFile,
+  exportPalette,
+  getPaletteCompliance,
+  createZipArchive,
+  buildContrastHeatmap,
+  getTokenFamily,
 } = require("../shared/contrast.js");
 
 test("normalizes unknown standards to WCAG21", () => {
@@ -35,9 +97,33 @@ test("gates issue types by active standard", () => {
 });
 
 test("keeps APCA large-text compliance contextual", () => {
-  assert.equal(getAPCAComplianceLevel(45, "24px", "400"), "AA Large");
+  assert.equal(getAPCAComplianceLevel(45, "36px", "400"), "AA Large");
   assert.equal(getAPCAComplianceLevel(45, "16px", "400"), "Fail");
-  assert.equal(getAPCAComplianceLevel(60, "16px", "400"), "AA");
+  assert.equal(getAPCAComplianceLevel(60, "24px", "400"), "AA");
+  assert.equal(getAPCAComplianceLevel(60, "16px", "400"), "Fail");
+  assert.equal(getAPCAComplianceLevel(-80, "18px", "700"), "AAA");
+});
+
+test("reads minimum font sizes from the APCA lookup table", () => {
+  assert.equal(getAPCAMinimumFontSize(75, 400), 18);
+  assert.equal(getAPCAMinimumFontSize(-90, "bold"), 14);
+  assert.equal(getAPCAMinimumFontSize(78, 400), 17.6);
+  assert.equal(getAPCAMinimumFontSize(20, 700), null);
+
+  const conformance = getAPCAConformance(92, "16px", "400");
+  assert.equal(conformance.level, "Silver");
+  assert.equal(conformance.minimumFontSize, 15.8);
+  assert.equal(conformance.band.key, "fluent");
+  assert.equal(conformance.fontSizes.length, 9);
+  assert.equal(
+    getAPCAConformance(25, "16px", "400").fontSizes[0].usage,
+    "non-text",
+  );
+  assert.equal(
+    getAPCAFontGuidance(conformance),
+    "APCA Silver: needs at least 15.8px at weight 400 (currently 16px). Fluent body text.",
+  );
+  assert.equal(getAPCAFontGuidance(null), "");
 });
 
 test("reports APCA polarity and conformance guidance", () => {
@@ -57,6 +143,429 @@ test("builds text and background fix suggestions with a recommendation", () => {
   assert.ok(fixes.recommended.afterRatio >= 4.5);
 });
 
+test("formats fix changes, role and CVD labels and escaped markup", () => {
+  assert.equal(
+    formatFixChange({ metric: "wcag", beforeRatio: 4.48, afterRatio: 4.5 }),
+    "4.48:1 -> 4.50:1",
+  );
+  assert.equal(
+    formatFixChange({ metric: "apca", beforeLc: -58.2, afterLc: -60 }),
+    "Lc -58.2 -> Lc -60.0",
+  );
+  assert.equal(formatRoleLabel("muted"), "Muted");
+  assert.equal(formatCVDType("protanomaly"), "Protanomaly");
+  assert.equal(
+    escapeHtml(`<a title="x">Tom & Jerry's</a>`),
+    "&lt;a title=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;",
+  );
+  assert.equal(escapeHtml(null), "");
+  assert.equal(escapeHtml(3), "3");
+});
+
+test("searches OKLCH lightness for the closest passing color", () => {
+  assert.equal(suggestPassingColor("#777777", "#ffffff", 4.5), "#767676");
+
+  const original = srgbToOklch(parseColor("#3366ff"));
+  const suggestion = suggestPassingColor("#3366ff", "#222222", 7);
+  const adjusted = srgbToOklch(parseColor(suggestion));
+  assert.ok(getContrastRatio(suggestion, "#222222") >= 7);
+  assert.ok(Math.abs(adjusted.h - original.h) < 5);
+
+  const mapped = gamutMapOklch(0.7, 0.4, 145);
+  for (const channel of [mapped.r, mapped.g, mapped.b]) {
+    assert.ok(channel >= 0 && channel <= 1);
+  }
+});
+
+test("targets the APCA Lc needed for the font size and keeps polarity", () => {
+  assert.equal(getAPCATargetLc("24px", "400"), 60);
+  assert.equal(getAPCATargetLc("16px", "400"), 90);
+
+  const fixes = getSuggestedFixes("#aaaaaa", "#333333", 4.5, {
+    targetLc: 75,
+  });
+  assert.equal(fixes.metric, "apca");
+  assert.ok(fixes.text.beforeLc < 0);
+  assert.ok(fixes.text.afterLc <= -75);
+  assert.equal(fixes.background, null);
+});
+
+test("returns a Pareto set of two-sided fixes ranked by ΔE2000", () => {
+  assert.equal(getDeltaE2000("#336699", "#336699"), 0);
+
+  const fixes = getTwoSidedFixes("#777777", "#eeeeee", 4.5);
+  assert.equal(fixes.options[0].kind, "text");
+  assert.ok(fixes.options.some((option) => option.kind === "balanced"));
+  fixes.options.forEach((option) => {
+    assert.ok(option.afterRatio >= 4.5);
+  });
+  for (let i = 1; i < fixes.options.length; i += 1) {
+    assert.ok(fixes.options[i].textDelta < fixes.options[i - 1].textDelta);
+  }
+  assert.equal(
+    fixes.recommended.totalDelta,
+    Math.min(...fixes.options.map((option) => option.totalDelta)),
+  );
+});
+
+test("measures color difference with ΔE76, ΔE94, ΔE2000 and ΔEOK", () => {
+  const a = "lab(50 2.6772 -79.7751)";
+  const b = "lab(50 0 -82.7485)";
+  assert.equal(colorToLab(a).l.toFixed(4), "50.0000");
+  assert.equal(getColorDifference(a, b, "76").toFixed(4), "4.0011");
+  assert.equal(getColorDifference(a, b, "94").toFixed(4), "1.3950");
+  assert.equal(getDeltaE2000(a, b).toFixed(4), "2.0425");
+  assert.ok(getDeltaEOK("#ff0000", "#ee0000") < 0.05);
+  assert.equal(getColorDifference("#000", "not-a-color"), null);
+
+  const closest = findClosestColor("#ff1010", ["#0000ff", "#ff0000"]);
+  assert.equal(closest.index, 1);
+});
+
+test("solves shared palette constraints together or reports conflicts", () => {
+  const palette = {
+    text: "#333333",
+    muted: "#8a8a8a",
+    surface: "#f4f4f4",
+    card: "#ffffff",
+    accent: "#4f8cff",
+  };
+  const constraints = [
+    { text: "text", background: "surface", level: "AAA" },
+    { text: "muted", background: "surface", level: "AA" },
+    { text: "muted", background: "card", level: "AA" },
+    { text: "accent", background: "card", ratio: 3 },
+  ];
+  const result = solvePaletteConstraints(palette, constraints, {
+    locked: ["card"],
+  });
+  assert.equal(result.solved, true);
+  assert.equal(result.palette.card, "#ffffff");
+  assert.equal(result.palette.text, "#333333");
+  assert.ok(result.adjustments.some((entry) => entry.name === "muted"));
+  result.constraints.forEach((constraint) => assert.ok(constraint.passes));
+
+  const impossible = solvePaletteConstraints(
+    { mid: "#777777", light: "#eeeeee", dark: "#222222" },
+    [
+      { text: "mid", background: "light", level: "AAA" },
+      { text: "mid", background: "dark", level: "AAA" },
+    ],
+  );
+  assert.equal(impossible.solved, false);
+  assert.deepEqual(impossible.conflicts[0].constraints, [0, 1]);
+  assert.equal(impossible.conflicts[0].reason, "competing");
+});
+
+test("generates tonal scales with step-distance contrast guarantees", () => {
+  const scale = generateTonalScale("#3b82f6");
+  assert.deepEqual(
+    scale.steps.map((entry) => entry.step),
+    [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950],
+  );
+  assert.equal(scale.matrix.length, 11);
+  assert.ok(scale.matrix[6][0].wcagRatio >= 4.5);
+  const gap500 = scale.guarantees.find((entry) => entry.gap === 500);
+  assert.ok(gap500.minRatio >= 4.5);
+
+  const apca = generateTonalScale("#3b82f6", { standard: "APCA", steps: 5 });
+  assert.equal(apca.standard, "APCA");
+  assert.deepEqual(
+    apca.steps.map((entry) => entry.step),
+    [50, 280, 500, 730, 950],
+  );
+  assert.equal(generateTonalScale("not-a-color"), null);
+});
+
+test("derives a dark theme that keeps each role pair's contrast", () => {
+  const light = {
+    surface: "#ffffff",
+    text: "#0f172a",
+    muted: "#64748b",
+    accent: "#2563eb",
+    border: "#cbd5e1",
+  };
+  const theme = generateDarkTheme(light, {
+    pairs: [{ text: "surface", background: "accent" }],
+  });
+  assert.equal(theme.solved, true);
+  assert.deepEqual(theme.light, light);
+  assert.equal(theme.pairs.length, 5);
+  assert.ok(getContrastRatio(theme.dark.surface, "#000000") < 1.5);
+
+  theme.pairs.forEach((pair) => {
+    assert.ok(pair.passes, `${pair.text} on ${pair.background}`);
+    assert.ok(pair.dark.wcagRatio >= pair.targetRatio);
+    assert.ok(Math.abs(pair.dark.apcaScore) >= pair.targetLc);
+  });
+  // Dark-on-light pairs flip to light-on-dark and keep their |Lc|.
+  const muted = theme.pairs.find((pair) => pair.text === "muted");
+  assert.ok(muted.light.apcaScore > 0 && muted.dark.apcaScore < 0);
+  assert.ok(muted.targetLc > 75);
+
+  // Roles stay close in hue.
+  const hueOf = (hex) => srgbToOklch(hexToRgb(hex)).h;
+  ["muted", "accent", "border"].forEach((role) => {
+    const shift = Math.abs(hueOf(theme.dark[role]) - hueOf(light[role]));
+    assert.ok(Math.min(shift, 360 - shift) < 10, role);
+  });
+
+  // Targets white cannot reach on the dark surface are capped.
+  const capped = generateDarkTheme({ surface: "#fff", text: "#000" });
+  assert.equal(capped.solved, true);
+  assert.ok(capped.pairs[0].targetRatio < 21);
+  assert.equal(generateDarkTheme({ text: "#000" }), null);
+});
+
+test("simulates CVD in linear RGB with adjustable severity", () => {
+  // Neutrals are fixed points of every model.
+  for (const type of ["protanopia", "deuteranopia", "tritanopia"]) {
+    assert.equal(simulateCVD("#ffffff", type), "#ffffff");
+    assert.equal(simulateCVD("#777777", type), "#777777");
+  }
+
+  // Red and green collapse toward the same yellow-brown axis for dichromats.
+  assert.equal(simulateCVD("#ff0000", "protanopia"), "#6d5f00");
+  assert.equal(simulateCVD("#ff0000", "deuteranopia"), "#a39000");
+  assert.equal(simulateCVD("#ff0000", "achromatopsia"), "#7f7f7f");
+
+  // Severity runs from normal vision to the matching dichromacy.
+  assert.equal(simulateCVD("#ff0000", "protanomaly", 0), "#ff0000");
+  assert.equal(
+    simulateCVD("#ff0000", "protanomaly", 1),
+    simulateCVD("#ff0000", "protanopia"),
+  );
+  assert.equal(
+    simulateCVD("#ff0000", "protanopia", 0),
+    simulateCVD("#ff0000", "protanopia"),
+  );
+  assert.equal(simulateCVD("#ff0000", "none"), "#ff0000");
+  assert.equal(getCVDMatrix("none"), null);
+
+  const mild = buildCombinationsData(["#ff0000", "#00ff00"], {
+    cvdMode: "deuteranomaly",
+    cvdSeverity: 0.2,
+  });
+  const severe = buildCombinationsData(["#ff0000", "#00ff00"], {
+    cvdMode: "deuteranomaly",
+    cvdSeverity: 1,
+  });
+  assert.notEqual(mild[0].wcagRatio, severe[0].wcagRatio);
+
+  const values = getCVDFilterValues("deuteranopia").split(/\s+/).map(Number);
+  assert.equal(values.length, 20);
+  assert.deepEqual(values.slice(0, 5), [0.367322, 0.860646, -0.227968, 0, 0]);
+});
+
+test("flags palette pairs that collapse under color vision deficiencies", () => {
+  const report = findConfusableColors(["#d32f2f", "#388e3c", "#ffffff"]);
+  assert.equal(report.method, "2000");
+  assert.equal(report.threshold, 10);
+
+  // Red and green pass against white but merge for deuteranopes.
+  const deutan = report.findings.find(
+    (finding) => finding.type === "deuteranopia",
+  );
+  assert.ok(deutan);
+  assert.equal(deutan.a, "#d32f2f");
+  assert.equal(deutan.b, "#388e3c");
+  assert.ok(deutan.normalDelta > 50);
+  assert.ok(deutan.simulatedDelta < report.threshold);
+  assert.equal(deutan.severity, "serious");
+  assert.equal(report.counts.deuteranopia, 1);
+  assert.equal(report.counts.tritanopia, 0);
+
+  // The suggested replacement separates the pair under that deficiency.
+  const { suggestion } = deutan;
+  const other = suggestion.color === "a" ? deutan.b : deutan.a;
+  assert.ok(
+    getDeltaE2000(
+      simulateCVD(suggestion.to, "deuteranopia"),
+      simulateCVD(other, "deuteranopia"),
+    ) >= report.threshold,
+  );
+  assert.ok(suggestion.delta < 15);
+
+  // Type filter and colors that already look alike.
+  const onlyTritan = findConfusableColors(["#d32f2f", "#388e3c"], {
+    types: ["tritanopia"],
+  });
+  assert.deepEqual(onlyTritan.types, ["tritanopia"]);
+  assert.equal(onlyTritan.findings.length, 0);
+  assert.equal(findConfusableColors(["#777777", "#787878"]).findings.length, 0);
+});
+
+test("reports the anomaly severity confusable pairs were found at", () => {
+  const colors = ["#d32f2f", "#388e3c", "#ffffff"];
+  const options = { types: ["deuteranomaly"] };
+  const standard = findConfusableColors(colors, options);
+  assert.equal(standard.cvdSeverity, DEFAULT_CVD_SEVERITY);
+  assert.equal(standard.findings.length, 0);
+
+  // A cached report from one severity is wrong at another.
+  const full = findConfusableColors(colors, { ...options, cvdSeverity: 1 });
+  assert.equal(full.cvdSeverity, 1);
+  assert.equal(full.findings.length, 1);
+  assert.equal(full.findings[0].severity, "serious");
+});
+
+test("checks data-visualization palettes for contrast, separation and order", () => {
+  // Okabe-Ito stays distinguishable for red-green and blue-yellow deficiencies.
+  const okabeIto = analyzeDataVizPalette(
+    ["#e69f00", "#56b4e9", "#009e73", "#0072b2", "#d55e00", "#cc79a7"],
+    { background: "#ffffff" },
+  );
+  assert.equal(okabeIto.type, "categorical");
+  assert.equal(okabeIto.distinguishability.passes, true);
+  assert.equal(okabeIto.lightness, null);
+  // Light orange and sky blue are under 3:1 against white.
+  assert.deepEqual(
+    okabeIto.series.filter((entry) => !entry.passes).map((entry) => entry.hex),
+    ["#e69f00", "#56b4e9"],
+  );
+  assert.equal(okabeIto.passes, false);
+
+  // Orange and green separate with typical vision but not for protanopes.
+  const tableau = analyzeDataVizPalette(["#ff7f0e", "#2ca02c"]);
+  assert.equal(tableau.distinguishability.minimum.worstType, "protanopia");
+  assert.ok(tableau.distinguishability.minimum.normalDelta > 50);
+  assert.equal(tableau.distinguishability.passes, false);
+
+  const sequential = ["#deebf7", "#9ecae1", "#4292c6", "#08519c"];
+  assert.deepEqual(
+    analyzeDataVizPalette(sequential, { type: "sequential" }).lightness,
+    { monotonic: true, direction: "descending", violations: [] },
+  );
+  const shuffled = analyzeDataVizPalette(
+    ["#deebf7", "#4292c6", "#9ecae1", "#08519c"],
+    { type: "sequential" },
+  );
+  assert.equal(shuffled.lightness.monotonic, false);
+  assert.deepEqual(
+    shuffled.lightness.violations.map(({ from, to }) => [from, to]),
+    [[1, 2]],
+  );
+
+  const diverging = analyzeDataVizPalette(
+    ["#b2182b", "#ef8a62", "#f7f7f7", "#67a9cf", "#2166ac"],
+    { type: "diverging" },
+  );
+  assert.equal(diverging.lightness.monotonic, true);
+  assert.equal(diverging.lightness.direction, "light-midpoint");
+
+  assert.equal(analyzeDataVizPalette(["#000"], { background: "nope" }), null);
+});
+
+test("evaluates issues against a custom standard definition", () => {
+  const policy = {
+    id: "team",
+    label: "Team policy",
+    rules: [
+      { tags: ["h1", "h2"], metric: "apca", level: "Silver" },
+      { types: ["non-text"], level: "AA" },
+      { types: ["text"], level: "AAA" },
+    ],
+  };
+  const definition = defineStandard(policy);
+  assert.equal(definition.metric, "wcag");
+  assert.equal(definition.issueTypes.includes("target-size"), false);
+  assert.equal(defineStandard({ id: "bad", rules: [{ level: "AAAA" }] }), null);
+  assert.equal(getStandard("team", [policy]).label, "Team policy");
+  assert.equal(getStandard("team").id, "WCAG21");
+
+  const body = { type: "text", tagName: "p", fontSize: "16px" };
+  assert.equal(getStandardRequirement(body, policy).target, 7);
+  assert.equal(getStandardRequirement(body, "WCAG21").target, 4.5);
+  assert.equal(getStandardRequirement(body, "APCA").label, "APCA Bronze");
+
+  const pairs = [
+    { ...body, textColor: "#767676", bgColor: "#ffffff", fontWeight: "400" },
+    {
+      type: "text",
+      tagName: "h1",
+      textColor: "#767676",
+      bgColor: "#ffffff",
+      fontSize: "32px",
+      fontWeight: "700",
+    },
+    {
+      type: "non-text",
+      tagName: "button",
+      textColor: "#949494",
+      bgColor: "#ffffff",
+      fontSize: "24px",
+      fontWeight: "400",
+    },
+  ];
+  const issues = buildIssuesData(pairs, {
+    standard: "team",
+    customStandards: [policy],
+  });
+  const byTag = Object.fromEntries(issues.map((i) => [i.tagName, i]));
+  assert.equal(byTag.p.requirement.label, "WCAG AAA");
+  assert.equal(byTag.p.requirement.passes, false);
+  assert.equal(byTag.h1.requirement.metric, "apca");
+  assert.equal(byTag.h1.requirement.passes, true);
+  assert.equal(byTag.button.requirement.passes, true);
+  assert.equal(issues[0].tagName, "p");
+
+  const baseline = buildIssuesData(pairs, { standard: "WCAG21" });
+  assert.ok(baseline.every((issue) => issue.requirement.passes));
+});
+
+test("resolves custom standard ids passed with their definitions", () => {
+  const policy = {
+    id: "kiosk",
+    issueTypes: ["text", "target-size"],
+    largeText: { size: 32, boldSize: 24 },
+    rules: [{ types: ["text"], ratio: 5 }],
+  };
+  const heading = { type: "text", fontSize: "28px", fontWeight: "400" };
+  assert.equal(shouldIncludeIssueType("target-size", "kiosk", [policy]), true);
+  assert.equal(shouldIncludeIssueType("target-size", "kiosk"), false);
+  assert.equal(isLargeText(28, 400, "kiosk", [policy]), false);
+  assert.equal(isLargeText(28, 400, "kiosk"), true);
+  const requirement = getStandardRequirement(heading, "kiosk", [policy]);
+  assert.equal(requirement.standard, "kiosk");
+  assert.equal(requirement.target, 5);
+});
+
+test("holds graphical pairs to Lc 45 under APCA", () => {
+  const outline = {
+    type: "non-text",
+    textColor: "#767676",
+    bgColor: "#ffffff",
+    fontSize: "16px",
+    fontWeight: "400",
+  };
+  const requirement = getStandardRequirement(outline, "APCA");
+  assert.equal(requirement.target, APCA_NON_TEXT_LC);
+  assert.equal(requirement.nonText, true);
+  assert.equal(
+    getStandardRequirement({ ...outline, type: "text" }, "APCA").target,
+    90,
+  );
+
+  // Lc 74.3 misses the text target but clears the non-text floor.
+  const [issue] = buildIssuesData([outline], { standard: "APCA" });
+  assert.ok(Math.abs(issue.apcaScore) < 90);
+  assert.equal(issue.requirement.passes, true);
+  assert.equal(
+    meetsStandardRequirement(requirement, { wcagRatio: 1.5, apcaScore: 30 }),
+    false,
+  );
+
+  // Silver and Gold rules on focus indicators use the same floor.
+  const strict = { id: "strict", metric: "apca", rules: [{ level: "Gold" }] };
+  const focus = getStandardRequirement(
+    { ...outline, type: "focus-indicator" },
+    "strict",
+    [strict],
+  );
+  assert.equal(focus.target, APCA_NON_TEXT_LC);
+  assert.equal(focus.level, "Gold");
+});
+
 test("builds combinations data properly considering settings", () => {
   const colors = ["#000000", "#ffffff"];
   const wcagCombos = buildCombinationsData(colors, {
@@ -89,6 +598,131 @@ test("builds combinations data properly considering settings", () => {
   assert.notEqual(baselineCombos[0].wcagRatio, deuteranopiaCombos[0].wcagRatio);
 });
 
+test("builds a flat contrast heatmap and groups names by token family", () => {
+  const colors = ["#ffffff", { hex: "#000" }, "#767676"];
+  const heatmap = buildContrastHeatmap(colors);
+  assert.equal(heatmap.size, 3);
+  assert.deepEqual(heatmap.hexes, ["#ffffff", "#000000", "#767676"]);
+  assert.ok(Number.isNaN(heatmap.ratios[0]));
+  assert.ok(Number.isNaN(heatmap.apcaScores[4]));
+
+  // Text row on background column, matching the pairwise helpers.
+  [
+    [1, 0],
+    [2, 0],
+    [0, 2],
+  ].forEach(([row, column]) => {
+    const index = row * heatmap.size + column;
+    assert.equal(
+      heatmap.ratios[index],
+      getContrastRatio(heatmap.hexes[row], heatmap.hexes[column]),
+    );
+    assert.equal(
+      heatmap.apcaScores[index],
+      calcAPCA(heatmap.hexes[row], heatmap.hexes[column]),
+    );
+  });
+  assert.equal(buildContrastHeatmap(["#fff", "nope"]), null);
+
+  assert.equal(getTokenFamily("brand-500"), "brand");
+  assert.equal(getTokenFamily("brand"), "brand");
+  assert.equal(getTokenFamily("gray/100"), "gray");
+  assert.equal(getTokenFamily("blue-gray-50"), "blue-gray");
+  assert.equal(getTokenFamily("color.base.blue"), "color.base");
+  assert.equal(getTokenFamily("text-muted"), "text");
+  assert.equal(getTokenFamily(""), null);
+  assert.equal(getTokenFamily(null), null);
+});
+
+test("evaluates only mapped role pairs at each role's threshold", () => {
+  const roles = {
+    surface: "#ffffff",
+    text: "#111111",
+    muted: ["#767676", "#949494"],
+    accent: "#2563eb",
+    border: "#949494",
+    focus: "#bbbbbb",
+  };
+  const results = evaluateRolePairings(roles);
+  const find = (text, background, textHex) =>
+    results.find(
+      (result) =>
+        result.textRole === text &&
+        result.backgroundRole === background &&
+        (!textHex || result.textHex === textHex),
+    );
+
+  // Unassigned "elevated" drops its pairings; muted contributes two colors.
+  assert.equal(results.length, 8);
+  assert.ok(!results.some((result) => result.backgroundRole === "elevated"));
+
+  // The same gray fails as muted text and passes as a border.
+  const mutedGray = find("muted", "surface", "#949494");
+  assert.equal(mutedGray.kind, "text");
+  assert.equal(mutedGray.targetRatio, 4.5);
+  assert.equal(mutedGray.wcagLevel, "Fail");
+  assert.equal(mutedGray.passes, false);
+  const border = find("border", "surface");
+  assert.equal(border.kind, "non-text");
+  assert.equal(border.targetRatio, 3);
+  assert.equal(border.wcagRatio, mutedGray.wcagRatio);
+  assert.equal(border.wcagLevel, "AA Large");
+  assert.equal(border.passes, true);
+  assert.equal(find("focus", "surface").passes, false);
+  assert.equal(find("surface", "accent").kind, "text");
+  assert.equal(find("text", "surface").wcagLevel, "AAA");
+
+  // Weakest first, like the full matrix.
+  assert.equal(results[0].wcagLevel, "Fail");
+
+  // Large text relaxes text roles to 3:1; custom maps can reclassify a pair.
+  const large = evaluateRolePairings(roles, { fontSize: 24 });
+  assert.equal(large.find((r) => r.textHex === "#949494").targetRatio, 3);
+  const custom = evaluateRolePairings(roles, {
+    pairings: [
+      { text: "accent", background: "surface", kind: "non-text" },
+      { text: "accent", background: "surface" },
+      { text: "text", background: "text" },
+    ],
+  });
+  assert.equal(custom.length, 1);
+  assert.equal(custom[0].kind, "non-text");
+
+  // Role pairs follow the standard's requirements, custom policies included.
+  const brand = { surface: "#ffffff", text: "#0369a1", border: "#949494" };
+  const policy = {
+    id: "aaa-body",
+    label: "AAA body text",
+    rules: [{ types: ["text"], level: "AAA" }],
+  };
+  const strict = evaluateRolePairings(brand, {
+    standard: "aaa-body",
+    customStandards: [policy],
+  });
+  const body = strict.find((result) => result.textRole === "text");
+  assert.ok(body.wcagRatio > 4.5 && body.wcagRatio < 7);
+  assert.equal(body.requirement.label, "WCAG AAA");
+  assert.equal(body.targetRatio, 7);
+  assert.equal(body.passes, false);
+  assert.equal(
+    evaluateRolePairings(brand).find((r) => r.kind === "text").passes,
+    true,
+  );
+  const outline = strict.find((result) => result.kind === "non-text");
+  assert.equal(outline.targetRatio, 3);
+  assert.equal(outline.passes, true);
+  const apca = evaluateRolePairings(brand, { standard: "APCA" });
+  assert.equal(apca.find((r) => r.kind === "text").targetLc, 90);
+  assert.equal(apca.find((r) => r.kind === "non-text").targetLc, 45);
+  assert.equal(getRolePairingKind({ text: "focus" }), "non-text");
+  assert.ok(
+    DEFAULT_ROLE_PAIRINGS.every(
+      ({ text, background }) =>
+        PAIRING_ROLES.includes(text) && PAIRING_ROLES.includes(background),
+    ),
+  );
+});
+
 test("filters pairs properly using shouldAnalyzePair", () => {
   const focusPair = { type: "focus-indicator" };
   assert.equal(shouldAnalyzePair(focusPair, { standard: "WCAG21" }), false);
@@ -125,3 +759,726 @@ test("builds issues data properly given strict settings parameters", () => {
   assert.equal(issues22.length, 2);
   assert.ok(issues22.find((i) => i.type === "target-size"));
 });
+
+test("parses every CSS Color 4 notation into sRGB with alpha", () => {
+  assert.equal(parseColorToHex("#abc"), "#aabbcc");
+  assert.equal(parseColorToHex("rebeccapurple"), "#663399");
+  assert.equal(parseColorToHex("rgb(50% 25% 0%)"), "#804000");
+  assert.equal(parseColorToHex("hsl(0.5turn, 50%, 50%)"), "#40bfbf");
+  assert.equal(parseColorToHex("hwb(120 0% 50%)"), "#008000");
+  assert.equal(parseColorToHex("lch(52.2345% 72.2 56.2)"), "#c65d06");
+  assert.equal(parseColorToHex("oklch(62.8% 0.2577 29.23)"), "#ff0000");
+  assert.equal(parseColorToHex("color(srgb 1 1 1)"), "#ffffff");
+
+  assert.equal(parseColor("#11223344").alpha, 0x44 / 255);
+  assert.equal(parseColor("rgb(255 0 0 / 50%)").alpha, 0.5);
+  assert.equal(parseColor("rgba(10, 20, 30, .25)").alpha, 0.25);
+
+  // Wide-gamut sources keep their out-of-range channels.
+  assert.ok(parseColor("color(display-p3 1 0 0)").r > 1);
+
+  assert.equal(parseColor("currentcolor"), null);
+  assert.equal(parseColor("rgb(1 2)"), null);
+  assert.equal(parseColor("hsl(120 100% 50% / 0.5 / 1)"), null);
+});
+
+test("keeps legacy rgb helpers working on modern syntax", () => {
+  assert.equal(rgbStringToHex("rgb(15, 23, 42)"), "#0f172a");
+  assert.equal(rgbStringToHex("rgb(15 23 42 / 0.4)"), "#0f172a");
+  assert.equal(isTransparent("rgba(0, 0, 0, 0)"), true);
+  assert.equal(isTransparent("rgb(0 0 0 / 0%)"), true);
+  assert.equal(isTransparent("oklch(0.5 0.1 200)"), false);
+});
+
+test("gamut-maps wide-gamut colors and flags display-dependent results", () => {
+  assert.equal(getColorGamut("#ff0000"), "srgb");
+  assert.equal(getColorGamut("color(display-p3 1 0 0)"), "display-p3");
+  assert.equal(getColorGamut("color(rec2020 0 1 0)"), "rec2020");
+  assert.equal(getColorGamut("oklch(0.6 0.5 300)"), "wider");
+
+  // Mapping reduces chroma instead of clipping each channel to #ff0000.
+  const p3Red = parseColor("color(display-p3 1 0 0)");
+  const mapped = gamutMapColor(p3Red);
+  assert.equal(getColorGamut(mapped), "srgb");
+  assert.ok(mapped.g > 0 && mapped.b > 0);
+  assert.equal(parseColorToHex("color(display-p3 1 0 0)"), colorToHex(mapped));
+  assert.ok(Math.abs(srgbToOklch(mapped).h - srgbToOklch(p3Red).h) < 1);
+
+  const result = getWideGamutContrast("#000000", "oklch(0.64 0.3 160)");
+  assert.deepEqual(result.gamut, { text: "srgb", background: "rec2020" });
+  assert.equal(result.srgb.background, parseColorToHex("oklch(0.64 0.3 160)"));
+  // AAA holds on a wide-gamut display but not once mapped to sRGB.
+  assert.ok(result.srgb.wcagRatio < 7);
+  assert.ok(result.wide.wcagRatio >= 7);
+  assert.equal(result.displayDependent, true);
+  assert.equal(getWideGamutContrast("#000000", "#00ad00").wideGamut, false);
+
+  const policy = { id: "aaa", rules: [{ types: ["text"], level: "AAA" }] };
+  const pair = {
+    type: "text",
+    textColor: "#000000",
+    bgColor: result.srgb.background,
+    bgColorWide: "oklch(0.64 0.3 160)",
+    fontSize: "16px",
+    fontWeight: "400",
+  };
+  const [issue] = buildIssuesData([pair], {
+    standard: "aaa",
+    customStandards: [policy],
+  });
+  assert.equal(issue.requirement.passes, false);
+  assert.equal(issue.wideGamut.displayDependent, true);
+  assert.equal(
+    buildIssuesData([pair], { standard: "WCAG21" })[0].wideGamut
+      .displayDependent,
+    false,
+  );
+  assert.equal(
+    buildIssuesData([pair], { cvdMode: "deuteranopia" })[0].wideGamut,
+    undefined,
+  );
+});
+
+test("composites translucent colors before measuring contrast", () => {
+  assert.deepEqual(compositeOver("rgb(0 0 0 / 0.5)", "#ffffff"), {
+    r: 0.5,
+    g: 0.5,
+    b: 0.5,
+    alpha: 1,
+  });
+
+  const result = getCompositeContrast("rgb(0 0 0 / 0.5)", "#ffffff");
+  assert.equal(result.backdropKnown, true);
+  assert.equal(result.text, "#808080");
+  assert.equal(result.range, null);
+
+  const layered = getCompositeContrast("#ffffff", "rgb(0 0 0 / 0.6)", [
+    "#336699",
+  ]);
+  assert.equal(layered.backdropKnown, true);
+  assert.equal(layered.background, "#14293d");
+  assert.equal(getCompositeContrast("#ffffff", "#000000", null).wcagRatio, 21);
+});
+
+test("reports a worst/best contrast range when the backdrop is unknown", () => {
+  const result = getCompositeContrast("#000000", "transparent");
+  assert.equal(result.backdropKnown, false);
+  assert.equal(result.wcagRatio, 1);
+  assert.equal(result.range.wcagRatio.min, 1);
+  assert.equal(result.range.wcagRatio.max, 21);
+  assert.equal(result.range.worstBackdrop, "#000000");
+  assert.equal(result.range.bestBackdrop, "#ffffff");
+
+  const scrim = getCompositeContrast("#ffffff", "rgb(0 0 0 / 0.6)");
+  assert.equal(scrim.range.worstBackdrop, "#ffffff");
+  assert.ok(scrim.range.wcagRatio.min > 4.5);
+  assert.ok(scrim.range.apcaScore.strongest < scrim.range.apcaScore.weakest);
+  assert.ok(scrim.range.apcaScore.weakest < 0);
+  assert.equal(scrim.apcaScore, scrim.range.apcaScore.weakest);
+});
+
+test("parses and samples linear, radial and conic gradients", () => {
+  const linear = parseGradient("linear-gradient(to right, #000, #fff)");
+  assert.equal(linear.type, "linear");
+  assert.equal(linear.angle, 90);
+  assert.deepEqual(sampleGradient(linear, 50, 10, 100, 20), {
+    r: 0.5,
+    g: 0.5,
+    b: 0.5,
+    alpha: 1,
+  });
+
+  const radial = parseGradient(
+    "radial-gradient(circle 50px at 0 0, #ff0000, #0000ff)",
+  );
+  assert.equal(radial.shape, "circle");
+  assert.equal(colorToHex(sampleGradient(radial, 80, 80, 100, 100)), "#0000ff");
+
+  const conic = parseGradient(
+    "repeating-conic-gradient(#000 0 25%, #fff 0 50%)",
+  );
+  assert.equal(colorToHex(sampleGradient(conic, 75, 25, 100, 100)), "#000000");
+  assert.equal(colorToHex(sampleGradient(conic, 75, 75, 100, 100)), "#ffffff");
+
+  assert.equal(parseGradient("url(hero.png)"), null);
+  assert.equal(parseGradient("linear-gradient(red)"), null);
+});
+
+test("reports worst-case and average contrast over a gradient", () => {
+  const result = getGradientContrast(
+    "#000000",
+    "linear-gradient(to right, #ffffff, #000000)",
+    { width: 200, height: 40, region: { x: 0, y: 0, width: 100, height: 40 } },
+  );
+  assert.equal(result.background, "#808080");
+  assert.equal(result.range.bestBackground, "#ffffff");
+  assert.ok(Math.abs(result.wcagRatio - 5.28) < 0.01);
+  assert.equal(result.range.wcagRatio.max, 21);
+  assert.ok(result.average.wcagRatio > result.wcagRatio);
+  assert.ok(result.average.wcagRatio < 21);
+
+  const scrimmed = getGradientContrast(
+    "#ffffff",
+    ["rgb(0 0 0 / 0.5)", "linear-gradient(#ffffff, #ffffff)"],
+    { width: 100, height: 100 },
+  );
+  assert.equal(scrimmed.background, "#808080");
+  assert.equal(getGradientContrast("#000", "none"), null);
+});
+
+test("summarizes text contrast over an RGBA pixel buffer", () => {
+  // A 10x10 image: one row of #767676 and nine rows of white.
+  const width = 10;
+  const height = 10;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let pixel = 0; pixel < width * height; pixel += 1) {
+    const value = pixel < width ? 0x76 : 0xff;
+    data.set([value, value, value, 255], pixel * 4);
+  }
+  const image = { data, width, height };
+
+  const stats = getImageContrastStats("#000000", image);
+  assert.equal(stats.pixels, 100);
+  assert.ok(Math.abs(stats.wcagRatio.min - 4.62) < 0.01);
+  assert.equal(stats.wcagRatio.p5, stats.wcagRatio.min);
+  assert.equal(stats.wcagRatio.median, 21);
+  assert.equal(stats.belowThreshold.wcag, 0);
+  assert.deepEqual(stats.worstPixel, {
+    x: 0,
+    y: 0,
+    wcagRatio: stats.wcagRatio.min,
+    background: "#767676",
+  });
+
+  const white = getImageContrastStats("#ffffff", image, {
+    region: { x: 0, y: 0, width: 10, height: 2 },
+  });
+  assert.equal(white.pixels, 20);
+  assert.equal(white.belowThreshold.wcag, 0.5);
+  assert.equal(white.wcagRatio.median, 1);
+
+  const sampled = getImageContrastStats("#000000", image, { step: 2 });
+  assert.equal(sampled.pixels, 25);
+  assert.equal(getImageContrastStats("#000000", { data, width: 0 }), null);
+});
+
+test("treats a tight text-shadow or stroke halo as the local background", () => {
+  const shadows = parseTextShadow(
+    "rgb(0, 0, 0) 1px 1px 1px, rgba(0, 0, 0, 0.5) 0px 4px 24px",
+    "#ffffff",
+  );
+  assert.equal(shadows.length, 2);
+  assert.deepEqual(shadows[0], {
+    color: { r: 0, g: 0, b: 0, alpha: 1 },
+    offsetX: 1,
+    offsetY: 1,
+    blur: 1,
+  });
+  assert.equal(parseTextShadow("2px 2px", "#ff0000")[0].color.r, 1);
+  assert.deepEqual(parseTextShadow("none"), []);
+  assert.equal(parseTextShadow("1em 1em red"), null);
+
+  // Only the tight shadow counts; the loose drop shadow is ignored.
+  const rescued = getHaloContrast("#ffffff", "#cccccc", {
+    shadows,
+    fontSize: "16px",
+  });
+  assert.equal(rescued.halo.sources.join(), "shadow");
+  assert.ok(rescued.direct.wcagRatio < 2);
+  assert.ok(rescued.wcagRatio > 7);
+  assert.equal(rescued.rescued, true);
+
+  const blurred = getHaloContrast("#ffffff", "#cccccc", {
+    shadows: parseTextShadow("rgb(0, 0, 0) 0px 0px 12px"),
+    fontSize: "16px",
+  });
+  assert.equal(blurred.halo, null);
+  assert.equal(blurred.wcagRatio, blurred.direct.wcagRatio);
+
+  // A stroke in the text color thickens the glyph rather than framing it.
+  const sameColor = getHaloContrast("#ffffff", "#cccccc", {
+    stroke: { color: "#ffffff", width: 2 },
+  });
+  assert.equal(sameColor.halo, null);
+
+  const [issue] = buildIssuesData(
+    [
+      {
+        type: "text",
+        textColor: "#ffffff",
+        bgColor: "#cccccc",
+        fontSize: "16px",
+        fontWeight: "400",
+        textStroke: { color: "#000000", alpha: 1, width: 1 },
+      },
+    ],
+    { standard: "WCAG21" },
+  );
+  assert.equal(issue.requirement.passes, true);
+  assert.equal(issue.halo.rescued, true);
+  assert.equal(issue.halo.localBackground, "#000000");
+  assert.ok(issue.halo.direct.wcagRatio < 2);
+});
+
+test("keeps same-color text only when a halo makes it legible", () => {
+  const pair = {
+    type: "text",
+    textColor: "#ffffff",
+    bgColor: "#ffffff",
+    fontSize: "16px",
+  };
+  assert.equal(hasReadableHalo(pair), false);
+  assert.equal(
+    hasReadableHalo({
+      ...pair,
+      textStroke: { color: "#000000", alpha: 1, width: 1 },
+    }),
+    true,
+  );
+  // A halo in the shared color, or one blurred past the limit, adds nothing.
+  assert.equal(
+    hasReadableHalo({
+      ...pair,
+      textStroke: { color: "#ffffff", alpha: 1, width: 2 },
+    }),
+    false,
+  );
+  assert.equal(
+    hasReadableHalo({
+      ...pair,
+      textShadow: parseTextShadow("rgb(0, 0, 0) 0px 0px 12px"),
+    }),
+    false,
+  );
+});
+
+test("imports palette files with their color names", () => {
+  const zlib = require("node:zlib");
+
+  const aseBlock = (type, body) => {
+    const header = Buffer.alloc(6);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt32BE(body.length, 2);
+    return Buffer.concat([header, body]);
+  };
+  const aseName = (name) => {
+    const body = Buffer.alloc(2 + (name.length + 1) * 2);
+    body.writeUInt16BE(name.length + 1, 0);
+    [...name].forEach((char, i) =>
+      body.writeUInt16BE(char.charCodeAt(0), 2 + i * 2),
+    );
+    return body;
+  };
+  const aseColor = (name, model, values) => {
+    const body = Buffer.alloc(4 + values.length * 4 + 2);
+    body.write(model.padEnd(4), 0, "ascii");
+    values.forEach((value, i) => body.writeFloatBE(value, 4 + i * 4));
+    return aseBlock(0x0001, Buffer.concat([aseName(name), body]));
+  };
+  const aseHeader = Buffer.alloc(12);
+  aseHeader.write("ASEF", 0, "ascii");
+  aseHeader.writeUInt16BE(1, 4);
+  aseHeader.writeUInt32BE(4, 8);
+  const ase = parsePaletteFile(
+    new Uint8Array(
+      Buffer.concat([
+        aseHeader,
+        aseBlock(0xc001, aseName("Brand")),
+        aseColor("Ink", "RGB", [0, 0, 0.5]),
+        aseColor("Paper", "CMYK", [0, 0, 0, 0]),
+        aseBlock(0xc002, Buffer.alloc(0)),
+      ]),
+    ),
+    { fileName: "brand.ase" },
+  );
+  assert.equal(ase.format, "ase");
+  assert.deepEqual(
+    ase.colors.map(({ name, hex, group }) => [name, hex, group]),
+    [
+      ["Ink", "#000080", "Brand"],
+      ["Paper", "#ffffff", "Brand"],
+    ],
+  );
+
+  const gpl = parsePaletteFile(
+    "GIMP Palette\nName: Sunset\nColumns: 2\n# comment\n255 128   0\tOrange\n  0   0   0\n",
+  );
+  assert.equal(gpl.format, "gpl");
+  assert.equal(gpl.name, "Sunset");
+  assert.deepEqual(
+    gpl.colors.map(({ name, hex }) => [name, hex]),
+    [
+      ["Orange", "#ff8000"],
+      [null, "#000000"],
+    ],
+  );
+  // Out-of-range or fractional channels are skipped, not clamped.
+  const badRows = parsePaletteFile(
+    "GIMP Palette\n300 0 0\tHot\n0 0 1.5\n0 0 255\tBlue\n",
+  );
+  assert.deepEqual(
+    badRows.colors.map(({ name, hex }) => [name, hex]),
+    [["Blue", "#0000ff"]],
+  );
+  assert.equal(badRows.skipped, 2);
+
+  const sketch = parsePaletteFile(
+    JSON.stringify({
+      compatibleVersion: "2.0",
+      pluginVersion: "2.22",
+      colors: [{ name: "Sky", red: 0, green: 0.5, blue: 1, alpha: 0.5 }],
+    }),
+    { fileName: "ui.sketchpalette" },
+  );
+  assert.equal(sketch.colors[0].hex, "#0080ff");
+  assert.equal(sketch.colors[0].alpha, 0.5);
+
+  // Procreate .swatches is a ZIP around Swatches.json.
+  const swatchesJson = Buffer.from(
+    JSON.stringify([
+      {
+        name: "Greens",
+        swatches: [
+          { hue: 1 / 3, saturation: 1, brightness: 0.5, alpha: 1 },
+          null,
+          ...Array.from({ length: 20 }, () => ({
+            hue: 0,
+            saturation: 0,
+            brightness: 1,
+            alpha: 1,
+          })),
+        ],
+      },
+    ]),
+  );
+  const compressed = zlib.deflateRawSync(swatchesJson);
+  const fileName = Buffer.from("Swatches.json");
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(swatchesJson.length, 22);
+  local.writeUInt16LE(fileName.length, 26);
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(swatchesJson.length, 24);
+  central.writeUInt16LE(fileName.length, 28);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + fileName.length, 12);
+  end.writeUInt32LE(local.length + fileName.length + compressed.length, 16);
+  const zip = Buffer.concat([
+    local,
+    fileName,
+    compressed,
+    central,
+    fileName,
+    end,
+  ]);
+  const procreate = parsePaletteFile(zip);
+  assert.equal(procreate.format, "procreate");
+  assert.equal(procreate.name, "Greens");
+  assert.equal(procreate.colors.length, 21);
+  assert.equal(procreate.colors[0].hex, "#008000");
+  assert.equal(procreate.colors[0].group, "Greens");
+
+  const css = parsePaletteFile(`
+    /* tokens */
+    :root {
+      --brand-500: #3b82f6;
+      --link: var(--brand-500);
+      --spacing: 4px;
+    }
+    a:hover { color: #3B82F6; background: linear-gradient(red, rgb(0 0 0 / 50%)); }
+    .tan { font-family: Tan; }
+  `);
+  assert.equal(css.format, "css");
+  assert.deepEqual(
+    css.colors.map(({ name, hex, alpha }) => [name, hex, alpha]),
+    [
+      ["brand-500", "#3b82f6", 1],
+      ["link", "#3b82f6", 1],
+      [null, "#ff0000", 1],
+      [null, "#000000", 0.5],
+    ],
+  );
+
+  const tailwind = parsePaletteFile(
+    JSON.stringify({
+      theme: {
+        colors: { white: "#fff", transparent: "transparent" },
+        extend: {
+          colors: {
+            brand: {
+              DEFAULT: "#0ea5e9",
+              900: "rgb(12 74 110 / <alpha-value>)",
+            },
+          },
+        },
+      },
+    }),
+  );
+  assert.equal(tailwind.format, "tailwind");
+  assert.deepEqual(
+    tailwind.colors.map(({ name, hex, group }) => [name, hex, group]),
+    [
+      ["white", "#ffffff", null],
+      ["brand-900", "#0c4a6e", "brand"],
+      ["brand", "#0ea5e9", "brand"],
+    ],
+  );
+
+  const tokens = parsePaletteFile(
+    {
+      color: {
+        $type: "color",
+        base: {
+          blue: {
+            $value: { colorSpace: "srgb", components: [0, 0, 1], alpha: 1 },
+          },
+        },
+        action: { $value: "{color.base.blue}" },
+        spacing: { $type: "dimension", $value: "4px" },
+      },
+    },
+    { fileName: "design.tokens.json" },
+  );
+  assert.equal(tokens.format, "dtcg");
+  assert.deepEqual(
+    tokens.colors.map(({ name, hex, group }) => [name, hex, group]),
+    [
+      ["color.base.blue", "#0000ff", "color.base"],
+      ["color.action", "#0000ff", "color"],
+    ],
+  );
+
+  assert.equal(parsePaletteFile("GIMP Palette\n1 2\n").colors.length, 0);
+  assert.equal(parsePaletteFile("not a palette"), null);
+  assert.equal(
+    parsePaletteFile(new Uint8Array([0x41, 0x53, 0x45, 0x46])),
+    null,
+  );
+});
+
+test("exports palettes to token and platform formats with compliance notes", () => {
+  const colors = [
+    { name: "brand-500", hex: "#0369a1" },
+    { name: "brand", hex: "#0ea5e9" },
+    { name: "surface", hex: "#ffffff" },
+    { name: "overlay", hex: "#000000", alpha: 0.5 },
+  ];
+
+  const pairings = getPaletteCompliance(colors);
+  assert.ok(
+    pairings.some(
+      (pairing) =>
+        pairing.text === "brand-500" &&
+        pairing.background === "surface" &&
+        pairing.wcagLevel === "AA",
+    ),
+  );
+  assert.ok(pairings.every((pairing) => pairing.text !== "overlay"));
+
+  // Token exports read back through the importers.
+  const roundTrip = (format, fileName) => {
+    const [file] = exportPalette(colors, format).files;
+    return parsePaletteFile(file.content, { fileName }).colors.map(
+      ({ name, hex }) => [name, hex],
+    );
+  };
+  assert.deepEqual(roundTrip("css", "palette.css"), [
+    ["brand-500", "#0369a1"],
+    ["brand", "#0ea5e9"],
+    ["surface", "#ffffff"],
+    ["overlay", "#000000"],
+  ]);
+  assert.deepEqual(roundTrip("dtcg", "palette.tokens.json"), [
+    ["brand-500", "#0369a1"],
+    ["brand", "#0ea5e9"],
+    ["surface", "#ffffff"],
+    ["overlay", "#000000"],
+  ]);
+
+  const tailwind = exportPalette(colors, "tailwind").files[0].content;
+  assert.match(
+    tailwind,
+    /brand: \{\n\s+"500": "#0369a1",\n\s+DEFAULT: "#0ea5e9"/,
+  );
+  assert.match(tailwind, /overlay: "#00000080"/);
+
+  const css = exportPalette(colors, "css", { compliance: true }).files[0];
+  assert.match(css.content, /brand-500 on surface: WCAG AA \(\d/);
+
+  const tokens = JSON.parse(
+    exportPalette(colors, "dtcg", { compliance: { fontSize: 24 } }).files[0]
+      .content,
+  );
+  assert.equal(tokens.$extensions["com.chromacheck.compliance"].fontSize, 24);
+
+  const android = exportPalette(colors, "android").files[0];
+  assert.equal(android.path, "res/values/colors.xml");
+  assert.match(android.content, /<color name="brand_500">#0369A1<\/color>/);
+  assert.match(android.content, /<color name="overlay">#80000000<\/color>/);
+
+  const ios = exportPalette(colors, "ios", { name: "Brand", compliance: true });
+  assert.deepEqual(
+    ios.files.map((file) => file.path),
+    [
+      "Brand.xcassets/Contents.json",
+      "Brand.xcassets/brand-500.colorset/Contents.json",
+      "Brand.xcassets/brand.colorset/Contents.json",
+      "Brand.xcassets/surface.colorset/Contents.json",
+      "Brand.xcassets/overlay.colorset/Contents.json",
+      "Brand-compliance.json",
+    ],
+  );
+  assert.deepEqual(
+    JSON.parse(ios.files[1].content).colors[0].color.components,
+    { alpha: "1.000", blue: "0xA1", green: "0x69", red: "0x03" },
+  );
+
+  assert.equal(exportPalette(colors, "unknown"), null);
+  assert.equal(exportPalette([], "css"), null);
+
+  // Archives read back through the Procreate importer's ZIP reader.
+  const swatches = JSON.stringify([
+    { name: "Zipped", swatches: [{ hue: 0, saturation: 1, brightness: 1 }] },
+  ]);
+  const archive = createZipArchive([
+    { path: "Swatches.json", content: swatches },
+  ]);
+  assert.deepEqual(
+    parsePaletteFile(archive, { fileName: "zipped.swatches" }).colors.map(
+      ({ hex }) => hex,
+    ),
+    ["#ff0000"],
+  );
+});
+
+test("suffixes colliding token paths and escapes compliance comments", () => {
+  const tokens = (colors) =>
+    JSON.parse(exportPalette(colors, "dtcg").files[0].content);
+  const hexes = (group) =>
+    Object.fromEntries(
+      Object.entries(group).map(([key, token]) => [key, token.$value?.hex]),
+    );
+
+  // A repeated name keeps both tokens, like the slug formats' "-2".
+  const repeated = tokens([
+    { name: "brand.x", hex: "#ff0000" },
+    { name: "brand.x", hex: "#00ff00" },
+  ]);
+  assert.deepEqual(hexes(repeated.brand), {
+    x: "#ff0000",
+    "x-2": "#00ff00",
+  });
+
+  // A token never doubles as a group, whichever comes first.
+  const prefixed = tokens([
+    { name: "color.blue", hex: "#0000ff" },
+    { name: "color.blue.dark", hex: "#000088" },
+  ]);
+  assert.equal(prefixed.color.blue.$value.hex, "#0000ff");
+  assert.equal(prefixed.color.blue.dark, undefined);
+  assert.equal(prefixed.color["blue-2"].dark.$value.hex, "#000088");
+  const nested = tokens([
+    { name: "color.blue.dark", hex: "#000088" },
+    { name: "color.blue", hex: "#0000ff" },
+  ]);
+  assert.equal(nested.color.blue.dark.$value.hex, "#000088");
+  assert.equal(nested.color["blue-2"].$value.hex, "#0000ff");
+
+  const colors = [
+    { name: "ink */ body {}\nnext", hex: "#000000" },
+    { name: "paper", hex: "#ffffff" },
+  ];
+  for (const format of ["css", "tailwind"]) {
+    const { content } = exportPalette(colors, format, {
+      compliance: true,
+    }).files[0];
+    // The first "*/" is the one closing the comment block.
+    assert.equal(content.indexOf("*/"), content.indexOf(" */\n") + 1);
+    assert.match(content, / \* ink-body-next on paper/);
+  }
+  const scss = exportPalette(colors, "scss", { compliance: true }).files[0];
+  assert.match(scss.content, /^\/\/ ink-body-next on paper/m);
+  assert.ok(
+    scss.content
+      .split("\n")
+      .every((line) => !line || /^(\/\/ |\$|  "|\);)/.test(line)),
+  );
+});
+
+test("names compliance pairings by the token each format emits", () => {
+  const colors = [
+    { name: "brand.primary", hex: "#0369a1" },
+    { name: "brand.primary", hex: "#000000" },
+    { name: "bg", hex: "#ffffff" },
+  ];
+  const exported = (format) =>
+    exportPalette(colors, format, { compliance: true }).files[0].content;
+
+  assert.ok(
+    getPaletteCompliance(colors).some(
+      (pairing) =>
+        pairing.text === "brand-primary-2" && pairing.background === "bg",
+    ),
+  );
+  assert.match(exported("css"), / \* brand-primary-2 on bg: WCAG AAA/);
+  assert.match(exported("scss"), /\/\/ brand-primary-2 on bg: WCAG AAA/);
+  assert.match(exported("android"), / {2}brand_primary_2 on bg: WCAG AAA/);
+
+  const { color } = JSON.parse(exported("style-dictionary"));
+  assert.match(color["brand-primary-2"].comment, /brand-primary-2 on bg/);
+  assert.doesNotMatch(color["brand-primary"].comment, /brand-primary-2 on/);
+
+  const tokens = JSON.parse(exported("dtcg"));
+  const { pairings } = tokens.$extensions["com.chromacheck.compliance"];
+  assert.equal(tokens.brand["primary-2"].$value.hex, "#000000");
+  assert.ok(
+    pairings.some(
+      (pairing) =>
+        pairing.text === "brand.primary-2" && pairing.background === "bg",
+    ),
+  );
+});
+
+test("exposes subpath entry points for both module systems", async () => {
+  const engine = require("../shared/contrast.js");
+  const { exports: entries } = require("../shared/package.json");
+  const subpaths = Object.keys(entries).filter(
+    (key) => entries[key].require && key !== ".",
+  );
+  assert.deepEqual(subpaths, [
+    "./color",
+    "./wcag",
+    "./apca",
+    "./cvd",
+    "./fixes",
+    "./palette",
+  ]);
+
+  const covered = new Set();
+  for (const subpath of subpaths) {
+    const cjs = require(`../shared/${entries[subpath].require}`);
+    const esm = await import(`../shared/${entries[subpath].import}`);
+    assert.deepEqual(Object.keys(esm).sort(), Object.keys(cjs).sort());
+    Object.keys(cjs).forEach((name) => {
+      assert.equal(cjs[name], engine[name], `${subpath} ${name}`);
+      assert.equal(esm[name], engine[name], `${subpath} ${name}`);
+      covered.add(name);
+    });
+  }
+  assert.equal(
+    require("../shared/wcag.js").getContrastRatio("#000", "#fff"),
+    21,
+  );
+  assert.ok(covered.has("simulateCVD") && covered.has("getSuggestedFixes"));
+
+  const root = await import("../shared/index.mjs");
+  assert.deepEqual(Object.keys(root).sort(), Object.keys(engine).sort());
+});
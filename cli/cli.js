@@ -10,25 +10,61 @@ program
   .name("chromacheck")
   .description("Headless CLI for ChromaCheck accessibility scanning")
   .version("1.0.0")
-  .argument("<url>", "URL to scan")
+  .argument("[url]", "URL to scan")
   .option(
     "-s, --standard <standard>",
     "Contrast standard to use (WCAG21, WCAG22, APCA)",
     "WCAG21",
   )
+  .option(
+    "-p, --policy <file>",
+    "JSON standard definition to audit against (overrides --standard and --threshold)",
+  )
   .option(
     "-t, --threshold <level>",
-    "Failure threshold level (AA, AAA, Bronze, Silver)",
+    "Failure threshold level (AA, AAA, Bronze, Silver, Gold)",
     "AA",
   )
   .option("-f, --format <format>", "Output format (json, text)", "text")
+  .option(
+    "--scale <color>",
+    "Generate a tonal scale from a seed color instead of scanning a URL",
+  )
+  .option(
+    "--scale-steps <count>",
+    "Number of scale steps (default: 50-950 Tailwind steps)",
+  )
+  .option(
+    "--import <file>",
+    "List the colors in a palette file (.ase, .gpl, .sketchpalette, .swatches, CSS, Tailwind or DTCG JSON)",
+  )
   .parse(process.argv);
 
 const options = program.opts();
 const targetUrl = program.args[0];
 
 // Format standard
-const activeStandard = options.standard.toUpperCase();
+const { defineStandard } = require("../chrome-extension/shared/contrast.js");
+let policy = null;
+if (options.policy) {
+  try {
+    policy = defineStandard(
+      JSON.parse(fs.readFileSync(path.resolve(options.policy), "utf8")),
+    );
+  } catch {
+    policy = null;
+  }
+  if (!policy) {
+    console.error(chalk.red(`Could not load policy: ${options.policy}`));
+    process.exit(1);
+  }
+}
+const activeStandard = policy ? policy.id : options.standard.toUpperCase();
+const analysisSettings = {
+  standard: activeStandard,
+  customStandards: policy ? [policy] : [],
+};
+const usesAPCA = policy ? policy.metric === "apca" : activeStandard === "APCA";
 
 async function runAudit() {
   let browser;
@@ -37,7 +73,9 @@ async function runAudit() {
       console.log(chalk.blue(`🚀 Starting ChromaCheck scan on: ${targetUrl}`));
       console.log(
         chalk.dim(
-          `   Standard: ${activeStandard} | Threshold for failure: ${options.threshold.toUpperCase()}`,
+          policy
+            ? `   Policy: ${policy.label}`
+            : `   Standard: ${activeStandard} | Threshold for failure: ${options.threshold.toUpperCase()}`,
         ),
       );
     }
@@ -78,7 +116,7 @@ async function runAudit() {
     );
 
     const auditResults = await page.evaluate(
-      (contrastCode, contentCode, standard) => {
+      (contrastCode, contentCode, settings) => {
         const globalContent = `
         // 1. Inject contrast math functions 
         ${contrastCode}
@@ -94,25 +132,13 @@ async function runAudit() {
           }
         };
 
-        // 4. Run extractor
+        // 4. Run extractor and score against the selected standard
+        const settings = ${JSON.stringify(settings)};
         const core = chromacheckInit();
         const pairs = core.extractElementPairs();
         const colors = core.extractColors();
 
-        const issues = pairs.map((pair) => {
-          const wcagRatio = getContrastRatio(pair.textColor, pair.bgColor);
-          const wcagLevel = getContextualComplianceLevel(wcagRatio, pair.fontSize, pair.fontWeight);
-          const apcaScore = calcAPCA(pair.textColor, pair.bgColor);
-          const apcaLevel = getAPCAComplianceLevel(apcaScore, pair.fontSize, pair.fontWeight);
-
-          return {
-            ...pair,
-            wcagRatio,
-            wcagLevel,
-            apcaScore,
-            apcaLevel,
-          };
-        });
+        const issues = buildIssuesData(pairs, settings);
 
         return {
           colors,
@@ -126,7 +152,7 @@ async function runAudit() {
       },
       contrastJs,
       contentJs,
-      activeStandard,
+      analysisSettings,
     );
 
     const issues = auditResults.issues;
@@ -135,13 +161,16 @@ async function runAudit() {
     // Filter issues based on active standard to find "Failures"
     const isFail = (issue) => {
       if (issue.type === "target-size") return true; // Always a fail if it was extracted
+      if (policy) return !issue.requirement.passes;
 
-      if (activeStandard === "APCA") {
-        const score = Math.abs(issue.apcaScore);
+      if (usesAPCA) {
+        const conformance = issue.apcaConformance;
+        if (options.threshold.toUpperCase() === "GOLD")
+          return !conformance.gold;
         if (options.threshold.toUpperCase() === "SILVER")
-          return issue.apcaLevel !== "Silver" && issue.apcaLevel !== "Gold";
+          return !conformance.silver;
         if (options.threshold.toUpperCase() === "BRONZE")
-          return issue.apcaLevel === "Fail";
+          return !conformance.bronze;
         return issue.apcaLevel === "Fail";
       } else {
         if (options.threshold.toUpperCase() === "AAA")
@@ -158,7 +187,11 @@ async function runAudit() {
       const payload = {
         timestamp: new Date().toISOString(),
         url: targetUrl,
-        settings: { standard: activeStandard, threshold: options.threshold },
+        settings: {
+          standard: activeStandard,
+          threshold: policy ? null : options.threshold,
+          policy,
+        },
         metrics: {
           total: issues.length,
           fails: failures.length,
@@ -192,8 +225,14 @@ async function runAudit() {
               : f.bgColor;
             console.log(`  Colors: ${fgStr} on ${bgStr}`);
 
-            if (activeStandard === "APCA") {
-              console.log(`  Score: Lc ${f.apcaScore} [${f.apcaLevel}]`);
+            if (policy) {
+              console.log(
+                `  Score: ${f.wcagRatio.toFixed(2)}:1 / Lc ${f.apcaScore.toFixed(1)} [needs ${f.requirement.label}]`,
+              );
+            } else if (usesAPCA) {
+              console.log(
+                `  Score: Lc ${f.apcaScore} [${f.apcaConformance.level}]`,
+              );
             } else {
               console.log(
                 `  Score: ${f.wcagRatio.toFixed(2)}:1 [${f.wcagLevel}]`,
@@ -232,4 +271,111 @@ async function runAudit() {
   }
 }
 
-runAudit();
+function runScale() {
+  const {
+    generateTonalScale,
+  } = require("../chrome-extension/shared/contrast.js");
+  const scale = generateTonalScale(options.scale, {
+    standard: policy || activeStandard,
+    steps: options.scaleSteps ? parseInt(options.scaleSteps, 10) : undefined,
+  });
+
+  if (!scale) {
+    console.error(chalk.red(`Could not parse seed color: ${options.scale}`));
+    process.exit(1);
+  }
+
+  if (options.format === "json") {
+    console.log(JSON.stringify(scale, null, 2));
+    return;
+  }
+
+  const isAPCA = scale.standard === "APCA";
+  const formatCell = (cell) =>
+    isAPCA
+      ? Math.abs(cell.apcaScore).toFixed(0).padStart(6)
+      : cell.wcagRatio.toFixed(2).padStart(6);
+
+  console.log(
+    chalk.bold(`\n🎨 ${scale.standard} tonal scale for ${scale.seed}`),
+  );
+  console.log(chalk.dim(`   Seed sits closest to step ${scale.seedStep}`));
+  scale.steps.forEach((entry) => {
+    console.log(`  ${String(entry.step).padStart(4)}  ${entry.hex}`);
+  });
+
+  console.log(
+    chalk.bold(
+      `\n${isAPCA ? "APCA |Lc|" : "WCAG ratio"} matrix (row text on column background)`,
+    ),
+  );
+  console.log(
+    `      ${scale.steps.map((entry) => String(entry.step).padStart(6)).join("")}`,
+  );
+  scale.matrix.forEach((row, i) => {
+    console.log(
+      `${String(scale.steps[i].step).padStart(6)}${row.map(formatCell).join("")}`,
+    );
+  });
+
+  console.log(chalk.bold("\nGuarantees (weakest pair at each step distance)"));
+  scale.guarantees.forEach((entry) => {
+    const value = isAPCA
+      ? `Lc ${entry.minLc.toFixed(1)}`
+      : `${entry.minRatio.toFixed(2)}:1`;
+    console.log(`  ${String(entry.gap).padStart(4)}+ apart: ${value}`);
+  });
+}
+
+function runImport() {
+  const {
+    parsePaletteFile,
+  } = require("../chrome-extension/shared/contrast.js");
+  let palette = null;
+  try {
+    palette = parsePaletteFile(fs.readFileSync(path.resolve(options.import)), {
+      fileName: options.import,
+    });
+  } catch {
+    palette = null;
+  }
+
+  if (!palette) {
+    console.error(
+      chalk.red(`Could not read a palette from: ${options.import}`),
+    );
+    process.exit(1);
+  }
+
+  if (options.format === "json") {
+    console.log(JSON.stringify(palette, null, 2));
+    return;
+  }
+
+  console.log(
+    chalk.bold(
+      `\n🎨 ${palette.colors.length} colors from ${palette.name || path.basename(options.import)} (${palette.format})`,
+    ),
+  );
+  palette.colors.forEach((color) => {
+    const alpha =
+      color.alpha < 1
+        ? ` ${Math.round(color.alpha * 100)}%`.padEnd(5)
+        : "     ";
+    const label = color.name || color.group;
+    console.log(`  ${color.hex}${alpha} ${label || chalk.dim("(unnamed)")}`);
+  });
+  if (palette.skipped) {
+    console.log(chalk.dim(`   Skipped ${palette.skipped} unreadable entries`));
+  }
+}
+
+if (options.import) {
+  runImport();
+} else if (options.scale) {
+  runScale();
+} else if (!targetUrl) {
+  program.error("error: missing required argument 'url'");
+} else {
+  runAudit();
+}
@@ -1,12 +1,45 @@
 /**
  * ChromaCheck - WCAG Contrast Checker
  * Calculates WCAG 2.1 ratios and APCA Lc scores for every color combination.
+ * Color math comes from chrome-extension/shared/contrast.js, loaded first.
  */
 
 const MIN_COLORS = 2;
-const MAX_COLORS = 9;
+const MAX_COLORS = 500;
+// Larger palettes show the heatmap only; fix suggestions per card get slow.
+const CARD_VIEW_LIMIT = 12;
+// Confusable-pair and data-viz checks compare every pair under every
+// deficiency, which stops being interactive past this many colors.
+const PAIRWISE_CHECK_LIMIT = 24;
+const HEATMAP_CELL_SIZE = 36;
+const HEATMAP_ROW_HEADER_WIDTH = 168;
+const HEATMAP_COLUMN_HEADER_HEIGHT = 112;
+const HEATMAP_OVERSCAN = 4;
+const HEATMAP_LEVEL_CLASSES = {
+  AAA: "heat-aaa",
+  AA: "heat-aa",
+  "AA Large": "heat-large",
+  Fail: "heat-fail",
+};
 const FILTER_KEYS = ["AAA", "AA", "AA Large", "Fail"];
 const ADD_COLOR_DEFAULTS = ["#10b981", "#f59e0b", "#ef4444", "#8b5cf6"];
+const DEFAULT_TYPOGRAPHY = { fontSize: 16, fontWeight: "400" };
+const MIN_FONT_SIZE = 8;
+const MAX_FONT_SIZE = 96;
+const MODES = ["contrast", "dataviz", "theme", "scale"];
+const STATE_HASH_VERSION = "1";
+const LIBRARY_STORAGE_KEY = "chromacheck.palettes";
+const MAX_PALETTE_NAME_LENGTH = 60;
+const MAX_COLOR_LABEL_LENGTH = 60;
+const IMPORT_FORMAT_LABELS = {
+  ase: "Adobe Swatch Exchange",
+  gpl: "GIMP palette",
+  sketchpalette: "Sketch palette",
+  procreate: "Procreate swatches",
+  css: "CSS",
+  tailwind: "Tailwind colors",
+  dtcg: "design tokens",
+};
 
 const state = {
   colors: ["#0f172a", "#f8fafc", "#3b82f6"].map((hex) => ({
@@ -18,6 +51,46 @@ const state = {
     return acc;
   }, {}),
   apcaInformationalOnly: true,
+  cvdMode: "none",
+  cvdSeverity: DEFAULT_CVD_SEVERITY,
+  confusionView: "any",
+  mode: "contrast",
+  dataviz: {
+    type: "categorical",
+    background: "#ffffff",
+  },
+  // Role -> color id. Missing roles are assigned automatically and an empty
+  // string leaves the role out.
+  theme: {
+    roles: {},
+  },
+  // Seed color id (null uses the first color), step count ("" for 50-950)
+  // and the standard the ramp is built for.
+  scale: {
+    seedId: null,
+    steps: "",
+    standard: "WCAG21",
+  },
+  // Color id -> pairing role, and the pairing map as { text, background }
+  // role pairs; null uses DEFAULT_ROLE_PAIRINGS.
+  roles: {
+    assignments: {},
+    pairings: null,
+  },
+  // Combination layout. `active` is the heatmap cell as color indices.
+  matrix: {
+    view: "cards",
+    sort: "palette",
+    groupByFamily: false,
+    active: null,
+  },
+  // "textId:bgId" -> { fontSize, fontWeight } set from a combination card.
+  typography: {},
+  // Saved palettes, newest first, and the entry whose name is being edited.
+  library: {
+    entries: [],
+    renamingId: null,
+  },
 };
 
 // DOM Elements
@@ -29,12 +102,76 @@ const settingsBtn = document.getElementById("settings-btn");
 const closeSettingsBtn = document.getElementById("close-settings-btn");
 const settingsPopover = document.getElementById("settings-popover");
 const colorBlindnessSelect = document.getElementById("color-blindness-select");
+const cvdFilterDefs = document.getElementById("cvd-filter-defs");
+const cvdSeverityRange = document.getElementById("cvd-severity-range");
+const cvdSeverityValue = document.getElementById("cvd-severity-value");
 const filterLegend = document.getElementById("filter-legend");
 const apcaInformationalToggle = document.getElementById(
   "apca-informational-toggle",
 );
+const confusionViewSelect = document.getElementById("confusion-view-select");
+const confusionList = document.getElementById("confusion-list");
+const modeSwitch = document.getElementById("mode-switch");
+const contrastView = document.getElementById("contrast-view");
+const datavizView = document.getElementById("dataviz-view");
+const datavizTypeSelect = document.getElementById("dataviz-type-select");
+const datavizBackgroundPicker = document.getElementById(
+  "dataviz-background-picker",
+);
+const datavizBackgroundHex = document.getElementById("dataviz-background-hex");
+const datavizChecks = document.getElementById("dataviz-checks");
+const datavizPreview = document.getElementById("dataviz-preview");
+const datavizChart = document.getElementById("dataviz-chart");
+const themeView = document.getElementById("theme-view");
+const themeRoles = document.getElementById("theme-roles");
+const themeSummary = document.getElementById("theme-summary");
+const themeMatrices = document.getElementById("theme-matrices");
+const scaleView = document.getElementById("scale-view");
+const scaleSeedSelect = document.getElementById("scale-seed-select");
+const scaleStepsSelect = document.getElementById("scale-steps-select");
+const scaleStandardSelect = document.getElementById("scale-standard-select");
+const scaleSwatches = document.getElementById("scale-swatches");
+const scaleGuarantees = document.getElementById("scale-guarantees");
+const scaleMatrix = document.getElementById("scale-matrix");
+const scaleAddBtn = document.getElementById("scale-add-btn");
+const scaleStatus = document.getElementById("scale-status");
+const libraryForm = document.getElementById("library-form");
+const libraryNameInput = document.getElementById("library-name-input");
+const copyLinkBtn = document.getElementById("copy-link-btn");
+const libraryStatus = document.getElementById("library-status");
+const libraryList = document.getElementById("library-list");
+const importText = document.getElementById("import-text");
+const importTextBtn = document.getElementById("import-text-btn");
+const importFileBtn = document.getElementById("import-file-btn");
+const importFileInput = document.getElementById("import-file-input");
+const importStatus = document.getElementById("import-status");
+const exportFormatSelect = document.getElementById("export-format-select");
+const exportComplianceToggle = document.getElementById(
+  "export-compliance-toggle",
+);
+const exportDownloadBtn = document.getElementById("export-download-btn");
+const exportCopyBtn = document.getElementById("export-copy-btn");
+const exportStatus = document.getElementById("export-status");
+const matrixViewSwitch = document.getElementById("matrix-view-switch");
+const heatmapTools = document.getElementById("heatmap-tools");
+const heatmapSortSelect = document.getElementById("heatmap-sort-select");
+const heatmapGroupToggle = document.getElementById("heatmap-group-toggle");
+const heatmapContainer = document.getElementById("heatmap");
+const heatmapViewport = document.getElementById("heatmap-viewport");
+const heatmapLayer = document.getElementById("heatmap-layer");
+const heatmapDetail = document.getElementById("heatmap-detail");
+const rolePairing = document.getElementById("role-pairing");
+const roleAssignments = document.getElementById("role-assignments");
+const rolePairingMap = document.getElementById("role-pairing-map");
+const rolePairingResetBtn = document.getElementById("role-pairing-reset-btn");
+const roleSummary = document.getElementById("role-summary");
 
 let lastFocusedElement = null;
+// Heatmap arrays keyed by the palette, the laid-out rows and columns, and the
+// pending redraw.
+let heatmapCache = null;
+let heatmapLayout = null;
+let heatmapFrame = null;
 
 // Utilities
 function generateId() {
@@ -47,17 +184,6 @@ function generateId() {
   return Math.random().toString(36).slice(2, 10);
 }
 
-function isValidHex(hex) {
-  return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(hex);
-}
-
-function expandHex(hex) {
-  if (hex.length === 4) {
-    return `#${hex[1]}${hex[1]}${hex[2]}${hex[2]}${hex[3]}${hex[3]}`;
-  }
-  return hex;
-}
-
 function parseHexInput(value) {
   if (typeof value !== "string") return null;
 
@@ -75,98 +201,9 @@ function parseHexInput(value) {
   return expandHex(hex).toLowerCase();
 }
 
-function hexToRgb(hex) {
-  if (!isValidHex(hex)) return null;
-
-  const expandedHex = expandHex(hex);
-
-  const r = parseInt(expandedHex.slice(1, 3), 16) / 255;
-  const g = parseInt(expandedHex.slice(3, 5), 16) / 255;
-  const b = parseInt(expandedHex.slice(5, 7), 16) / 255;
-
-  return { r, g, b };
-}
-
-function getRelativeLuminance(hex) {
-  const rgb = hexToRgb(hex);
-  if (!rgb) return 0;
-
-  const processChannel = (c) => {
-    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-  };
-
-  const r = processChannel(rgb.r);
-  const g = processChannel(rgb.g);
-  const b = processChannel(rgb.b);
-
-  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-}
-
-function getContrastRatio(textHex, bgHex) {
-  const l1 = getRelativeLuminance(textHex);
-  const l2 = getRelativeLuminance(bgHex);
-
-  const lightest = Math.max(l1, l2);
-  const darkest = Math.min(l1, l2);
-
-  return (lightest + 0.05) / (darkest + 0.05);
-}
-
-function getComplianceLevel(ratio) {
-  if (ratio >= 7) return "AAA";
-  if (ratio >= 4.5) return "AA";
-  if (ratio >= 3) return "AA Large";
-  return "Fail";
-}
-
-function formatContrastRatio(ratio) {
-  return `${ratio.toFixed(2)}:1`;
-}
-
-const APCA_RCO = 0.2126729;
-const APCA_GCO = 0.7151522;
-const APCA_BCO = 0.072175;
-
-function calcAPCA(textHex, bgHex) {
-  const textRgb = hexToRgb(textHex);
-  const bgRgb = hexToRgb(bgHex);
-  if (!textRgb || !bgRgb) return 0;
-
-  let yTxt =
-    Math.pow(textRgb.r, 2.4) * APCA_RCO +
-    Math.pow(textRgb.g, 2.4) * APCA_GCO +
-    Math.pow(textRgb.b, 2.4) * APCA_BCO;
-  let yBg =
-    Math.pow(bgRgb.r, 2.4) * APCA_RCO +
-    Math.pow(bgRgb.g, 2.4) * APCA_GCO +
-    Math.pow(bgRgb.b, 2.4) * APCA_BCO;
-
-  if (yTxt < 0.022) yTxt += Math.pow(0.022 - yTxt, 1.414);
-  if (yBg < 0.022) yBg += Math.pow(0.022 - yBg, 1.414);
-
-  if (Math.abs(yBg - yTxt) < 0.0005) return 0;
-
-  let sapc;
-  if (yBg > yTxt) {
-    sapc = (Math.pow(yBg, 0.56) - Math.pow(yTxt, 0.57)) * 1.14;
-    return sapc < 0.1 ? 0 : sapc * 100;
-  }
-
-  sapc = (Math.pow(yBg, 0.65) - Math.pow(yTxt, 0.62)) * 1.14;
-  return sapc > -0.1 ? 0 : sapc * 100;
-}
-
-function getAPCAComplianceLevel(lc) {
-  const absLc = Math.abs(lc);
-  if (absLc >= 90) return "AAA";
-  if (absLc >= 75) return "AA";
-  if (absLc >= 45) return "AA Large";
-  return "Fail";
-}
-
-function formatAPCAScore(lc) {
-  const sign = lc > 0 ? "+" : "";
-  return `Lc ${sign}${lc.toFixed(1)}`;
+// Imported token name, or the color's position. Escaped for markup.
+function formatColorName(color, index) {
+  return color.label ? escapeHtml(color.label) : `Color ${index + 1}`;
 }
 
 function formatAPCABadgeLabel(level) {
@@ -216,24 +253,167 @@ function getColorPairs() {
   return pairs;
 }
 
+function getPairKey(pair) {
+  return `${pair.text.id}:${pair.bg.id}`;
+}
+
+function getPairTypographyByKey(key) {
+  return { ...DEFAULT_TYPOGRAPHY, ...state.typography[key] };
+}
+
+function getPairTypography(pair) {
+  return getPairTypographyByKey(getPairKey(pair));
+}
+
+// Fixes target the metric the filters use: the contextual WCAG ratio, or the
+// Lc the card's font size and weight need under APCA.
+function getCombinationFixes(pair, data) {
+  const usesAPCA = !state.apcaInformationalOnly;
+  const level = usesAPCA ? data.apcaLevel : data.wcagLevel;
+  if (level !== "Fail") return null;
+
+  const fontSize = `${data.typography.fontSize}px`;
+  const { fontWeight } = data.typography;
+  const targetRatio = isLargeText(fontSize, fontWeight) ? 3 : 4.5;
+  const targetLc = usesAPCA ? getAPCATargetLc(fontSize, fontWeight) : null;
+  const fixes = getSuggestedFixes(pair.text.hex, pair.bg.hex, targetRatio, {
+    targetLc,
+  });
+
+  return [
+    fixes.text && { ...fixes.text, color: pair.text, label: "Text" },
+    fixes.background && {
+      ...fixes.background,
+      color: pair.bg,
+      label: "Background",
+    },
+  ]
+    .filter(Boolean)
+    .map((option) => ({
+      ...option,
+      recommended: fixes.recommended?.property === option.property,
+    }));
+}
+
 function getCombinationData(pair) {
+  const typography = getPairTypography(pair);
+  const fontSize = `${typography.fontSize}px`;
+  const { fontWeight } = typography;
+
   const wcagRatio = getContrastRatio(pair.text.hex, pair.bg.hex);
-  const wcagLevel = getComplianceLevel(wcagRatio);
+  const wcagLevel = getContextualComplianceLevel(
+    wcagRatio,
+    fontSize,
+    fontWeight,
+  );
   const wcagBadge = getStatusBadgeData(wcagLevel);
 
   const apcaScore = calcAPCA(pair.text.hex, pair.bg.hex);
-  const apcaLevel = getAPCAComplianceLevel(apcaScore);
+  const apcaLevel = getAPCAComplianceLevel(apcaScore, fontSize, fontWeight);
   const apcaBadge = getStatusBadgeData(apcaLevel);
+  const apcaDetails = getAPCARecommendationDetails(apcaScore);
+  const apcaConformance = getAPCAConformance(apcaScore, fontSize, fontWeight);
 
-  return {
+  const data = {
     pair,
+    typography,
     wcagRatio,
     wcagLevel,
     wcagBadge,
     apcaScore,
     apcaLevel,
     apcaBadge,
+    apcaDetails,
+    apcaConformance,
   };
+  data.fixes = getCombinationFixes(pair, data);
+  return data;
+}
+
+function getTypographyControlsMarkup(data) {
+  const key = getPairKey(data.pair);
+  const { fontSize, fontWeight } = data.typography;
+  const weightOptions = APCA_FONT_WEIGHTS.map(
+    (weight) =>
+      `<option value="${weight}" ${String(weight) === String(fontWeight) ? "selected" : ""}>${weight}</option>`,
+  ).join("");
+
+  return `
+    <div class="combo-typography">
+      <label>
+        <span class="stat-label">Size</span>
+        <input type="number" class="combo-font-size" data-pair-key="${key}" min="${MIN_FONT_SIZE}" max="${MAX_FONT_SIZE}" step="1" value="${fontSize}" aria-label="Font size in pixels" />
+        <span class="combo-unit">px</span>
+      </label>
+      <label>
+        <span class="stat-label">Weight</span>
+        <select class="combo-font-weight" data-pair-key="${key}" aria-label="Font weight">
+          ${weightOptions}
+        </select>
+      </label>
+    </div>
+  `;
+}
+
+function getFixesMarkup(data) {
+  if (!data.fixes) return "";
+  if (!data.fixes.length) {
+    return `<div class="combo-fixes"><span class="combo-fix-meta">No single-color change reaches the target.</span></div>`;
+  }
+
+  const options = data.fixes
+    .map(
+      (option) => `
+        <div class="combo-fix">
+          <span class="combo-fix-swatch" style="background-color: ${option.suggestion};"></span>
+          <div class="combo-fix-info">
+            <span class="combo-fix-desc">${option.label} to <strong>${option.suggestion.toUpperCase()}</strong>${option.recommended ? " · Recommended" : ""}</span>
+            <span class="combo-fix-meta">${formatFixChange(option)}</span>
+          </div>
+          <button type="button" class="combo-fix-apply" data-color-id="${option.color.id}" data-hex="${option.suggestion}" aria-label="Change ${option.label.toLowerCase()} ${option.color.hex.toUpperCase()} to ${option.suggestion.toUpperCase()}">Apply</button>
+        </div>
+      `,
+    )
+    .join("");
+
+  return `
+    <div class="combo-fixes">
+      <span class="stat-label">Suggested fixes</span>
+      ${options}
+    </div>
+  `;
+}
+
+function getScoresMarkup(data) {
+  return `
+    <div class="scores-container">
+      <div class="combo-stats">
+        <span class="stat-label">WCAG 2.1</span>
+        <div class="stat-right">
+          <span class="ratio" style="color: ${data.wcagLevel === "Fail" ? "var(--error-text)" : "var(--text-primary)"}">${formatContrastRatio(data.wcagRatio)}</span>
+          <span class="status-badge ${data.wcagBadge.class}">
+            <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              ${data.wcagBadge.icon}
+            </svg>
+            ${data.wcagBadge.text}
+          </span>
+        </div>
+      </div>
+
+      <div class="combo-stats apca-row">
+        <span class="stat-label" title="Advanced Perceptual Contrast Algorithm">APCA</span>
+        <div class="stat-right">
+          <span class="ratio" style="color: ${data.apcaLevel === "Fail" ? "var(--error-text)" : "var(--text-primary)"}">${formatAPCAScore(data.apcaScore)}</span>
+          <span class="status-badge ${data.apcaBadge.class}">
+            <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+              ${data.apcaBadge.icon}
+            </svg>
+            ${formatAPCABadgeLabel(data.apcaLevel)}
+          </span>
+        </div>
+      </div>
+    </div>
+  `;
 }
 
 function createCombinationCard(data) {
@@ -241,46 +421,30 @@ function createCombinationCard(data) {
   card.className = "combo-card";
   card.dataset.wcagLevel = data.wcagLevel;
   card.dataset.apcaLevel = data.apcaLevel;
+  card.dataset.pairKey = getPairKey(data.pair);
 
   card.innerHTML = `
     <div class="combo-preview" style="background-color: ${data.pair.bg.hex}; color: ${data.pair.text.hex};">
-      <span class="preview-text-normal">Normal Text (14pt)</span>
-      <span class="preview-text-large">Large Text (18pt)</span>
+      <span class="preview-text" style="font-size: ${data.typography.fontSize}px; font-weight: ${data.typography.fontWeight};">Sample text</span>
+      <span class="preview-caption">${data.typography.fontSize}px / ${data.typography.fontWeight}</span>
     </div>
     <div class="combo-details">
       <div class="combo-colors-info">
-        <span>Text: ${data.pair.text.hex.toUpperCase()}</span>
+        <span>Text: ${data.pair.text.label ? `${escapeHtml(data.pair.text.label)} ` : ""}${data.pair.text.hex.toUpperCase()}</span>
         <span class="combo-swap">on</span>
-        <span>Bg: ${data.pair.bg.hex.toUpperCase()}</span>
+        <span>Bg: ${data.pair.bg.label ? `${escapeHtml(data.pair.bg.label)} ` : ""}${data.pair.bg.hex.toUpperCase()}</span>
       </div>
 
-      <div class="scores-container">
-        <div class="combo-stats">
-          <span class="stat-label">WCAG 2.1</span>
-          <div class="stat-right">
-            <span class="ratio" style="color: ${data.wcagRatio >= 4.5 ? "var(--text-primary)" : "var(--error-text)"}">${formatContrastRatio(data.wcagRatio)}</span>
-            <span class="status-badge ${data.wcagBadge.class}">
-              <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                ${data.wcagBadge.icon}
-              </svg>
-              ${data.wcagBadge.text}
-            </span>
-          </div>
-        </div>
+      ${getTypographyControlsMarkup(data)}
 
-        <div class="combo-stats apca-row">
-          <span class="stat-label" title="Advanced Perceptual Contrast Algorithm">APCA</span>
-          <div class="stat-right">
-            <span class="ratio" style="color: ${Math.abs(data.apcaScore) >= 60 ? "var(--text-primary)" : "var(--error-text)"}">${formatAPCAScore(data.apcaScore)}</span>
-            <span class="status-badge ${data.apcaBadge.class}">
-              <svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                ${data.apcaBadge.icon}
-              </svg>
-              ${formatAPCABadgeLabel(data.apcaLevel)}
-            </span>
-          </div>
-        </div>
+      ${getScoresMarkup(data)}
+
+      <div class="combo-guidance">
+        <span class="combo-polarity">${data.apcaDetails.polarity.label}</span>
+        ${getAPCAFontGuidance(data.apcaConformance)}
       </div>
+
+      ${getFixesMarkup(data)}
     </div>
   `;
 
@@ -309,6 +473,12 @@ function renderEmptyState() {
 }
 
 function filterCombinations() {
+  if (getMatrixView() === "heatmap") {
+    drawHeatmap();
+    updateFilterLegendA11y();
+    return;
+  }
+
   const cards = combinationsGrid.querySelectorAll(".combo-card");
   let visibleCount = 0;
 
@@ -333,24 +503,1232 @@ function filterCombinations() {
     renderEmptyState();
   }
 
-  updateFilterLegendA11y();
+  updateFilterLegendA11y();
+}
+
+function renderCombinations() {
+  combinationsGrid.innerHTML = "";
+  heatmapLayer.innerHTML = "";
+  heatmapLayout = null;
+  updateMatrixControls();
+
+  if (state.colors.length < MIN_COLORS) return;
+  if (!state.colors.every((color) => isValidHex(color.hex))) return;
+  if (getMatrixView() === "heatmap") {
+    renderHeatmap();
+    return;
+  }
+  if (getMatrixView() === "roles") {
+    renderRolePairs();
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+
+  getColorPairs().forEach((pair) => {
+    const data = getCombinationData(pair);
+    fragment.appendChild(createCombinationCard(data));
+  });
+
+  combinationsGrid.appendChild(fragment);
+  filterCombinations();
+}
+
+// Re-renders one card after its font size or weight changes, keeping focus on
+// the control that changed.
+function updatePairTypography(key, changes, control) {
+  state.typography[key] = {
+    ...DEFAULT_TYPOGRAPHY,
+    ...state.typography[key],
+    ...changes,
+  };
+
+  const pair = getColorPairs().find((entry) => getPairKey(entry) === key);
+  const card = combinationsGrid.querySelector(
+    `.combo-card[data-pair-key="${key}"]`,
+  );
+  if (!pair || !card) return;
+
+  const nextCard = createCombinationCard(getCombinationData(pair));
+  card.replaceWith(nextCard);
+  filterCombinations();
+  nextCard.querySelector(`.${control}`)?.focus();
+}
+
+function handleCombinationsChange(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLElement)) return;
+  const key = target.dataset.pairKey;
+  if (!key) return;
+
+  if (target.matches(".combo-font-size")) {
+    const size = parseFloat(target.value);
+    if (!Number.isFinite(size)) {
+      target.value = String(getPairTypographyByKey(key).fontSize);
+      return;
+    }
+    const fontSize = Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, size));
+    updatePairTypography(key, { fontSize }, "combo-font-size");
+    return;
+  }
+
+  if (target.matches(".combo-font-weight")) {
+    updatePairTypography(
+      key,
+      { fontWeight: target.value },
+      "combo-font-weight",
+    );
+  }
+}
+
+function handleCombinationsClick(event) {
+  const target = event.target;
+  if (!(target instanceof HTMLElement)) return;
+
+  const applyBtn = target.closest(".combo-fix-apply[data-color-id]");
+  if (!applyBtn) return;
+
+  const color = getColorById(applyBtn.dataset.colorId);
+  const nextHex = parseHexInput(applyBtn.dataset.hex);
+  if (!color || !nextHex) return;
+
+  color.hex = nextHex;
+  renderColorInputs();
+}
+
+// Heatmap
+// Text colors are rows and backgrounds columns, each cell colored by the
+// active metric's level at the default typography. The pair data lives in the
+// flat arrays from buildContrastHeatmap and only the cells in view (plus
+// HEATMAP_OVERSCAN) are in the DOM; scrolling redraws them, so palettes with
+// hundreds of colors stay responsive.
+function getMatrixView() {
+  return state.matrix.view === "cards" && state.colors.length > CARD_VIEW_LIMIT
+    ? "heatmap"
+    : state.matrix.view;
+}
+
+function getHeatmapMetric() {
+  return state.apcaInformationalOnly ? "wcag" : "apca";
+}
+
+// Rebuilt only when the colors change; levels only when the metric does.
+function getHeatmapData() {
+  const key = state.colors.map((color) => color.hex).join();
+  if (heatmapCache?.key !== key) {
+    heatmapCache = {
+      key,
+      data: buildContrastHeatmap(state.colors.map((color) => color.hex)),
+      levels: {},
+    };
+  }
+  return heatmapCache.data;
+}
+
+function getHeatmapLevels(data) {
+  const metric = getHeatmapMetric();
+  if (heatmapCache.levels[metric]) return heatmapCache.levels[metric];
+
+  const fontSize = `${DEFAULT_TYPOGRAPHY.fontSize}px`;
+  const { fontWeight } = DEFAULT_TYPOGRAPHY;
+  const levels = new Array(data.ratios.length).fill(null);
+  for (let index = 0; index < levels.length; index += 1) {
+    if (Number.isNaN(data.ratios[index])) continue;
+    levels[index] =
+      metric === "wcag"
+        ? getContextualComplianceLevel(data.ratios[index], fontSize, fontWeight)
+        : getAPCAComplianceLevel(data.apcaScores[index], fontSize, fontWeight);
+  }
+  heatmapCache.levels[metric] = levels;
+  return levels;
+}
+
+// Color indices in display order. "passing" counts a color's non-failing
+// pairs as text for rows and as background for columns.
+function getHeatmapOrder(data, levels, axis) {
+  const order = state.colors.map((_, index) => index);
+  if (state.matrix.sort === "lightness") {
+    return order.sort((a, b) => data.luminance[b] - data.luminance[a]);
+  }
+  if (state.matrix.sort === "name") {
+    const names = state.colors.map((color) => color.label || color.hex);
+    return order.sort((a, b) =>
+      names[a].localeCompare(names[b], undefined, { numeric: true }),
+    );
+  }
+  if (state.matrix.sort === "passing") {
+    const passing = order.map((index) => {
+      let count = 0;
+      for (let other = 0; other < data.size; other += 1) {
+        const level =
+          axis === "row"
+            ? levels[index * data.size + other]
+            : levels[other * data.size + index];
+        if (level && level !== "Fail") count += 1;
+      }
+      return count;
+    });
+    return order.sort((a, b) => passing[b] - passing[a]);
+  }
+  return order;
+}
+
+// One entry per row or column: { index } for colors and { group, count } for
+// a token family's leading band when grouping is on.
+function getHeatmapAxis(order) {
+  if (!state.matrix.groupByFamily) return order.map((index) => ({ index }));
+
+  const groups = new Map();
+  order.forEach((index) => {
+    const family = getTokenFamily(state.colors[index].label) || "Unnamed";
+    if (!groups.has(family)) groups.set(family, []);
+    groups.get(family).push(index);
+  });
+  return [...groups].flatMap(([group, indices]) => [
+    { group, count: indices.length },
+    ...indices.map((index) => ({ index })),
+  ]);
+}
+
+function renderHeatmap() {
+  const data = getHeatmapData();
+  if (!data) {
+    heatmapLayout = null;
+    heatmapLayer.innerHTML = "";
+    return;
+  }
+
+  const levels = getHeatmapLevels(data);
+  heatmapLayout = {
+    data,
+    levels,
+    rows: getHeatmapAxis(getHeatmapOrder(data, levels, "row")),
+    columns: getHeatmapAxis(getHeatmapOrder(data, levels, "column")),
+    names: state.colors.map((color, index) => formatColorName(color, index)),
+  };
+  heatmapLayout.titles = heatmapLayout.names.map(
+    (name, index) => `${name.replace(/"/g, "&quot;")} ${data.hexes[index]}`,
+  );
+  heatmapLayer.style.width = `${HEATMAP_ROW_HEADER_WIDTH + heatmapLayout.columns.length * HEATMAP_CELL_SIZE}px`;
+  heatmapLayer.style.height = `${HEATMAP_COLUMN_HEADER_HEIGHT + heatmapLayout.rows.length * HEATMAP_CELL_SIZE}px`;
+  heatmapViewport.setAttribute(
+    "aria-label",
+    `Contrast heatmap of ${data.size} text colors on ${data.size} backgrounds. Arrow keys move between pairs.`,
+  );
+  drawHeatmap();
+  updateHeatmapDetail();
+}
+
+function getHeatmapRange(scroll, extent, header, count) {
+  const first = Math.floor(scroll / HEATMAP_CELL_SIZE) - HEATMAP_OVERSCAN;
+  const last =
+    Math.ceil((scroll + extent - header) / HEATMAP_CELL_SIZE) +
+    HEATMAP_OVERSCAN;
+  return [Math.max(0, first), Math.min(count - 1, last)];
+}
+
+function getHeatmapCellMarkup(row, column, rowPos, columnPos) {
+  const { data, levels } = heatmapLayout;
+  const index = row.index * data.size + column.index;
+  const style = `left:${HEATMAP_ROW_HEADER_WIDTH + columnPos * HEATMAP_CELL_SIZE}px;top:${HEATMAP_COLUMN_HEADER_HEIGHT + rowPos * HEATMAP_CELL_SIZE}px`;
+  const active =
+    state.matrix.active?.text === row.index &&
+    state.matrix.active?.background === column.index
+      ? " is-active"
+      : "";
+  if (row.index === column.index) {
+    return `<div class="heatmap-cell heat-self${active}" style="${style}" data-text="${row.index}" data-background="${column.index}"></div>`;
+  }
+
+  const level = levels[index];
+  const value =
+    getHeatmapMetric() === "wcag"
+      ? data.ratios[index].toFixed(1)
+      : Math.round(Math.abs(data.apcaScores[index]));
+  const muted = state.activeFilters[level] ? "" : " is-muted";
+  return `<div class="heatmap-cell ${HEATMAP_LEVEL_CLASSES[level]}${muted}${active}" style="${style}" data-text="${row.index}" data-background="${column.index}">${value}</div>`;
+}
+
+function drawHeatmap() {
+  heatmapFrame = null;
+  if (!heatmapLayout || getMatrixView() !== "heatmap") return;
+
+  const { rows, columns, names, titles, data } = heatmapLayout;
+  const { scrollTop, scrollLeft, clientWidth, clientHeight } = heatmapViewport;
+  const [firstRow, lastRow] = getHeatmapRange(
+    scrollTop,
+    clientHeight,
+    HEATMAP_COLUMN_HEADER_HEIGHT,
+    rows.length,
+  );
+  const [firstColumn, lastColumn] = getHeatmapRange(
+    scrollLeft,
+    clientWidth,
+    HEATMAP_ROW_HEADER_WIDTH,
+    columns.length,
+  );
+  const gridWidth = columns.length * HEATMAP_CELL_SIZE;
+  const gridHeight = rows.length * HEATMAP_CELL_SIZE;
+  const markup = [];
+
+  for (let rowPos = firstRow; rowPos <= lastRow; rowPos += 1) {
+    const row = rows[rowPos];
+    const top = HEATMAP_COLUMN_HEADER_HEIGHT + rowPos * HEATMAP_CELL_SIZE;
+    if (row.group) {
+      markup.push(
+        `<div class="heatmap-band" style="left:${HEATMAP_ROW_HEADER_WIDTH}px;top:${top}px;width:${gridWidth}px;height:${HEATMAP_CELL_SIZE}px"></div>`,
+        `<div class="heatmap-row-header heatmap-group" style="left:${scrollLeft}px;top:${top}px">${escapeHtml(row.group)} (${row.count})</div>`,
+      );
+      continue;
+    }
+    markup.push(
+      `<div class="heatmap-row-header" style="left:${scrollLeft}px;top:${top}px" title="${titles[row.index]}"><span class="heatmap-swatch" style="background:${data.hexes[row.index]}"></span>${names[row.index]}</div>`,
+    );
+    for (let columnPos = firstColumn; columnPos <= lastColumn; columnPos += 1) {
+      const column = columns[columnPos];
+      if (column.group) continue;
+      markup.push(getHeatmapCellMarkup(row, column, rowPos, columnPos));
+    }
+  }
+
+  for (let columnPos = firstColumn; columnPos <= lastColumn; columnPos += 1) {
+    const column = columns[columnPos];
+    const left = HEATMAP_ROW_HEADER_WIDTH + columnPos * HEATMAP_CELL_SIZE;
+    if (column.group) {
+      markup.push(
+        `<div class="heatmap-band" style="left:${left}px;top:${HEATMAP_COLUMN_HEADER_HEIGHT}px;width:${HEATMAP_CELL_SIZE}px;height:${gridHeight}px"></div>`,
+        `<div class="heatmap-column-header heatmap-group" style="left:${left}px;top:${scrollTop}px"><span>${escapeHtml(column.group)} (${column.count})</span></div>`,
+      );
+      continue;
+    }
+    markup.push(
+      `<div class="heatmap-column-header" style="left:${left}px;top:${scrollTop}px" title="${titles[column.index]}"><span>${names[column.index]}</span><span class="heatmap-swatch" style="background:${data.hexes[column.index]}"></span></div>`,
+    );
+  }
+
+  markup.push(
+    `<div class="heatmap-corner" style="left:${scrollLeft}px;top:${scrollTop}px">Text ↓ on background →</div>`,
+  );
+  heatmapLayer.innerHTML = markup.join("");
+}
+
+function scheduleHeatmapDraw() {
+  if (heatmapFrame !== null) return;
+  heatmapFrame = window.requestAnimationFrame(drawHeatmap);
+}
+
+function updateHeatmapDetail() {
+  const active = state.matrix.active;
+  if (
+    !heatmapLayout ||
+    !active ||
+    active.text >= heatmapLayout.data.size ||
+    active.background >= heatmapLayout.data.size
+  ) {
+    heatmapDetail.textContent =
+      "Select a cell, or focus the heatmap and use the arrow keys, to see a pair's scores.";
+    return;
+  }
+
+  const { data, levels, names } = heatmapLayout;
+  const textName = names[active.text];
+  const backgroundName = names[active.background];
+  if (active.text === active.background) {
+    heatmapDetail.innerHTML = `${textName} on itself.`;
+    return;
+  }
+  const index = active.text * data.size + active.background;
+  const metricLabel = getFilterModeLabel();
+  heatmapDetail.innerHTML = `${textName} (${data.hexes[active.text].toUpperCase()}) on ${backgroundName} (${data.hexes[active.background].toUpperCase()}): ${formatContrastRatio(data.ratios[index])}, ${formatAPCAScore(data.apcaScores[index])}. ${metricLabel} level ${levels[index]} at ${DEFAULT_TYPOGRAPHY.fontSize}px / ${DEFAULT_TYPOGRAPHY.fontWeight}.`;
+}
+
+// Scrolls the least distance that brings the cell clear of the sticky
+// headers.
+function scrollHeatmapCellIntoView(rowPos, columnPos) {
+  const top = rowPos * HEATMAP_CELL_SIZE;
+  const left = columnPos * HEATMAP_CELL_SIZE;
+  const height = heatmapViewport.clientHeight - HEATMAP_COLUMN_HEADER_HEIGHT;
+  const width = heatmapViewport.clientWidth - HEATMAP_ROW_HEADER_WIDTH;
+  if (top < heatmapViewport.scrollTop) heatmapViewport.scrollTop = top;
+  else if (top + HEATMAP_CELL_SIZE > heatmapViewport.scrollTop + height) {
+    heatmapViewport.scrollTop = top + HEATMAP_CELL_SIZE - height;
+  }
+  if (left < heatmapViewport.scrollLeft) heatmapViewport.scrollLeft = left;
+  else if (left + HEATMAP_CELL_SIZE > heatmapViewport.scrollLeft + width) {
+    heatmapViewport.scrollLeft = left + HEATMAP_CELL_SIZE - width;
+  }
+}
+
+function setActiveHeatmapCell(text, background) {
+  state.matrix.active = { text, background };
+  drawHeatmap();
+  updateHeatmapDetail();
+}
+
+function handleHeatmapClick(event) {
+  const cell = event.target.closest(".heatmap-cell");
+  if (!cell) return;
+  setActiveHeatmapCell(
+    Number(cell.dataset.text),
+    Number(cell.dataset.background),
+  );
+}
+
+// Arrow keys step over group bands; Home and End jump along the row.
+function handleHeatmapKeydown(event) {
+  if (!heatmapLayout) return;
+  const moves = {
+    ArrowUp: [-1, 0],
+    ArrowDown: [1, 0],
+    ArrowLeft: [0, -1],
+    ArrowRight: [0, 1],
+  };
+  const { rows, columns } = heatmapLayout;
+  const findPos = (axis, index) =>
+    axis.findIndex((entry) => entry.index === index);
+  const step = (axis, pos, delta) => {
+    for (
+      let next = pos + delta;
+      next >= 0 && next < axis.length;
+      next += delta
+    ) {
+      if (!axis[next].group) return next;
+    }
+    return pos;
+  };
+
+  const active = state.matrix.active;
+  let rowPos = active ? findPos(rows, active.text) : -1;
+  let columnPos = active ? findPos(columns, active.background) : -1;
+  if (rowPos < 0 || columnPos < 0) {
+    rowPos = step(rows, -1, 1);
+    columnPos = step(columns, -1, 1);
+  } else if (moves[event.key]) {
+    const [rowDelta, columnDelta] = moves[event.key];
+    if (rowDelta) rowPos = step(rows, rowPos, rowDelta);
+    if (columnDelta) columnPos = step(columns, columnPos, columnDelta);
+  } else if (event.key === "Home") {
+    columnPos = step(columns, -1, 1);
+  } else if (event.key === "End") {
+    columnPos = step(columns, columns.length, -1);
+  } else {
+    return;
+  }
+
+  event.preventDefault();
+  scrollHeatmapCellIntoView(rowPos, columnPos);
+  setActiveHeatmapCell(rows[rowPos].index, columns[columnPos].index);
+}
+
+function setMatrixView(view) {
+  state.matrix.view = view;
+  renderCombinations();
+}
+
+// Cards stay available up to CARD_VIEW_LIMIT colors; larger palettes use the
+// heatmap unless role pairs are shown.
+function updateMatrixControls() {
+  const view = getMatrixView();
+  const cardsAvailable = state.colors.length <= CARD_VIEW_LIMIT;
+  matrixViewSwitch.querySelectorAll("button[data-view]").forEach((button) => {
+    button.setAttribute("aria-pressed", String(button.dataset.view === view));
+  });
+  const cardsButton = matrixViewSwitch.querySelector('[data-view="cards"]');
+  cardsButton.disabled = !cardsAvailable;
+  cardsButton.title = cardsAvailable
+    ? ""
+    : `Cards show palettes of up to ${CARD_VIEW_LIMIT} colors.`;
+  heatmapTools.classList.toggle("hidden", view !== "heatmap");
+  heatmapContainer.classList.toggle("hidden", view !== "heatmap");
+  combinationsGrid.classList.toggle("hidden", view === "heatmap");
+  rolePairing.classList.toggle("hidden", view !== "roles");
+  heatmapSortSelect.value = state.matrix.sort;
+  heatmapGroupToggle.checked = state.matrix.groupByFamily;
+}
+
+// Role pairs
+// Palette colors take a role and the pairing map lists which roles are drawn
+// on which, so only those pairs get a card. Text pairs are judged at the
+// default typography, border and focus pairs at the 3:1 non-text minimum.
+function getRolePairings() {
+  return state.roles.pairings || DEFAULT_ROLE_PAIRINGS;
+}
+
+function hasRolePairing(text, background) {
+  return getRolePairings().some(
+    (pairing) => pairing.text === text && pairing.background === background,
+  );
+}
+
+// Role -> hexes of the colors assigned to it.
+function getAssignedRoles() {
+  return state.colors.reduce((acc, color) => {
+    const role = state.roles.assignments[color.id];
+    if (role) acc[role] = [...(acc[role] || []), color.hex];
+    return acc;
+  }, {});
+}
+
+// Palette name of the color that put `hex` into `role`. Escaped for markup.
+function getRoleColorName(hex, role) {
+  const index = state.colors.findIndex(
+    (color) =>
+      color.hex.toLowerCase() === hex &&
+      state.roles.assignments[color.id] === role,
+  );
+  return index === -1
+    ? hex.toUpperCase()
+    : formatColorName(state.colors[index], index);
+}
+
+function renderRoleAssignments() {
+  roleAssignments.innerHTML = state.colors
+    .map((color, index) => {
+      const selectId = `role-color-${color.id}`;
+      const assigned = state.roles.assignments[color.id] || "";
+      const options = PAIRING_ROLES.map(
+        (role) =>
+          `<option value="${role}"${role === assigned ? " selected" : ""}>${formatRoleLabel(role)}</option>`,
+      ).join("");
+      return `
+        <div class="theme-role">
+          <label for="${selectId}"><span class="confusion-chip" style="background-color: ${color.hex};"></span>${formatColorName(color, index)} (${color.hex.toUpperCase()})</label>
+          <select id="${selectId}" class="custom-select" data-color-id="${color.id}">
+            <option value=""${assigned ? "" : " selected"}>No role</option>
+            ${options}
+          </select>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+function renderRolePairingMap() {
+  const header = PAIRING_ROLES.map(
+    (role) => `<th scope="col">${formatRoleLabel(role)}</th>`,
+  ).join("");
+  const rows = PAIRING_ROLES.map((text) => {
+    const kind = getRolePairingKind({ text });
+    const cells = PAIRING_ROLES.map((background) => {
+      if (text === background) return '<td class="theme-cell-empty"></td>';
+      const checkboxId = `role-pair-${text}-${background}`;
+      return `
+        <td>
+          <input type="checkbox" id="${checkboxId}" data-text="${text}" data-background="${background}" aria-label="${formatRoleLabel(text)} on ${formatRoleLabel(background)}"${hasRolePairing(text, background) ? " checked" : ""} />
+        </td>
+      `;
+    }).join("");
+    return `<tr><th scope="row">${formatRoleLabel(text)}${kind === "non-text" ? ' <span class="role-kind">3:1</span>' : ""}</th>${cells}</tr>`;
+  }).join("");
+  rolePairingMap.innerHTML = `
+    <thead><tr><th scope="col"><span class="sr-only">Drawn role</span></th>${header}</tr></thead>
+    <tbody>${rows}</tbody>
+  `;
+}
+
+function getRoleRequirementText(result) {
+  const { requirement } = result;
+  const target = `${formatRequirementTarget(requirement)}${requirement.level ? ` for ${requirement.label}` : ""}`;
+  if (result.kind === "non-text") return `Non-text: needs ${target}.`;
+  return `Text at ${DEFAULT_TYPOGRAPHY.fontSize}px / ${DEFAULT_TYPOGRAPHY.fontWeight}: needs ${target}.`;
+}
+
+function createRolePairCard(result) {
+  const card = document.createElement("div");
+  card.className = "combo-card role-pair-card";
+  card.dataset.wcagLevel = result.wcagLevel;
+  card.dataset.apcaLevel = result.apcaLevel;
+
+  const sample =
+    result.kind === "non-text"
+      ? `<span class="role-pair-outline" style="border-color: ${result.textHex};"></span>`
+      : `<span class="preview-text" style="font-size: ${DEFAULT_TYPOGRAPHY.fontSize}px; font-weight: ${DEFAULT_TYPOGRAPHY.fontWeight};">Sample text</span>`;
+  const data = {
+    ...result,
+    wcagBadge: getStatusBadgeData(result.wcagLevel),
+    apcaBadge: getStatusBadgeData(result.apcaLevel),
+  };
+
+  card.innerHTML = `
+    <div class="combo-preview" style="background-color: ${result.bgHex}; color: ${result.textHex};">
+      ${sample}
+      <span class="preview-caption">${formatRoleLabel(result.textRole)} on ${formatRoleLabel(result.backgroundRole)}</span>
+    </div>
+    <div class="combo-details">
+      <div class="combo-colors-info">
+        <span>${formatRoleLabel(result.textRole)}: ${getRoleColorName(result.textHex, result.textRole)} ${result.textHex.toUpperCase()}</span>
+        <span class="combo-swap">on</span>
+        <span>${formatRoleLabel(result.backgroundRole)}: ${getRoleColorName(result.bgHex, result.backgroundRole)} ${result.bgHex.toUpperCase()}</span>
+      </div>
+
+      ${getScoresMarkup(data)}
+
+      <div class="combo-guidance">${getRoleRequirementText(result)}</div>
+    </div>
+  `;
+
+  return card;
+}
+
+function renderRolePairs() {
+  renderRoleAssignments();
+  renderRolePairingMap();
+
+  const results = evaluateRolePairings(getAssignedRoles(), {
+    pairings: getRolePairings(),
+    standard: state.apcaInformationalOnly ? "WCAG21" : "APCA",
+    ...DEFAULT_TYPOGRAPHY,
+  });
+  if (!results.length) {
+    roleSummary.textContent =
+      "Assign roles that the pairing map connects to see their pairs.";
+    roleSummary.classList.remove("dataviz-fail");
+    return;
+  }
+
+  const failing = results.filter((result) => !result.passes).length;
+  roleSummary.textContent = failing
+    ? `${failing} of ${results.length} role pairs fail under ${getFilterModeLabel()}.`
+    : `All ${results.length} role pairs pass under ${getFilterModeLabel()}.`;
+  roleSummary.classList.toggle("dataviz-fail", failing > 0);
+
+  const fragment = document.createDocumentFragment();
+  results.forEach((result) => {
+    fragment.appendChild(createRolePairCard(result));
+  });
+  combinationsGrid.appendChild(fragment);
+  filterCombinations();
+}
+
+// Adds or removes one pair, falling back to null when the map matches the
+// defaults again so the share link stays short.
+function toggleRolePairing(text, background, checked) {
+  const pairings = getRolePairings().filter(
+    (pairing) => pairing.text !== text || pairing.background !== background,
+  );
+  if (checked) pairings.push({ text, background });
+  const isDefault =
+    pairings.length === DEFAULT_ROLE_PAIRINGS.length &&
+    DEFAULT_ROLE_PAIRINGS.every((pairing) =>
+      pairings.some(
+        (entry) =>
+          entry.text === pairing.text &&
+          entry.background === pairing.background,
+      ),
+    );
+  state.roles.pairings = isDefault ? null : pairings;
+  renderCombinations();
+  updateStateHash();
+}
+
+function getVisibleConfusions() {
+  const { findings } = findConfusableColors(
+    state.colors.map((color) => color.hex),
+    { cvdSeverity: state.cvdSeverity },
+  );
+  if (state.confusionView !== "any") {
+    return findings.filter((finding) => finding.type === state.confusionView);
+  }
+
+  // Findings arrive worst first, so keep the first one for each pair.
+  const seen = new Set();
+  return findings.filter((finding) => {
+    const key = `${finding.a}|${finding.b}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function createConfusionItem(finding) {
+  const item = document.createElement("li");
+  item.className = "confusion-item";
+
+  const suggestion = finding.suggestion
+    ? `Try <span class="confusion-chip" style="background-color: ${finding.suggestion.to};"></span>${finding.suggestion.to.toUpperCase()} instead of ${finding.suggestion.from.toUpperCase()} (ΔE ${finding.suggestion.delta.toFixed(1)}).`
+    : "No lightness change separates this pair.";
+
+  item.innerHTML = `
+    <div class="confusion-swatches" aria-hidden="true">
+      <span class="confusion-chip" style="background-color: ${finding.a};"></span>
+      <span class="confusion-chip" style="background-color: ${finding.b};"></span>
+      <span class="confusion-arrow">→</span>
+      <span class="confusion-chip" style="background-color: ${finding.simulatedA};"></span>
+      <span class="confusion-chip" style="background-color: ${finding.simulatedB};"></span>
+    </div>
+    <div class="confusion-details">
+      <div class="confusion-title">
+        <span>${finding.a.toUpperCase()} vs ${finding.b.toUpperCase()}</span>
+        <span class="status-badge ${finding.severity === "moderate" ? "status-large" : "status-fail"}">${finding.severity}</span>
+      </div>
+      <p>ΔE ${finding.normalDelta.toFixed(1)} drops to ${finding.simulatedDelta.toFixed(1)} under ${formatCVDType(finding.type)}.</p>
+      <p class="confusion-suggestion">${suggestion}</p>
+    </div>
+  `;
+
+  return item;
+}
+
+function renderConfusions() {
+  confusionList.innerHTML = "";
+  if (state.colors.length < MIN_COLORS) return;
+  if (!state.colors.every((color) => isValidHex(color.hex))) return;
+  if (state.colors.length > PAIRWISE_CHECK_LIMIT) {
+    const note = document.createElement("li");
+    note.className = "empty-state";
+    note.textContent = `Distinguishability checks run on palettes of up to ${PAIRWISE_CHECK_LIMIT} colors; this one has ${state.colors.length}.`;
+    confusionList.appendChild(note);
+    return;
+  }
+
+  const findings = getVisibleConfusions();
+  if (!findings.length) {
+    const empty = document.createElement("li");
+    empty.className = "empty-state";
+    empty.textContent =
+      state.confusionView === "any"
+        ? "No pairs become confusable under any simulated deficiency."
+        : `No pairs become confusable under ${formatCVDType(state.confusionView)}.`;
+    confusionList.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  findings.forEach((finding) => {
+    fragment.appendChild(createConfusionItem(finding));
+  });
+  confusionList.appendChild(fragment);
+}
+
+function getCheckStatus(passes) {
+  return passes
+    ? { class: "status-aaa", text: "Pass" }
+    : { class: "status-fail", text: "Fail" };
+}
+
+function createDataVizCheck(title, passes, summary, details = []) {
+  const status = getCheckStatus(passes);
+  const check = document.createElement("div");
+  check.className = "dataviz-check glass-panel";
+  check.innerHTML = `
+    <div class="dataviz-check-header">
+      <h3>${title}</h3>
+      <span class="status-badge ${status.class}">${status.text}</span>
+    </div>
+    <p>${summary}</p>
+    ${details.length ? `<ul class="dataviz-check-list">${details.join("")}</ul>` : ""}
+  `;
+  return check;
+}
+
+function formatSeriesLabel(index, hex) {
+  return `<span class="confusion-chip" style="background-color: ${hex};"></span>Series ${index + 1}`;
+}
+
+function getContrastCheck(analysis) {
+  const passing = analysis.series.filter((entry) => entry.passes).length;
+  const details = analysis.series.map(
+    (entry) => `
+      <li>
+        <span>${formatSeriesLabel(entry.index, entry.hex)}</span>
+        <span class="${entry.passes ? "" : "dataviz-fail"}">${formatContrastRatio(entry.ratio)}</span>
+      </li>
+    `,
+  );
+  return createDataVizCheck(
+    "Contrast vs Background",
+    analysis.contrast.passes,
+    `${passing} of ${analysis.series.length} series reach ${analysis.minContrast}:1 against ${analysis.background.toUpperCase()} (WCAG SC 1.4.11).`,
+    details,
+  );
+}
+
+function getDistinguishabilityCheck(analysis) {
+  const { pairs, minimum, threshold } = analysis.distinguishability;
+  if (!minimum) {
+    return createDataVizCheck(
+      "Distinguishability",
+      true,
+      "Add another series to compare.",
+    );
+  }
+
+  const failing = pairs.filter((pair) => !pair.passes);
+  const worstUnder = minimum.worstType
+    ? ` under ${formatCVDType(minimum.worstType)}`
+    : "";
+  const details = failing.map(
+    (pair) => `
+      <li>
+        <span>${formatSeriesLabel(pair.indexA, pair.a)} vs ${formatSeriesLabel(pair.indexB, pair.b)}</span>
+        <span class="dataviz-fail">ΔE ${pair.worstDelta.toFixed(1)}${pair.worstType ? ` (${formatCVDType(pair.worstType)})` : ""}</span>
+      </li>
+    `,
+  );
+  return createDataVizCheck(
+    "Distinguishability",
+    failing.length === 0,
+    `Closest pair: series ${minimum.indexA + 1} and ${minimum.indexB + 1} at ΔE ${minimum.worstDelta.toFixed(1)}${worstUnder}. Every pair needs ΔE ${threshold} with typical vision and under red-green and blue-yellow deficiencies.`,
+    details,
+  );
+}
+
+function getLightnessCheck(analysis) {
+  if (!analysis.lightness) {
+    return createDataVizCheck(
+      "Lightness Order",
+      true,
+      analysis.type === "categorical"
+        ? "Categorical palettes do not need a lightness order."
+        : "Add another series to check the order.",
+    );
+  }
+
+  const { monotonic, direction, violations, symmetric } = analysis.lightness;
+  const orderLabel = {
+    ascending: "gets lighter from first to last",
+    descending: "gets darker from first to last",
+    "light-midpoint": "gets lighter toward the midpoint from both ends",
+    "dark-midpoint": "gets darker toward the midpoint from both ends",
+  }[direction];
+  const details = violations.map(
+    (violation) => `
+      <li>
+        <span>Series ${violation.from + 1} → ${violation.to + 1}</span>
+        <span class="dataviz-fail">${violation.step < 0 ? "Reverses" : "Too close"}</span>
+      </li>
+    `,
+  );
+  if (symmetric === false) {
+    details.push(
+      "<li><span>The two arms move in opposite directions.</span></li>",
+    );
+  }
+  return createDataVizCheck(
+    "Lightness Order",
+    monotonic,
+    monotonic
+      ? `The scale ${orderLabel}.`
+      : `The scale should ${orderLabel.replace("gets", "get")}, one visible step at a time.`,
+    details,
+  );
+}
+
+// Bar and line samples share one series order so the preview matches the
+// palette inputs. Values are fixed so the chart does not jump while editing.
+function getSampleChartMarkup(series, background) {
+  const axisColor =
+    getContrastRatio("#000000", background) >= 4.5 ? "#000000" : "#ffffff";
+  const count = series.length;
+  const barWidth = 200 / count;
+  const bars = series
+    .map((entry, index) => {
+      const value = 0.35 + ((index * 37) % 60) / 100;
+      const height = value * 150;
+      return `<rect x="${20 + index * barWidth + barWidth * 0.15}" y="${180 - height}" width="${barWidth * 0.7}" height="${height}" fill="${entry.hex}" rx="2"></rect>`;
+    })
+    .join("");
+  const lines = series
+    .map((entry, index) => {
+      const points = [0, 1, 2, 3, 4, 5]
+        .map((step) => {
+          const value =
+            0.5 +
+            0.3 *
+              Math.sin(step * 0.9 + index * 1.3) *
+              (1 - index / (count * 2));
+          return `${260 + step * 40},${180 - value * 150}`;
+        })
+        .join(" ");
+      return `<polyline points="${points}" fill="none" stroke="${entry.hex}" stroke-width="3" stroke-linejoin="round" stroke-linecap="round"></polyline>`;
+    })
+    .join("");
+
+  return `
+    <svg viewBox="0 0 480 200" role="img" aria-label="Sample bar and line chart using the palette">
+      <rect width="480" height="200" fill="${background}" rx="8"></rect>
+      <g stroke="${axisColor}" stroke-opacity="0.4" stroke-width="1">
+        <line x1="20" y1="180" x2="220" y2="180"></line>
+        <line x1="260" y1="180" x2="460" y2="180"></line>
+      </g>
+      ${bars}
+      ${lines}
+    </svg>
+  `;
+}
+
+function renderDataViz() {
+  if (state.mode !== "dataviz") return;
+
+  datavizChecks.innerHTML = "";
+  datavizChart.innerHTML = "";
+  if (!state.colors.every((color) => isValidHex(color.hex))) return;
+  if (state.colors.length > PAIRWISE_CHECK_LIMIT) {
+    const note = document.createElement("p");
+    note.className = "empty-state";
+    note.textContent = `Chart palettes are checked up to ${PAIRWISE_CHECK_LIMIT} series; this one has ${state.colors.length} colors.`;
+    datavizChecks.appendChild(note);
+    return;
+  }
+
+  const analysis = analyzeDataVizPalette(
+    state.colors.map((color) => color.hex),
+    { ...state.dataviz, cvdSeverity: state.cvdSeverity },
+  );
+  if (!analysis) return;
+
+  const fragment = document.createDocumentFragment();
+  fragment.appendChild(getContrastCheck(analysis));
+  fragment.appendChild(getDistinguishabilityCheck(analysis));
+  fragment.appendChild(getLightnessCheck(analysis));
+  datavizChecks.appendChild(fragment);
+
+  datavizChart.innerHTML = getSampleChartMarkup(
+    analysis.series,
+    analysis.background,
+  );
+}
+
+// The lightest color starts as the surface, the darkest as text and the most
+// chromatic of the rest as the accent; others fill the remaining roles in
+// palette order.
+function getThemeRoleAssignments() {
+  const byLuminance = [...state.colors].sort(
+    (a, b) => getRelativeLuminance(b.hex) - getRelativeLuminance(a.hex),
+  );
+  const automatic = {
+    surface: byLuminance[0],
+    text: byLuminance[byLuminance.length - 1],
+  };
+  const remaining = state.colors.filter(
+    (color) => color !== automatic.surface && color !== automatic.text,
+  );
+  const getChroma = (color) => srgbToOklch(hexToRgb(color.hex)).c;
+  automatic.accent = remaining.reduce(
+    (best, color) =>
+      !best || getChroma(color) > getChroma(best) ? color : best,
+    null,
+  );
+  remaining.splice(remaining.indexOf(automatic.accent), 1);
+  THEME_ROLES.filter((role) => !automatic[role]).forEach((role) => {
+    automatic[role] = remaining.shift() || null;
+  });
+
+  return THEME_ROLES.reduce((acc, role) => {
+    const assigned = state.theme.roles[role];
+    const color =
+      assigned === "" ? null : getColorById(assigned) || automatic[role];
+    if (color) acc[role] = color;
+    return acc;
+  }, {});
+}
+
+function renderThemeRoles(assignments) {
+  themeRoles.innerHTML = THEME_ROLES.map((role) => {
+    const selectId = `theme-role-${role}`;
+    const options = state.colors
+      .map(
+        (color, index) =>
+          `<option value="${color.id}"${assignments[role] === color ? " selected" : ""}>${formatColorName(color, index)} (${color.hex.toUpperCase()})</option>`,
+      )
+      .join("");
+    return `
+      <div class="theme-role">
+        <label for="${selectId}">${formatRoleLabel(role)}</label>
+        <select id="${selectId}" class="custom-select" data-role="${role}">
+          ${role === "surface" ? "" : `<option value=""${assignments[role] ? "" : " selected"}>Not used</option>`}
+          ${options}
+        </select>
+      </div>
+    `;
+  }).join("");
+}
+
+function createThemeMatrix(title, colors, theme, scheme) {
+  const roles = THEME_ROLES.filter((role) => colors[role]);
+  const targets = new Map(
+    theme.pairs.map((pair) => [`${pair.text}|${pair.background}`, pair]),
+  );
+  const header = roles
+    .map(
+      (role) =>
+        `<th scope="col"><span class="confusion-chip" style="background-color: ${colors[role]};"></span>${formatRoleLabel(role)}</th>`,
+    )
+    .join("");
+  const rows = roles
+    .map((text) => {
+      const cells = roles
+        .map((background) => {
+          if (text === background) return '<td class="theme-cell-empty"></td>';
+          const ratio = getContrastRatio(colors[text], colors[background]);
+          const lc = calcAPCA(colors[text], colors[background]);
+          const target = targets.get(`${text}|${background}`);
+          const failing = target && scheme === "dark" && !target.passes;
+          return `
+            <td class="theme-cell${target ? " theme-cell-target" : ""}${failing ? " theme-cell-fail" : ""}" style="background-color: ${colors[background]}; color: ${colors[text]};" title="${formatRoleLabel(text)} on ${formatRoleLabel(background)}">
+              <span class="theme-cell-sample">Aa</span>
+              <span>${formatContrastRatio(ratio)}</span>
+              <span>${formatAPCAScore(lc)}</span>
+            </td>
+          `;
+        })
+        .join("");
+      return `<tr><th scope="row">${formatRoleLabel(text)}</th>${cells}</tr>`;
+    })
+    .join("");
+
+  const panel = document.createElement("div");
+  panel.className = "theme-panel glass-panel";
+  panel.innerHTML = `
+    <h3>${title}</h3>
+    <div class="theme-matrix-scroll">
+      <table class="theme-matrix">
+        <thead><tr><th scope="col"><span class="sr-only">Text role</span></th>${header}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+  return panel;
+}
+
+function renderTheme() {
+  if (state.mode !== "theme") return;
+
+  themeSummary.textContent = "";
+  themeMatrices.innerHTML = "";
+  if (!state.colors.every((color) => isValidHex(color.hex))) return;
+
+  const assignments = getThemeRoleAssignments();
+  renderThemeRoles(assignments);
+
+  const palette = Object.fromEntries(
+    Object.entries(assignments).map(([role, color]) => [role, color.hex]),
+  );
+  const theme = generateDarkTheme(palette);
+  if (!theme) return;
+
+  const failing = theme.pairs.filter((pair) => !pair.passes);
+  themeSummary.textContent = failing.length
+    ? `${failing.length} of ${theme.pairs.length} role pairs could not keep their light-theme contrast.`
+    : "Every role pair keeps its light-theme contrast. Outlined cells are the preserved pairs.";
+  themeSummary.classList.toggle("dataviz-fail", failing.length > 0);
+
+  themeMatrices.appendChild(
+    createThemeMatrix("Light", theme.light, theme, "light"),
+  );
+  themeMatrices.appendChild(
+    createThemeMatrix("Dark", theme.dark, theme, "dark"),
+  );
+}
+
+// Tonal scale
+// The ramp keeps the seed's hue and chroma; its guarantees are the weakest
+// pair found at each step distance.
+function getScaleSeed() {
+  return getColorById(state.scale.seedId) || state.colors[0];
+}
+
+function getTonalScale() {
+  const seed = getScaleSeed();
+  if (!seed || !isValidHex(seed.hex)) return null;
+  return generateTonalScale(seed.hex, {
+    steps: state.scale.steps ? parseInt(state.scale.steps, 10) : undefined,
+    standard: state.scale.standard,
+  });
+}
+
+function formatScaleValue(scale, cell) {
+  return scale.standard === "APCA"
+    ? formatAPCAScore(cell.apcaScore)
+    : formatContrastRatio(cell.wcagRatio);
+}
+
+function isBodyTextPair(scale, cell) {
+  return scale.standard === "APCA"
+    ? getAPCAUsageBand(cell.apcaScore).bodyText
+    : cell.wcagRatio >= 4.5;
+}
+
+function renderScaleSeeds(seed) {
+  scaleSeedSelect.innerHTML = state.colors
+    .map(
+      (color, index) =>
+        `<option value="${color.id}"${color === seed ? " selected" : ""}>${formatColorName(color, index)} (${color.hex.toUpperCase()})</option>`,
+    )
+    .join("");
+}
+
+function createScaleMatrix(scale) {
+  const header = scale.steps
+    .map(
+      (entry) =>
+        `<th scope="col"><span class="confusion-chip" style="background-color: ${entry.hex};"></span>${entry.step}</th>`,
+    )
+    .join("");
+  const rows = scale.matrix
+    .map((row, i) => {
+      const text = scale.steps[i];
+      const cells = row
+        .map((cell, j) => {
+          if (i === j) return '<td class="theme-cell-empty"></td>';
+          const background = scale.steps[j];
+          return `
+            <td class="theme-cell${isBodyTextPair(scale, cell) ? " theme-cell-target" : ""}" style="background-color: ${background.hex}; color: ${text.hex};" title="${text.step} on ${background.step}">
+              <span class="theme-cell-sample">Aa</span>
+              <span>${formatScaleValue(scale, cell)}</span>
+            </td>
+          `;
+        })
+        .join("");
+      return `<tr><th scope="row">${text.step}</th>${cells}</tr>`;
+    })
+    .join("");
+
+  return `
+    <table class="theme-matrix">
+      <thead><tr><th scope="col"><span class="sr-only">Text step</span></th>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+function renderScale() {
+  if (state.mode !== "scale") return;
+
+  scaleSwatches.innerHTML = "";
+  scaleGuarantees.innerHTML = "";
+  scaleMatrix.innerHTML = "";
+  const seed = getScaleSeed();
+  renderScaleSeeds(seed);
+  const scale = getTonalScale();
+  if (!scale) return;
+
+  scaleSwatches.innerHTML = scale.steps
+    .map(
+      (entry) => `
+        <div class="scale-step${entry.step === scale.seedStep ? " scale-step-seed" : ""}">
+          <span class="scale-chip" style="background-color: ${entry.hex};"></span>
+          <span class="scale-step-number">${entry.step}</span>
+          <span class="scale-step-hex">${entry.hex.toUpperCase()}</span>
+        </div>
+      `,
+    )
+    .join("");
+
+  scaleGuarantees.innerHTML = scale.guarantees
+    .map((entry) => {
+      const minimum =
+        scale.standard === "APCA"
+          ? `Lc ${entry.minLc.toFixed(1)}`
+          : formatContrastRatio(entry.minRatio);
+      return `<li><strong>${entry.gap}+ apart</strong> at least ${minimum}</li>`;
+    })
+    .join("");
+
+  scaleMatrix.innerHTML = createScaleMatrix(scale);
+}
+
+// Steps are labelled after the seed, so exports name them like "blue-500".
+function addScaleToPalette() {
+  const scale = getTonalScale();
+  if (!scale) return;
+
+  const seed = getScaleSeed();
+  const prefix = seed.label || "scale";
+  const existing = new Set(state.colors.map((color) => color.hex));
+  const added = scale.steps
+    .filter((entry) => !existing.has(entry.hex))
+    .slice(0, MAX_COLORS - state.colors.length)
+    .map((entry) => ({
+      id: generateId(),
+      hex: entry.hex,
+      label: `${prefix}-${entry.step}`,
+    }));
+
+  if (!added.length) {
+    scaleStatus.textContent =
+      state.colors.length >= MAX_COLORS
+        ? `The palette already holds ${MAX_COLORS} colors.`
+        : "Every step is already in the palette.";
+    return;
+  }
+
+  state.colors.push(...added);
+  scaleStatus.textContent = `Added ${added.length} of ${scale.steps.length} steps to the palette.`;
+  renderColorInputs();
+}
+
+function renderResults() {
+  renderCombinations();
+  renderConfusions();
+  renderDataViz();
+  renderTheme();
+  renderScale();
+  updateStateHash();
+}
+
+function setMode(mode) {
+  state.mode = mode;
+  modeSwitch.querySelectorAll("button[data-mode]").forEach((button) => {
+    button.setAttribute(
+      "aria-pressed",
+      String(button.dataset.mode === state.mode),
+    );
+  });
+  contrastView.classList.toggle("hidden", state.mode !== "contrast");
+  datavizView.classList.toggle("hidden", state.mode !== "dataviz");
+  themeView.classList.toggle("hidden", state.mode !== "theme");
+  scaleView.classList.toggle("hidden", state.mode !== "scale");
+  renderDataViz();
+  renderTheme();
+  renderScale();
+  updateStateHash();
 }
 
-function renderCombinations() {
-  combinationsGrid.innerHTML = "";
+function updateDataVizBackground(value) {
+  const parsedHex = parseHexInput(value);
+  if (parsedHex) {
+    state.dataviz.background = parsedHex;
+    renderDataViz();
+  }
 
-  if (state.colors.length < MIN_COLORS) return;
-  if (!state.colors.every((color) => isValidHex(color.hex))) return;
+  datavizBackgroundHex.value = state.dataviz.background.toUpperCase();
+  datavizBackgroundHex.setAttribute("aria-invalid", "false");
+  datavizBackgroundPicker.value = state.dataviz.background;
+}
 
-  const fragment = document.createDocumentFragment();
+// Filters use the shared Machado matrices, so the preview matches the
+// confusable-pair and chart checks at the same severity.
+function renderCVDFilters() {
+  cvdFilterDefs.innerHTML = Object.keys(CVD_TYPES)
+    .map(
+      (type) => `
+        <filter id="${type}" color-interpolation-filters="linearRGB">
+          <feColorMatrix type="matrix" values="${getCVDFilterValues(type, state.cvdSeverity)}" />
+        </filter>
+      `,
+    )
+    .join("");
+}
 
-  getColorPairs().forEach((pair) => {
-    const data = getCombinationData(pair);
-    fragment.appendChild(createCombinationCard(data));
-  });
+function syncCVDSeverityControl() {
+  const percent = Math.round(state.cvdSeverity * 100);
+  cvdSeverityRange.value = String(percent);
+  cvdSeverityValue.textContent = `${percent}%`;
+}
 
-  combinationsGrid.appendChild(fragment);
-  filterCombinations();
+function applySimulationFilter(filterValue) {
+  [combinationsGrid, datavizPreview, themeMatrices, scaleMatrix].forEach(
+    (element) => {
+      Array.from(element.classList)
+        .filter((className) => className.startsWith("filter-"))
+        .forEach((className) => element.classList.remove(className));
+
+      if (filterValue !== "none") {
+        element.classList.add(`filter-${filterValue}`);
+      }
+    },
+  );
 }
 
 function createInputLabel(id, text) {
@@ -409,15 +1787,20 @@ function renderColorInputs() {
       wrapper.appendChild(removeBtn);
     }
 
-    wrapper.appendChild(
-      createInputLabel(colorPickerId, `Color ${index + 1} picker`),
-    );
+    const colorName = color.label || `Color ${index + 1}`;
+    wrapper.appendChild(createInputLabel(colorPickerId, `${colorName} picker`));
     wrapper.appendChild(colorInput);
-    wrapper.appendChild(
-      createInputLabel(hexInputId, `Color ${index + 1} hex value`),
-    );
+    wrapper.appendChild(createInputLabel(hexInputId, `${colorName} hex value`));
     wrapper.appendChild(hexInput);
 
+    if (color.label) {
+      const tokenLabel = document.createElement("span");
+      tokenLabel.className = "color-token-label";
+      tokenLabel.textContent = color.label;
+      tokenLabel.title = color.label;
+      wrapper.appendChild(tokenLabel);
+    }
+
     fragment.appendChild(wrapper);
   });
 
@@ -426,7 +1809,7 @@ function renderColorInputs() {
   addColorBtn.disabled = state.colors.length >= MAX_COLORS;
   colorCountIndicator.textContent = `${state.colors.length}/${MAX_COLORS} Colors`;
 
-  renderCombinations();
+  renderResults();
 }
 
 function addColor() {
@@ -450,6 +1833,7 @@ function removeColor(id) {
   const index = state.colors.findIndex((color) => color.id === id);
   if (index === -1) return;
   state.colors.splice(index, 1);
+  delete state.roles.assignments[id];
   renderColorInputs();
 }
 
@@ -462,7 +1846,7 @@ function updateColor(id, hex) {
 
   if (color.hex === parsedHex) return parsedHex;
   color.hex = parsedHex;
-  renderCombinations();
+  renderResults();
   return parsedHex;
 }
 
@@ -530,6 +1914,654 @@ function handleColorInputsClick(event) {
   removeColor(colorId);
 }
 
+// Palette import
+function setImportStatus(message) {
+  importStatus.textContent = message;
+}
+
+// Replaces the palette with the imported colors: one entry per distinct hex,
+// keeping the first label seen, up to MAX_COLORS.
+function importPalette(palette, source) {
+  if (!palette || !palette.colors.length) {
+    setImportStatus(`No colors found in ${source}.`);
+    return false;
+  }
+
+  const byHex = new Map();
+  palette.colors.forEach((color) => {
+    if (!byHex.has(color.hex)) byHex.set(color.hex, color);
+  });
+  const distinct = [...byHex.values()];
+  if (distinct.length < MIN_COLORS) {
+    setImportStatus(
+      `${source} holds only one distinct color; at least ${MIN_COLORS} are needed.`,
+    );
+    return false;
+  }
+
+  const imported = distinct.slice(0, MAX_COLORS);
+  state.colors = imported.map((color) => ({
+    id: generateId(),
+    hex: color.hex,
+    label: (color.name || "").slice(0, MAX_COLOR_LABEL_LENGTH),
+  }));
+  state.typography = {};
+  state.theme.roles = {};
+  state.scale.seedId = null;
+  state.roles.assignments = {};
+  renderColorInputs();
+
+  const notes = [
+    `Imported ${imported.length} colors from ${source} (${IMPORT_FORMAT_LABELS[palette.format]}).`,
+  ];
+  if (distinct.length > imported.length) {
+    notes.push(
+      `Only the first ${MAX_COLORS} of ${distinct.length} distinct colors fit.`,
+    );
+  }
+  if (imported.some((color) => color.alpha < 1)) {
+    notes.push("Translucent colors were imported as opaque.");
+  }
+  if (palette.skipped) {
+    notes.push(`Skipped ${palette.skipped} unreadable entries.`);
+  }
+  setImportStatus(notes.join(" "));
+  return true;
+}
+
+function importPastedPalette() {
+  const text = importText.value.trim();
+  if (!text) {
+    setImportStatus(
+      "Paste CSS, Tailwind colors, design tokens or a GIMP palette first.",
+    );
+    return;
+  }
+  if (importPalette(parsePaletteFile(text), "the pasted text")) {
+    importText.value = "";
+  }
+}
+
+async function importPaletteFile(file) {
+  let palette = null;
+  try {
+    palette = parsePaletteFile(await file.arrayBuffer(), {
+      fileName: file.name,
+    });
+  } catch {
+    palette = null;
+  }
+  importPalette(palette, file.name);
+}
+
+// Palette export
+function setExportStatus(message) {
+  exportStatus.textContent = message;
+}
+
+// Labels become token names; the palette name typed under Saved Palettes, if
+// any, names the file, map or asset catalog.
+function getPaletteExport() {
+  return exportPalette(
+    state.colors.map((color) => ({
+      name: color.label || null,
+      hex: color.hex,
+    })),
+    exportFormatSelect.value,
+    {
+      name: normalizePaletteName(libraryNameInput.value) || undefined,
+      compliance: exportComplianceToggle.checked && { ...DEFAULT_TYPOGRAPHY },
+    },
+  );
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Single files download as themselves; asset catalogs download as a ZIP.
+function downloadPaletteExport() {
+  const result = getPaletteExport();
+  if (!result) {
+    setExportStatus("Add a valid color to export.");
+    return;
+  }
+
+  if (result.files.length === 1) {
+    const [file] = result.files;
+    downloadBlob(
+      new Blob([file.content], { type: "text/plain" }),
+      file.path.split("/").pop(),
+    );
+    setExportStatus(`Downloaded ${file.path.split("/").pop()}.`);
+    return;
+  }
+
+  const fileName = `${result.files[0].path.split("/")[0]}.zip`;
+  downloadBlob(
+    new Blob([createZipArchive(result.files)], { type: "application/zip" }),
+    fileName,
+  );
+  setExportStatus(`Downloaded ${fileName} (${result.files.length} files).`);
+}
+
+async function copyPaletteExport() {
+  const result = getPaletteExport();
+  if (!result) {
+    setExportStatus("Add a valid color to export.");
+    return;
+  }
+  if (result.files.length > 1) {
+    setExportStatus(
+      "Asset catalogs hold several files; download them instead.",
+    );
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(result.files[0].content);
+    setExportStatus(`Copied ${result.files[0].path.split("/").pop()}.`);
+  } catch {
+    setExportStatus("Copying is blocked here; download the file instead.");
+  }
+}
+
+// Shareable state
+// The fragment holds v (format version), c (hex colors without "#", joined by
+// "-"), f (hex bitmask over FILTER_KEYS), a (APCA informational only), cvd,
+// s (anomaly severity percent) and m when they differ from the defaults, one
+// l per color when any color carries an imported label, one r per color when
+// any color has a pairing role, and p (text.background role pairs joined by
+// "-") when the pairing map differs from the default.
+function encodeStateHash() {
+  const filterMask = FILTER_KEYS.reduce(
+    (mask, key, index) =>
+      state.activeFilters[key] ? mask | (1 << index) : mask,
+    0,
+  );
+  const params = new URLSearchParams({
+    v: STATE_HASH_VERSION,
+    c: state.colors.map((color) => color.hex.slice(1)).join("-"),
+    f: filterMask.toString(16),
+    a: state.apcaInformationalOnly ? "1" : "0",
+  });
+  if (state.cvdMode !== "none") params.set("cvd", state.cvdMode);
+  if (state.cvdSeverity !== DEFAULT_CVD_SEVERITY) {
+    params.set("s", String(Math.round(state.cvdSeverity * 100)));
+  }
+  if (state.mode !== "contrast") params.set("m", state.mode);
+  if (state.colors.some((color) => color.label)) {
+    state.colors.forEach((color) => params.append("l", color.label || ""));
+  }
+  if (state.colors.some((color) => state.roles.assignments[color.id])) {
+    state.colors.forEach((color) =>
+      params.append("r", state.roles.assignments[color.id] || ""),
+    );
+  }
+  if (state.roles.pairings) {
+    params.set(
+      "p",
+      state.roles.pairings
+        .map((pairing) => `${pairing.text}.${pairing.background}`)
+        .join("-"),
+    );
+  }
+  return params.toString();
+}
+
+// Returns null for a missing, invalid or other-version fragment. Optional
+// values that don't parse fall back to their defaults.
+function decodeStateHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (params.get("v") !== STATE_HASH_VERSION) return null;
+
+  const colors = (params.get("c") || "").split("-").map(parseHexInput);
+  if (
+    colors.length < MIN_COLORS ||
+    colors.length > MAX_COLORS ||
+    colors.includes(null)
+  ) {
+    return null;
+  }
+
+  const filterMask = /^[0-9a-f]$/i.test(params.get("f") || "")
+    ? parseInt(params.get("f"), 16)
+    : 2 ** FILTER_KEYS.length - 1;
+  const cvdMode = params.get("cvd");
+  const severity = /^\d{1,3}$/.test(params.get("s") || "")
+    ? parseInt(params.get("s"), 10)
+    : null;
+  const mode = params.get("m");
+  const labels = params.getAll("l");
+  const roles = params.getAll("r");
+  const pairings = params.has("p")
+    ? params
+        .get("p")
+        .split("-")
+        .map((entry) => entry.split("."))
+        .filter(
+          ([text, background]) =>
+            PAIRING_ROLES.includes(text) &&
+            PAIRING_ROLES.includes(background) &&
+            text !== background,
+        )
+        .map(([text, background]) => ({ text, background }))
+    : null;
+
+  return {
+    colors,
+    labels:
+      labels.length === colors.length
+        ? labels.map((label) => label.slice(0, MAX_COLOR_LABEL_LENGTH))
+        : colors.map(() => ""),
+    roles:
+      roles.length === colors.length
+        ? roles.map((role) => (PAIRING_ROLES.includes(role) ? role : ""))
+        : colors.map(() => ""),
+    pairings,
+    activeFilters: FILTER_KEYS.reduce((acc, key, index) => {
+      acc[key] = Boolean(filterMask & (1 << index));
+      return acc;
+    }, {}),
+    apcaInformationalOnly: params.get("a") !== "0",
+    cvdMode: Object.keys(CVD_TYPES).includes(cvdMode) ? cvdMode : "none",
+    cvdSeverity:
+      severity !== null && severity <= 100
+        ? severity / 100
+        : DEFAULT_CVD_SEVERITY,
+    mode: MODES.includes(mode) ? mode : "contrast",
+  };
+}
+
+function updateStateHash() {
+  const hash = `#${encodeStateHash()}`;
+  if (window.location.hash === hash) return;
+  // replaceState keeps every edit out of the back button history.
+  window.history.replaceState(null, "", hash);
+}
+
+function applySharedState(shared) {
+  state.colors = shared.colors.map((hex, index) => ({
+    id: generateId(),
+    hex,
+    label: shared.labels[index],
+  }));
+  state.activeFilters = { ...shared.activeFilters };
+  state.apcaInformationalOnly = shared.apcaInformationalOnly;
+  state.cvdMode = shared.cvdMode;
+  state.cvdSeverity = shared.cvdSeverity;
+  // These are keyed by color ids, which were just regenerated.
+  state.typography = {};
+  state.theme.roles = {};
+  state.scale.seedId = null;
+  state.roles.assignments = {};
+  state.colors.forEach((color, index) => {
+    if (shared.roles[index]) {
+      state.roles.assignments[color.id] = shared.roles[index];
+    }
+  });
+  state.roles.pairings = shared.pairings;
+
+  filterLegend.querySelectorAll("button[data-filter]").forEach((button) => {
+    const active = state.activeFilters[button.getAttribute("data-filter")];
+    button.classList.toggle("inactive", !active);
+    button.setAttribute("aria-pressed", String(active));
+  });
+  apcaInformationalToggle.checked = state.apcaInformationalOnly;
+  updateFilterLegendA11y();
+  colorBlindnessSelect.value = state.cvdMode;
+  applySimulationFilter(state.cvdMode);
+  syncCVDSeverityControl();
+  renderCVDFilters();
+
+  state.mode = shared.mode;
+  modeSwitch.querySelectorAll("button[data-mode]").forEach((button) => {
+    button.setAttribute(
+      "aria-pressed",
+      String(button.dataset.mode === state.mode),
+    );
+  });
+  contrastView.classList.toggle("hidden", state.mode !== "contrast");
+  datavizView.classList.toggle("hidden", state.mode !== "dataviz");
+  themeView.classList.toggle("hidden", state.mode !== "theme");
+  scaleView.classList.toggle("hidden", state.mode !== "scale");
+
+  renderColorInputs();
+}
+
+async function copyShareLink() {
+  updateStateHash();
+  try {
+    await navigator.clipboard.writeText(window.location.href);
+    setLibraryStatus("Link copied. It opens this exact palette and view.");
+  } catch {
+    setLibraryStatus("Copy the page address to share this view.");
+  }
+}
+
+// Saved palettes
+// Entries are { id, name, hash, updatedAt }, where hash is a state fragment.
+function readLibrary() {
+  try {
+    const entries = JSON.parse(
+      window.localStorage.getItem(LIBRARY_STORAGE_KEY) || "[]",
+    );
+    if (!Array.isArray(entries)) return [];
+    return entries.filter(
+      (entry) =>
+        entry &&
+        typeof entry.id === "string" &&
+        typeof entry.name === "string" &&
+        decodeStateHash(entry.hash),
+    );
+  } catch {
+    return [];
+  }
+}
+
+function writeLibrary() {
+  try {
+    window.localStorage.setItem(
+      LIBRARY_STORAGE_KEY,
+      JSON.stringify(state.library.entries),
+    );
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function setLibraryStatus(message) {
+  libraryStatus.textContent = message;
+}
+
+function persistLibrary(message) {
+  setLibraryStatus(
+    writeLibrary()
+      ? message
+      : `${message} This browser blocked storage, so it won't survive a reload.`,
+  );
+  renderLibrary();
+}
+
+function normalizePaletteName(name) {
+  return String(name || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, MAX_PALETTE_NAME_LENGTH);
+}
+
+function findPaletteByName(name, exceptId = null) {
+  const key = name.toLowerCase();
+  return (
+    state.library.entries.find(
+      (entry) => entry.id !== exceptId && entry.name.toLowerCase() === key,
+    ) || null
+  );
+}
+
+function getUniquePaletteName(base) {
+  let name = base;
+  for (let n = 2; findPaletteByName(name); n += 1) {
+    name = `${base} ${n}`;
+  }
+  return name;
+}
+
+function getPaletteById(id) {
+  return state.library.entries.find((entry) => entry.id === id) || null;
+}
+
+// Saving under an existing name (ignoring case) overwrites that palette.
+function savePalette(rawName) {
+  const name =
+    normalizePaletteName(rawName) || getUniquePaletteName("Untitled palette");
+  const hash = encodeStateHash();
+  const existing = findPaletteByName(name);
+
+  if (existing) {
+    existing.hash = hash;
+    existing.updatedAt = Date.now();
+  } else {
+    state.library.entries.unshift({
+      id: generateId(),
+      name,
+      hash,
+      updatedAt: Date.now(),
+    });
+  }
+
+  libraryNameInput.value = existing ? existing.name : name;
+  persistLibrary(existing ? `Updated "${existing.name}".` : `Saved "${name}".`);
+}
+
+function loadPalette(id) {
+  const entry = getPaletteById(id);
+  const shared = entry ? decodeStateHash(entry.hash) : null;
+  if (!shared) return;
+
+  applySharedState(shared);
+  libraryNameInput.value = entry.name;
+  setLibraryStatus(`Loaded "${entry.name}".`);
+}
+
+function renamePalette(id, rawName) {
+  const entry = getPaletteById(id);
+  state.library.renamingId = null;
+  if (!entry) return;
+
+  const name = normalizePaletteName(rawName);
+  if (!name || name === entry.name) {
+    renderLibrary();
+    return;
+  }
+  if (findPaletteByName(name, id)) {
+    setLibraryStatus(`Another palette is already named "${name}".`);
+    renderLibrary();
+    return;
+  }
+
+  const previousName = entry.name;
+  entry.name = name;
+  entry.updatedAt = Date.now();
+  persistLibrary(`Renamed "${previousName}" to "${name}".`);
+}
+
+function duplicatePalette(id) {
+  const index = state.library.entries.findIndex((entry) => entry.id === id);
+  if (index === -1) return;
+
+  const source = state.library.entries[index];
+  const name = getUniquePaletteName(
+    normalizePaletteName(`${source.name} copy`),
+  );
+  state.library.entries.splice(index, 0, {
+    id: generateId(),
+    name,
+    hash: source.hash,
+    updatedAt: Date.now(),
+  });
+  persistLibrary(`Duplicated "${source.name}" as "${name}".`);
+}
+
+function deletePalette(id) {
+  const entry = getPaletteById(id);
+  if (!entry) return;
+
+  state.library.entries = state.library.entries.filter(
+    (item) => item.id !== id,
+  );
+  persistLibrary(`Deleted "${entry.name}".`);
+}
+
+function formatSavedAt(timestamp) {
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleDateString(undefined, {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+}
+
+function createLibraryButton(action, text, entry) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `library-btn${action === "delete" ? " library-btn-danger" : ""}`;
+  button.dataset.action = action;
+  button.textContent = text;
+  button.setAttribute("aria-label", `${text} ${entry.name}`);
+  return button;
+}
+
+function createLibraryItem(entry) {
+  const shared = decodeStateHash(entry.hash);
+  const item = document.createElement("li");
+  item.className = "library-item";
+  item.dataset.paletteId = entry.id;
+
+  const swatches = document.createElement("div");
+  swatches.className = "library-swatches";
+  swatches.setAttribute("aria-hidden", "true");
+  shared.colors.forEach((hex) => {
+    const swatch = document.createElement("span");
+    swatch.className = "library-swatch";
+    swatch.style.backgroundColor = hex;
+    swatches.appendChild(swatch);
+  });
+
+  const info = document.createElement("div");
+  info.className = "library-info";
+  if (state.library.renamingId === entry.id) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "library-rename-input";
+    input.value = entry.name;
+    input.maxLength = MAX_PALETTE_NAME_LENGTH;
+    input.autocomplete = "off";
+    input.setAttribute("aria-label", `New name for ${entry.name}`);
+    info.appendChild(input);
+  } else {
+    const name = document.createElement("span");
+    name.className = "library-name";
+    name.textContent = entry.name;
+    info.appendChild(name);
+  }
+  const meta = document.createElement("span");
+  meta.className = "library-meta";
+  meta.textContent = [
+    `${shared.colors.length} colors`,
+    shared.cvdMode !== "none" ? formatCVDType(shared.cvdMode) : "",
+    formatSavedAt(entry.updatedAt),
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  info.appendChild(meta);
+
+  const actions = document.createElement("div");
+  actions.className = "library-item-actions";
+  actions.appendChild(createLibraryButton("load", "Load", entry));
+  actions.appendChild(createLibraryButton("rename", "Rename", entry));
+  actions.appendChild(createLibraryButton("duplicate", "Duplicate", entry));
+  actions.appendChild(createLibraryButton("delete", "Delete", entry));
+
+  item.appendChild(swatches);
+  item.appendChild(info);
+  item.appendChild(actions);
+  return item;
+}
+
+function renderLibrary() {
+  libraryList.innerHTML = "";
+
+  if (!state.library.entries.length) {
+    const empty = document.createElement("li");
+    empty.className = "library-empty";
+    empty.textContent =
+      "No saved palettes yet. Name the current palette and save it to reuse it later.";
+    libraryList.appendChild(empty);
+    return;
+  }
+
+  const fragment = document.createDocumentFragment();
+  state.library.entries.forEach((entry) => {
+    fragment.appendChild(createLibraryItem(entry));
+  });
+  libraryList.appendChild(fragment);
+
+  const renameInput = libraryList.querySelector(".library-rename-input");
+  if (renameInput) {
+    renameInput.focus();
+    renameInput.select();
+  }
+}
+
+function focusLibraryAction(id, action) {
+  libraryList
+    .querySelector(
+      `.library-item[data-palette-id="${id}"] [data-action="${action}"]`,
+    )
+    ?.focus();
+}
+
+function handleLibraryClick(event) {
+  const button = event.target.closest("button[data-action]");
+  const item = button ? button.closest(".library-item") : null;
+  if (!item) return;
+
+  const id = item.dataset.paletteId;
+  switch (button.dataset.action) {
+    case "load":
+      loadPalette(id);
+      break;
+    case "rename":
+      state.library.renamingId = id;
+      renderLibrary();
+      break;
+    case "duplicate":
+      duplicatePalette(id);
+      focusLibraryAction(id, "duplicate");
+      break;
+    case "delete":
+      deletePalette(id);
+      libraryNameInput.focus();
+      break;
+    default:
+      break;
+  }
+}
+
+function handleLibraryKeydown(event) {
+  const input = event.target.closest(".library-rename-input");
+  if (!input) return;
+
+  const id = input.closest(".library-item").dataset.paletteId;
+  if (event.key === "Enter") {
+    event.preventDefault();
+    renamePalette(id, input.value);
+    focusLibraryAction(id, "rename");
+  } else if (event.key === "Escape") {
+    event.preventDefault();
+    state.library.renamingId = null;
+    renderLibrary();
+    focusLibraryAction(id, "rename");
+  }
+}
+
+// Leaving the rename field keeps the edit, like pressing Enter.
+function handleLibraryFocusout(event) {
+  const input = event.target.closest(".library-rename-input");
+  if (!input) return;
+
+  const id = input.closest(".library-item").dataset.paletteId;
+  if (state.library.renamingId !== id) return;
+  renamePalette(id, input.value);
+}
+
 function getDialogFocusableElements() {
   return Array.from(
     settingsPopover.querySelectorAll(
@@ -616,6 +2648,8 @@ function bindEvents() {
   colorInputsContainer.addEventListener("input", handleColorInputsInput);
   colorInputsContainer.addEventListener("change", handleColorInputsChange);
   colorInputsContainer.addEventListener("click", handleColorInputsClick);
+  combinationsGrid.addEventListener("change", handleCombinationsChange);
+  combinationsGrid.addEventListener("click", handleCombinationsClick);
 
   settingsBtn.addEventListener("click", openSettingsPopover);
   closeSettingsBtn.addEventListener("click", closeSettingsPopover);
@@ -624,14 +2658,69 @@ function bindEvents() {
   document.addEventListener("keydown", handleDocumentKeydown);
 
   colorBlindnessSelect.addEventListener("change", (event) => {
-    const filterValue = event.target.value;
-    combinationsGrid.className = "combinations-grid";
+    state.cvdMode = event.target.value;
+    applySimulationFilter(state.cvdMode);
+    updateStateHash();
+  });
 
-    if (filterValue !== "none") {
-      combinationsGrid.classList.add(`filter-${filterValue}`);
-    }
+  cvdSeverityRange.addEventListener("input", (event) => {
+    state.cvdSeverity = Number(event.target.value) / 100;
+    syncCVDSeverityControl();
+    renderCVDFilters();
+  });
+
+  // The checks re-run once the slider settles rather than on every step.
+  cvdSeverityRange.addEventListener("change", () => {
+    renderConfusions();
+    renderDataViz();
+    updateStateHash();
+  });
+
+  modeSwitch.addEventListener("click", (event) => {
+    const button = event.target.closest("button[data-mode]");
+    if (!button) return;
+    setMode(button.dataset.mode);
+  });
+
+  datavizTypeSelect.addEventListener("change", (event) => {
+    state.dataviz.type = event.target.value;
+    renderDataViz();
+  });
+
+  datavizBackgroundPicker.addEventListener("input", (event) => {
+    updateDataVizBackground(event.target.value);
+  });
+
+  datavizBackgroundHex.addEventListener("input", (event) => {
+    const parsedHex = parseHexInput(event.target.value);
+    event.target.setAttribute("aria-invalid", parsedHex ? "false" : "true");
+  });
+
+  datavizBackgroundHex.addEventListener("change", (event) => {
+    updateDataVizBackground(event.target.value);
+  });
+
+  matrixViewSwitch.addEventListener("click", (event) => {
+    const button = event.target.closest("button[data-view]");
+    if (!button || button.disabled) return;
+    setMatrixView(button.dataset.view);
+  });
+
+  heatmapSortSelect.addEventListener("change", (event) => {
+    state.matrix.sort = event.target.value;
+    renderHeatmap();
+  });
+
+  heatmapGroupToggle.addEventListener("change", (event) => {
+    state.matrix.groupByFamily = event.target.checked;
+    renderHeatmap();
   });
 
+  heatmapViewport.addEventListener("scroll", scheduleHeatmapDraw);
+  heatmapViewport.addEventListener("click", handleHeatmapClick);
+  heatmapViewport.addEventListener("keydown", handleHeatmapKeydown);
+  window.addEventListener("resize", scheduleHeatmapDraw);
+
   filterLegend.addEventListener("click", (event) => {
     const button = event.target.closest("button[data-filter]");
     if (!button) return;
@@ -643,18 +2732,120 @@ function bindEvents() {
     button.setAttribute("aria-pressed", String(state.activeFilters[filterKey]));
 
     filterCombinations();
+    updateStateHash();
+  });
+
+  roleAssignments.addEventListener("change", (event) => {
+    const select = event.target.closest("select[data-color-id]");
+    if (!select) return;
+    if (select.value) {
+      state.roles.assignments[select.dataset.colorId] = select.value;
+    } else {
+      delete state.roles.assignments[select.dataset.colorId];
+    }
+    renderCombinations();
+    updateStateHash();
+    document.getElementById(select.id)?.focus();
+  });
+
+  rolePairingMap.addEventListener("change", (event) => {
+    const checkbox = event.target.closest("input[data-text]");
+    if (!checkbox) return;
+    toggleRolePairing(
+      checkbox.dataset.text,
+      checkbox.dataset.background,
+      checkbox.checked,
+    );
+    document.getElementById(checkbox.id)?.focus();
+  });
+
+  rolePairingResetBtn.addEventListener("click", () => {
+    state.roles.pairings = null;
+    renderCombinations();
+    updateStateHash();
+  });
+
+  themeRoles.addEventListener("change", (event) => {
+    const select = event.target.closest("select[data-role]");
+    if (!select) return;
+    state.theme.roles[select.dataset.role] = select.value;
+    renderTheme();
+    document.getElementById(select.id)?.focus();
+  });
+
+  scaleSeedSelect.addEventListener("change", (event) => {
+    state.scale.seedId = event.target.value;
+    scaleStatus.textContent = "";
+    renderScale();
+  });
+
+  scaleStepsSelect.addEventListener("change", (event) => {
+    state.scale.steps = event.target.value;
+    renderScale();
+  });
+
+  scaleStandardSelect.addEventListener("change", (event) => {
+    state.scale.standard = event.target.value;
+    renderScale();
+  });
+
+  scaleAddBtn.addEventListener("click", addScaleToPalette);
+
+  confusionViewSelect.addEventListener("change", (event) => {
+    state.confusionView = event.target.value;
+    renderConfusions();
   });
 
   apcaInformationalToggle.addEventListener("change", (event) => {
     state.apcaInformationalOnly = event.target.checked;
-    filterCombinations();
+    // Fix suggestions follow the filtering metric.
+    renderCombinations();
+    updateStateHash();
+  });
+
+  libraryForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    savePalette(libraryNameInput.value);
+  });
+  copyLinkBtn.addEventListener("click", copyShareLink);
+  importTextBtn.addEventListener("click", importPastedPalette);
+  importFileBtn.addEventListener("click", () => importFileInput.click());
+  importFileInput.addEventListener("change", (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (file) importPaletteFile(file);
+  });
+  exportDownloadBtn.addEventListener("click", downloadPaletteExport);
+  exportCopyBtn.addEventListener("click", copyPaletteExport);
+  libraryList.addEventListener("click", handleLibraryClick);
+  libraryList.addEventListener("keydown", handleLibraryKeydown);
+  libraryList.addEventListener("focusout", handleLibraryFocusout);
+
+  window.addEventListener("hashchange", () => {
+    const shared = decodeStateHash(window.location.hash);
+    if (shared) applySharedState(shared);
+  });
+  // Keep the list in sync with saves made in other tabs.
+  window.addEventListener("storage", (event) => {
+    if (event.key !== LIBRARY_STORAGE_KEY) return;
+    state.library.entries = readLibrary();
+    renderLibrary();
   });
 }
 
 function init() {
   settingsPopover.setAttribute("tabindex", "-1");
+  renderCVDFilters();
   bindEvents();
-  renderColorInputs();
+  state.library.entries = readLibrary();
+  renderLibrary();
+
+  const shared = decodeStateHash(window.location.hash);
+  if (shared) {
+    applySharedState(shared);
+  } else {
+    renderColorInputs();
+  }
   updateFilterLegendA11y();
 }
 